@@ -0,0 +1,134 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function approve(address spender, uint256 amount) external returns (bool);
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+interface IPancakeRouter02 {
+    function getAmountsOut(uint256 amountIn, address[] calldata path) external view returns (uint256[] memory amounts);
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external payable;
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external;
+}
+
+/// @title TokenSimulator
+/// @notice Never deployed. BscRadar injects the runtime bytecode at a synthetic
+/// wallet address with an eth_call state override (code + BNB balance) and calls
+/// simulate() from that same address, so the buy, the wallet-to-wallet transfer
+/// and the sell all happen from one fresh holder against live chain state.
+/// @dev Rebuild src/config/tokenSimulator.js after editing (solc 0.8.19, optimizer 200 runs).
+contract TokenSimulator {
+    struct Result {
+        bool buyOk;
+        uint256 buyExpected;
+        uint256 buyReceived;
+        uint256 buyGas;
+        bool transferOk;
+        uint256 transferSent;
+        uint256 transferReceived;
+        bool sellOk;
+        uint256 sellExpected;
+        uint256 sellReceived;
+        uint256 sellGas;
+        bytes sellError;
+    }
+
+    // Fresh address with no history, used as the transfer recipient
+    address private constant TRANSFER_RECIPIENT = address(uint160(uint256(keccak256("bscradar.simulator.recipient"))));
+
+    receive() external payable {}
+
+    /// @param router PancakeSwap V2 router
+    /// @param buyPath WBNB -> ... -> token; the sell runs along the reversed path
+    /// @param amountIn BNB spent on the buy (taken from this account's overridden balance)
+    function simulate(address router, address[] calldata buyPath, uint256 amountIn) external returns (Result memory r) {
+        IERC20 token = IERC20(buyPath[buyPath.length - 1]);
+
+        // 1. Buy
+        r.buyExpected = _getAmountOut(router, amountIn, buyPath);
+        uint256 balanceBefore = token.balanceOf(address(this));
+        uint256 gasStart = gasleft();
+        (r.buyOk, ) = router.call{value: amountIn}(
+            abi.encodeWithSelector(
+                IPancakeRouter02.swapExactETHForTokensSupportingFeeOnTransferTokens.selector,
+                0,
+                buyPath,
+                address(this),
+                block.timestamp
+            )
+        );
+        r.buyGas = gasStart - gasleft();
+        if (!r.buyOk) return r;
+
+        r.buyReceived = token.balanceOf(address(this)) - balanceBefore;
+        if (r.buyReceived == 0) return r;
+
+        // 2. Wallet-to-wallet transfer of a tenth of the bought amount
+        r.transferSent = r.buyReceived / 10;
+        uint256 recipientBefore = token.balanceOf(TRANSFER_RECIPIENT);
+        bytes memory transferData;
+        (r.transferOk, transferData) = address(token).call(
+            abi.encodeWithSelector(IERC20.transfer.selector, TRANSFER_RECIPIENT, r.transferSent)
+        );
+        if (r.transferOk && transferData.length > 0) r.transferOk = abi.decode(transferData, (bool));
+        if (r.transferOk) r.transferReceived = token.balanceOf(TRANSFER_RECIPIENT) - recipientBefore;
+
+        // 3. Sell 99% of what is left (some tokens refuse to sell a whole balance)
+        uint256 sellAmount = (token.balanceOf(address(this)) * 99) / 100;
+        address[] memory sellPath = new address[](buyPath.length);
+        for (uint256 i = 0; i < buyPath.length; i++) {
+            sellPath[i] = buyPath[buyPath.length - 1 - i];
+        }
+
+        r.sellExpected = _getAmountOut(router, sellAmount, sellPath);
+        (bool approved, bytes memory approveData) = address(token).call(
+            abi.encodeWithSelector(IERC20.approve.selector, router, type(uint256).max)
+        );
+        if (!approved) {
+            r.sellError = approveData;
+            return r;
+        }
+
+        uint256 bnbBefore = address(this).balance;
+        gasStart = gasleft();
+        bytes memory sellData;
+        (r.sellOk, sellData) = router.call(
+            abi.encodeWithSelector(
+                IPancakeRouter02.swapExactTokensForETHSupportingFeeOnTransferTokens.selector,
+                sellAmount,
+                0,
+                sellPath,
+                address(this),
+                block.timestamp
+            )
+        );
+        r.sellGas = gasStart - gasleft();
+
+        if (r.sellOk) {
+            r.sellReceived = address(this).balance - bnbBefore;
+        } else {
+            r.sellError = sellData;
+        }
+    }
+
+    function _getAmountOut(address router, uint256 amountIn, address[] memory path) private view returns (uint256) {
+        try IPancakeRouter02(router).getAmountsOut(amountIn, path) returns (uint256[] memory amounts) {
+            return amounts[amounts.length - 1];
+        } catch {
+            return 0;
+        }
+    }
+}
@@ -5,7 +5,11 @@ const compression = require('compression');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const apiRoutes = require('./routes/apiRoutes');
+const { streamRouter, attachStreamServer } = require('./routes/streamRoutes');
+const alertRoutes = require('./routes/alertRoutes');
 const { getLogger } = require('./utils/Logger');
+const { runOnChain } = require('./utils/ChainContext');
+const { getChainConfig } = require('./config/chains');
 const { API_CONFIG } = require('./config/constants');
 const { SECURITY_CONFIG } = require('./config/security');
 const {
@@ -22,6 +26,7 @@ class Application {
     this.app = express();
     this.logger = getLogger();
     this.server = null;
+    this.streamServer = null;
     this.setupMiddleware();
     this.setupRoutes();
     this.setupErrorHandling();
@@ -92,8 +97,27 @@ class Application {
       });
     });
 
+    const chainApi = express.Router();
+
     // API routes
-    this.app.use('/api', apiRoutes);
+    chainApi.use(apiRoutes);
+
+    // Live updates (SSE here, WebSocket upgrades attached in start())
+    chainApi.use(streamRouter);
+
+    // Webhook alerts
+    chainApi.use(alertRoutes);
+
+    // /api/<chain>/... runs on that chain; anything else falls through to the default chain
+    const chainRouter = express.Router();
+    chainRouter.use('/:chain', (req, res, next) => {
+      const chain = getChainConfig(req.params.chain);
+      if (!chain) return next('router');
+      runOnChain(chain.id, next);
+    }, chainApi);
+
+    this.app.use('/api', chainRouter);
+    this.app.use('/api', chainApi);
   }
 
   setupErrorHandling() {
@@ -125,12 +149,17 @@ class Application {
       this.logger.info(`📊 Stateless API Mode - No Database`);
       this.logger.info(`🔗 http://localhost:${PORT}`);
       this.logger.info(`📖 API Docs: http://localhost:${PORT}/api/docs`);
+      this.logger.info(`📡 Stream: ws://localhost:${PORT}/api/stream`);
     });
+    this.streamServer = attachStreamServer(this.server);
     
     return this.server;
   }
 
   stop() {
+    if (this.streamServer) {
+      this.streamServer.close();
+    }
     if (this.server) {
       this.server.close(() => {
         this.logger.info('Server stopped');
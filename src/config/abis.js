@@ -1,5 +1,5 @@
 // src/config/abis.js
-// BscRadar - ABI definitions for PancakeSwap V2/V3 on BSC
+// BscRadar - ABI definitions for PancakeSwap V2/V3, Uniswap V3 and Algebra (THENA) on BSC
 
 const ERC20_ABI = [
   'function name() view returns (string)',
@@ -14,25 +14,34 @@ const PANCAKESWAP_V2_FACTORY_ABI = [
   'function getPair(address tokenA, address tokenB) view returns (address)',
   'function allPairs(uint256) view returns (address)',
   'function allPairsLength() view returns (uint256)',
+  'event PairCreated(address indexed token0, address indexed token1, address pair, uint256)',
 ];
 
 const PANCAKESWAP_V2_PAIR_ABI = [
+  'function factory() view returns (address)',
   'function token0() view returns (address)',
   'function token1() view returns (address)',
   'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
   'function totalSupply() view returns (uint256)',
   'function kLast() view returns (uint256)',
+  'function swapFee() view returns (uint32)', // Biswap pairs only
   'function price0CumulativeLast() view returns (uint256)',
   'function price1CumulativeLast() view returns (uint256)',
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'event Mint(address indexed sender, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)',
+  'event Sync(uint112 reserve0, uint112 reserve1)',
 ];
 
 // PancakeSwap V3 (Uniswap V3 compatible)
 const PANCAKESWAP_V3_FACTORY_ABI = [
   'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
   'function feeAmountTickSpacing(uint24 fee) view returns (int24)',
+  'event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)',
 ];
 
 const PANCAKESWAP_V3_POOL_ABI = [
+  'function factory() view returns (address)',
   'function token0() view returns (address)',
   'function token1() view returns (address)',
   'function fee() view returns (uint24)',
@@ -40,14 +49,53 @@ const PANCAKESWAP_V3_POOL_ABI = [
   'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
   'function tickSpacing() view returns (int24)',
   'function maxLiquidityPerTick() view returns (uint128)',
+  'function tickBitmap(int16 wordPosition) view returns (uint256)',
+  'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+  'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+  // PancakeSwap V3 Swap has two protocol fee fields more than Uniswap V3 (different topic)
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint128 protocolFeesToken0, uint128 protocolFeesToken1)',
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+];
+
+// Algebra (THENA): one pool per pair, dynamic fee read from globalState() instead of slot0()/fee()
+const ALGEBRA_FACTORY_ABI = [
+  'function poolByPair(address tokenA, address tokenB) view returns (address)',
+  'event Pool(address indexed token0, address indexed token1, address pool)',
+];
+
+const ALGEBRA_POOL_ABI = [
+  'function factory() view returns (address)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function liquidity() view returns (uint128)',
+  'function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)',
+  'function tickSpacing() view returns (int24)',
+  'function tickTable(int16 wordPosition) view returns (uint256)',
 ];
 
 const PANCAKESWAP_V3_QUOTER_V2_ABI = [
-  'function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+  'function quoteExactInputSingle(tuple(address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+  'function quoteExactOutputSingle(tuple(address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+  'function quoteExactInput(bytes path, uint256 amountIn) external returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)',
+];
+
+const PANCAKESWAP_V3_NFT_POSITION_MANAGER_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
+  'function positions(uint256 tokenId) view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)',
+  'function collect(tuple(uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max) params) payable returns (uint256 amount0, uint256 amount1)',
+  'function multicall(bytes[] data) payable returns (bytes[] results)',
+];
+
+// contracts/TokenSimulator.sol - injected via eth_call state override for tax/honeypot checks
+const TOKEN_SIMULATOR_ABI = [
+  'function simulate(address router, address[] buyPath, uint256 amountIn) returns (tuple(bool buyOk, uint256 buyExpected, uint256 buyReceived, uint256 buyGas, bool transferOk, uint256 transferSent, uint256 transferReceived, bool sellOk, uint256 sellExpected, uint256 sellReceived, uint256 sellGas, bytes sellError) result)',
 ];
 
 const MULTICALL3_ABI = [
   'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+  'function getCurrentBlockTimestamp() view returns (uint256 timestamp)',
 ];
 
 module.exports = {
@@ -57,6 +105,10 @@ module.exports = {
   PANCAKESWAP_V3_FACTORY_ABI,
   PANCAKESWAP_V3_POOL_ABI,
   PANCAKESWAP_V3_QUOTER_V2_ABI,
+  PANCAKESWAP_V3_NFT_POSITION_MANAGER_ABI,
+  ALGEBRA_FACTORY_ABI,
+  ALGEBRA_POOL_ABI,
+  TOKEN_SIMULATOR_ABI,
   MULTICALL3_ABI,
   // Aliases for backward compatibility
   UNISWAP_V2_FACTORY_ABI: PANCAKESWAP_V2_FACTORY_ABI,
@@ -0,0 +1,230 @@
+// src/config/chains.js
+// Chains BscRadar can analyze. Each chain has its own RPC endpoints, contracts, token
+// registry file, factory index and price feed; services keep one instance per chain
+// (utils/ChainContext) and the API serves a chain under /api/<chain>/... (plain /api is
+// DEFAULT_CHAIN). CHAINS=bsc,ethereum picks the chains to serve.
+
+const path = require('path');
+const {
+  CONTRACTS,
+  NETWORK,
+  POOL_INIT_CODE_HASH,
+  DEFAULT_PRICES,
+  FACTORY_INDEX_CONFIG,
+  TOKEN_REGISTRY_CONFIG,
+} = require('./constants');
+
+// Deployed at the same address on every chain
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const PANCAKESWAP_V3 = {
+  PANCAKESWAP_V3_FACTORY: '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865',
+  PANCAKESWAP_V3_POOL_DEPLOYER: '0x41ff9AA7e16B8B1a8a8dc4f0eFacd93D02d071c9',
+  PANCAKESWAP_V3_QUOTER_V2: '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997',
+  PANCAKESWAP_V3_NFT_POSITION_MANAGER: '0x46A15B0b27311cedF172AB29E4f4766fbE7F4364',
+};
+
+// PancakeSwap V2 outside BSC (opBNB, Arbitrum and Base share one deployment address)
+const PANCAKESWAP_V2_L2 = {
+  PANCAKESWAP_V2_FACTORY: '0x02a84c1b3BBD7401a5f7fa98a384EBC70bB5749E',
+  PANCAKESWAP_V2_ROUTER: '0x8cFe327CEc66d1C090Dd72bd0FF11d690C33a2Eb',
+};
+const PANCAKESWAP_V2_INIT_CODE_HASH = '0x57224589c67f3f30a6b0d7a1b54cf3153ab84563bc609ef41dfb34f8b2974d2d';
+
+// Files of the default BSC setup keep their names, other chains get file.<chain>.ext
+function chainFile(file, chainId) {
+  if (!file || chainId === 'bsc') return file;
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.${chainId}${ext}`;
+}
+
+const ALL_CHAINS = {
+  bsc: {
+    chainId: NETWORK.CHAIN_ID,
+    name: NETWORK.NAME,
+    fullName: NETWORK.FULL_NAME,
+    nativeSymbol: NETWORK.SYMBOL,
+    explorer: NETWORK.EXPLORER,
+    rpcUrls: [NETWORK.RPC_URLS.CUSTOM, NETWORK.RPC_URLS.PUBLIC],
+    contracts: { ...CONTRACTS, WRAPPED_NATIVE: CONTRACTS.WBNB },
+    initCodeHash: POOL_INIT_CODE_HASH,
+    factoryIndexFromBlock: FACTORY_INDEX_CONFIG.FROM_BLOCK,
+    prices: {
+      // Native/USD from a V3 pool against a registry stablecoin, rejected outside [min, max]
+      native: {
+        pool: '0x36696169C63e42cd08ce11f5deeBbCeBae652050', // WBNB/USDT on PancakeSwap V3
+        quote: CONTRACTS.USDT,
+        default: DEFAULT_PRICES.BNB,
+        min: 100,
+        max: 2000,
+      },
+      // CAKE priced against the native token
+      cake: {
+        pool: '0x133B3D95bAD5405D14d53473671200e9342896BF', // CAKE/WBNB on PancakeSwap V3
+        token: CONTRACTS.CAKE,
+        default: 2.5,
+        min: 0.1,
+        max: 100,
+      },
+    },
+  },
+  opbnb: {
+    chainId: 204,
+    name: 'opBNB',
+    fullName: 'opBNB Mainnet',
+    nativeSymbol: 'BNB',
+    explorer: 'https://opbnbscan.com',
+    rpcUrls: [process.env.OPBNB_RPC, 'https://opbnb-mainnet-rpc.bnbchain.org'],
+    contracts: {
+      WRAPPED_NATIVE: '0x4200000000000000000000000000000000000006',
+      ...PANCAKESWAP_V2_L2,
+      ...PANCAKESWAP_V3,
+      MULTICALL3,
+    },
+    initCodeHash: { V2: PANCAKESWAP_V2_INIT_CODE_HASH, V3: POOL_INIT_CODE_HASH.V3 },
+    factoryIndexFromBlock: 0,
+    prices: {
+      // No pool address: looked up on the PancakeSwap V3 factory by fee tier
+      native: {
+        quote: '0x9e5AAC1Ba1a2e6aEd6b32689DFcF62A509Ca96f3', // USDT
+        fee: 500,
+        default: DEFAULT_PRICES.BNB,
+        min: 100,
+        max: 2000,
+      },
+    },
+  },
+  ethereum: {
+    chainId: 1,
+    name: 'Ethereum',
+    fullName: 'Ethereum Mainnet',
+    nativeSymbol: 'ETH',
+    explorer: 'https://etherscan.io',
+    rpcUrls: [process.env.ETHEREUM_RPC, 'https://ethereum-rpc.publicnode.com'],
+    contracts: {
+      WRAPPED_NATIVE: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+      PANCAKESWAP_V2_FACTORY: '0x1097053Fd2ea711dad45caCcc45EfF7548fCB362',
+      PANCAKESWAP_V2_ROUTER: '0xEfF92A263d31888d860bD50809A8D171709b7b1c',
+      ...PANCAKESWAP_V3,
+      UNISWAP_V3_FACTORY: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      UNISWAP_V3_QUOTER_V2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+      MULTICALL3,
+    },
+    initCodeHash: { V2: PANCAKESWAP_V2_INIT_CODE_HASH, V3: POOL_INIT_CODE_HASH.V3 },
+    // Uniswap V3 factory deployment (PancakeSwap came later)
+    factoryIndexFromBlock: 12369621,
+    prices: {
+      native: {
+        quote: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // USDC
+        fee: 500,
+        factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984', // Uniswap V3 (deepest WETH/USDC)
+        default: DEFAULT_PRICES.ETH,
+        min: 500,
+        max: 20000,
+      },
+    },
+  },
+  arbitrum: {
+    chainId: 42161,
+    name: 'Arbitrum',
+    fullName: 'Arbitrum One',
+    nativeSymbol: 'ETH',
+    explorer: 'https://arbiscan.io',
+    rpcUrls: [process.env.ARBITRUM_RPC, 'https://arb1.arbitrum.io/rpc'],
+    contracts: {
+      WRAPPED_NATIVE: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+      ...PANCAKESWAP_V2_L2,
+      ...PANCAKESWAP_V3,
+      UNISWAP_V3_FACTORY: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+      UNISWAP_V3_QUOTER_V2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+      MULTICALL3,
+    },
+    initCodeHash: { V2: PANCAKESWAP_V2_INIT_CODE_HASH, V3: POOL_INIT_CODE_HASH.V3 },
+    factoryIndexFromBlock: 0,
+    prices: {
+      native: {
+        quote: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', // USDC
+        fee: 500,
+        factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+        default: DEFAULT_PRICES.ETH,
+        min: 500,
+        max: 20000,
+      },
+    },
+  },
+  base: {
+    chainId: 8453,
+    name: 'Base',
+    fullName: 'Base Mainnet',
+    nativeSymbol: 'ETH',
+    explorer: 'https://basescan.org',
+    rpcUrls: [process.env.BASE_RPC, 'https://mainnet.base.org'],
+    contracts: {
+      WRAPPED_NATIVE: '0x4200000000000000000000000000000000000006',
+      ...PANCAKESWAP_V2_L2,
+      ...PANCAKESWAP_V3,
+      UNISWAP_V3_FACTORY: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+      UNISWAP_V3_QUOTER_V2: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+      MULTICALL3,
+    },
+    initCodeHash: { V2: PANCAKESWAP_V2_INIT_CODE_HASH, V3: POOL_INIT_CODE_HASH.V3 },
+    factoryIndexFromBlock: 0,
+    prices: {
+      native: {
+        quote: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', // USDC
+        fee: 500,
+        factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD',
+        default: DEFAULT_PRICES.ETH,
+        min: 500,
+        max: 20000,
+      },
+    },
+  },
+};
+
+for (const [id, chain] of Object.entries(ALL_CHAINS)) {
+  chain.id = id;
+  chain.wrappedNativeSymbol = `W${chain.nativeSymbol}`;
+  chain.rpcUrls = chain.rpcUrls.filter(url => url && url.length > 0);
+  chain.tokenRegistryFile = id === 'bsc'
+    ? TOKEN_REGISTRY_CONFIG.FILE
+    : process.env[`${id.toUpperCase()}_TOKEN_REGISTRY_FILE`] || path.join(__dirname, `tokens.${id}.json`);
+  chain.factoryIndexFile = chainFile(FACTORY_INDEX_CONFIG.SNAPSHOT_FILE, id);
+  chain.factoryIndexFromBlock = parseInt(process.env[`${id.toUpperCase()}_FACTORY_INDEX_FROM_BLOCK`]) || chain.factoryIndexFromBlock;
+}
+
+// CHAINS=bsc,base / DEFAULT_CHAIN=bsc - unknown ids fail on startup (validateChains)
+const ENABLED_CHAINS = (process.env.CHAINS || 'bsc').split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+const DEFAULT_CHAIN = (process.env.DEFAULT_CHAIN || ENABLED_CHAINS[0] || '').trim().toLowerCase();
+
+/**
+ * Check CHAINS and DEFAULT_CHAIN against the known chains
+ * @throws {Error} on an unknown chain id or a default chain that is not enabled
+ */
+function validateChains() {
+  const unknownChains = ENABLED_CHAINS.filter(id => !ALL_CHAINS[id]);
+  if (unknownChains.length > 0) {
+    throw new Error(`Unknown chain(s) in CHAINS: ${unknownChains.join(', ')} (known: ${Object.keys(ALL_CHAINS).join(', ')})`);
+  }
+  if (!ENABLED_CHAINS.includes(DEFAULT_CHAIN)) {
+    throw new Error(`DEFAULT_CHAIN '${DEFAULT_CHAIN}' must be one of CHAINS (${ENABLED_CHAINS.join(', ')})`);
+  }
+}
+
+/**
+ * Enabled chain by id ('bsc')
+ * @returns {Object|null}
+ */
+function getChainConfig(id) {
+  if (!id) return null;
+  const key = String(id).toLowerCase();
+  return ENABLED_CHAINS.includes(key) ? ALL_CHAINS[key] : null;
+}
+
+module.exports = {
+  ALL_CHAINS,
+  ENABLED_CHAINS,
+  DEFAULT_CHAIN,
+  chainFile,
+  getChainConfig,
+  validateChains,
+};
@@ -1,6 +1,8 @@
 // src/config/constants.js
 // BscRadar - BSC Pool Analyzer Constants
 
+const path = require('path');
+
 const CONTRACTS = {
   // Core tokens on BSC
   WBNB: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
@@ -12,10 +14,11 @@ const CONTRACTS = {
 
   // PancakeSwap V2
   PANCAKESWAP_V2_FACTORY: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73',
-  PANCAKESWAP_V2_ROUTER: '0x10ED43C718714eb63d5aA57B78B93856F9828e02',
+  PANCAKESWAP_V2_ROUTER: '0x10ed43C718714EB63D5Aa57b78B93856f9828E02',
 
   // PancakeSwap V3
   PANCAKESWAP_V3_FACTORY: '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865',
+  PANCAKESWAP_V3_POOL_DEPLOYER: '0x41ff9AA7e16B8B1a8a8dc4f0eFacd93D02d071c9',
   PANCAKESWAP_V3_ROUTER: '0x13f4EA83D0bd40E75C8222255bc855a974568Dd4',
   PANCAKESWAP_V3_QUOTER_V2: '0xB048Bbc1Ee6b733FFfCFb9e9CeF7375518e25997',
   PANCAKESWAP_V3_NFT_POSITION_MANAGER: '0x46A15B0b27311cedF172AB29E4f4766fbE7F4364',
@@ -29,14 +32,6 @@ const FEE_TIERS = {
   V2: 2500, // 0.25% fixed
 };
 
-const COMMON_BASE_PAIRS = [
-  CONTRACTS.WBNB,
-  CONTRACTS.USDC,
-  CONTRACTS.USDT,
-  CONTRACTS.BUSD,
-  CONTRACTS.DAI,
-];
-
 const NETWORK = {
   CHAIN_ID: 56,
   NAME: 'BSC',
@@ -65,6 +60,7 @@ const LIQUIDITY_THRESHOLDS = {
 // Default prices (fallback when oracle unavailable)
 const DEFAULT_PRICES = {
   BNB: parseFloat(process.env.DEFAULT_BNB_PRICE) || 700,
+  ETH: parseFloat(process.env.DEFAULT_ETH_PRICE) || 3000,
   USDC: 1,
   USDT: 1,
   BUSD: 1,
@@ -92,18 +88,181 @@ const API_CONFIG = {
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
 };
 
+// TWAP windows in minutes, e.g. TWAP_WINDOWS=5,30 -> { '5m': 300, '30m': 1800 }
+const parseTwapWindows = (value) => Object.fromEntries(
+  value.split(',')
+    .map(minutes => parseInt(minutes.trim()))
+    .filter(minutes => minutes > 0)
+    .map(minutes => [`${minutes}m`, minutes * 60])
+);
+
+// Oracle TWAP windows (V3 observe() / V2 cumulative prices) and spot-vs-TWAP deviation thresholds (in %)
+const TWAP_CONFIG = {
+  WINDOWS: parseTwapWindows(process.env.TWAP_WINDOWS || '5,30'),
+  // How often tracked V2 pairs have their cumulative prices snapshotted
+  V2_SNAPSHOT_INTERVAL: parseInt(process.env.V2_TWAP_SNAPSHOT_INTERVAL) || 60000,
+  // Stop tracking V2 pairs that have not been analyzed for this long
+  V2_TRACKING_TTL: parseInt(process.env.V2_TWAP_TRACKING_TTL) || 6 * 60 * 60 * 1000,
+  DEVIATION: {
+    MODERATE: 2,
+    HIGH: 5,
+    MANIPULATION: 10,
+  },
+};
+
+// Token buy/sell simulation (honeypot / fee-on-transfer detection)
+const SECURITY_CONFIG = {
+  // BNB spent on the simulated buy - small enough to stay under max-tx limits
+  SIMULATION_AMOUNT_BNB: process.env.SECURITY_SIMULATION_BNB || '0.01',
+  CACHE_TTL: parseInt(process.env.SECURITY_CACHE_TTL) || 300,
+  // Tax thresholds (in %) for MEDIUM / HIGH / CRITICAL warnings
+  TAX_MEDIUM: 0.5,
+  TAX_HIGH: 10,
+  TAX_CRITICAL: 30,
+  // A sell that loses this much is treated as a honeypot even if it does not revert
+  HONEYPOT_SELL_TAX: 90,
+};
+
+// Swap/Mint/Burn/Sync log indexer for analyzed pools
+const EVENT_INDEXER_CONFIG = {
+  // Rolling activity windows (seconds); the longest one sets how far back logs are kept
+  WINDOWS: { '1h': 3600, '24h': 86400 },
+  // Largest eth_getLogs block range; ranges the RPC rejects are split down to MIN_BLOCK_RANGE
+  MAX_BLOCK_RANGE: parseInt(process.env.EVENT_INDEXER_BLOCK_RANGE) || 5000,
+  MIN_BLOCK_RANGE: 50,
+  // Pool addresses per eth_getLogs filter
+  MAX_ADDRESSES_PER_QUERY: 20,
+  // How long an analysis waits for indexing before answering with partial activity (ms)
+  SYNC_TIMEOUT: parseInt(process.env.EVENT_INDEXER_SYNC_TIMEOUT) || 3000,
+  // Stop tracking pools that have not been analyzed for this long (ms)
+  TRACKING_TTL: parseInt(process.env.EVENT_INDEXER_TRACKING_TTL) || 6 * 60 * 60 * 1000,
+  // Blocks sampled to measure the average block time, re-measured every BLOCK_TIME_TTL ms
+  BLOCK_TIME_SAMPLE: 1000,
+  BLOCK_TIME_TTL: 10 * 60 * 1000,
+};
+
+// Pool activity in recommendation scoring (turnover = 24h volume / TVL)
+const ACTIVITY_SCORING = {
+  // Pools without a swap in this many blocks rank after pools that trade (~1h at 0.75s blocks)
+  INACTIVE_BLOCKS: parseInt(process.env.POOL_INACTIVE_BLOCKS) || 4800,
+  // Score multiplier for inactive pools
+  INACTIVE_PENALTY: 0.5,
+  // Score bonus points: full TURNOVER_BONUS at 1x daily turnover, full FEE_APR_BONUS at FEE_APR_FULL_BONUS %
+  TURNOVER_BONUS: 10,
+  FEE_APR_BONUS: 5,
+  FEE_APR_FULL_BONUS: 100,
+};
+
+// OHLCV candles built from pool Swap/Sync logs
+const CANDLE_CONFIG = {
+  INTERVALS: { '1m': 60, '5m': 300, '1h': 3600, '1d': 86400 },
+  // Candles returned when `from` is omitted
+  DEFAULT_CANDLES: 100,
+  MAX_CANDLES: 1000,
+  // Longest from/to span, which bounds how many blocks of logs one request scans
+  MAX_RANGE_SECONDS: (parseInt(process.env.CANDLE_MAX_RANGE_DAYS) || 7) * 86400,
+  // Cache TTL (seconds) for ranges that reach the current candle / lie fully in the past
+  LIVE_CACHE_TTL: 15,
+  HISTORICAL_CACHE_TTL: 3600,
+};
+
+// Real-time token/pool updates over WebSocket and SSE (/api/stream)
+const STREAM_CONFIG = {
+  // How often the chain head is polled for new blocks (ms)
+  BLOCK_POLL_INTERVAL: parseInt(process.env.STREAM_POLL_INTERVAL) || 1500,
+  // Concurrent stream connections, and tokens + pools one connection may follow
+  MAX_CLIENTS: parseInt(process.env.STREAM_MAX_CLIENTS) || 500,
+  MAX_SUBSCRIPTIONS: parseInt(process.env.STREAM_MAX_SUBSCRIPTIONS) || 50,
+  // Deepest pools followed per subscribed token, re-selected every TOKEN_POOLS_TTL ms
+  POOLS_PER_TOKEN: 5,
+  TOKEN_POOLS_TTL: 5 * 60 * 1000,
+  // Keep-alive for idle connections (ms)
+  HEARTBEAT_INTERVAL: 15000,
+};
+
+// Webhook alerts (/api/alerts), evaluated on the same per-block updates as the stream
+const ALERT_CONFIG = {
+  MAX_PER_CLIENT: parseInt(process.env.ALERT_MAX_PER_CLIENT) || 20,
+  // Webhook delivery: request timeout (ms) and attempts, retried with exponential backoff
+  DELIVERY_TIMEOUT: parseInt(process.env.ALERT_DELIVERY_TIMEOUT) || 5000,
+  MAX_ATTEMPTS: parseInt(process.env.ALERT_MAX_ATTEMPTS) || 5,
+  RETRY_BASE_DELAY: 2000,
+  RETRY_MAX_DELAY: 5 * 60 * 1000,
+  // Reference window of LIQUIDITY_DROP and PRICE_CHANGE (moves are measured from the peak/low within it)
+  DEFAULT_WINDOW_MINUTES: 60,
+  MAX_WINDOW_MINUTES: 24 * 60,
+  // Longest holdBlocks a condition may ask for
+  MAX_HOLD_BLOCKS: 100,
+  // Allow callbacks to localhost / private networks (development only)
+  ALLOW_PRIVATE_URLS: process.env.ALERT_ALLOW_PRIVATE_URLS === 'true',
+};
+
+// New pair/pool feed from factory PairCreated/PoolCreated events (/api/new-pools)
+const NEW_POOLS_CONFIG = {
+  ENABLED: process.env.NEW_POOLS_ENABLED !== 'false',
+  POLL_INTERVAL: parseInt(process.env.NEW_POOLS_POLL_INTERVAL) || 15000,
+  // Blocks scanned on startup (~1h at 0.75s blocks)
+  BACKFILL_BLOCKS: parseInt(process.env.NEW_POOLS_BACKFILL_BLOCKS) || 4800,
+  // Pools kept in the feed, newest first
+  MAX_POOLS: 1000,
+  // Blocks after creation during which Mint logs are watched for the first liquidity
+  FIRST_LIQUIDITY_WINDOW: 4800,
+  // Run PoolAnalyzer.analyzeToken on the new token once liquidity is added
+  AUTO_ANALYZE: process.env.NEW_POOLS_AUTO_ANALYZE === 'true',
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 200,
+};
+
+// Token -> pools index built from every factory PairCreated/PoolCreated event
+const FACTORY_INDEX_CONFIG = {
+  // Opt-in: the backfill replays every factory event since FROM_BLOCK and keeps the index in memory
+  ENABLED: process.env.FACTORY_INDEX_ENABLED === 'true',
+  // PancakeSwap V2 factory deployment (the V3 factory came later); <CHAIN>_FACTORY_INDEX_FROM_BLOCK per chain
+  FROM_BLOCK: parseInt(process.env.FACTORY_INDEX_FROM_BLOCK) || 6809737,
+  // Blocks scanned per backfill step (fetched in EVENT_INDEXER_BLOCK_RANGE eth_getLogs windows), and pause between steps (ms)
+  BACKFILL_STEP: parseInt(process.env.FACTORY_INDEX_BACKFILL_STEP) || 200000,
+  BACKFILL_DELAY: 250,
+  // Head polling once the backfill has caught up (ms)
+  POLL_INTERVAL: parseInt(process.env.FACTORY_INDEX_POLL_INTERVAL) || 15000,
+  // Snapshot file so restarts resume instead of rescanning ('' disables)
+  SNAPSHOT_FILE: process.env.FACTORY_INDEX_FILE ?? 'data/factory-index.ndjson',
+  SNAPSHOT_EVERY_STEPS: 25,
+  // Most indexed pools added to one token's discovery (pairs against the most-traded tokens first)
+  MAX_POOLS_PER_TOKEN: parseInt(process.env.FACTORY_INDEX_MAX_POOLS_PER_TOKEN) || 100,
+};
+
+// Token registry: base pairs, stablecoins, routing intermediates and warm lists
+const TOKEN_REGISTRY_CONFIG = {
+  // JSON or YAML (.yaml/.yml); relative paths are resolved from the working directory
+  FILE: process.env.TOKEN_REGISTRY_FILE || path.join(__dirname, 'tokens.json'),
+  // Reload the file when it changes, checking every RELOAD_INTERVAL ms
+  WATCH: process.env.TOKEN_REGISTRY_WATCH !== 'false',
+  RELOAD_INTERVAL: parseInt(process.env.TOKEN_REGISTRY_RELOAD_INTERVAL) || 2000,
+};
+
+// Graph router (/api/route): k cheapest candidate paths through the known pools, each quoted on-chain
+const ROUTER_CONFIG = {
+  // Most pools in a route (a request can ask for up to MAX_HOPS_LIMIT with maxHops)
+  MAX_HOPS: parseInt(process.env.ROUTER_MAX_HOPS) || 3,
+  MAX_HOPS_LIMIT: 5,
+  // Candidate routes quoted per request
+  K_ROUTES: parseInt(process.env.ROUTER_K_ROUTES) || 8,
+  // Pair tokens analyzed per graph expansion round (routes of 3+ hops through non-registry tokens)
+  EXPAND_TOKENS: parseInt(process.env.ROUTER_EXPAND_TOKENS) || 10,
+};
+
 // Cache TTL settings (in seconds)
 const CACHE_CONFIG = {
   ANALYSIS_TTL: parseInt(process.env.CACHE_TTL) || 300,
   PRICE_TTL: parseInt(process.env.PRICE_CACHE_TTL) || 30,
   TOKEN_INFO_TTL: 3600, // 1 hour for token metadata
   POOL_DATA_TTL: 60, // 1 minute for pool data
+  PINNED_TTL: parseInt(process.env.PINNED_CACHE_TTL) || 3600, // results pinned to a blockTag
 };
 
 module.exports = {
   CONTRACTS,
   FEE_TIERS,
-  COMMON_BASE_PAIRS,
   NETWORK,
   POOL_INIT_CODE_HASH,
   LIQUIDITY_THRESHOLDS,
@@ -111,4 +270,15 @@ module.exports = {
   KNOWN_TOKEN_PRICES,
   API_CONFIG,
   CACHE_CONFIG,
+  TWAP_CONFIG,
+  SECURITY_CONFIG,
+  EVENT_INDEXER_CONFIG,
+  ACTIVITY_SCORING,
+  CANDLE_CONFIG,
+  STREAM_CONFIG,
+  ALERT_CONFIG,
+  NEW_POOLS_CONFIG,
+  FACTORY_INDEX_CONFIG,
+  TOKEN_REGISTRY_CONFIG,
+  ROUTER_CONFIG,
 };
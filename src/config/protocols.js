@@ -0,0 +1,257 @@
+// src/config/protocols.js
+// DEXes per chain. V2 forks declare their factory, router, pair init code hash and swap fee:
+// amountIn * feeNumerator / V2_FEE_DENOMINATOR reaches the reserves (forks whose pairs carry
+// their own fee also declare how to read it, see pairFee). Concentrated-liquidity
+// DEXes declare their factory, quoter and which pool interface (adapter) they speak, plus
+// the pool deployer and init code hash their pool addresses are derived from (utils/PoolAddress).
+// StableSwap DEXes declare the factory that lists their pools. The getters below answer
+// for the current chain (see utils/ChainContext).
+
+const { FEE_TIERS } = require('./constants');
+const { ALL_CHAINS } = require('./chains');
+const { getChain } = require('../utils/ChainContext');
+
+const V2_FEE_DENOMINATOR = 10000;
+
+// Uniswap V3 pools are deployed by the factory itself with this init code hash on every chain
+const UNISWAP_V3_INIT_CODE_HASH = '0xe34f199b19b2b4f47f68442619d555527d244f78a3297ea89325f843f87b8b54';
+
+// PancakeSwap V2 is deployed on every chain
+const pancakeSwapV2 = chain => ({
+  id: 'pancakeswap',
+  name: 'PancakeSwap',
+  factory: chain.contracts.PANCAKESWAP_V2_FACTORY,
+  router: chain.contracts.PANCAKESWAP_V2_ROUTER,
+  initCodeHash: chain.initCodeHash.V2,
+  feeNumerator: 9975, // 0.25%
+});
+
+const BSC_V2_FORKS = [
+  {
+    id: 'biswap',
+    name: 'Biswap',
+    factory: '0x858E3312ed3A876947EA49d572A7C42DE08af7EE',
+    router: '0x3a6d8cA21D1CF76F653A67577FA0D27453350dD8',
+    initCodeHash: '0xfea293c909d87cd4153593f077b76bb7e94340200f4ee84211ae8e4f9bd7ffdf',
+    feeNumerator: 9990, // 0.1% (the pair default)
+    // Each pair has its own swapFee() in thousandths, set by governance
+    pairFee: { method: 'swapFee', denominator: 1000 },
+  },
+  {
+    id: 'apeswap',
+    name: 'ApeSwap',
+    factory: '0x0841BD0B734E4F5853f0dD8d7Ea041c241fb0Da6',
+    router: '0xcF0feBd3f17CEf5b47b0cD257aCf6025c5BFf3b7',
+    initCodeHash: '0xf4ccce374816856d11f00e4069e7cada164065686fbef53c6167a63ec2fd8c5b',
+    feeNumerator: 9980, // 0.2%
+  },
+  {
+    id: 'babyswap',
+    name: 'BabySwap',
+    factory: '0x86407bEa2078ea5f5EB5A52B2caA963bC1F889Da',
+    router: '0x325E343f1dE602396E256B67eFd1F61C3A6B38Bd',
+    initCodeHash: '0x48c8bec5512d397a5d512fbb7d83d515e7b6d91e9838730bd1aa1b16575da7f5',
+    feeNumerator: 9970, // 0.3%
+  },
+];
+
+// V3 pool interfaces: 'uniswap-v3' pools have slot0(), fee() and one pool per fee tier;
+// 'algebra' pools have globalState() with a dynamic fee and one pool per pair
+const V3_ADAPTERS = {
+  UNISWAP_V3: 'uniswap-v3',
+  ALGEBRA: 'algebra',
+};
+
+const pancakeSwapV3 = chain => ({
+  id: 'pancakeswap',
+  name: 'PancakeSwap',
+  adapter: V3_ADAPTERS.UNISWAP_V3,
+  factory: chain.contracts.PANCAKESWAP_V3_FACTORY,
+  quoter: chain.contracts.PANCAKESWAP_V3_QUOTER_V2,
+  deployer: chain.contracts.PANCAKESWAP_V3_POOL_DEPLOYER,
+  initCodeHash: chain.initCodeHash.V3,
+  feeTiers: FEE_TIERS.V3,
+});
+
+const uniswapV3 = (factory, quoter) => ({
+  id: 'uniswap',
+  name: 'Uniswap',
+  adapter: V3_ADAPTERS.UNISWAP_V3,
+  factory,
+  quoter,
+  deployer: factory,
+  initCodeHash: UNISWAP_V3_INIT_CODE_HASH,
+  feeTiers: [100, 500, 3000, 10000],
+});
+
+const THENA = {
+  id: 'thena',
+  name: 'THENA',
+  adapter: V3_ADAPTERS.ALGEBRA,
+  factory: '0x306F06C147f064A010530292A1EB6737c3e378e4',
+  quoter: null, // swaps are simulated locally from the tick table
+  deployer: null, // pool addresses come from the factory's poolByPair
+  initCodeHash: null,
+  feeTiers: null, // dynamic fee
+};
+
+// Curve-style StableSwap pools for pegged pairs (USDT/USDC, ...): one two-coin pool per
+// pair, found through the factory's getPairInfo and priced with utils/StableSwapMath
+const PANCAKESWAP_STABLE_SWAP = {
+  id: 'pancakeswap',
+  name: 'PancakeSwap',
+  factory: '0x25a55f9f2279A54951133D503490342b50E5cd15',
+};
+
+// PancakeSwap is listed first on every chain
+const withUniswap = chain => [
+  pancakeSwapV3(chain),
+  uniswapV3(chain.contracts.UNISWAP_V3_FACTORY, chain.contracts.UNISWAP_V3_QUOTER_V2),
+];
+
+const ALL_PROTOCOLS = {
+  bsc: {
+    v2: [pancakeSwapV2(ALL_CHAINS.bsc), ...BSC_V2_FORKS],
+    v3: [
+      pancakeSwapV3(ALL_CHAINS.bsc),
+      uniswapV3('0xdB1d10011AD0Ff90774D0C6Bb92e5C5c8b4461F7', '0x78D78E420Da98ad378D7799bE8f4AF69033EB077'),
+      THENA,
+    ],
+    stableSwap: [PANCAKESWAP_STABLE_SWAP],
+  },
+  opbnb: {
+    v2: [pancakeSwapV2(ALL_CHAINS.opbnb)],
+    v3: [pancakeSwapV3(ALL_CHAINS.opbnb)],
+    stableSwap: [],
+  },
+  ethereum: {
+    v2: [pancakeSwapV2(ALL_CHAINS.ethereum)],
+    v3: withUniswap(ALL_CHAINS.ethereum),
+    stableSwap: [],
+  },
+  arbitrum: {
+    v2: [pancakeSwapV2(ALL_CHAINS.arbitrum)],
+    v3: withUniswap(ALL_CHAINS.arbitrum),
+    stableSwap: [],
+  },
+  base: {
+    v2: [pancakeSwapV2(ALL_CHAINS.base)],
+    v3: withUniswap(ALL_CHAINS.base),
+    stableSwap: [],
+  },
+};
+
+// V2_PROTOCOLS=pancakeswap,biswap / V3_PROTOCOLS=pancakeswap,thena limit discovery to those
+// DEXes; <CHAIN>_V2_PROTOCOLS / <CHAIN>_V3_PROTOCOLS override them for one chain (PancakeSwap is always on)
+function enabledProtocols(all, setting) {
+  const enabledIds = setting
+    ? setting.split(',').map(id => id.trim().toLowerCase())
+    : all.map(protocol => protocol.id);
+
+  return all.filter(protocol => protocol === all[0] || enabledIds.includes(protocol.id));
+}
+
+const byFactory = protocols => new Map(protocols.map(protocol => [protocol.factory.toLowerCase(), protocol]));
+
+const CHAIN_PROTOCOLS = Object.fromEntries(Object.entries(ALL_PROTOCOLS).map(([chainId, all]) => [chainId, {
+  all,
+  v2: enabledProtocols(all.v2, process.env[`${chainId.toUpperCase()}_V2_PROTOCOLS`] ?? process.env.V2_PROTOCOLS),
+  v3: enabledProtocols(all.v3, process.env[`${chainId.toUpperCase()}_V3_PROTOCOLS`] ?? process.env.V3_PROTOCOLS),
+  stableSwap: all.stableSwap,
+  v2ByFactory: byFactory(all.v2),
+  v3ByFactory: byFactory(all.v3),
+}]));
+
+const current = () => CHAIN_PROTOCOLS[getChain().id];
+
+/**
+ * Enabled V2 DEXes of the current chain, PancakeSwap first
+ */
+function getV2Protocols() {
+  return current().v2;
+}
+
+/**
+ * Enabled concentrated-liquidity DEXes of the current chain, PancakeSwap first
+ */
+function getV3Protocols() {
+  return current().v3;
+}
+
+/**
+ * StableSwap DEXes of the current chain (none outside BSC)
+ */
+function getStableSwapProtocols() {
+  return current().stableSwap;
+}
+
+function getDefaultV2Protocol() {
+  return current().v2[0];
+}
+
+function getDefaultV3Protocol() {
+  return current().v3[0];
+}
+
+/**
+ * Registered V2 protocol by id ('biswap') or display name ('Biswap')
+ * @returns {Object|null}
+ */
+function getV2Protocol(idOrName) {
+  if (!idOrName) return null;
+  const key = idOrName.toLowerCase();
+  return current().all.v2.find(protocol => protocol.id === key || protocol.name.toLowerCase() === key) || null;
+}
+
+/**
+ * Registered V2 protocol whose factory created a pair (pair.factory())
+ * @returns {Object|null}
+ */
+function getV2ProtocolByFactory(factory) {
+  return factory ? current().v2ByFactory.get(factory.toLowerCase()) || null : null;
+}
+
+/**
+ * Swap fee in the units pool objects use (millionths: 2500 = 0.25%)
+ * @param {bigint|number} [pairFee] - the pair's own fee as read with protocol.pairFee.method;
+ *   ignored on DEXes whose pairs do not carry one
+ */
+function getV2PoolFee(protocol = getDefaultV2Protocol(), pairFee = null) {
+  if (protocol.pairFee && pairFee !== null && pairFee !== undefined) {
+    return Number(pairFee) * (1000000 / protocol.pairFee.denominator);
+  }
+  return (V2_FEE_DENOMINATOR - protocol.feeNumerator) * (1000000 / V2_FEE_DENOMINATOR);
+}
+
+/**
+ * Registered V3 protocol by id ('thena') or display name ('THENA')
+ * @returns {Object|null}
+ */
+function getV3Protocol(idOrName) {
+  if (!idOrName) return null;
+  const key = idOrName.toLowerCase();
+  return current().all.v3.find(protocol => protocol.id === key || protocol.name.toLowerCase() === key) || null;
+}
+
+/**
+ * Registered V3 protocol whose factory deployed a pool (pool.factory())
+ * @returns {Object|null}
+ */
+function getV3ProtocolByFactory(factory) {
+  return factory ? current().v3ByFactory.get(factory.toLowerCase()) || null : null;
+}
+
+module.exports = {
+  V2_FEE_DENOMINATOR,
+  V3_ADAPTERS,
+  getV2Protocols,
+  getV3Protocols,
+  getStableSwapProtocols,
+  getDefaultV2Protocol,
+  getDefaultV3Protocol,
+  getV2Protocol,
+  getV2ProtocolByFactory,
+  getV2PoolFee,
+  getV3Protocol,
+  getV3ProtocolByFactory,
+};
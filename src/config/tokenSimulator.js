@@ -0,0 +1,10 @@
+// src/config/tokenSimulator.js
+// Runtime bytecode of contracts/TokenSimulator.sol (solc 0.8.19, optimizer 200 runs)
+// Injected with an eth_call state override - never deployed
+
+const TOKEN_SIMULATOR_BYTECODE =
+  '0x6080604052600436106100225760003560e01c8063598af62d1461002e57600080fd5b3661002957005b600080fd5b34801561003a57600080fd5b5061004e610049366004610921565b610064565b60405161005b91906109fd565b60405180910390f35b6100ce6040518061018001604052806000151581526020016000815260200160008152602001600081526020016000151581526020016000815260200160008152602001600015158152602001600081526020016000815260200160008152602001606081525090565b600084846100dd600182610ac4565b8181106100ec576100ec610add565b90506020020160208101906101019190610af3565b9050610141868487878080602002602001604051908101604052809392919081815260200183836020028082843760009201919091525061085892505050565b60208301526040516370a0823160e01b81523060048201526000906001600160a01b038316906370a0823190602401602060405180830381865afa15801561018d573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906101b19190610b0e565b905060005a9050876001600160a01b03168563b6f9de9560e01b60008a8a30426040516024016101e5959493929190610b27565b60408051601f198184030181529181526020820180516001600160e01b03166001600160e01b03199094169390931790925290516102239190610b94565b60006040518083038185875af1925050503d8060008114610260576040519150601f19603f3d011682016040523d82523d6000602084013e610265565b606091505b5050151584525a6102769082610ac4565b6060850152835161028957505050610850565b6040516370a0823160e01b815230600482015282906001600160a01b038516906370a0823190602401602060405180830381865afa1580156102cf573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906102f39190610b0e565b6102fd9190610ac4565b6040850181905260000361031357505050610850565b600a84604001516103249190610bb0565b60a08501526040516370a0823160e01b8152730ce82b20476a90728c638727b69f345a47bd85d360048201526000906001600160a01b038516906370a0823190602401602060405180830381865afa158015610384573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906103a89190610b0e565b60a086015160408051730ce82b20476a90728c638727b69f345a47bd85d360248201526044808201939093528151808203909301835260640181526020820180516001600160e01b031663a9059cbb60e01b179052519192506060916001600160a01b0387169161041891610b94565b6000604051808303816000865af19150503d8060008114610455576040519150601f19603f3d011682016040523d82523d6000602084013e61045a565b606091505b509015801560808901819052919250610474575060008151115b15610495578080602001905181019061048d9190610bd2565b151560808701525b85608001511561052d576040516370a0823160e01b8152730ce82b20476a90728c638727b69f345a47bd85d3600482015282906001600160a01b038716906370a0823190602401602060405180830381865afa1580156104f9573d6000803e3d6000fd5b505050506040513d601f19601f8201168201806040525081019061051d9190610b0e565b6105279190610ac4565b60c08701525b6040516370a0823160e01b81523060048201526000906064906001600160a01b038816906370a0823190602401602060405180830381865afa158015610577573d6000803e3d6000fd5b505050506040513d601f19601f8201168201806040525081019061059b9190610b0e565b6105a6906063610bf4565b6105b09190610bb0565b905060008967ffffffffffffffff8111156105cd576105cd610c0b565b6040519080825280602002602001820160405280156105f6578160200160208202803683370190505b50905060005b8a81101561067c578b8b82610612600183610ac4565b61061c9190610ac4565b81811061062b5761062b610add565b90506020020160208101906106409190610af3565b82828151811061065257610652610add565b6001600160a01b03909216602092830291909101909101528061067481610c21565b9150506105fc565b506106888c8383610858565b610100890152604080516001600160a01b038e8116602483015260001960448084019190915283518084039091018152606490920183526020820180516001600160e01b031663095ea7b360e01b17905291516000928392908b16916106ee9190610b94565b6000604051808303816000865af19150503d806000811461072b576040519150601f19603f3d011682016040523d82523d6000602084013e610730565b606091505b50915091508161074e576101608a0152506108509650505050505050565b475a975060608f6001600160a01b031663791ac94760e01b876000883042604051602401610780959493929190610c7e565b60408051601f198184030181529181526020820180516001600160e01b03166001600160e01b03199094169390931790925290516107be9190610b94565b6000604051808303816000865af19150503d80600081146107fb576040519150601f19603f3d011682016040523d82523d6000602084013e610800565b606091505b5090151560e08e015290505a610816908a610ac4565b6101408d015260e08c01511561083b576108308247610ac4565b6101208d0152610844565b6101608c018190525b50505050505050505050505b949350505050565b60405163d06ca61f60e01b81526000906001600160a01b0385169063d06ca61f906108899086908690600401610cbd565b600060405180830381865afa9250505080156108c757506040513d6000823e601f3d908101601f191682016040526108c49190810190610cd6565b60015b6108d3575060006108fe565b80600182516108e29190610ac4565b815181106108f2576108f2610add565b60200260200101519150505b9392505050565b80356001600160a01b038116811461091c57600080fd5b919050565b6000806000806060858703121561093757600080fd5b61094085610905565b9350602085013567ffffffffffffffff8082111561095d57600080fd5b818701915087601f83011261097157600080fd5b81358181111561098057600080fd5b8860208260051b850101111561099557600080fd5b95986020929092019750949560400135945092505050565b60005b838110156109c85781810151838201526020016109b0565b50506000910152565b600081518084526109e98160208601602086016109ad565b601f01601f19169290920160200192915050565b60208152610a1060208201835115159052565b60208201516040820152604082015160608201526060820151608082015260006080830151610a4360a084018215159052565b5060a083015160c083015260c083015160e083015260e0830151610100610a6d8185018315159052565b8401516101208481019190915284015161014080850191909152840151610160808501919091528401516101808085015290506108506101a08401826109d1565b634e487b7160e01b600052601160045260246000fd5b81810381811115610ad757610ad7610aae565b92915050565b634e487b7160e01b600052603260045260246000fd5b600060208284031215610b0557600080fd5b6108fe82610905565b600060208284031215610b2057600080fd5b5051919050565b60ff8616815260806020808301829052908201859052600090869060a08401835b88811015610b74576001600160a01b03610b6185610905565b1682529282019290820190600101610b48565b506001600160a01b03969096166040850152505050606001529392505050565b60008251610ba68184602087016109ad565b9190910192915050565b600082610bcd57634e487b7160e01b600052601260045260246000fd5b500490565b600060208284031215610be457600080fd5b815180151581146108fe57600080fd5b8082028115828204841417610ad757610ad7610aae565b634e487b7160e01b600052604160045260246000fd5b600060018201610c3357610c33610aae565b5060010190565b600081518084526020808501945080840160005b83811015610c735781516001600160a01b031687529582019590820190600101610c4e565b509495945050505050565b85815260ff8516602082015260a060408201526000610ca060a0830186610c3a565b6001600160a01b0394909416606083015250608001529392505050565b8281526040602082015260006108506040830184610c3a565b60006020808385031215610ce957600080fd5b825167ffffffffffffffff80821115610d0157600080fd5b818501915085601f830112610d1557600080fd5b815181811115610d2757610d27610c0b565b8060051b604051601f19603f83011681018181108582111715610d4c57610d4c610c0b565b604052918252848201925083810185019188831115610d6a57600080fd5b938501935b82851015610d8857845184529385019392850192610d6f565b9897505050505050505056fea26469706673582212208557b6180bffabaa85f0234abb540b8e39c515a15201cc39e08aaed2f797cd1a64736f6c63430008130033';
+
+module.exports = {
+  TOKEN_SIMULATOR_BYTECODE,
+};
@@ -8,6 +8,15 @@ const { getTokenService } = require('./services/TokenService');
 const { getPriceService } = require('./services/PriceService');
 const { getPoolAnalyzer } = require('./services/PoolAnalyzer');
 const { getRouteCacheService } = require('./services/RouteCacheService');
+const { getV2TwapService } = require('./services/V2TwapService');
+const { getBlockWatcherService } = require('./services/BlockWatcherService');
+const { getAlertService } = require('./services/AlertService');
+const { getNewPoolService } = require('./services/NewPoolService');
+const { getFactoryIndexService } = require('./services/FactoryIndexService');
+const { getTokenRegistry } = require('./services/TokenRegistryService');
+const { runOnChain, getChain } = require('./utils/ChainContext');
+const { ENABLED_CHAINS, DEFAULT_CHAIN, validateChains } = require('./config/chains');
+const { NEW_POOLS_CONFIG, FACTORY_INDEX_CONFIG, TOKEN_REGISTRY_CONFIG } = require('./config/constants');
 
 const logger = getLogger();
 
@@ -31,54 +40,103 @@ process.on('uncaughtException', (error) => {
   }, 1000);
 });
 
-async function startServer() {
-  try {
-    logger.info('Starting Pool Analyzer API Microservice...');
+/**
+ * Health-check the chain's RPC, warm its caches and start its background services
+ * (route cache, TWAP snapshots, registry watch, factory index, new pools)
+ * @returns {Function} stops the services again
+ */
+async function startChain(chain) {
+  // Test provider connection
+  logger.info(`Testing ${chain.name} provider connection...`);
+  const providerService = getProviderService();
+  const health = await providerService.testProviderHealth();
 
-    // Test provider connection
-    logger.info('Testing provider connection...');
-    const providerService = getProviderService();
-    const health = await providerService.testProviderHealth();
+  if (!health.healthy) {
+    throw new Error(`${chain.name} provider health check failed`);
+  }
+
+  logger.info(`✅ ${chain.name} provider connected. Block number: ${health.blockNumber}`);
 
-    if (!health.healthy) {
-      throw new Error('Provider health check failed');
+  // Warm the cache with common tokens and prices
+  logger.info(`Warming ${chain.name} cache...`);
+  const cacheService = getCacheService();
+  const tokenService = getTokenService();
+  const priceService = getPriceService();
+  const tokenRegistry = getTokenRegistry();
+  const warmResult = await cacheService.warmCache(tokenService, priceService, tokenRegistry.getTokens('warm'));
+  if (warmResult.success) {
+    logger.info(`✅ ${chain.name} cache warmed in ${warmResult.duration}ms`);
+  }
+
+  // Pre-analyze main tokens in background (don't block server)
+  const poolAnalyzer = getPoolAnalyzer();
+  setImmediate(async () => {
+    logger.info(`Starting background analysis pre-cache for ${chain.name} main tokens...`);
+    const analysisResult = await cacheService.warmAnalysisCache(poolAnalyzer, tokenRegistry.getTokens('warm'));
+    if (analysisResult.success) {
+      logger.info(`✅ ${chain.name} main tokens pre-analyzed: ${analysisResult.tokensAnalyzed}/${analysisResult.totalTokens} in ${analysisResult.duration}ms`);
     }
+  });
+
+  // Start route cache service for main token pairs (10 min refresh)
+  const routeCacheService = getRouteCacheService();
+  routeCacheService.startBackgroundRefresh(10 * 60 * 1000);
+
+  // Snapshot V2 cumulative prices of analyzed pairs for TWAPs
+  const v2TwapService = getV2TwapService();
+  v2TwapService.startSnapshots();
+
+  // Pick up token registry edits (new base pairs, stablecoins, intermediates) without a restart
+  if (TOKEN_REGISTRY_CONFIG.WATCH) {
+    tokenRegistry.watch();
+  }
+
+  // Index every factory pair/pool by token so discovery is not limited to base pairs
+  const factoryIndex = getFactoryIndexService();
+  if (FACTORY_INDEX_CONFIG.ENABLED) {
+    factoryIndex.start();
+  }
 
-    logger.info(`✅ Provider connected. Block number: ${health.blockNumber}`);
+  // Watch the factories for newly created pairs/pools (/api/new-pools)
+  const newPoolService = getNewPoolService();
+  if (NEW_POOLS_CONFIG.ENABLED) {
+    newPoolService.start();
+  }
+
+  return () => {
+    // CRITICAL FIX: Stop background services
+    try { routeCacheService.stopBackgroundRefresh(); } catch (e) {}
+    v2TwapService.stopSnapshots();
+    newPoolService.stop();
+    factoryIndex.stop();
+    tokenRegistry.unwatch();
+    getBlockWatcherService().stop();
+    getAlertService().stop();
+  };
+}
 
-    // Warm the cache with common tokens and prices
-    logger.info('Warming cache...');
-    const cacheService = getCacheService();
-    const tokenService = getTokenService();
-    const priceService = getPriceService();
-    const warmResult = await cacheService.warmCache(tokenService, priceService);
-    if (warmResult.success) {
-      logger.info(`✅ Cache warmed in ${warmResult.duration}ms`);
+async function startServer() {
+  try {
+    logger.info('Starting Pool Analyzer API Microservice...');
+    validateChains();
+
+    // Every enabled chain gets its own providers, caches and background services
+    const stopChains = [];
+    for (const chainId of ENABLED_CHAINS) {
+      const stop = await runOnChain(chainId, () => startChain(getChain()));
+      stopChains.push(() => runOnChain(chainId, stop));
     }
 
     // Start the application
     const app = new Application();
-    const server = app.start();
-
-    // Pre-analyze main tokens in background (don't block server)
-    const poolAnalyzer = getPoolAnalyzer();
-    setImmediate(async () => {
-      logger.info('Starting background analysis pre-cache for main tokens...');
-      const analysisResult = await cacheService.warmAnalysisCache(poolAnalyzer);
-      if (analysisResult.success) {
-        logger.info(`✅ Main tokens pre-analyzed: ${analysisResult.tokensAnalyzed}/${analysisResult.totalTokens} in ${analysisResult.duration}ms`);
-      }
-    });
-
-    // Start route cache service for main token pairs (10 min refresh)
-    const routeCacheService = getRouteCacheService();
-    routeCacheService.startBackgroundRefresh(10 * 60 * 1000);
+    app.start();
+
+    logger.info(`✅ Serving ${ENABLED_CHAINS.join(', ')} (default: ${DEFAULT_CHAIN})`);
 
     // Graceful shutdown
     const shutdown = (signal) => {
       logger.info(`${signal} signal received: closing HTTP server`);
-      // CRITICAL FIX: Stop background services
-      try { routeCacheService.stopBackgroundRefresh(); } catch (e) {}
+      stopChains.forEach(stop => stop());
       app.stop();
       // Give time for cleanup
       setTimeout(() => {
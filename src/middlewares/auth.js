@@ -77,6 +77,15 @@ function getClientInfo(apiKey) {
   };
 }
 
+/**
+ * Resolve an API key outside the Express middleware chain (WebSocket upgrades)
+ * @returns {Object|null} client info for a valid key, null otherwise
+ */
+function authenticateApiKey(apiKey) {
+  if (!apiKey || !isValidApiKey(apiKey)) return null;
+  return getClientInfo(apiKey);
+}
+
 /**
  * Optional: API Key auth that only warns but doesn't block (for migration period)
  */
@@ -104,5 +113,7 @@ const apiKeyAuthSoft = (req, res, next) => {
 
 module.exports = {
   apiKeyAuth,
-  apiKeyAuthSoft
+  apiKeyAuthSoft,
+  authenticateApiKey,
+  extractBearerToken
 };
@@ -1,6 +1,6 @@
 // src/middlewares/index.js - Export all middlewares
 
-const { apiKeyAuth, apiKeyAuthSoft } = require('./auth');
+const { apiKeyAuth, apiKeyAuthSoft, authenticateApiKey, extractBearerToken } = require('./auth');
 const { createCorsMiddleware, corsErrorHandler } = require('./corsConfig');
 const { priceValidationMiddleware, priceValidator } = require('./priceValidation');
 const { tokenRateLimitMiddleware, tokenRateLimiter } = require('./tokenRateLimit');
@@ -9,6 +9,8 @@ module.exports = {
   // Authentication
   apiKeyAuth,
   apiKeyAuthSoft,
+  authenticateApiKey,
+  extractBearerToken,
 
   // CORS
   createCorsMiddleware,
@@ -0,0 +1,127 @@
+// src/routes/alertRoutes.js
+// Webhook alerts: register conditions on a token or pool, get signed callbacks when they trigger
+const express = require('express');
+const { getAlertService } = require('../services/AlertService');
+const { getLogger } = require('../utils/Logger');
+
+const router = express.Router();
+const logger = getLogger();
+
+// Alerts are scoped to the API key that created them
+const ownerOf = req => req.apiClient?.name || 'unauthenticated';
+
+// POST /api/alerts - Register a webhook alert
+router.post('/alerts', (req, res) => {
+  try {
+    const { url, token, pool, conditions, secret } = req.body || {};
+    const alert = getAlertService().createAlert({ owner: ownerOf(req), url, token, pool, conditions, secret });
+
+    logger.info(`API: Alert ${alert.id} registered for ${alert.target.type} ${alert.target.address}`);
+
+    res.status(201).json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_ALERT' || error.code === 'ALERT_LIMIT') {
+      return res.status(error.code === 'ALERT_LIMIT' ? 429 : 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error('API: Alert registration failed', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/alerts - List this API key's alerts (?paused=true|false to filter)
+router.get('/alerts', (req, res) => {
+  try {
+    const { paused } = req.query;
+    const alerts = getAlertService().listAlerts(ownerOf(req))
+      .filter(alert => paused === undefined || alert.paused === (paused === 'true'));
+    res.json({
+      success: true,
+      count: alerts.length,
+      data: alerts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/alerts/:id - Alert details and last delivery
+router.get('/alerts/:id', (req, res) => {
+  try {
+    const alert = getAlertService().getAlert(req.params.id, ownerOf(req));
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// POST /api/alerts/:id/pause | /api/alerts/:id/resume - Stop or restart evaluating an alert
+router.post('/alerts/:id/:action(pause|resume)', (req, res) => {
+  try {
+    const alert = getAlertService().setPaused(req.params.id, ownerOf(req), req.params.action === 'pause');
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alert
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/alerts/:id - Remove an alert
+router.delete('/alerts/:id', (req, res) => {
+  try {
+    if (!getAlertService().deleteAlert(req.params.id, ownerOf(req))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Alert ${req.params.id} deleted`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
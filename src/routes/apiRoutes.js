@@ -6,33 +6,89 @@ const { getProviderService } = require('../services/ProviderService');
 const { getCacheService } = require('../utils/Cache');
 const { getLogger } = require('../utils/Logger');
 const { ethers } = require('ethers');
+const { getRouteCacheService } = require('../services/RouteCacheService');
+const { getLiquidityDepthService } = require('../services/LiquidityDepthService');
+const { getV2TwapService } = require('../services/V2TwapService');
+const { getTokenSecurityService } = require('../services/TokenSecurityService');
+const { getPoolEventIndexer } = require('../services/PoolEventIndexer');
+const { getPositionService } = require('../services/PositionService');
+const { getCandleService } = require('../services/CandleService');
+const { getStreamService } = require('../services/StreamService');
+const { getAlertService } = require('../services/AlertService');
+const { getNewPoolService } = require('../services/NewPoolService');
+const { getFactoryIndexService } = require('../services/FactoryIndexService');
+const { getPoolDiscoveryService } = require('../services/PoolDiscoveryService');
+const { getTokenRegistry, ROLES } = require('../services/TokenRegistryService');
+const { CANDLE_CONFIG, NEW_POOLS_CONFIG, ROUTER_CONFIG } = require('../config/constants');
+const { ENABLED_CHAINS, DEFAULT_CHAIN, getChainConfig } = require('../config/chains');
+const {
+  V3_ADAPTERS,
+  getV2Protocols,
+  getV3Protocols,
+  getStableSwapProtocols,
+  getV2PoolFee,
+  getV2Protocol,
+  getV3Protocol
+} = require('../config/protocols');
+const { runAtBlock } = require('../utils/BlockContext');
+const { getChain } = require('../utils/ChainContext');
 
 const router = express.Router();
-const poolAnalyzer = getPoolAnalyzer();
-const multiHopRouter = getMultiHopRouterService();
-const providerService = getProviderService();
-const cacheService = getCacheService();
-const { getRouteCacheService } = require('../services/RouteCacheService');
-const routeCacheService = getRouteCacheService();
 const logger = getLogger();
 
 // ============ MIDDLEWARE ============
 const validateAddress = (req, res, next) => {
-  const { address, token } = req.params;
-  const addr = address || token;
+  const { address, token, owner, pool } = req.params;
+  const addr = address || token || owner || pool;
   
   if (!addr || !ethers.isAddress(addr)) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid BSC address'
+      error: `Invalid ${getChain().name} address`
     });
   }
   
   if (address) req.params.address = ethers.getAddress(address);
   if (token) req.params.token = ethers.getAddress(token);
+  if (owner) req.params.owner = ethers.getAddress(owner);
+  if (pool) req.params.pool = ethers.getAddress(pool);
   next();
 };
 
+// ?blockTag= (or body.blockTag): run the whole request against the state at that block.
+// Accepts a block number, 'latest' (default, live state), 'safe' or 'finalized'.
+const BLOCK_TAG_NAMES = ['latest', 'safe', 'finalized'];
+
+const pinBlockTag = async (req, res, next) => {
+  const blockTag = req.query.blockTag ?? req.body?.blockTag;
+  if (blockTag === undefined || blockTag === '') return next();
+
+  const tag = String(blockTag).toLowerCase();
+  const isNumber = /^\d+$/.test(tag);
+  if (!isNumber && !BLOCK_TAG_NAMES.includes(tag)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid blockTag: use a block number or one of ${BLOCK_TAG_NAMES.join(', ')}`
+    });
+  }
+
+  let blockNumber;
+  try {
+    blockNumber = await getProviderService().resolveBlockTag(isNumber ? Number(tag) : tag);
+  } catch (error) {
+    return res.status(error.code === 'INVALID_BLOCK_TAG' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (blockNumber === null) return next();
+
+  req.blockNumber = blockNumber;
+  logger.info(`API: Pinning ${req.method} ${req.path} to block ${blockNumber}`);
+  runAtBlock(blockNumber, next);
+};
+
 const validatePairAddresses = (req, res, next) => {
   const { tokenA, tokenB } = req.params;
   
@@ -55,7 +111,8 @@ const validatePairAddresses = (req, res, next) => {
 //   - refresh=true: Force refresh cache
 //   - fast=true: Fast mode - returns only essential data (~200ms vs ~800ms)
 //   - minLiquidity=1000: Filter pools with liquidity below threshold (default: 0)
-router.get('/analyze/:token', validateAddress, async (req, res) => {
+//   - blockTag=12345678|safe|finalized: Analyze the state at that block (cached apart from live results)
+router.get('/analyze/:token', validateAddress, pinBlockTag, async (req, res) => {
   try {
     const { token } = req.params;
     const { refresh = 'false', fast = 'false', minLiquidity = '0' } = req.query;
@@ -63,25 +120,17 @@ router.get('/analyze/:token', validateAddress, async (req, res) => {
     const minLiquidityUSD = parseFloat(minLiquidity) || 0;
 
     if (refresh === 'true') {
-      cacheService.clearTokenAnalysis(token);
+      getCacheService().clearTokenAnalysis(token);
     }
 
     logger.info(`API: Analyzing token ${token}${isFastMode ? ' (FAST MODE)' : ''}`);
-    const analysis = await poolAnalyzer.analyzeToken(token);
+    const analysis = await getPoolAnalyzer().analyzeToken(token);
 
     // Add multiHopInfo to bestPools.recommended for multi-hop Slipstream swaps
-    const WBNB_ANALYZE = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c'.toLowerCase();
-    const stablecoinsAnalyze = [
-      '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', // USDC
-      '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56', // BUSD
-      '0x55d398326f99059fF775485246999027B3197955', // USDT
-      '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3', // DAI
-    ].map(a => a.toLowerCase());
-
     const recommended = analysis.bestPools?.recommended;
     if (recommended) {
-      const pairAddr = recommended.pairToken?.address?.toLowerCase();
-      if (recommended.tickSpacing && pairAddr !== WBNB_ANALYZE && stablecoinsAnalyze.includes(pairAddr)) {
+      const pairAddr = recommended.pairToken?.address;
+      if (recommended.tickSpacing && getTokenRegistry().hasRole(pairAddr, 'stable')) {
         recommended.multiHopInfo = {
           intermediateToken: recommended.pairToken.address,
           firstLegTickSpacing: 1,
@@ -136,6 +185,8 @@ router.get('/analyze/:token', validateAddress, async (req, res) => {
           }
         },
         cached: analysis.cached || false,
+        blockNumber: analysis.meta?.blockNumber,
+        blockTimestamp: analysis.meta?.blockTimestamp,
         performance: { totalMs: analysis.performance?.totalMs }
       });
     }
@@ -167,7 +218,7 @@ router.get('/best-pool/:token', validateAddress, async (req, res) => {
     const { token } = req.params;
     const { criteria = 'recommended', basePair, priceDirection = 'sell' } = req.query;
     
-    const analysis = await poolAnalyzer.analyzeToken(token);
+    const analysis = await getPoolAnalyzer().analyzeToken(token);
     
     let bestPool;
     
@@ -284,16 +335,8 @@ router.get('/best-pool/:token', validateAddress, async (req, res) => {
     
 
     // For multi-hop: add tick spacing for both legs (WBNB->stablecoin->token)
-    const WBNB = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c'.toLowerCase();
-    const stablecoins = [
-      '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d',
-      '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56',
-      '0x55d398326f99059fF775485246999027B3197955',
-      '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3',
-    ].map(a => a.toLowerCase());
-
-    const pairAddr = bestPool.pairToken?.address?.toLowerCase();
-    if (bestPool.tickSpacing && pairAddr !== WBNB && stablecoins.includes(pairAddr)) {
+    const pairAddr = bestPool.pairToken?.address;
+    if (bestPool.tickSpacing && getTokenRegistry().hasRole(pairAddr, 'stable')) {
       bestPool.multiHopInfo = {
         intermediateToken: bestPool.pairToken.address,
         firstLegTickSpacing: 1,
@@ -317,9 +360,11 @@ router.get('/best-pool/:token', validateAddress, async (req, res) => {
 });
 
 // POST /api/quote - Get swap quote
-router.post('/quote', async (req, res) => {
+// Body: amountIn for exact-input quotes, or amountOut for exact-output quotes ("buy exactly N tokens")
+//       blockTag (optional): quote against the state at that block
+router.post('/quote', pinBlockTag, async (req, res) => {
   try {
-    const { tokenIn, tokenOut, amountIn, slippage = 0.5 } = req.body;
+    const { tokenIn, tokenOut, amountIn, amountOut, slippage = 0.5 } = req.body;
     
     // Validate inputs
     if (!ethers.isAddress(tokenIn) || !ethers.isAddress(tokenOut)) {
@@ -328,21 +373,36 @@ router.post('/quote', async (req, res) => {
         error: 'Invalid token addresses'
       });
     }
+
+    if ((amountIn === undefined) === (amountOut === undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide exactly one of amountIn (exact input) or amountOut (exact output)'
+      });
+    }
+
+    const exactOutput = amountOut !== undefined;
+    const amount = exactOutput ? amountOut : amountIn;
     
-    if (!amountIn || isNaN(amountIn) || Number(amountIn) <= 0) {
+    if (!amount || isNaN(amount) || Number(amount) <= 0) {
       return res.status(400).json({
         success: false,
         error: 'Invalid amount'
       });
     }
     
-    logger.info(`API: Quote ${tokenIn} -> ${tokenOut}, amount: ${amountIn}`);
+    logger.info(`API: Quote ${tokenIn} -> ${tokenOut}, ${exactOutput ? 'amountOut' : 'amount'}: ${amount}`);
+
+    // amountOut is in tokenOut units, amountIn in tokenIn units
+    const amountToken = await getPoolAnalyzer().tokenService.getTokenInfo(exactOutput ? tokenOut : tokenIn);
+    const parsedAmount = ethers.parseUnits(amount.toString(), amountToken.decimals || 18);
     
-    const comparison = await poolAnalyzer.comparePoolsForSwap(
-      tokenIn,
-      tokenOut,
-      ethers.parseEther(amountIn.toString())
-    );
+    // Tax/honeypot simulation for both sides (null for WBNB and stablecoins)
+    const [comparison, securityIn, securityOut] = await Promise.all([
+      getPoolAnalyzer().comparePoolsForSwap(tokenIn, tokenOut, parsedAmount, { exactOutput }),
+      getTokenSecurityService().checkToken(tokenIn),
+      getTokenSecurityService().checkToken(tokenOut),
+    ]);
     
     if (!comparison.bestPool) {
       return res.status(404).json({
@@ -352,26 +412,73 @@ router.post('/quote', async (req, res) => {
         tokenOut: comparison.tokenOut
       });
     }
-    
-    // Calculate minimum amount out with slippage
-    const amountOut = BigInt(comparison.bestPool.simulation.amountOut);
-    const slippageFactor = 1 - (slippage / 100);
-    const minAmountOut = (amountOut * BigInt(Math.floor(slippageFactor * 10000))) / 10000n;
+
+    const decimalsIn = comparison.tokenIn.decimals || 18;
+    const decimalsOut = comparison.tokenOut.decimals || 18;
+    const simulatedIn = BigInt(comparison.bestPool.simulation.amountIn);
+    const simulatedOut = BigInt(comparison.bestPool.simulation.amountOut);
+    const slippageBps = BigInt(Math.floor(slippage * 100));
+
+    // Fee-on-transfer: selling tokenIn loses its sell tax, receiving tokenOut loses its buy tax
+    const sellTaxBps = BigInt(Math.round((securityIn?.sellTaxPercent || 0) * 100));
+    const buyTaxBps = BigInt(Math.round((securityOut?.buyTaxPercent || 0) * 100));
+    const taxed = sellTaxBps > 0n || buyTaxBps > 0n;
+
+    // A 100% tax keeps the whole transfer, and a honeypot cannot be sold back: no meaningful quote
+    const untradeable = [
+      securityIn?.isHoneypot && `${comparison.tokenIn.symbol} is a honeypot and cannot be sold`,
+      !securityIn?.isHoneypot && sellTaxBps >= 10000n && `${comparison.tokenIn.symbol} cannot be sold (100% sell tax)`,
+      buyTaxBps >= 10000n && `${comparison.tokenOut.symbol} cannot be bought (100% buy tax)`,
+      securityOut?.isHoneypot && `${comparison.tokenOut.symbol} is a honeypot and cannot be sold back`,
+    ].filter(Boolean);
+    if (untradeable.length > 0) {
+      return res.status(422).json({
+        success: false,
+        error: untradeable.join('; '),
+        security: {
+          tokenIn: securityIn,
+          tokenOut: securityOut
+        }
+      });
+    }
+
+    const tokenInQuote = {
+      address: comparison.tokenIn.address,
+      symbol: comparison.tokenIn.symbol,
+      amount: exactOutput ? ethers.formatUnits(simulatedIn, decimalsIn) : amountIn
+    };
+    const tokenOutQuote = {
+      address: comparison.tokenOut.address,
+      symbol: comparison.tokenOut.symbol,
+      amount: exactOutput ? amountOut : ethers.formatUnits(simulatedOut, decimalsOut)
+    };
+
+    if (exactOutput) {
+      // Input needed for amountOut to arrive after taxes, then maximum input with slippage (rounded up)
+      const requiredIn = taxed
+        ? (simulatedIn * 100000000n + (10000n - sellTaxBps) * (10000n - buyTaxBps) - 1n) /
+          ((10000n - sellTaxBps) * (10000n - buyTaxBps))
+        : simulatedIn;
+      if (taxed) tokenInQuote.amountExcludingTax = tokenInQuote.amount;
+      tokenInQuote.amount = ethers.formatUnits(requiredIn, decimalsIn);
+      const maxAmountIn = (requiredIn * (10000n + slippageBps) + 9999n) / 10000n;
+      tokenInQuote.maxAmount = ethers.formatUnits(maxAmountIn, decimalsIn);
+    } else {
+      // Output actually received after taxes, then minimum amount out with slippage
+      const receivedOut = (simulatedOut * (10000n - sellTaxBps) * (10000n - buyTaxBps)) / 100000000n;
+      if (taxed) tokenOutQuote.amountAfterTax = ethers.formatUnits(receivedOut, decimalsOut);
+      const slippageFactor = 1 - (slippage / 100);
+      const minAmountOut = (receivedOut * BigInt(Math.floor(slippageFactor * 10000))) / 10000n;
+      tokenOutQuote.minAmount = ethers.formatUnits(minAmountOut, decimalsOut);
+    }
     
     res.json({
       success: true,
+      ...(req.blockNumber !== undefined && { blockNumber: req.blockNumber }),
       quote: {
-        tokenIn: {
-          address: comparison.tokenIn.address,
-          symbol: comparison.tokenIn.symbol,
-          amount: amountIn
-        },
-        tokenOut: {
-          address: comparison.tokenOut.address,
-          symbol: comparison.tokenOut.symbol,
-          amount: ethers.formatUnits(amountOut, comparison.tokenOut.decimals || 18),
-          minAmount: ethers.formatUnits(minAmountOut, comparison.tokenOut.decimals || 18)
-        },
+        mode: exactOutput ? 'exactOutput' : 'exactInput',
+        tokenIn: tokenInQuote,
+        tokenOut: tokenOutQuote,
         pool: {
           address: comparison.bestPool.address,
           type: comparison.bestPool.type,
@@ -379,13 +486,23 @@ router.post('/quote', async (req, res) => {
         },
         priceImpact: comparison.bestPool.simulation.priceImpact,
         executionPrice: comparison.bestPool.simulation.executionPrice,
-        slippage: slippage
+        slippage: slippage,
+        taxes: {
+          tokenInSellTaxPercent: securityIn?.sellTaxPercent ?? null,
+          tokenOutBuyTaxPercent: securityOut?.buyTaxPercent ?? null
+        }
+      },
+      security: {
+        tokenIn: securityIn,
+        tokenOut: securityOut,
+        warnings: [...(securityIn?.warnings || []), ...(securityOut?.warnings || [])]
       },
       alternativePools: comparison.pools.slice(0, 3).map(pool => ({
         address: pool.address,
         type: pool.type,
         fee: pool.fee,
-        amountOut: ethers.formatUnits(pool.simulation.amountOut, comparison.tokenOut.decimals || 18),
+        amountIn: ethers.formatUnits(pool.simulation.amountIn, decimalsIn),
+        amountOut: ethers.formatUnits(pool.simulation.amountOut, decimalsOut),
         priceImpact: pool.simulation.priceImpact
       }))
     });
@@ -399,12 +516,13 @@ router.post('/quote', async (req, res) => {
 });
 
 // GET /api/pools/:token - Get all pools for a token
-router.get('/pools/:token', validateAddress, async (req, res) => {
+// Query params: type, minLiquidity, limit, blockTag
+router.get('/pools/:token', validateAddress, pinBlockTag, async (req, res) => {
   try {
     const { token } = req.params;
     const { type, minLiquidity = 0, limit = 20 } = req.query;
     
-    const analysis = await poolAnalyzer.analyzeToken(token);
+    const analysis = await getPoolAnalyzer().analyzeToken(token);
     
     let pools = analysis.pools;
     
@@ -429,8 +547,10 @@ router.get('/pools/:token', validateAddress, async (req, res) => {
         symbol: analysis.token.symbol,
         name: analysis.token.name
       },
+      blockNumber: analysis.meta?.blockNumber,
       count: pools.length,
       totalPools: analysis.summary.totalPools,
+      poolIndex: getFactoryIndexService().getCoverage(),
       pools: pools.map(pool => ({
         address: pool.address,
         type: pool.type,
@@ -458,8 +578,8 @@ router.get('/pair/:tokenA/:tokenB', validatePairAddresses, async (req, res) => {
     logger.info(`API: Finding pools for pair ${tokenA} / ${tokenB}`);
     
     const [analysisA, analysisB] = await Promise.all([
-      poolAnalyzer.analyzeToken(tokenA),
-      poolAnalyzer.analyzeToken(tokenB)
+      getPoolAnalyzer().analyzeToken(tokenA),
+      getPoolAnalyzer().analyzeToken(tokenB)
     ]);
     
     // Find common pools
@@ -497,12 +617,268 @@ router.get('/pair/:tokenA/:tokenB', validatePairAddresses, async (req, res) => {
   }
 });
 
+// GET /api/pool-address?tokenA=0x..&tokenB=0x.. - Pool addresses of a pair, derived offline with CREATE2
+// Query params:
+//   - version=v2|v3: Only that pool type (default: both)
+//   - fee=2500: Only pools with that fee in millionths (V3 fee tier or V2 swap fee)
+//   - protocol=pancakeswap: Only that DEX (id or name)
+router.get('/pool-address', (req, res) => {
+  try {
+    const { tokenA, tokenB, version, fee, protocol } = req.query;
+
+    if (!ethers.isAddress(tokenA) || !ethers.isAddress(tokenB) || tokenA.toLowerCase() === tokenB.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        error: 'tokenA and tokenB must be two different token addresses'
+      });
+    }
+
+    const poolVersion = version === undefined ? undefined : String(version).toUpperCase();
+    if (poolVersion !== undefined && poolVersion !== 'V2' && poolVersion !== 'V3') {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be v2 or v3'
+      });
+    }
+
+    const poolFee = fee === undefined ? undefined : Number(fee);
+    if (poolFee !== undefined && (!Number.isInteger(poolFee) || poolFee < 0 || poolFee >= 1000000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'fee must be an integer in millionths (e.g. 2500 = 0.25%)'
+      });
+    }
+
+    if (protocol !== undefined && !getV2Protocol(String(protocol)) && !getV3Protocol(String(protocol))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown protocol: ${protocol}`
+      });
+    }
+
+    const result = getPoolDiscoveryService().derivePoolAddresses(tokenA, tokenB, {
+      version: poolVersion,
+      fee: poolFee,
+      protocol: protocol === undefined ? undefined : String(protocol)
+    });
+
+    if (result.pools.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No derivable pool for these filters',
+        notDerivable: result.notDerivable
+      });
+    }
+
+    res.json({
+      success: true,
+      chain: getChain().id,
+      ...result
+    });
+  } catch (error) {
+    logger.error('API: Pool address derivation failed', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/pool/:address/depth - Liquidity depth (bids/asks) at ±0.5/1/2/5/10% price moves
+// Prices are token0 quoted in token1. V2 depth is closed-form from reserves,
+// V3 depth walks the initialized ticks of the pool.
+router.get('/pool/:address/depth', validateAddress, async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    logger.info(`API: Liquidity depth for pool ${address}`);
+
+    const depth = await getLiquidityDepthService().getPoolDepth(address);
+
+    if (!depth) {
+      return res.status(404).json({
+        success: false,
+        error: 'Address is not a V2 pair or V3 pool'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: depth
+    });
+  } catch (error) {
+    logger.error('API: Liquidity depth failed', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/candles/:pool - OHLCV candles from the pool's on-chain swaps
+// V3 prices are post-swap sqrtPriceX96, V2 prices the reserve ratio from Sync
+router.get('/candles/:pool', validateAddress, async (req, res) => {
+  try {
+    const { pool } = req.params;
+    const { interval = '1h', invert = 'false' } = req.query;
+
+    const intervalSeconds = CANDLE_CONFIG.INTERVALS[interval];
+    if (!intervalSeconds) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid interval. Use one of: ${Object.keys(CANDLE_CONFIG.INTERVALS).join(', ')}`
+      });
+    }
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : Math.floor(Date.now() / 1000);
+    const from = req.query.from !== undefined
+      ? parseInt(req.query.from)
+      : to - Math.min(intervalSeconds * CANDLE_CONFIG.DEFAULT_CANDLES, CANDLE_CONFIG.MAX_RANGE_SECONDS);
+
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from < 0 || from >= to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be unix timestamps (seconds) with from < to'
+      });
+    }
+
+    if (to - from > CANDLE_CONFIG.MAX_RANGE_SECONDS || (to - from) / intervalSeconds > CANDLE_CONFIG.MAX_CANDLES) {
+      return res.status(400).json({
+        success: false,
+        error: `Range too large: at most ${CANDLE_CONFIG.MAX_RANGE_SECONDS / 86400} days and ${CANDLE_CONFIG.MAX_CANDLES} candles per request`
+      });
+    }
+
+    logger.info(`API: ${interval} candles for pool ${pool} (${from}-${to})`);
+
+    const candles = await getCandleService().getCandles(pool, { interval, from, to, invert: invert === 'true' });
+
+    if (!candles) {
+      return res.status(404).json({
+        success: false,
+        error: 'Address is not a V2 pair or V3 pool'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: candles
+    });
+  } catch (error) {
+    logger.error('API: Candles failed', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/positions/:owner - PancakeSwap V3 LP positions (NFTs) held by a wallet
+// Tick range, in-range status, underlying amounts, uncollected fees and USD value per position
+router.get('/positions/:owner', validateAddress, async (req, res) => {
+  try {
+    const { owner } = req.params;
+    const includeClosed = req.query.includeClosed === 'true';
+
+    logger.info(`API: V3 positions for ${owner}`);
+
+    const positions = await getPositionService().getPositions(owner, { includeClosed });
+
+    res.json({
+      success: true,
+      data: positions
+    });
+  } catch (error) {
+    logger.error('API: Positions lookup failed', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// GET /api/new-pools - V2 pairs and V3 pools created recently (factory events), newest first
+// Query params: limit, type (V2|V3), token, withLiquidity (true|false), sinceBlock
+router.get('/new-pools', (req, res) => {
+  try {
+    const { type, token, withLiquidity } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : NEW_POOLS_CONFIG.DEFAULT_LIMIT;
+    const sinceBlock = req.query.sinceBlock !== undefined ? parseInt(req.query.sinceBlock) : undefined;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > NEW_POOLS_CONFIG.MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be between 1 and ${NEW_POOLS_CONFIG.MAX_LIMIT}`
+      });
+    }
+
+    if (type !== undefined && type !== 'V2' && type !== 'V3') {
+      return res.status(400).json({
+        success: false,
+        error: 'type must be V2 or V3'
+      });
+    }
+
+    if (token !== undefined && !ethers.isAddress(token)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid token address'
+      });
+    }
+
+    if (sinceBlock !== undefined && !(sinceBlock >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'sinceBlock must be a block number'
+      });
+    }
+
+    const { total, pools } = getNewPoolService().getPools({
+      limit,
+      type,
+      token,
+      withLiquidity: withLiquidity === undefined ? undefined : withLiquidity === 'true',
+      sinceBlock,
+    });
+    const stats = getNewPoolService().getStats();
+
+    res.json({
+      success: true,
+      count: pools.length,
+      total,
+      data: pools,
+      meta: {
+        enabled: NEW_POOLS_CONFIG.ENABLED,
+        lastBlock: stats.lastBlock,
+        autoAnalyze: stats.autoAnalyze,
+        lastError: stats.lastError
+      }
+    });
+  } catch (error) {
+    logger.error('API: New pools failed', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ============ MULTI-HOP ROUTING ENDPOINTS ============
 
+// maxHops (body or query): most pools in a route, 1 to ROUTER_CONFIG.MAX_HOPS_LIMIT
+const parseMaxHops = value => {
+  if (value === undefined || value === '') return ROUTER_CONFIG.MAX_HOPS;
+  const maxHops = Number(value);
+  return Number.isInteger(maxHops) && maxHops >= 1 && maxHops <= ROUTER_CONFIG.MAX_HOPS_LIMIT ? maxHops : null;
+};
+const MAX_HOPS_ERROR = `maxHops must be an integer from 1 to ${ROUTER_CONFIG.MAX_HOPS_LIMIT}`;
+
 // POST /api/route - Find best route between two tokens (supports multi-hop)
-router.post('/route', async (req, res) => {
+// Body: tokenIn, tokenOut, amountIn, maxHops (optional, default ROUTER_MAX_HOPS), blockTag (optional)
+router.post('/route', pinBlockTag, async (req, res) => {
   try {
     const { tokenIn, tokenOut, amountIn } = req.body;
+    const maxHops = parseMaxHops(req.body.maxHops);
 
     // Validate inputs
     if (!ethers.isAddress(tokenIn) || !ethers.isAddress(tokenOut)) {
@@ -519,16 +895,26 @@ router.post('/route', async (req, res) => {
       });
     }
 
+    if (maxHops === null) {
+      return res.status(400).json({
+        success: false,
+        error: MAX_HOPS_ERROR
+      });
+    }
+
     logger.info(`API: Finding route ${tokenIn} -> ${tokenOut}, amount: ${amountIn}`);
 
-    const routeResult = await multiHopRouter.findBestRoute(
+    const tokenInInfo = await getPoolAnalyzer().tokenService.getTokenInfo(tokenIn);
+    const routeResult = await getMultiHopRouterService().findBestRoute(
       tokenIn,
       tokenOut,
-      ethers.parseEther(amountIn.toString()).toString()
+      ethers.parseUnits(amountIn.toString(), tokenInInfo.decimals || 18).toString(),
+      { maxHops }
     );
 
     res.json({
       success: true,
+      ...(req.blockNumber !== undefined && { blockNumber: req.blockNumber }),
       route: routeResult.bestRoute,
       alternatives: routeResult.alternativeRoutes,
       timing: routeResult.timing
@@ -543,30 +929,44 @@ router.post('/route', async (req, res) => {
 });
 
 // GET /api/route/:tokenIn/:tokenOut - Simple route lookup (no amount, just paths)
-router.get('/route/:tokenIn/:tokenOut', validatePairAddresses, async (req, res) => {
+// Query params: amount, maxHops, blockTag
+router.get('/route/:tokenIn/:tokenOut', validatePairAddresses, pinBlockTag, async (req, res) => {
   try {
     const tokenIn = req.params.tokenA; // validatePairAddresses normalizes to tokenA/tokenB
     const tokenOut = req.params.tokenB;
     const { amount = '1' } = req.query;
+    const maxHops = parseMaxHops(req.query.maxHops);
+
+    if (maxHops === null) {
+      return res.status(400).json({
+        success: false,
+        error: MAX_HOPS_ERROR
+      });
+    }
 
     logger.info(`API: Quick route lookup ${tokenIn} -> ${tokenOut}`);
 
-    const routeResult = await multiHopRouter.findBestRoute(
+    const tokenInInfo = await getPoolAnalyzer().tokenService.getTokenInfo(tokenIn);
+    const routeResult = await getMultiHopRouterService().findBestRoute(
       tokenIn,
       tokenOut,
-      ethers.parseEther(amount).toString()
+      ethers.parseUnits(amount, tokenInInfo.decimals || 18).toString(),
+      { maxHops }
     );
 
     res.json({
       success: true,
+      ...(req.blockNumber !== undefined && { blockNumber: req.blockNumber }),
       route: {
         type: routeResult.bestRoute.type,
         path: routeResult.bestRoute.path.map(t => t.symbol).join(' → '),
         pathAddresses: routeResult.bestRoute.path.map(t => t.address),
         legs: routeResult.bestRoute.legs.length,
+        amountOut: routeResult.bestRoute.amountOut,
         estimatedOutput: routeResult.bestRoute.estimatedOutputFormatted,
         priceImpact: routeResult.bestRoute.priceImpact,
         totalFees: routeResult.bestRoute.totalFees,
+        gasEstimate: routeResult.bestRoute.gasEstimate,
       },
       alternativeCount: routeResult.alternativeRoutes.length
     });
@@ -598,7 +998,7 @@ router.get('/smart-recommend/:token', validateAddress, async (req, res) => {
 
     logger.info(`API: Smart recommendation for ${token}, trade size: $${tradeAmountUSD}`);
 
-    const recommendation = await poolAnalyzer.getSmartRecommendation(
+    const recommendation = await getPoolAnalyzer().getSmartRecommendation(
       token,
       tradeAmountUSD,
       cached === 'true'
@@ -644,7 +1044,7 @@ router.get('/swap-pool/:token', validateAddress, (req, res) => {
     }
 
     // SYNC call - no await, pure cached data
-    const result = poolAnalyzer.getSwapRecommendation(token, tradeAmountBNB);
+    const result = getPoolAnalyzer().getSwapRecommendation(token, tradeAmountBNB);
 
     if (result.error) {
       const statusCode = result.error === 'TOKEN_NOT_CACHED' ? 428 : 404;
@@ -686,7 +1086,7 @@ router.get('/trade-scenarios/:token', validateAddress, async (req, res) => {
 
     logger.info(`API: Trade scenarios for ${token}, sizes: ${tradeSizes.join(', ')}`);
 
-    const scenarios = await poolAnalyzer.compareTradeScenarios(token, tradeSizes);
+    const scenarios = await getPoolAnalyzer().compareTradeScenarios(token, tradeSizes);
 
     if (scenarios.error) {
       return res.status(404).json({
@@ -726,7 +1126,7 @@ router.get('/split-trade/:token', validateAddress, async (req, res) => {
 
     logger.info(`API: Split trade analysis for ${token}, amount: $${tradeAmountUSD}`);
 
-    const splitAnalysis = await poolAnalyzer.calculateSplitTrade(token, tradeAmountUSD);
+    const splitAnalysis = await getPoolAnalyzer().calculateSplitTrade(token, tradeAmountUSD);
 
     if (splitAnalysis.error) {
       return res.status(404).json({
@@ -753,20 +1153,30 @@ router.get('/split-trade/:token', validateAddress, async (req, res) => {
 // GET /api/health - Health check with details
 router.get('/health', async (req, res) => {
   try {
-    const providerHealth = await providerService.getHealthStatus();
-    const cacheStats = cacheService.getStats();
+    const providerHealth = await getProviderService().getHealthStatus();
+    const cacheStats = getCacheService().getStats();
     
     const healthyProviders = providerHealth.filter(p => p.health.healthy).length;
     
+    const { id, name, chainId } = getChain();
+
     res.json({
       success: true,
       status: healthyProviders > 0 ? 'healthy' : 'degraded',
+      chain: { id, name, chainId },
       providers: {
         healthy: healthyProviders,
         total: providerHealth.length,
         details: providerHealth
       },
       cache: cacheStats,
+      v2Twap: getV2TwapService().getStats(),
+      eventIndexer: getPoolEventIndexer().getStats(),
+      stream: getStreamService().getStats(),
+      alerts: getAlertService().getStats(),
+      newPools: getNewPoolService().getStats(),
+      factoryIndex: getFactoryIndexService().getStats(),
+      tokenRegistry: getTokenRegistry().getStats(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -829,10 +1239,36 @@ router.post('/prices', (req, res) => {
   }
 });
 
+// GET /api/tokens - Token registry (base pairs, stablecoins, routing intermediates, warm list)
+router.get('/tokens', (req, res) => {
+  try {
+    const { role } = req.query;
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of ${ROLES.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      tokens: getTokenRegistry().getTokens(role),
+      routeCachePairs: getTokenRegistry().getRouteCachePairs().map(([from, to]) => [from.symbol, to.symbol]),
+      registry: getTokenRegistry().getStats()
+    });
+  } catch (error) {
+    logger.error('API: Token registry failed', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // GET /api/cache/stats - Cache statistics
 router.get('/cache/stats', (req, res) => {
-  const stats = cacheService.getStats();
-  const keys = cacheService.listCachedKeys();
+  const stats = getCacheService().getStats();
+  const keys = getCacheService().listCachedKeys();
   
   res.json({
     success: true,
@@ -851,13 +1287,13 @@ router.post('/cache/clear', (req, res) => {
   
   switch(type) {
     case 'pools':
-      cacheService.clearPoolCache();
+      getCacheService().clearPoolCache();
       break;
     case 'prices':
-      cacheService.clearPriceCache();
+      getCacheService().clearPriceCache();
       break;
     default:
-      cacheService.clearAll();
+      getCacheService().clearAll();
   }
   
   res.json({
@@ -868,22 +1304,36 @@ router.post('/cache/clear', (req, res) => {
 
 // GET /api/docs - Comprehensive API documentation
 router.get('/docs', (req, res) => {
+  const chain = getChain();
+
   res.json({
     api: {
       name: 'BscRadar API',
       version: '2.1.0',
-      description: 'High-performance stateless microservice for analyzing DEX liquidity pools on BSC Network. Supports PancakeSwap V2/V3 protocols.',
+      description: 'High-performance stateless microservice for analyzing DEX liquidity pools on BSC and other EVM chains. Supports PancakeSwap V2/V3 and the V2 forks Biswap, ApeSwap and BabySwap.',
       baseUrl: '/api',
-      network: 'BSC (Chain ID: 56)'
+      network: `${chain.name} (Chain ID: ${chain.chainId})`
+    },
+
+    chains: {
+      description: 'Every endpoint is served per chain under /api/<chain>/... (e.g. /api/base/analyze/:token); plain /api/... is the default chain. Pools, prices, caches, streams and alerts are separate per chain. Fields named *BNB hold the chain\'s native token (ETH on Ethereum, Arbitrum and Base).',
+      default: DEFAULT_CHAIN,
+      enabled: ENABLED_CHAINS.map(id => {
+        const { name, chainId, nativeSymbol } = getChainConfig(id);
+        return { id, name, chainId, nativeSymbol, baseUrl: `/api/${id}` };
+      })
     },
 
     features: [
-      'Multi-protocol pool discovery (PancakeSwap V2/V3)',
+      'Multi-chain: BSC, opBNB, Ethereum, Arbitrum and Base under /api/<chain>',
+      'Multi-protocol pool discovery (PancakeSwap V2/V3, Biswap, ApeSwap, BabySwap)',
       'Real-time liquidity calculation using DexScreener method (actual token balances)',
       'Dynamic BNB price fetching from on-chain pools',
       'Multicall batching for high-performance data fetching',
+      'Offline CREATE2 pool address derivation (discovery only probes derived addresses)',
       'Intelligent pool ranking and recommendation engine',
       'Swap simulation and quote generation',
+      'k-shortest-path routing over a graph of known pools (configurable maxHops)',
       'In-memory caching with configurable TTL'
     ],
 
@@ -895,15 +1345,18 @@ router.get('/docs', (req, res) => {
           token: { type: 'address', required: true, description: 'Token contract address (checksummed or lowercase)' }
         },
         queryParams: {
-          refresh: { type: 'boolean', default: false, description: 'Force refresh cached data' }
+          refresh: { type: 'boolean', default: false, description: 'Force refresh cached data' },
+          blockTag: { type: 'string', default: 'latest', description: 'Block number, or latest/safe/finalized. Reads all chain state at that block; pinned results are cached separately from live ones' }
         },
         response: {
           token: 'Token metadata (symbol, name, decimals, address)',
           pricing: 'Aggregated price data across all pools (USD, BNB)',
           summary: 'Pool counts by protocol and status',
           bestPools: 'Recommended pools by various criteria',
-          pools: 'Array of all discovered pools with full data',
-          analysis: 'Liquidity distribution and price analysis'
+          pools: 'Array of all discovered pools with full data. Every entry includes twap (oracle TWAP prices per window, spot deviation and status; V3 from observe(), V2 from tracked cumulative prices) and activity (1h/24h trades, volume, fees and price range from indexed Swap/Mint/Burn/Sync logs)',
+          analysis: 'Liquidity distribution and price analysis',
+          security: 'Buy/sell/transfer tax and honeypot status from a simulated buy, transfer and sell (eth_call with state overrides)',
+          meta: 'Cache and price metadata. blockNumber/blockTimestamp: the single block every on-chain read of the analysis was made at (chain head when it started, or the blockTag block; historical: true for the latter, where pool activity and V2 TWAPs are unavailable)'
         },
         example: '/api/analyze/0x1111111111166b7fe7bd91427724b487980afc69'
       },
@@ -922,8 +1375,8 @@ router.get('/docs', (req, res) => {
               liquidity: 'Pool with highest USD liquidity',
               price: 'Pool with best price (combine with priceDirection)',
               fee: 'Pool with lowest trading fee',
-              v2: 'Best PancakeSwap V2 pool by liquidity',
-              v3: 'Best PancakeSwap V3 pool by liquidity',
+              v2: 'Best V2 pool by liquidity, on any DEX',
+              v3: 'Best V3 pool by liquidity, on any DEX',
               balanced: 'Weighted scoring of all factors'
             }
           },
@@ -934,30 +1387,38 @@ router.get('/docs', (req, res) => {
       },
 
       'GET /api/pools/:token': {
-        description: 'Get filtered list of pools for a token',
+        description: 'Get filtered list of pools for a token, against any pair token: base-pair factory lookups plus the factory event index (every PairCreated/PoolCreated since the V2 factory was deployed)',
         parameters: {
           token: { type: 'address', required: true, description: 'Token contract address' }
         },
         queryParams: {
           type: { type: 'string', options: ['V2', 'V3'], optional: true, description: 'Filter by pool type' },
           minLiquidity: { type: 'number', optional: true, description: 'Minimum liquidity in USD' },
-          limit: { type: 'number', default: 20, description: 'Maximum results to return' }
+          limit: { type: 'number', default: 20, description: 'Maximum results to return' },
+          blockTag: { type: 'string', default: 'latest', description: 'Block number, or latest/safe/finalized. Reads all chain state at that block; pinned results are cached separately from live ones' }
+        },
+        response: {
+          poolIndex: 'Factory index coverage: complete (false while the startup backfill is running, when only pools up to indexedThrough are known beyond the base pairs), fromBlock, indexedThrough, headBlock'
         },
         example: '/api/pools/0x1111111111166b7fe7bd91427724b487980afc69?type=V3&minLiquidity=10000'
       },
 
       // ============ TRADING ENDPOINTS ============
       'POST /api/quote': {
-        description: 'Get swap quote with best execution path',
+        description: 'Get swap quote with best execution path. 422 when tokenIn is a honeypot or has a 100% sell tax, or tokenOut is a honeypot or has a 100% buy tax',
         body: {
           tokenIn: { type: 'address', required: true, description: 'Input token address' },
           tokenOut: { type: 'address', required: true, description: 'Output token address' },
-          amountIn: { type: 'string', required: true, description: 'Input amount (in token units, e.g., "1.5")' },
-          slippage: { type: 'number', default: 0.5, description: 'Slippage tolerance in percent' }
+          amountIn: { type: 'string', required: false, description: 'Exact input amount (in token units, e.g., "1.5")' },
+          amountOut: { type: 'string', required: false, description: 'Exact output amount - use instead of amountIn to buy exactly N tokenOut' },
+          slippage: { type: 'number', default: 0.5, description: 'Slippage tolerance in percent' },
+          blockTag: { type: 'string', default: 'latest', description: 'Block number, or latest/safe/finalized. Reads all chain state at that block; pinned results are cached separately from live ones' }
         },
         response: {
-          quote: 'Best quote with expected output, minimum output, price impact',
-          alternativePools: 'Other available pools with their quotes'
+          blockNumber: 'Block the quote was computed at (only when blockTag is set)',
+          quote: 'Best quote with expected output and minimum output (exact input) or required input and maximum input (exact output), price impact. Amounts account for measured token taxes (taxes)',
+          security: 'Tax/honeypot simulation for tokenIn and tokenOut (null for WBNB and stablecoins) with warnings',
+          alternativePools: 'Other available pools with their quotes (StableSwap pools too when both tokens are registry stablecoins)'
         },
         example: '{ "tokenIn": "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c", "tokenOut": "0x1111111111166b7fe7bd91427724b487980afc69", "amountIn": "0.1", "slippage": 2 }'
       },
@@ -971,6 +1432,177 @@ router.get('/docs', (req, res) => {
         example: '/api/pair/0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c/0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d'
       },
 
+      'GET /api/pool-address': {
+        description: 'Pool addresses of a pair on every enabled DEX, computed offline with CREATE2 from the factory (or pool deployer), the sorted tokens and the fee. No RPC call: a derived pool may not be deployed yet',
+        parameters: {
+          tokenA: { type: 'address', required: true, description: 'First token address' },
+          tokenB: { type: 'address', required: true, description: 'Second token address' },
+          version: { type: 'string', optional: true, description: 'v2 or v3 (default: both)' },
+          fee: { type: 'number', optional: true, description: 'Only pools with this fee in millionths (V3 fee tier, or the V2 swap fee: 2500 = 0.25%)' },
+          protocol: { type: 'string', optional: true, description: 'Only this DEX (e.g., pancakeswap, uniswap, biswap)' }
+        },
+        response: {
+          token0: 'Lower token address (pool order)',
+          token1: 'Higher token address',
+          pools: 'Per pool: address, type, protocol, fee, factory (and deployer for V3)',
+          notDerivable: 'DEXes whose pool addresses cannot be derived offline (THENA: no init code hash)'
+        },
+        example: '/api/pool-address?tokenA=0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c&tokenB=0x55d398326f99059fF775485246999027B3197955&version=v3&fee=500'
+      },
+
+      'GET /api/pool/:address/depth': {
+        description: 'Liquidity depth chart data: how much can be bought/sold before the price moves ±0.5%, 1%, 2%, 5%, 10%',
+        parameters: {
+          address: { type: 'address', required: true, description: 'V2 pair or V3 pool address (any supported DEX)' }
+        },
+        response: {
+          pool: 'Pool type, fee and tokens',
+          spotPrice: 'Current price (token0 in token1 and inverse)',
+          asks: 'Per level: token0 bought and token1 paid to push the price up',
+          bids: 'Per level: token0 sold and token1 received to push the price down'
+        },
+        example: '/api/pool/0x36696169C63e42cd08ce11f5deeBbCeBae652050/depth'
+      },
+
+      'GET /api/candles/:pool': {
+        description: 'OHLCV candles built from the pool\'s Swap logs. V3 prices are the post-swap sqrtPriceX96, V2 prices the reserve ratio from Sync',
+        parameters: {
+          pool: { type: 'address', required: true, description: 'V2 pair or V3 pool address' }
+        },
+        queryParams: {
+          interval: { type: 'string', default: '1h', description: '1m, 5m, 1h or 1d' },
+          from: { type: 'number', default: '100 intervals before to', description: 'Range start (unix seconds)' },
+          to: { type: 'number', default: 'now', description: 'Range end, exclusive (unix seconds)' },
+          invert: { type: 'boolean', default: false, description: 'Price token1 in token0 instead of token0 in token1' }
+        },
+        response: {
+          base: 'Token the price is quoted for (token0, or token1 when inverted)',
+          quote: 'Token the price is quoted in',
+          candles: 'Per interval with swaps: time, open, high, low, close, volume (base), quoteVolume, trades. Intervals without swaps are omitted'
+        },
+        example: '/api/candles/0x36696169C63e42cd08ce11f5deeBbCeBae652050?interval=5m'
+      },
+
+      'WS /api/stream': {
+        description: 'Live updates pushed on every new block that changes a followed token price or pool state. In strict auth mode pass the API key as X-API-Key, Bearer token or ?apiKey=',
+        queryParams: {
+          tokens: { type: 'string', required: false, description: 'Comma-separated token addresses to follow on connect' },
+          pools: { type: 'string', required: false, description: 'Comma-separated V2 pair / V3 pool addresses to follow on connect' }
+        },
+        messages: {
+          subscribe: '{ "action": "subscribe", "tokens": [...], "pools": [...] }',
+          unsubscribe: '{ "action": "unsubscribe", "tokens": [...], "pools": [...] }'
+        },
+        response: {
+          subscribed: 'Everything the connection follows, after each (un)subscribe',
+          token: 'Aggregate price (usd, bnb) and its deepest pools (price, reserves, liquidity usd/status) with blockNumber/blockTimestamp',
+          pool: 'Pool price both ways, reserves and liquidity usd/status with blockNumber/blockTimestamp',
+          error: 'Invalid message, address or subscription limit'
+        },
+        example: 'ws://localhost:3000/api/stream?tokens=0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82'
+      },
+
+      'GET /api/stream': {
+        description: 'Server-Sent Events fallback for WS /api/stream. Events: subscribed, token, pool, error',
+        queryParams: {
+          tokens: { type: 'string', required: false, description: 'Comma-separated token addresses' },
+          pools: { type: 'string', required: false, description: 'Comma-separated V2 pair / V3 pool addresses' }
+        },
+        example: '/api/stream?tokens=0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82&pools=0x36696169C63e42cd08ce11f5deeBbCeBae652050'
+      },
+
+      'POST /api/alerts': {
+        description: 'Register a webhook alert on a token (its deepest pools) or a pool. Conditions are checked on every block that changes the target and fire once each time they start holding; the state at registration is the baseline',
+        body: {
+          url: { type: 'string', required: true, description: 'http(s) callback URL' },
+          token: { type: 'address', required: false, description: 'Token to watch (exactly one of token or pool)' },
+          pool: { type: 'address', required: false, description: 'V2 pair or V3 pool to watch' },
+          conditions: {
+            type: 'array',
+            required: true,
+            description: '{ type: "LIQUIDITY_DROP", percent, windowMinutes = 60 } (drop from the peak within the window), { type: "STATUS_CHANGE", statuses = ["RUGGED"] } (a pool enters one of ACTIVE, WARNING_LIQUIDITY, LOW_LIQUIDITY, EMPTY, RUGGED), { type: "WARNING", codes = ["EXTREMELY_LOW_LIQUIDITY"] } (EXTREMELY_LOW_LIQUIDITY, LOW_LIQUIDITY, V3_RUGGED_POOLS appears). Token alerts only: { type: "PRICE_ABOVE" | "PRICE_BELOW", price, currency = "usd" } (aggregate price crosses the level), { type: "PRICE_CHANGE", percent, windowMinutes = 60, direction = "any", currency = "usd" } (move from the window low/high). Every condition takes holdBlocks = 1: consecutive blocks it must hold before firing'
+          },
+          secret: { type: 'string', required: false, description: 'Signing secret (min 16 chars, generated if omitted)' }
+        },
+        response: {
+          data: 'The alert, with the signing secret (only returned here)'
+        },
+        callback: 'POST JSON (event alert.triggered, alertId, target, condition, blockNumber, message and condition details) with X-BSCRadar-Delivery, X-BSCRadar-Timestamp and X-BSCRadar-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<body>"). Network errors, 408, 429 and 5xx are retried with exponential backoff'
+      },
+
+      'GET /api/alerts': {
+        description: 'Alerts registered with this API key, with trigger counts, last delivery and last observed liquidity and price',
+        queryParams: {
+          paused: { type: 'boolean', required: false, description: 'Only paused (true) or active (false) alerts' }
+        }
+      },
+
+      'GET /api/alerts/:id': {
+        description: 'One alert registered with this API key'
+      },
+
+      'POST /api/alerts/:id/pause': {
+        description: 'Stop evaluating an alert until it is resumed'
+      },
+
+      'POST /api/alerts/:id/resume': {
+        description: 'Resume a paused alert from a fresh baseline (nothing that happened while paused fires)'
+      },
+
+      'DELETE /api/alerts/:id': {
+        description: 'Remove an alert (pending retries of its deliveries are dropped)'
+      },
+
+      'GET /api/positions/:owner': {
+        description: 'PancakeSwap V3 LP positions (NonfungiblePositionManager NFTs) held by a wallet. Farmed positions are held by MasterChef V3 and are not listed',
+        parameters: {
+          owner: { type: 'address', required: true, description: 'Wallet address' }
+        },
+        queryParams: {
+          includeClosed: { type: 'boolean', default: false, description: 'Also list positions with zero liquidity' }
+        },
+        response: {
+          summary: 'Position counts and total liquidity/fees/total USD value',
+          positions: 'Per position: tokenId, pool, tokens, fee, status (in-range/out-of-range/closed), tick and price range, underlying amounts, uncollected fees (collect() static call), valueUSD'
+        },
+        example: '/api/positions/0x0000000000000000000000000000000000000001'
+      },
+
+      'GET /api/new-pools': {
+        description: 'V2 pairs (every DEX in supportedProtocols) and PancakeSwap V3 pools created recently, from factory PairCreated/PoolCreated events, newest first. The feed starts NEW_POOLS_BACKFILL_BLOCKS before startup and keeps the last 1000 pools',
+        queryParams: {
+          limit: { type: 'number', default: 50, description: 'Max pools returned (1-200)' },
+          type: { type: 'string', required: false, description: 'V2 or V3' },
+          token: { type: 'address', required: false, description: 'Only pools containing this token' },
+          withLiquidity: { type: 'boolean', required: false, description: 'Only pools that received (true) or are still waiting for (false) their first liquidity' },
+          sinceBlock: { type: 'number', required: false, description: 'Only pools created at or after this block' }
+        },
+        response: {
+          data: 'Per pool: address, type, protocol, factory, token0/token1 (address, symbol, name, decimals), fee, feePercent, tickSpacing (V3), createdBlock, createdTimestamp (estimated from block time), transactionHash',
+          firstLiquidity: 'First Mint into the pool: blockNumber, transactionHash, amount0/amount1 (+ raw), valueUSD. null until liquidity is added (watched for ~4800 blocks after creation)',
+          analysis: 'With NEW_POOLS_AUTO_ANALYZE=true: PENDING, then DONE (priceUSD, totalPools, activePools, liquidityUSD, security, warning codes) or FAILED, for the non-base token once liquidity is added. null otherwise',
+          meta: 'enabled, lastBlock scanned, autoAnalyze, lastError'
+        },
+        example: '/api/new-pools?type=V2&withLiquidity=true&limit=20'
+      },
+
+      'POST /api/route': {
+        description: 'Best direct or multi-hop route. Candidates are the k cheapest paths (ROUTER_K_ROUTES) through a graph of the pools of tokenIn, tokenOut, the registry intermediates and, for 3+ hops, the most liquid pair tokens reached from them (ROUTER_EXPAND_TOKENS per round), weighted by the exchange rate left after fees and estimated price impact. Every candidate is then quoted on-chain (V2 reserves + V3 QuoterV2 quoteExactInput) in one multicall and ranked by amountOut. Stablecoin pairs are also quoted on StableSwap pools',
+        body: {
+          tokenIn: { type: 'address', required: true, description: 'Input token address' },
+          tokenOut: { type: 'address', required: true, description: 'Output token address' },
+          amountIn: { type: 'string', required: true, description: 'Input amount in token units (e.g., "1.5")' },
+          maxHops: { type: 'number', default: ROUTER_CONFIG.MAX_HOPS, description: `Most pools in a route, 1 to ${ROUTER_CONFIG.MAX_HOPS_LIMIT}` },
+          blockTag: { type: 'string', default: 'latest', description: 'Block number, or latest/safe/finalized. Reads all chain state at that block; pinned results are cached separately from live ones' }
+        },
+        response: {
+          blockNumber: 'Block the route was quoted at (only when blockTag is set)',
+          route: 'Best route: path, legs with per-leg amounts, amountOut (net of fees), priceImpact, gasEstimate',
+          alternatives: 'Other quoted routes, sorted by amountOut'
+        },
+        example: '{ "tokenIn": "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c", "tokenOut": "0x1111111111166b7fe7bd91427724b487980afc69", "amountIn": "1" }'
+      },
+
       // ============ PRICE ENDPOINTS ============
       'GET /api/prices': {
         description: 'Get current known token prices (BNB, stablecoins, CAKE)',
@@ -989,6 +1621,19 @@ router.get('/docs', (req, res) => {
         }
       },
 
+      'GET /api/tokens': {
+        description: 'Token registry loaded from TOKEN_REGISTRY_FILE (JSON or YAML): the base pairs checked during discovery, stablecoins priced at $1, multi-hop intermediates and the tokens pre-cached on startup. The file is reloaded when it changes; an invalid edit is rejected and the previous registry kept',
+        queryParams: {
+          role: { type: 'string', required: false, description: 'Only tokens with this role: base, stable, intermediate or warm' }
+        },
+        response: {
+          tokens: 'Per token: symbol, name, address, decimals, roles, intermediateTier (primary/secondary; informational, the router treats every intermediate alike)',
+          routeCachePairs: '[fromSymbol, toSymbol] pairs whose best pools are pre-cached (/api/route-cache)',
+          registry: 'file, loadedAt, watching, token count per role, lastError (last rejected reload)'
+        },
+        example: '/api/tokens?role=stable'
+      },
+
       // ============ UTILITY ENDPOINTS ============
       'GET /api/health': {
         description: 'Service health check with provider status',
@@ -1018,11 +1663,11 @@ router.get('/docs', (req, res) => {
     dataModels: {
       Pool: {
         address: 'Pool contract address',
-        protocol: 'PancakeSwap',
+        protocol: 'V2: PancakeSwap | Biswap | ApeSwap | BabySwap; V3: PancakeSwap | Uniswap | THENA',
         type: 'V2 | V3',
         pair: 'Trading pair string (e.g., "CAKE/WBNB")',
         pairToken: 'Details of the paired token',
-        fee: 'Fee in basis points (e.g., 3000 = 0.30%)',
+        fee: 'Fee in basis points (e.g., 3000 = 0.30%); THENA pools report their current dynamic fee',
         feePercent: 'Fee as percentage (e.g., 0.30)',
         liquidity: {
           status: 'ACTIVE | EMPTY',
@@ -1048,26 +1693,35 @@ router.get('/docs', (req, res) => {
     },
 
     supportedProtocols: {
-      'PancakeSwap V2': {
-        factory: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73',
+      ...Object.fromEntries(getV2Protocols().map(protocol => [`${protocol.name} V2`, {
+        factory: protocol.factory,
+        router: protocol.router,
         type: 'Constant product AMM (x*y=k)',
-        fee: '0.25% (fixed)'
-      },
-      'PancakeSwap V3': {
-        factory: '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865',
-        type: 'Concentrated liquidity AMM',
-        feeTiers: ['0.01% (100)', '0.05% (500)', '0.25% (2500)', '0.30% (3000)', '1.00% (10000)']
-      }
+        fee: protocol.pairFee
+          ? `${getV2PoolFee(protocol) / 10000}% by default, set per pair (${protocol.pairFee.method}())`
+          : `${getV2PoolFee(protocol) / 10000}% (fixed)`
+      }])),
+      ...Object.fromEntries(getV3Protocols().map(protocol => [`${protocol.name} V3`, {
+        factory: protocol.factory,
+        quoter: protocol.quoter,
+        type: protocol.adapter === V3_ADAPTERS.ALGEBRA
+          ? 'Concentrated liquidity AMM (Algebra, one pool per pair)'
+          : 'Concentrated liquidity AMM',
+        ...(protocol.feeTiers
+          ? { feeTiers: protocol.feeTiers.map(fee => `${(fee / 10000).toFixed(2)}% (${fee})`) }
+          : { fee: 'Dynamic (read from globalState)' })
+      }])),
+      ...Object.fromEntries(getStableSwapProtocols().map(protocol => [`${protocol.name} StableSwap`, {
+        factory: protocol.factory,
+        type: 'StableSwap AMM (Curve invariant, stablecoin pairs)',
+        fee: 'Per pool (read from fee())'
+      }]))
     },
 
-    knownTokens: {
-      WBNB: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
-      USDC: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d',
-      BUSD: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56',
-      DAI: '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3',
-      USDT: '0x55d398326f99059fF775485246999027B3197955',
-      CAKE: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82'
-    },
+    // Base tokens of the current chain's registry
+    knownTokens: Object.fromEntries(
+      getTokenRegistry().getTokens('base').map(token => [token.symbol, token.address])
+    ),
 
     liquidityCalculation: {
       method: 'DexScreener/DexTools standard',
@@ -1096,7 +1750,8 @@ router.get('/docs', (req, res) => {
       'Get best WBNB pool for USDC': 'GET /api/best-pool/0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d?criteria=liquidity&basePair=0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
       'Find WBNB/USDC pools': 'GET /api/pair/0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c/0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d',
       'Get swap quote': 'POST /api/quote with body { "tokenIn": "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c", "tokenOut": "0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d", "amountIn": "1", "slippage": 0.5 }',
-      'Force refresh analysis': 'GET /api/analyze/0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82?refresh=true'
+      'Force refresh analysis': 'GET /api/analyze/0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82?refresh=true',
+      'Analyze CAKE at a past block': 'GET /api/analyze/0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82?blockTag=40000000'
     }
   });
 });
@@ -1104,8 +1759,8 @@ router.get('/docs', (req, res) => {
 // GET /api/route-cache - Get cached routes for main tokens
 router.get('/route-cache', (req, res) => {
   try {
-    const stats = routeCacheService.getStats();
-    const routes = routeCacheService.getAllCachedRoutes();
+    const stats = getRouteCacheService().getStats();
+    const routes = getRouteCacheService().getAllCachedRoutes();
 
     res.json({
       success: true,
@@ -1124,9 +1779,9 @@ router.get('/route-cache', (req, res) => {
 // POST /api/route-cache/refresh - Force refresh route cache
 router.post('/route-cache/refresh', async (req, res) => {
   try {
-    await routeCacheService.refreshCache();
-    const stats = routeCacheService.getStats();
-    const routes = routeCacheService.getAllCachedRoutes();
+    await getRouteCacheService().refreshCache();
+    const stats = getRouteCacheService().getStats();
+    const routes = getRouteCacheService().getAllCachedRoutes();
 
     res.json({
       success: true,
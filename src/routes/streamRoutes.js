@@ -0,0 +1,204 @@
+// src/routes/streamRoutes.js
+// Live token/pool updates: WebSocket on /api/stream, Server-Sent Events fallback on GET /api/stream
+// (/api/<chain>/stream for a chain other than the default one)
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const { getStreamService } = require('../services/StreamService');
+const { getLogger } = require('../utils/Logger');
+const { runOnChain, getChain } = require('../utils/ChainContext');
+const { authenticateApiKey, extractBearerToken } = require('../middlewares/auth');
+const { SECURITY_CONFIG } = require('../config/security');
+const { STREAM_CONFIG } = require('../config/constants');
+const { DEFAULT_CHAIN, getChainConfig } = require('../config/chains');
+
+const router = express.Router();
+const logger = getLogger();
+
+// /api/stream or /api/<chain>/stream
+const STREAM_PATH = /^\/api(?:\/([^/]+))?\/stream$/;
+
+// Max size of a client message (subscribe/unsubscribe requests are tiny)
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// "a,b , c" -> ['a', 'b', 'c']
+const parseList = value => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// GET /api/stream?tokens=0x..,0x..&pools=0x.. - Server-Sent Events stream
+router.get('/stream', (req, res) => {
+  const tokens = parseList(req.query.tokens);
+  const pools = parseList(req.query.pools);
+
+  if (tokens.length === 0 && pools.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Provide tokens and/or pools to follow (comma-separated addresses)'
+    });
+  }
+
+  // The chain's stream service (req 'close' fires outside the request's chain context)
+  const streamService = getStreamService();
+
+  let client;
+  try {
+    client = streamService.addClient(message => {
+      res.write(`event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+      res.flush?.(); // push through the compression middleware
+    });
+  } catch (error) {
+    return res.status(503).json({ success: false, error: error.message });
+  }
+
+  let subscriptions;
+  try {
+    subscriptions = streamService.subscribe(client, { tokens, pools });
+  } catch (error) {
+    streamService.removeClient(client);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  client.send({ type: 'subscribed', ...subscriptions });
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    res.flush?.();
+  }, STREAM_CONFIG.HEARTBEAT_INTERVAL);
+
+  logger.info(`📡 SSE client ${client.id} following ${subscriptions.tokens.length} tokens / ${subscriptions.pools.length} pools`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streamService.removeClient(client);
+    logger.debug(`SSE client ${client.id} disconnected`);
+  });
+});
+
+/**
+ * Handle a message from a WebSocket client:
+ * { "action": "subscribe" | "unsubscribe", "tokens": [...], "pools": [...] }
+ */
+function handleMessage(client, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    client.send({ type: 'error', error: 'Messages must be JSON' });
+    return;
+  }
+
+  const tokens = parseList(message.tokens);
+  const pools = parseList(message.pools);
+  const streamService = getStreamService();
+
+  try {
+    if (message.action === 'subscribe') {
+      client.send({ type: 'subscribed', ...streamService.subscribe(client, { tokens, pools }) });
+    } else if (message.action === 'unsubscribe') {
+      client.send({ type: 'subscribed', ...streamService.unsubscribe(client, { tokens, pools }) });
+    } else {
+      client.send({ type: 'error', error: 'action must be "subscribe" or "unsubscribe"' });
+    }
+  } catch (error) {
+    client.send({ type: 'error', error: error.message });
+  }
+}
+
+/**
+ * Accept WebSocket upgrades on /api/stream. Upgrades bypass the Express middleware,
+ * so strict auth mode checks the API key here (browsers cannot set headers on a
+ * WebSocket, hence the ?apiKey= fallback).
+ * @returns {WebSocketServer}
+ */
+function attachStreamServer(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(STREAM_PATH);
+    const chain = match && getChainConfig(match[1] || DEFAULT_CHAIN);
+    if (!chain) {
+      socket.destroy();
+      return;
+    }
+
+    if (SECURITY_CONFIG.AUTH_MODE === 'strict') {
+      const apiKey = req.headers['x-api-key'] ||
+        extractBearerToken(req.headers.authorization) ||
+        url.searchParams.get('apiKey');
+      if (!authenticateApiKey(apiKey)) {
+        logger.warn(`Stream auth failed: ${apiKey ? 'invalid' : 'no'} API key - ${req.socket.remoteAddress}`);
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => runOnChain(chain.id, () => wss.emit('connection', ws, req, url)));
+  });
+
+  wss.on('connection', (ws, req, url) => {
+    // Runs on the chain from the URL; ws events fire outside it, so they re-enter it
+    const streamService = getStreamService();
+    const chainId = getChain().id;
+
+    let client;
+    try {
+      client = streamService.addClient(message => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+      });
+    } catch (error) {
+      ws.close(1013, error.message);
+      return;
+    }
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', raw => runOnChain(chainId, () => handleMessage(client, raw.toString())));
+    ws.on('close', () => {
+      streamService.removeClient(client);
+      logger.debug(`WebSocket client ${client.id} disconnected`);
+    });
+
+    logger.info(`📡 WebSocket client ${client.id} connected`);
+
+    // Subscriptions can also be given up front: /api/stream?tokens=...&pools=...
+    const tokens = parseList(url.searchParams.get('tokens'));
+    const pools = parseList(url.searchParams.get('pools'));
+    if (tokens.length > 0 || pools.length > 0) {
+      handleMessage(client, JSON.stringify({ action: 'subscribe', tokens, pools }));
+    }
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, STREAM_CONFIG.HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    for (const ws of wss.clients) ws.terminate();
+  });
+
+  return wss;
+}
+
+module.exports = {
+  streamRouter: router,
+  attachStreamServer,
+};
@@ -0,0 +1,709 @@
+// src/services/AlertService.js
+// Webhook alerts on token/pool liquidity and token prices, evaluated on every block update of the stream service
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { getStreamService } = require('./StreamService');
+const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const { ALERT_CONFIG } = require('../config/constants');
+
+const CONDITION_TYPES = ['LIQUIDITY_DROP', 'STATUS_CHANGE', 'WARNING', 'PRICE_ABOVE', 'PRICE_BELOW', 'PRICE_CHANGE'];
+// Conditions on the token's aggregate price (PriceService.calculateAggregatePrice over its deepest pools)
+const PRICE_CONDITIONS = ['PRICE_ABOVE', 'PRICE_BELOW', 'PRICE_CHANGE'];
+const PRICE_CURRENCIES = ['usd', 'bnb'];
+const PRICE_DIRECTIONS = ['up', 'down', 'any'];
+const POOL_STATUSES = ['ACTIVE', 'WARNING_LIQUIDITY', 'LOW_LIQUIDITY', 'EMPTY', 'RUGGED'];
+const WARNING_CODES = ['EXTREMELY_LOW_LIQUIDITY', 'LOW_LIQUIDITY', 'V3_RUGGED_POOLS'];
+const MAX_CONDITIONS = 10;
+const MIN_SECRET_LENGTH = 16;
+
+// Addresses that must not receive callbacks unless ALERT_ALLOW_PRIVATE_URLS is set: this
+// host, private, shared (CGNAT), loopback, link-local, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) match the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup for the delivery agents: resolves the callback host on every connection and
+ * refuses private addresses, so a public name pointing (or later rebinding) to one is caught
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to private address ${blocked.address}`);
+      error.code = 'EPRIVATEADDRESS';
+      return callback(error);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Literal IP hosts never reach lookup, deliver() checks those itself
+const DELIVERY_AGENTS = ALERT_CONFIG.ALLOW_PRIVATE_URLS ? {} : {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+// Hostname of a URL without the brackets of an IPv6 literal
+const urlHost = url => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+function alertError(message, code = 'INVALID_ALERT') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class AlertService {
+  constructor() {
+    this.streamService = getStreamService();
+    this.logger = getLogger();
+
+    // alert id -> alert
+    this.alerts = new Map();
+    // 'token:0x..' / 'pool:0x..' (lowercase) -> Set of alert ids
+    this.targets = new Map();
+    // Stream client the monitor receives token/pool updates on (created with the first alert)
+    this.client = null;
+    this.retryTimers = new Set();
+    this.stats = { triggers: 0, delivered: 0, failed: 0 };
+  }
+
+  /**
+   * Register an alert. The secret signing its callbacks is only returned here.
+   */
+  createAlert({ owner, url, token, pool, conditions, secret }) {
+    const target = this.validateTarget(token, pool);
+    const alert = {
+      id: crypto.randomUUID(),
+      owner,
+      url: this.validateUrl(url),
+      secret: this.validateSecret(secret),
+      target,
+      conditions: this.validateConditions(conditions, target),
+      createdAt: new Date().toISOString(),
+      paused: false,
+      // condition index:key -> { condition, since, details, fired } while the condition holds
+      state: new Map(),
+      history: [],
+      lastObservation: null,
+      triggers: 0,
+      lastTriggeredAt: null,
+      lastDelivery: null,
+      lastError: null,
+    };
+
+    const owned = [...this.alerts.values()].filter(a => a.owner === owner).length;
+    if (owned >= ALERT_CONFIG.MAX_PER_CLIENT) {
+      throw alertError(`Too many alerts (max ${ALERT_CONFIG.MAX_PER_CLIENT} per API key)`, 'ALERT_LIMIT');
+    }
+
+    this.alerts.set(alert.id, alert);
+    this.follow(alert);
+
+    this.logger.info(`🔔 Alert ${alert.id} created on ${alert.target.type} ${alert.target.address} (${alert.conditions.map(c => c.type).join(', ')})`);
+
+    return { ...this.formatAlert(alert), secret: alert.secret };
+  }
+
+  listAlerts(owner) {
+    return [...this.alerts.values()]
+      .filter(alert => alert.owner === owner)
+      .map(alert => this.formatAlert(alert));
+  }
+
+  /**
+   * @returns {Object|null} null if the alert does not exist or belongs to another API key
+   */
+  getAlert(id, owner) {
+    const alert = this.alerts.get(id);
+    return alert && alert.owner === owner ? this.formatAlert(alert) : null;
+  }
+
+  /**
+   * @returns {boolean} false if the alert does not exist or belongs to another API key
+   */
+  deleteAlert(id, owner) {
+    const alert = this.alerts.get(id);
+    if (!alert || alert.owner !== owner) return false;
+
+    this.alerts.delete(id);
+    if (!alert.paused) this.unfollow(alert);
+    this.logger.info(`🔕 Alert ${id} deleted`);
+    return true;
+  }
+
+  /**
+   * Pause or resume an alert. A resumed alert starts from a fresh baseline,
+   * so nothing that happened while it was paused fires late.
+   * @returns {Object|null} null if the alert does not exist or belongs to another API key
+   */
+  setPaused(id, owner, paused) {
+    const alert = this.alerts.get(id);
+    if (!alert || alert.owner !== owner) return null;
+    if (alert.paused === paused) return this.formatAlert(alert);
+
+    alert.paused = paused;
+    if (paused) {
+      this.unfollow(alert);
+    } else {
+      alert.state.clear();
+      alert.history = [];
+      alert.lastObservation = null;
+      this.follow(alert);
+    }
+
+    this.logger.info(`${paused ? '⏸️' : '▶️'} Alert ${id} ${paused ? 'paused' : 'resumed'}`);
+    return this.formatAlert(alert);
+  }
+
+  // ============ VALIDATION ============
+
+  validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw alertError('url must be an absolute http(s) URL');
+    }
+
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+      throw alertError('url must be an absolute http(s) URL');
+    }
+    // Host names are resolved and checked on every delivery (publicLookup)
+    if (!ALERT_CONFIG.ALLOW_PRIVATE_URLS && isPrivateAddress(urlHost(parsed.toString()))) {
+      throw alertError('url must not point to localhost or a private network');
+    }
+    return parsed.toString();
+  }
+
+  validateSecret(secret) {
+    if (secret === undefined) return crypto.randomBytes(32).toString('hex');
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      throw alertError(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    return secret;
+  }
+
+  validateTarget(token, pool) {
+    if ((token === undefined) === (pool === undefined)) {
+      throw alertError('Provide exactly one of token or pool');
+    }
+
+    const address = token ?? pool;
+    if (!ethers.isAddress(address)) {
+      throw alertError(`Invalid ${token !== undefined ? 'token' : 'pool'} address`);
+    }
+    return { type: token !== undefined ? 'token' : 'pool', address: ethers.getAddress(address) };
+  }
+
+  validateConditions(conditions, target) {
+    if (!Array.isArray(conditions) || conditions.length === 0 || conditions.length > MAX_CONDITIONS) {
+      throw alertError(`conditions must be an array of 1-${MAX_CONDITIONS} conditions`);
+    }
+
+    return conditions.map(condition => {
+      const type = condition?.type;
+      if (!CONDITION_TYPES.includes(type)) {
+        throw alertError(`Unknown condition type: ${type}. Use ${CONDITION_TYPES.join(', ')}`);
+      }
+
+      // Consecutive blocks the condition must hold before it fires (debounces one-block spikes)
+      const holdBlocks = Number(condition.holdBlocks ?? 1);
+      if (!Number.isInteger(holdBlocks) || holdBlocks < 1 || holdBlocks > ALERT_CONFIG.MAX_HOLD_BLOCKS) {
+        throw alertError(`holdBlocks must be an integer between 1 and ${ALERT_CONFIG.MAX_HOLD_BLOCKS}`);
+      }
+
+      if (type === 'LIQUIDITY_DROP') {
+        const percent = Number(condition.percent);
+        if (!(percent > 0 && percent <= 100)) {
+          throw alertError('LIQUIDITY_DROP percent must be between 0 and 100');
+        }
+        return { type, percent, windowMinutes: this.validateWindow(condition), holdBlocks };
+      }
+
+      if (type === 'STATUS_CHANGE') {
+        const statuses = condition.statuses ?? ['RUGGED'];
+        if (!Array.isArray(statuses) || statuses.length === 0 || statuses.some(s => !POOL_STATUSES.includes(s))) {
+          throw alertError(`STATUS_CHANGE statuses must be a non-empty list of ${POOL_STATUSES.join(', ')}`);
+        }
+        return { type, statuses, holdBlocks };
+      }
+
+      if (type === 'WARNING') {
+        const codes = condition.codes ?? ['EXTREMELY_LOW_LIQUIDITY'];
+        if (!Array.isArray(codes) || codes.length === 0 || codes.some(c => !WARNING_CODES.includes(c))) {
+          throw alertError(`WARNING codes must be a non-empty list of ${WARNING_CODES.join(', ')}`);
+        }
+        return { type, codes, holdBlocks };
+      }
+
+      if (target.type !== 'token') {
+        throw alertError(`${type} is only available for token alerts`);
+      }
+      const currency = condition.currency ?? 'usd';
+      if (!PRICE_CURRENCIES.includes(currency)) {
+        throw alertError(`currency must be one of ${PRICE_CURRENCIES.join(', ')}`);
+      }
+
+      if (type === 'PRICE_CHANGE') {
+        const percent = Number(condition.percent);
+        const direction = condition.direction ?? 'any';
+        if (!(percent > 0)) {
+          throw alertError('PRICE_CHANGE percent must be greater than 0');
+        }
+        if (!PRICE_DIRECTIONS.includes(direction)) {
+          throw alertError(`PRICE_CHANGE direction must be one of ${PRICE_DIRECTIONS.join(', ')}`);
+        }
+        return { type, percent, direction, windowMinutes: this.validateWindow(condition), currency, holdBlocks };
+      }
+
+      const price = Number(condition.price);
+      if (!(price > 0)) {
+        throw alertError(`${type} price must be greater than 0`);
+      }
+      return { type, price, currency, holdBlocks };
+    });
+  }
+
+  validateWindow(condition) {
+    const windowMinutes = Number(condition.windowMinutes ?? ALERT_CONFIG.DEFAULT_WINDOW_MINUTES);
+    if (!(windowMinutes >= 1 && windowMinutes <= ALERT_CONFIG.MAX_WINDOW_MINUTES)) {
+      throw alertError(`${condition.type} windowMinutes must be between 1 and ${ALERT_CONFIG.MAX_WINDOW_MINUTES}`);
+    }
+    return windowMinutes;
+  }
+
+  // ============ MONITORING ============
+
+  targetKey(target) {
+    return `${target.type}:${target.address.toLowerCase()}`;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = this.streamService.addClient(message => this.handleMessage(message), { internal: true });
+    }
+    return this.client;
+  }
+
+  follow(alert) {
+    const key = this.targetKey(alert.target);
+    let ids = this.targets.get(key);
+    const isNew = !ids;
+    if (isNew) {
+      ids = new Set();
+      this.targets.set(key, ids);
+    }
+    ids.add(alert.id);
+
+    if (isNew) {
+      this.streamService.subscribe(this.getClient(), { [`${alert.target.type}s`]: [alert.target.address] });
+    }
+  }
+
+  unfollow(alert) {
+    const key = this.targetKey(alert.target);
+    const ids = this.targets.get(key);
+    if (!ids) return;
+
+    ids.delete(alert.id);
+    if (ids.size === 0) {
+      this.targets.delete(key);
+      this.streamService.unsubscribe(this.getClient(), { [`${alert.target.type}s`]: [alert.target.address] });
+    }
+  }
+
+  /**
+   * Stream update for a followed token or pool
+   */
+  handleMessage(message) {
+    // The stream finished a block: conditions of unchanged targets held through it
+    if (message.type === 'block') {
+      for (const alert of this.alerts.values()) {
+        if (!alert.paused) this.confirmHolds(alert, message);
+      }
+      return;
+    }
+
+    // Errors name the token/pool by address, updates carry it as an object
+    const target = message.token !== undefined
+      ? { type: 'token', address: message.token.address ?? message.token }
+      : { type: 'pool', address: message.pool?.address ?? message.pool };
+    if (!target.address) return;
+
+    const ids = this.targets.get(this.targetKey(target));
+    if (!ids) return;
+
+    if (message.type === 'error') {
+      for (const id of ids) this.alerts.get(id).lastError = message.error;
+      return;
+    }
+
+    const observation = this.observe(message);
+    for (const id of ids) {
+      this.evaluate(this.alerts.get(id), observation);
+    }
+  }
+
+  /**
+   * Liquidity of the target's pools (the pool itself, or the token's deepest pools)
+   */
+  observe(message) {
+    const toPool = pool => ({
+      address: pool.address,
+      pair: pool.pair,
+      type: pool.type,
+      status: pool.liquidity.status,
+      liquidityUSD: pool.liquidity.usd,
+    });
+    const pools = message.type === 'token' ? message.pools.map(toPool) : [toPool(message.pool)];
+
+    return {
+      label: message.type === 'token' ? message.token.symbol || message.token.address : message.pool.pair,
+      blockNumber: message.blockNumber,
+      blockTimestamp: message.blockTimestamp,
+      price: message.type === 'token' ? message.price : null,
+      liquidityUSD: pools.reduce((sum, pool) => sum + pool.liquidityUSD, 0),
+      deepestLiquidityUSD: pools.reduce((max, pool) => Math.max(max, pool.liquidityUSD), 0),
+      pools,
+    };
+  }
+
+  /**
+   * Track which conditions hold at the observed block. A condition fires once it has held
+   * for holdBlocks blocks and re-arms when it stops holding. The first observation only sets
+   * the baseline, so states already present when the alert was created do not trigger.
+   */
+  evaluate(alert, observation) {
+    const now = Date.now();
+    const isBaseline = alert.lastObservation === null;
+    const longestWindow = Math.max(0, ...alert.conditions.map(c => c.windowMinutes || 0)) * 60000;
+
+    alert.history.push({ time: now, liquidityUSD: observation.liquidityUSD, price: observation.price });
+    alert.history = alert.history.filter(sample => now - sample.time <= longestWindow);
+
+    const previousStatuses = new Map((alert.lastObservation?.pools || []).map(p => [p.address, p.status]));
+    const holding = new Set();
+
+    alert.conditions.forEach((condition, index) => {
+      for (const { key, active, details } of this.checkCondition(condition, alert, observation, previousStatuses, now)) {
+        if (!active) continue;
+
+        const stateKey = `${index}:${key}`;
+        const state = alert.state.get(stateKey);
+        holding.add(stateKey);
+        if (state) {
+          state.details = details;
+        } else {
+          alert.state.set(stateKey, { condition, since: observation.blockNumber, details, fired: isBaseline });
+        }
+      }
+    });
+
+    for (const stateKey of alert.state.keys()) {
+      if (!holding.has(stateKey)) alert.state.delete(stateKey);
+    }
+
+    alert.lastObservation = observation;
+    this.confirmHolds(alert, observation);
+  }
+
+  /**
+   * Fire the conditions that have now held for holdBlocks blocks. Blocks without an update
+   * of the target left it unchanged, so they count towards the hold.
+   */
+  confirmHolds(alert, block) {
+    for (const state of alert.state.values()) {
+      if (state.fired || block.blockNumber - state.since + 1 < state.condition.holdBlocks) continue;
+      state.fired = true;
+      this.trigger(alert, state, block);
+    }
+  }
+
+  /**
+   * @returns {Array<{key, active, details}>} one entry per independently triggering part of the condition
+   */
+  checkCondition(condition, alert, observation, previousStatuses, now) {
+    if (PRICE_CONDITIONS.includes(condition.type)) {
+      return this.checkPriceCondition(condition, alert, observation, now);
+    }
+
+    if (condition.type === 'LIQUIDITY_DROP') {
+      const since = now - condition.windowMinutes * 60000;
+      const peak = alert.history
+        .filter(sample => sample.time >= since)
+        .reduce((max, sample) => Math.max(max, sample.liquidityUSD), 0);
+      const dropPercent = peak > 0 ? ((peak - observation.liquidityUSD) / peak) * 100 : 0;
+
+      return [{
+        key: 'drop',
+        active: dropPercent >= condition.percent,
+        details: {
+          message: `Liquidity dropped ${dropPercent.toFixed(1)}% within ${condition.windowMinutes}m ($${peak.toFixed(2)} -> $${observation.liquidityUSD.toFixed(2)})`,
+          liquidityUSD: observation.liquidityUSD,
+          peakLiquidityUSD: peak,
+          dropPercent,
+        },
+      }];
+    }
+
+    if (condition.type === 'STATUS_CHANGE') {
+      return observation.pools.map(pool => ({
+        key: pool.address.toLowerCase(),
+        active: condition.statuses.includes(pool.status),
+        details: {
+          message: `${pool.type} pool ${pool.pair} is now ${pool.status}`,
+          pool,
+          status: pool.status,
+          previousStatus: previousStatuses.get(pool.address) || null,
+        },
+      }));
+    }
+
+    // Same thresholds as PoolAnalyzer.generateWarnings, applied to the deepest followed pool
+    const deepest = observation.deepestLiquidityUSD;
+    const ruggedV3 = observation.pools.filter(pool => pool.type === 'V3' && pool.status === 'RUGGED');
+    const warnings = {
+      EXTREMELY_LOW_LIQUIDITY: {
+        active: deepest < 1000,
+        message: `Best pool has only $${deepest.toFixed(2)} liquidity`,
+      },
+      LOW_LIQUIDITY: {
+        active: deepest >= 1000 && deepest < 10000,
+        message: `Best pool has only $${deepest.toFixed(2)} liquidity`,
+      },
+      V3_RUGGED_POOLS: {
+        active: ruggedV3.length > 0,
+        message: `${ruggedV3.length} V3 pool(s) have removed liquidity (tick at boundary)`,
+      },
+    };
+
+    return condition.codes.map(code => ({
+      key: code,
+      active: warnings[code].active,
+      details: {
+        message: warnings[code].message,
+        warning: code,
+        liquidityUSD: observation.liquidityUSD,
+        deepestLiquidityUSD: deepest,
+        ...(code === 'V3_RUGGED_POOLS' && { pools: ruggedV3 }),
+      },
+    }));
+  }
+
+  /**
+   * Price crossing a level, or moving by percent from the window's low (up) or high (down).
+   * Blocks without a priced pool leave the price unknown and reset pending holds.
+   */
+  checkPriceCondition(condition, alert, observation, now) {
+    const { currency } = condition;
+    const price = observation.price?.[currency];
+    if (!(price > 0)) return [];
+
+    const unit = currency.toUpperCase();
+    const format = value => Number(value.toPrecision(6));
+
+    if (condition.type !== 'PRICE_CHANGE') {
+      const above = condition.type === 'PRICE_ABOVE';
+      return [{
+        key: 'level',
+        active: above ? price > condition.price : price < condition.price,
+        details: {
+          message: `Price ${format(price)} ${unit} is ${above ? 'above' : 'below'} ${condition.price} ${unit}`,
+          price,
+          currency,
+          level: condition.price,
+        },
+      }];
+    }
+
+    const since = now - condition.windowMinutes * 60000;
+    const prices = alert.history
+      .filter(sample => sample.time >= since && sample.price?.[currency] > 0)
+      .map(sample => sample.price[currency]);
+    const low = Math.min(...prices);
+    const high = Math.max(...prices);
+    const moves = {
+      up: { changePercent: ((price - low) / low) * 100, referencePrice: low },
+      down: { changePercent: ((high - price) / high) * 100, referencePrice: high },
+    };
+
+    return Object.entries(moves)
+      .filter(([direction]) => condition.direction === 'any' || condition.direction === direction)
+      .map(([direction, move]) => ({
+        key: direction,
+        active: move.changePercent >= condition.percent,
+        details: {
+          message: `Price ${direction} ${move.changePercent.toFixed(2)}% within ${condition.windowMinutes}m (${format(move.referencePrice)} -> ${format(price)} ${unit})`,
+          price,
+          currency,
+          direction,
+          ...move,
+        },
+      }));
+  }
+
+  trigger(alert, { condition, since, details }, block) {
+    const label = alert.lastObservation?.label || alert.target.address;
+    alert.triggers++;
+    alert.lastTriggeredAt = new Date().toISOString();
+    this.stats.triggers++;
+
+    this.logger.warn(`🚨 Alert ${alert.id} ${condition.type} on ${label}: ${details.message}`);
+
+    this.deliver(alert, {
+      id: crypto.randomUUID(),
+      event: 'alert.triggered',
+      alertId: alert.id,
+      target: { ...alert.target, label },
+      condition,
+      blockNumber: block.blockNumber,
+      blockTimestamp: block.blockTimestamp,
+      holdingSinceBlock: since,
+      triggeredAt: alert.lastTriggeredAt,
+      ...details,
+    }, 1);
+  }
+
+  // ============ DELIVERY ============
+
+  /**
+   * HMAC-SHA256 of `${timestamp}.${body}` with the alert's secret
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST the payload, retrying network errors, 408, 429 and 5xx with exponential backoff.
+   * Every attempt is signed again with a fresh timestamp; the delivery id stays the same.
+   */
+  async deliver(alert, payload, attempt) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    let error;
+    let retryable = true;
+
+    try {
+      if (!ALERT_CONFIG.ALLOW_PRIVATE_URLS && isPrivateAddress(urlHost(alert.url))) {
+        const blocked = new Error(`${urlHost(alert.url)} is a private address`);
+        blocked.code = 'EPRIVATEADDRESS';
+        throw blocked;
+      }
+
+      const response = await axios.post(alert.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'bscradar-alerts/1.0',
+          'X-BSCRadar-Event': payload.event,
+          'X-BSCRadar-Delivery': payload.id,
+          'X-BSCRadar-Timestamp': String(timestamp),
+          'X-BSCRadar-Signature': `sha256=${this.sign(alert.secret, timestamp, body)}`,
+        },
+        timeout: ALERT_CONFIG.DELIVERY_TIMEOUT,
+        maxRedirects: 0,
+        // A proxy would do the resolving instead of publicLookup
+        proxy: false,
+        ...DELIVERY_AGENTS,
+        validateStatus: () => true,
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        alert.lastDelivery = { id: payload.id, status: response.status, attempts: attempt, success: true, at: new Date().toISOString() };
+        this.stats.delivered++;
+        this.logger.info(`📨 Alert ${alert.id} delivered (${payload.id}, attempt ${attempt})`);
+        return;
+      }
+
+      error = `HTTP ${response.status}`;
+      retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    } catch (err) {
+      error = err.message;
+      retryable = err.code !== 'EPRIVATEADDRESS';
+    }
+
+    alert.lastDelivery = { id: payload.id, status: null, attempts: attempt, success: false, error, at: new Date().toISOString() };
+
+    if (retryable && attempt < ALERT_CONFIG.MAX_ATTEMPTS && this.alerts.has(alert.id)) {
+      const delay = Math.min(ALERT_CONFIG.RETRY_BASE_DELAY * 2 ** (attempt - 1), ALERT_CONFIG.RETRY_MAX_DELAY);
+      this.logger.warn(`Alert ${alert.id} delivery failed (${error}), retry ${attempt + 1}/${ALERT_CONFIG.MAX_ATTEMPTS} in ${delay}ms`);
+
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer);
+        if (this.alerts.has(alert.id)) this.deliver(alert, payload, attempt + 1);
+      }, delay);
+      this.retryTimers.add(timer);
+      return;
+    }
+
+    this.stats.failed++;
+    this.logger.error(`Alert ${alert.id} delivery ${payload.id} failed after ${attempt} attempt(s): ${error}`);
+  }
+
+  formatAlert(alert) {
+    const observation = alert.lastObservation;
+    return {
+      id: alert.id,
+      url: alert.url,
+      target: alert.target,
+      conditions: alert.conditions,
+      createdAt: alert.createdAt,
+      paused: alert.paused,
+      triggers: alert.triggers,
+      lastTriggeredAt: alert.lastTriggeredAt,
+      lastDelivery: alert.lastDelivery,
+      lastError: alert.lastError,
+      lastObservation: observation && {
+        blockNumber: observation.blockNumber,
+        blockTimestamp: observation.blockTimestamp,
+        liquidityUSD: observation.liquidityUSD,
+        price: observation.price,
+        pools: observation.pools,
+      },
+    };
+  }
+
+  getStats() {
+    return {
+      alerts: this.alerts.size,
+      targets: this.targets.size,
+      ...this.stats,
+      pendingRetries: this.retryTimers.size,
+    };
+  }
+
+  /**
+   * Cancel scheduled delivery retries (shutdown)
+   */
+  stop() {
+    for (const timer of this.retryTimers) clearTimeout(timer);
+    this.retryTimers.clear();
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  getAlertService: perChain(() => new AlertService()),
+};
@@ -0,0 +1,69 @@
+// src/services/BlockWatcherService.js
+// Polls the chain head and emits 'block' ({ number, timestamp }) for every new head seen
+
+const { EventEmitter } = require('events');
+const { getProviderService } = require('./ProviderService');
+const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const { STREAM_CONFIG } = require('../config/constants');
+
+class BlockWatcherService extends EventEmitter {
+  constructor() {
+    super();
+    this.providerService = getProviderService();
+    this.logger = getLogger();
+    this.timer = null;
+    this.running = false;
+    this.lastBlock = null;
+  }
+
+  /**
+   * Start polling (no-op if already running). Blocks produced between two polls
+   * are reported once, as the newest head.
+   */
+  start(intervalMs = STREAM_CONFIG.BLOCK_POLL_INTERVAL) {
+    if (this.running) return;
+    this.running = true;
+
+    const poll = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        this.logger.warn(`Block watcher poll failed: ${error.message}`);
+      }
+      if (this.running) this.timer = setTimeout(poll, intervalMs);
+    };
+
+    this.logger.info(`⛓️ Block watcher started (polling every ${intervalMs}ms)`);
+    poll();
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.logger.info('Block watcher stopped');
+  }
+
+  async poll() {
+    const block = await this.providerService.executeWithRetry(provider => provider.getBlock('latest'), 1);
+    if (!block || (this.lastBlock && block.number <= this.lastBlock.number)) return;
+
+    this.lastBlock = { number: block.number, timestamp: block.timestamp };
+    this.emit('block', this.lastBlock);
+  }
+
+  getStats() {
+    return {
+      running: this.running,
+      lastBlock: this.lastBlock,
+      listeners: this.listenerCount('block'),
+    };
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  getBlockWatcherService: perChain(() => new BlockWatcherService()),
+};
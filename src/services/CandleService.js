@@ -0,0 +1,253 @@
+// src/services/CandleService.js
+// OHLCV candles for a single pool from on-chain Swap (V3) and Sync/Swap (V2) logs
+
+const { ethers } = require('ethers');
+const { getMulticallService } = require('./MulticallService');
+const { getProviderService } = require('./ProviderService');
+const { getPriceService } = require('./PriceService');
+const { getPoolEventIndexer } = require('./PoolEventIndexer');
+const { getCacheService } = require('../utils/Cache');
+const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const { CANDLE_CONFIG } = require('../config/constants');
+const { PANCAKESWAP_V2_PAIR_ABI, PANCAKESWAP_V3_POOL_ABI } = require('../config/abis');
+
+const v2PairInterface = new ethers.Interface(PANCAKESWAP_V2_PAIR_ABI);
+const v3PoolInterface = new ethers.Interface(PANCAKESWAP_V3_POOL_ABI);
+
+const V2_TOPICS = [v2PairInterface.getEvent('Swap').topicHash, v2PairInterface.getEvent('Sync').topicHash];
+const V3_TOPICS = [v3PoolInterface.getEvent('Swap').topicHash];
+
+// Extra blocks scanned on each side of the estimated range (block times are not constant)
+const BLOCK_MARGIN_RATIO = 0.02;
+const MIN_BLOCK_MARGIN = 20;
+
+class CandleService {
+  constructor() {
+    this.multicallService = getMulticallService();
+    this.providerService = getProviderService();
+    this.priceService = getPriceService();
+    this.eventIndexer = getPoolEventIndexer();
+    this.cache = getCacheService();
+    this.logger = getLogger();
+  }
+
+  /**
+   * Candles between `from` and `to` (unix seconds, `to` exclusive).
+   * Prices are token0 in token1, or token1 in token0 when `invert` is set.
+   * @returns {Object|null} null if the address is not a V2 pair or V3 pool
+   */
+  async getCandles(poolAddress, { interval, from, to, invert = false }) {
+    const nowBucket = Math.floor(Date.now() / 1000 / CANDLE_CONFIG.INTERVALS[interval]);
+    const isLive = to / CANDLE_CONFIG.INTERVALS[interval] >= nowBucket;
+    const cacheKey = `${poolAddress.toLowerCase()}_candles_${interval}_${from}_${isLive ? 'live' : to}_${invert}`;
+
+    const result = await this.cache.getOrSet(
+      this.cache.poolCache,
+      cacheKey,
+      () => this.buildCandles(poolAddress, { interval, from, to, invert }),
+      isLive ? CANDLE_CONFIG.LIVE_CACHE_TTL : CANDLE_CONFIG.HISTORICAL_CACHE_TTL
+    );
+    return result;
+  }
+
+  async buildCandles(poolAddress, { interval, from, to, invert }) {
+    const startTime = Date.now();
+    const pool = await this.getPoolInfo(poolAddress);
+    if (!pool) return null;
+
+    const { fromBlock, toBlock, timestampOf } = await this.resolveBlockRange(from, to);
+    const logs = await this.eventIndexer.getLogs(
+      [pool.address],
+      fromBlock,
+      toBlock,
+      pool.type === 'V3' ? V3_TOPICS : V2_TOPICS
+    );
+
+    const points = pool.type === 'V3' ? this.parseV3Logs(pool, logs) : this.parseV2Logs(pool, logs);
+    const intervalSeconds = CANDLE_CONFIG.INTERVALS[interval];
+    const candles = new Map();
+
+    for (const point of points) {
+      const timestamp = timestampOf(point.blockNumber);
+      if (timestamp < from || timestamp >= to) continue;
+
+      const time = Math.floor(timestamp / intervalSeconds) * intervalSeconds;
+      let candle = candles.get(time);
+      if (!candle) {
+        if (point.price === null) continue; // a V2 swap is always preceded by its Sync
+        candle = { time, open: point.price, high: point.price, low: point.price, close: point.price, volume: 0, quoteVolume: 0, trades: 0 };
+        candles.set(time, candle);
+      }
+
+      if (point.price !== null) {
+        candle.high = Math.max(candle.high, point.price);
+        candle.low = Math.min(candle.low, point.price);
+        candle.close = point.price;
+      }
+      if (point.isSwap) {
+        candle.volume += point.amount0;
+        candle.quoteVolume += point.amount1;
+        candle.trades++;
+      }
+    }
+
+    const ordered = [...candles.values()].sort((a, b) => a.time - b.time);
+    const base = invert ? pool.token1 : pool.token0;
+    const quote = invert ? pool.token0 : pool.token1;
+
+    this.logger.info(`🕯️ ${ordered.length} ${interval} candles for ${pool.type} pool ${pool.address} from ${logs.length} logs in ${Date.now() - startTime}ms`);
+
+    return {
+      pool: {
+        address: pool.address,
+        type: pool.type,
+        token0: pool.token0,
+        token1: pool.token1,
+      },
+      base,
+      quote,
+      priceUnit: `${quote.symbol} per ${base.symbol}`,
+      interval,
+      from,
+      to,
+      blocks: { from: fromBlock, to: toBlock },
+      candles: invert ? ordered.map(candle => this.invertCandle(candle)) : ordered,
+    };
+  }
+
+  /**
+   * Pool type and tokens in one multicall (token0/token1 share a selector on V2 and V3)
+   */
+  async getPoolInfo(poolAddress) {
+    const { v2Pair, v3Pool } = this.multicallService.interfaces;
+    const [token0Result, token1Result, slot0Result, reservesResult] = await this.multicallService.execute([
+      { target: poolAddress, callData: v2Pair.encodeFunctionData('token0'), allowFailure: true },
+      { target: poolAddress, callData: v2Pair.encodeFunctionData('token1'), allowFailure: true },
+      { target: poolAddress, callData: v3Pool.encodeFunctionData('slot0'), allowFailure: true },
+      { target: poolAddress, callData: v2Pair.encodeFunctionData('getReserves'), allowFailure: true },
+    ]);
+
+    // Calls to an address without code succeed with empty return data
+    const hasData = result => result.success && result.returnData.length > 2;
+    if (!hasData(token0Result) || !hasData(token1Result)) return null;
+
+    let type = null;
+    if (hasData(slot0Result)) type = 'V3';
+    else if (hasData(reservesResult)) type = 'V2';
+    if (!type) return null;
+
+    const token0 = v2Pair.decodeFunctionResult('token0', token0Result.returnData)[0];
+    const token1 = v2Pair.decodeFunctionResult('token1', token1Result.returnData)[0];
+    const tokens = await this.multicallService.batchGetTokenInfo([token0, token1]);
+    const tokenInfo = address => {
+      const info = tokens[address.toLowerCase()];
+      return { address, symbol: info.symbol, decimals: info.decimals };
+    };
+
+    return {
+      address: ethers.getAddress(poolAddress),
+      type,
+      token0: tokenInfo(token0),
+      token1: tokenInfo(token1),
+    };
+  }
+
+  /**
+   * Estimate the block range covering [from, to) from the average block time, and
+   * timestamp blocks by interpolating between the headers at both ends of it
+   */
+  async resolveBlockRange(from, to) {
+    const latest = await this.providerService.executeWithRetry(provider => provider.getBlock('latest'));
+    const blockTime = await this.eventIndexer.getBlockTime(latest.number);
+
+    const blocksBack = seconds => Math.floor(Math.max(0, latest.timestamp - seconds) / blockTime);
+    const span = Math.ceil((to - from) / blockTime);
+    const margin = Math.max(MIN_BLOCK_MARGIN, Math.ceil(span * BLOCK_MARGIN_RATIO));
+
+    const fromBlock = Math.max(0, latest.number - blocksBack(from) - margin);
+    const toBlock = Math.min(latest.number, latest.number - blocksBack(to) + margin);
+
+    const [start, end] = await this.providerService.executeWithRetry(provider => Promise.all([
+      provider.getBlock(fromBlock),
+      toBlock === latest.number ? latest : provider.getBlock(toBlock),
+    ]));
+
+    const secondsPerBlock = end.number > start.number
+      ? (end.timestamp - start.timestamp) / (end.number - start.number)
+      : blockTime;
+
+    return {
+      fromBlock,
+      toBlock,
+      timestampOf: blockNumber => start.timestamp + (blockNumber - start.number) * secondsPerBlock,
+    };
+  }
+
+  /**
+   * V3: every Swap carries the post-swap sqrtPriceX96
+   */
+  parseV3Logs(pool, logs) {
+    const { decimals: decimals0 } = pool.token0;
+    const { decimals: decimals1 } = pool.token1;
+
+    return logs.map(log => {
+      const { args } = v3PoolInterface.parseLog(log);
+      return {
+        blockNumber: log.blockNumber,
+        isSwap: true,
+        price: this.priceService.calculateSqrtPriceToPrice(args.sqrtPriceX96, decimals0, decimals1),
+        amount0: Math.abs(Number(ethers.formatUnits(args.amount0, decimals0))),
+        amount1: Math.abs(Number(ethers.formatUnits(args.amount1, decimals1))),
+      };
+    });
+  }
+
+  /**
+   * V2: prices from the reserve ratio in each Sync, volume from Swap amounts
+   */
+  parseV2Logs(pool, logs) {
+    const { decimals: decimals0 } = pool.token0;
+    const { decimals: decimals1 } = pool.token1;
+
+    return logs.map(log => {
+      const { name, args } = v2PairInterface.parseLog(log);
+
+      if (name === 'Sync') {
+        const reserve0 = Number(ethers.formatUnits(args.reserve0, decimals0));
+        const reserve1 = Number(ethers.formatUnits(args.reserve1, decimals1));
+        return {
+          blockNumber: log.blockNumber,
+          isSwap: false,
+          price: reserve0 > 0 ? reserve1 / reserve0 : null,
+        };
+      }
+
+      return {
+        blockNumber: log.blockNumber,
+        isSwap: true,
+        price: null,
+        amount0: Number(ethers.formatUnits(args.amount0In + args.amount0Out, decimals0)),
+        amount1: Number(ethers.formatUnits(args.amount1In + args.amount1Out, decimals1)),
+      };
+    });
+  }
+
+  invertCandle(candle) {
+    return {
+      time: candle.time,
+      open: candle.open > 0 ? 1 / candle.open : 0,
+      high: candle.low > 0 ? 1 / candle.low : 0,
+      low: candle.high > 0 ? 1 / candle.high : 0,
+      close: candle.close > 0 ? 1 / candle.close : 0,
+      volume: candle.quoteVolume,
+      quoteVolume: candle.volume,
+      trades: candle.trades,
+    };
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  getCandleService: perChain(() => new CandleService()),
+};
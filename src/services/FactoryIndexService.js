@@ -0,0 +1,370 @@
+// src/services/FactoryIndexService.js
+// Token -> pools index built from every PairCreated (V2 DEXes in config/protocols.js),
+// V3 PoolCreated and Algebra Pool event, so pool discovery finds pairs against any token,
+// not only the common base pairs
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const { ethers } = require('ethers');
+const { getProviderService } = require('./ProviderService');
+const { getPoolEventIndexer } = require('./PoolEventIndexer');
+const { getLogger } = require('../utils/Logger');
+const { getChain, perChain } = require('../utils/ChainContext');
+const { FACTORY_INDEX_CONFIG } = require('../config/constants');
+const { PANCAKESWAP_V2_FACTORY_ABI, PANCAKESWAP_V3_FACTORY_ABI, ALGEBRA_FACTORY_ABI } = require('../config/abis');
+const {
+  V3_ADAPTERS,
+  getV2Protocols,
+  getV3Protocols,
+  getV2ProtocolByFactory,
+  getV2PoolFee,
+  getV3ProtocolByFactory,
+} = require('../config/protocols');
+
+const v2FactoryInterface = new ethers.Interface(PANCAKESWAP_V2_FACTORY_ABI);
+const v3FactoryInterface = new ethers.Interface(PANCAKESWAP_V3_FACTORY_ABI);
+const algebraFactoryInterface = new ethers.Interface(ALGEBRA_FACTORY_ABI);
+
+// Factories of the enabled DEXes on the current chain
+const getFactories = () => [...getV2Protocols(), ...getV3Protocols()].map(protocol => protocol.factory);
+
+const CREATED_TOPICS = [
+  v2FactoryInterface.getEvent('PairCreated').topicHash,
+  v3FactoryInterface.getEvent('PoolCreated').topicHash,
+  algebraFactoryInterface.getEvent('Pool').topicHash,
+];
+
+// Bumped when the snapshot line format changes
+const SNAPSHOT_VERSION = 2;
+
+/**
+ * Decode a factory PairCreated (V2) / PoolCreated (V3) / Pool (Algebra) log. Algebra
+ * pools have a dynamic fee and get fee and tickSpacing null.
+ * @returns {Object|null} { address, type, protocol, token0, token1, fee, tickSpacing, createdBlock, transactionHash, factory }
+ */
+function parseCreatedLog(log) {
+  try {
+    const v2Protocol = getV2ProtocolByFactory(log.address);
+    if (v2Protocol) {
+      const { args } = v2FactoryInterface.parseLog(log);
+      return {
+        address: args.pair,
+        type: 'V2',
+        protocol: v2Protocol.name,
+        token0: args.token0,
+        token1: args.token1,
+        fee: getV2PoolFee(v2Protocol),
+        tickSpacing: null,
+        createdBlock: log.blockNumber,
+        transactionHash: log.transactionHash,
+        factory: log.address,
+      };
+    }
+
+    const v3Protocol = getV3ProtocolByFactory(log.address);
+    if (!v3Protocol) return null;
+
+    const isAlgebra = v3Protocol.adapter === V3_ADAPTERS.ALGEBRA;
+    const { args } = (isAlgebra ? algebraFactoryInterface : v3FactoryInterface).parseLog(log);
+    return {
+      address: args.pool,
+      type: 'V3',
+      protocol: v3Protocol.name,
+      token0: args.token0,
+      token1: args.token1,
+      fee: isAlgebra ? null : Number(args.fee),
+      tickSpacing: isAlgebra ? null : Number(args.tickSpacing),
+      createdBlock: log.blockNumber,
+      transactionHash: log.transactionHash,
+      factory: log.address,
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+class FactoryIndexService {
+  constructor() {
+    this.providerService = getProviderService();
+    this.eventIndexer = getPoolEventIndexer();
+    this.logger = getLogger();
+
+    // Lowercase token -> { address, pools }. Each pool record is shared by its two
+    // tokens and points at their entries, so a token like WBNB that is in a million
+    // pairs is stored once and a pair token's pool count is one property read.
+    this.byToken = new Map();
+    this.poolCount = 0;
+    this.chain = getChain();
+    this.fromBlock = this.chain.factoryIndexFromBlock;
+    this.factories = getFactories();
+    this.indexedThrough = this.fromBlock - 1;
+    this.headBlock = null;
+    this.caughtUp = false;
+    this.lastError = null;
+
+    this.running = false;
+    this.timer = null;
+    this.steps = 0;
+    this.saving = null;
+
+    // Snapshot lines reuse these strings instead of one copy per pool
+    this.protocolNames = new Map([...getV2Protocols(), ...getV3Protocols()].map(protocol => [protocol.name, protocol.name]));
+  }
+
+  /**
+   * Resume from the snapshot (if any), then backfill to the chain head and follow it
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    const step = async () => {
+      let delay = FACTORY_INDEX_CONFIG.POLL_INTERVAL;
+      try {
+        delay = await this.step();
+        this.lastError = null;
+      } catch (error) {
+        this.lastError = error.message;
+        this.logger.warn(`Factory index step failed at block ${this.indexedThrough + 1}: ${error.message}`);
+      }
+      if (this.running) this.timer = setTimeout(step, delay);
+    };
+
+    this.loadSnapshot()
+      .catch(error => this.logger.warn(`Factory index snapshot not loaded: ${error.message}`))
+      .then(() => {
+        if (!this.running) return;
+        this.logger.info(`🗂️ Factory index started at block ${this.indexedThrough + 1} (${this.poolCount} pools from snapshot)`);
+        step();
+      });
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.saveSnapshot().catch(error => this.logger.warn(`Factory index snapshot not saved: ${error.message}`));
+    this.logger.info('Factory index stopped');
+  }
+
+  /**
+   * Index the next block range
+   * @returns {Promise<number>} ms to wait before the next step
+   */
+  async step() {
+    const head = await this.providerService.executeWithRetry(provider => provider.getBlockNumber());
+    this.headBlock = head;
+
+    const fromBlock = this.indexedThrough + 1;
+    if (fromBlock > head) return FACTORY_INDEX_CONFIG.POLL_INTERVAL;
+
+    const toBlock = Math.min(head, fromBlock + FACTORY_INDEX_CONFIG.BACKFILL_STEP - 1);
+    const logs = await this.eventIndexer.getLogs(this.factories, fromBlock, toBlock, CREATED_TOPICS);
+    for (const log of logs) {
+      const pool = parseCreatedLog(log);
+      if (pool) this.add(pool);
+    }
+    this.indexedThrough = toBlock;
+    this.steps++;
+
+    if (toBlock === head && !this.caughtUp) {
+      this.caughtUp = true;
+      this.logger.info(`🗂️ Factory index caught up at block ${head}: ${this.poolCount} pools, ${this.byToken.size} tokens`);
+      await this.saveSnapshot();
+    } else if (this.steps % FACTORY_INDEX_CONFIG.SNAPSHOT_EVERY_STEPS === 0) {
+      this.logger.info(`🗂️ Factory index at block ${toBlock}/${head}: ${this.poolCount} pools`);
+      await this.saveSnapshot();
+    }
+
+    return toBlock < head ? FACTORY_INDEX_CONFIG.BACKFILL_DELAY : FACTORY_INDEX_CONFIG.POLL_INTERVAL;
+  }
+
+  add({ address, type, protocol, token0, token1, fee, createdBlock }) {
+    // protocol is one of a few shared strings, so it costs a pointer per record
+    const record = { address: address.toLowerCase(), type, protocol, token0: null, token1: null, fee, createdBlock };
+    record.token0 = this.attach(token0, record);
+    record.token1 = this.attach(token1, record);
+    this.poolCount++;
+  }
+
+  /**
+   * Append a pool record to a token's entry (created on its first pool)
+   * @returns {Object} the token entry
+   */
+  attach(tokenAddress, record) {
+    const key = tokenAddress.toLowerCase();
+    const entry = this.byToken.get(key);
+    if (entry) {
+      entry.pools.push(record);
+      return entry;
+    }
+
+    // Most tokens only ever get one pool: an array literal is allocated at that size
+    const created = { address: key, pools: [record] };
+    this.byToken.set(key, created);
+    return created;
+  }
+
+  /**
+   * Pools containing a token, in the shape PoolDiscoveryService returns. Tokens with
+   * more than MAX_POOLS_PER_TOKEN pools keep those against the most-paired tokens.
+   * @param {number|null} maxBlock - ignore pools created after this block (pinned requests)
+   * @returns {{ pools: Object[], total: number, truncated: boolean }}
+   */
+  getPoolsForToken(tokenAddress, { maxBlock = null } = {}) {
+    const entry = this.byToken.get(tokenAddress.toLowerCase());
+    const records = entry?.pools || [];
+    const limit = FACTORY_INDEX_CONFIG.MAX_POOLS_PER_TOKEN;
+
+    // Bounded top-k by pair-token popularity, ascending so top[0] is the weakest kept
+    const top = [];
+    let total = 0;
+    for (const record of records) {
+      if (maxBlock !== null && record.createdBlock > maxBlock) continue;
+      total++;
+
+      const pairToken = record.token0 === entry ? record.token1 : record.token0;
+      const weight = pairToken.pools.length;
+      if (top.length === limit && weight <= top[0].weight) continue;
+
+      let i = top.findIndex(entry => entry.weight > weight);
+      if (i === -1) i = top.length;
+      top.splice(i, 0, { record, pairToken, weight });
+      if (top.length > limit) top.shift();
+    }
+
+    const tokenChecksum = ethers.getAddress(tokenAddress);
+    const pools = top.reverse().map(({ record, pairToken }) => ({
+      address: ethers.getAddress(record.address),
+      token0: tokenChecksum,
+      token1: ethers.getAddress(pairToken.address),
+      pairToken: ethers.getAddress(pairToken.address),
+      type: record.type,
+      protocol: record.protocol,
+      ...(record.type === 'V3' && record.fee !== null && { fee: record.fee }),
+      createdBlock: record.createdBlock,
+    }));
+
+    return { pools, total, truncated: total > pools.length };
+  }
+
+  /**
+   * How much of the chain the index covers; discovery is only exhaustive once complete
+   */
+  getCoverage() {
+    return {
+      enabled: FACTORY_INDEX_CONFIG.ENABLED,
+      complete: this.caughtUp,
+      fromBlock: this.fromBlock,
+      indexedThrough: this.indexedThrough,
+      headBlock: this.headBlock,
+    };
+  }
+
+  /**
+   * Indexed factories, recorded in the snapshot header
+   */
+  factoryKey() {
+    return this.factories.map(factory => factory.toLowerCase()).sort().join(',');
+  }
+
+  snapshotPath() {
+    const file = this.chain.factoryIndexFile;
+    return file ? path.resolve(file) : null;
+  }
+
+  /**
+   * Write every pool as one NDJSON line (header line first) to a temp file, then
+   * rename it over the snapshot so a crash never leaves a truncated file
+   */
+  saveSnapshot() {
+    const file = this.snapshotPath();
+    if (!file || this.poolCount === 0) return Promise.resolve();
+    if (this.saving) return this.saving;
+
+    this.saving = this.writeSnapshot(file).finally(() => {
+      this.saving = null;
+    });
+    return this.saving;
+  }
+
+  async writeSnapshot(file) {
+    const startTime = Date.now();
+    const tmpFile = `${file}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    const indexedThrough = this.indexedThrough;
+    const out = fs.createWriteStream(tmpFile);
+    let streamError = null;
+    out.on('error', error => { streamError = error; });
+
+    const write = async line => {
+      if (streamError) throw streamError;
+      if (!out.write(`${line}\n`)) await once(out, 'drain');
+    };
+
+    await write(JSON.stringify({ version: SNAPSHOT_VERSION, fromBlock: this.fromBlock, factories: this.factoryKey(), indexedThrough }));
+    for (const entry of this.byToken.values()) {
+      for (const record of entry.pools) {
+        // Each record is listed under both tokens; write it once
+        if (record.token0 !== entry || record.createdBlock > indexedThrough) continue;
+        await write(JSON.stringify([record.address, record.type, record.protocol, record.token0.address, record.token1.address, record.fee, record.createdBlock]));
+      }
+    }
+
+    out.end();
+    await once(out, 'finish');
+    if (streamError) throw streamError;
+    await fs.promises.rename(tmpFile, file);
+    this.logger.info(`💾 Factory index snapshot saved through block ${indexedThrough} (${Date.now() - startTime}ms)`);
+  }
+
+  async loadSnapshot() {
+    const file = this.snapshotPath();
+    if (!file || !fs.existsSync(file)) return;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let header = null;
+    for await (const line of lines) {
+      if (!line) continue;
+      if (!header) {
+        header = JSON.parse(line);
+        // A factory added since the snapshot was taken has no events in the indexed range
+        if (header.version !== SNAPSHOT_VERSION || header.fromBlock !== this.fromBlock ||
+            header.factories !== this.factoryKey()) {
+          this.logger.warn(`Factory index snapshot ${file} does not match this configuration; rebuilding`);
+          lines.close();
+          return;
+        }
+        continue;
+      }
+
+      const [address, type, protocol, token0, token1, fee, createdBlock] = JSON.parse(line);
+      this.add({ address, type, protocol: this.protocolNames.get(protocol) || protocol, token0, token1, fee, createdBlock });
+    }
+
+    if (header) this.indexedThrough = header.indexedThrough;
+  }
+
+  getStats() {
+    return {
+      ...this.getCoverage(),
+      running: this.running,
+      pools: this.poolCount,
+      tokens: this.byToken.size,
+      lastError: this.lastError,
+    };
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  FactoryIndexService,
+  parseCreatedLog,
+  getFactories,
+  CREATED_TOPICS,
+  getFactoryIndexService: perChain(() => new FactoryIndexService()),
+};
@@ -0,0 +1,262 @@
+// src/services/LiquidityDepthService.js
+// Order-book style liquidity depth for a single V2 or V3 pool
+
+const { ethers } = require('ethers');
+const { getMulticallService } = require('./MulticallService');
+const { getV2PoolService } = require('./V2PoolService');
+const { getV3PoolService } = require('./V3PoolService');
+const { getV3SwapSimulator } = require('./V3SwapSimulator');
+const { getTokenService } = require('./TokenService');
+const { getPriceService } = require('./PriceService');
+const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const V3Math = require('../utils/V3Math');
+
+// Price moves (in %) reported on each side of the book
+const DEPTH_LEVELS = [0.5, 1, 2, 5, 10];
+
+// Fixed-point scale for the sqrt(1 ± x) factors
+const FACTOR_SCALE = 10n ** 18n;
+
+// Large enough that a V3 swap always stops at its price limit rather than running out of input
+const UNBOUNDED_AMOUNT = 1n << 200n;
+
+class LiquidityDepthService {
+  constructor() {
+    this.multicallService = getMulticallService();
+    this.v2PoolService = getV2PoolService();
+    this.v3PoolService = getV3PoolService();
+    this.swapSimulator = getV3SwapSimulator();
+    this.tokenService = getTokenService();
+    this.priceService = getPriceService();
+    this.logger = getLogger();
+  }
+
+  /**
+   * Detect whether an address is a V2 pair or a V3 pool
+   * @returns {'V2'|'V3'|null}
+   */
+  async detectPoolType(poolAddress) {
+    const [v3Result, algebraResult, v2Result] = await this.multicallService.execute([
+      {
+        target: poolAddress,
+        callData: this.multicallService.interfaces.v3Pool.encodeFunctionData('slot0'),
+        allowFailure: true,
+      },
+      {
+        target: poolAddress,
+        callData: this.multicallService.interfaces.algebraPool.encodeFunctionData('globalState'),
+        allowFailure: true,
+      },
+      {
+        target: poolAddress,
+        callData: this.multicallService.interfaces.v2Pair.encodeFunctionData('getReserves'),
+        allowFailure: true,
+      },
+    ]);
+
+    // Calls to an address without code succeed with empty return data
+    if (v3Result.success && v3Result.returnData.length > 2) return 'V3';
+    if (algebraResult.success && algebraResult.returnData.length > 2) return 'V3';
+    if (v2Result.success && v2Result.returnData.length > 2) return 'V2';
+    return null;
+  }
+
+  /**
+   * Get bid/ask depth for a pool at ±DEPTH_LEVELS percent price moves.
+   * Prices are token0 quoted in token1; asks are token0 bought (price up),
+   * bids are token0 sold (price down).
+   */
+  async getPoolDepth(poolAddress) {
+    const startTime = Date.now();
+    const type = await this.detectPoolType(poolAddress);
+
+    if (!type) {
+      return null;
+    }
+
+    const depth = type === 'V2'
+      ? await this.getV2Depth(poolAddress)
+      : await this.getV3Depth(poolAddress);
+
+    if (!depth) {
+      return null;
+    }
+
+    this.logger.info(`📊 Depth for ${type} pool ${poolAddress} computed in ${Date.now() - startTime}ms`);
+
+    return {
+      ...depth,
+      levels: DEPTH_LEVELS,
+      timing: `${Date.now() - startTime}ms`,
+    };
+  }
+
+  /**
+   * V2 closed form: moving the price by (1 + x) on x*y=k leaves
+   * reserve0' = reserve0 / sqrt(1 + x) and reserve1' = reserve1 * sqrt(1 + x)
+   */
+  async getV2Depth(poolAddress) {
+    const poolData = await this.v2PoolService.getPoolData(poolAddress);
+    if (!poolData) return null;
+
+    const reserve0 = BigInt(poolData.reserves.reserve0);
+    const reserve1 = BigInt(poolData.reserves.reserve1);
+    const { token0, token1 } = poolData;
+    const spotPrice = poolData.price.token0Price;
+    const feeBps = BigInt(Math.round(poolData.fee * 10000));
+
+    const usdPrices = this.getTokenPricesUSD(token0.address, token1.address, spotPrice);
+    const asks = [];
+    const bids = [];
+
+    for (const percent of DEPTH_LEVELS) {
+      // Price up: token1 in, token0 out
+      const upFactor = this.sqrtFactor(1 + percent / 100);
+      const token0Out = reserve0 - (reserve0 * FACTOR_SCALE) / upFactor;
+      const token1In = this.addFee((reserve1 * upFactor) / FACTOR_SCALE - reserve1, feeBps);
+      asks.push(this.formatLevel(percent, spotPrice, token0Out, token1In, token0, token1, usdPrices));
+
+      // Price down: token0 in, token1 out
+      const downFactor = this.sqrtFactor(1 - percent / 100);
+      const token0In = this.addFee((reserve0 * FACTOR_SCALE) / downFactor - reserve0, feeBps);
+      const token1Out = reserve1 - (reserve1 * downFactor) / FACTOR_SCALE;
+      bids.push(this.formatLevel(-percent, spotPrice, token0In, token1Out, token0, token1, usdPrices));
+    }
+
+    return {
+      pool: this.formatPool(poolAddress, 'V2', poolData.protocol, token0, token1, poolData.fee * 1000000),
+      spotPrice: { token0InToken1: spotPrice, token1InToken0: spotPrice > 0 ? 1 / spotPrice : 0 },
+      liquidityUSD: poolData.liquidity?.totalValueUSD || 0,
+      asks,
+      bids,
+    };
+  }
+
+  /**
+   * V3: walk the tick liquidity distribution up to each price limit
+   */
+  async getV3Depth(poolAddress) {
+    const state = await this.swapSimulator.loadPoolState(poolAddress);
+    const [token0, token1] = await Promise.all([
+      this.tokenService.getTokenInfo(state.token0),
+      this.tokenService.getTokenInfo(state.token1),
+    ]);
+
+    const spotPrice = this.v3PoolService.calculateV3Price(
+      state.sqrtPriceX96,
+      token0.decimals,
+      token1.decimals,
+      token0.symbol,
+      token1.symbol
+    ).token1Price;
+
+    const usdPrices = this.getTokenPricesUSD(token0.address, token1.address, spotPrice);
+    const asks = [];
+    const bids = [];
+
+    for (const percent of DEPTH_LEVELS) {
+      // Price up: token1 in (oneForZero)
+      const upLimit = this.clampSqrtPrice(
+        (state.sqrtPriceX96 * this.sqrtFactor(1 + percent / 100)) / FACTOR_SCALE
+      );
+      const up = await this.swapSimulator.swap(state, false, UNBOUNDED_AMOUNT, upLimit);
+      asks.push({
+        ...this.formatLevel(percent, spotPrice, up.amountOut, up.amountIn, token0, token1, usdPrices),
+        ticksCrossed: up.initializedTicksCrossed,
+        reached: up.sqrtPriceX96After === upLimit,
+      });
+
+      // Price down: token0 in (zeroForOne)
+      const downLimit = this.clampSqrtPrice(
+        (state.sqrtPriceX96 * this.sqrtFactor(1 - percent / 100)) / FACTOR_SCALE
+      );
+      const down = await this.swapSimulator.swap(state, true, UNBOUNDED_AMOUNT, downLimit);
+      bids.push({
+        ...this.formatLevel(-percent, spotPrice, down.amountIn, down.amountOut, token0, token1, usdPrices),
+        ticksCrossed: down.initializedTicksCrossed,
+        reached: down.sqrtPriceX96After === downLimit,
+      });
+    }
+
+    return {
+      pool: this.formatPool(poolAddress, 'V3', state.protocol, token0, token1, state.fee),
+      spotPrice: { token0InToken1: spotPrice, token1InToken0: spotPrice > 0 ? 1 / spotPrice : 0 },
+      tick: state.tick,
+      activeLiquidity: state.liquidity.toString(),
+      asks,
+      bids,
+    };
+  }
+
+  /**
+   * One depth level. For asks token0 is received and token1 paid,
+   * for bids token0 is paid and token1 received; valued on the token1 leg
+   * unless only token0 has a known USD price.
+   */
+  formatLevel(percent, spotPrice, amount0, amount1, token0, token1, usdPrices) {
+    const token0Amount = ethers.formatUnits(amount0 > 0n ? amount0 : 0n, token0.decimals);
+    const token1Amount = ethers.formatUnits(amount1 > 0n ? amount1 : 0n, token1.decimals);
+
+    const valueUSD = usdPrices.token1 > 0
+      ? Number(token1Amount) * usdPrices.token1
+      : Number(token0Amount) * usdPrices.token0;
+
+    return {
+      priceChange: percent,
+      price: spotPrice * (1 + percent / 100),
+      token0Amount,
+      token1Amount,
+      valueUSD,
+    };
+  }
+
+  formatPool(address, type, protocol, token0, token1, fee) {
+    return {
+      address: address.toLowerCase(),
+      type,
+      protocol,
+      fee: Math.round(fee),
+      feePercent: fee / 10000,
+      token0: { address: token0.address, symbol: token0.symbol, decimals: token0.decimals },
+      token1: { address: token1.address, symbol: token1.symbol, decimals: token1.decimals },
+    };
+  }
+
+  /**
+   * USD price of both tokens, deriving the unknown side from the pool price
+   */
+  getTokenPricesUSD(token0Address, token1Address, price0In1) {
+    const basePrices = this.priceService.basePrices || {};
+    let token0 = basePrices[token0Address.toLowerCase()] || 0;
+    let token1 = basePrices[token1Address.toLowerCase()] || 0;
+
+    if (!token0 && token1 && price0In1 > 0) token0 = price0In1 * token1;
+    if (!token1 && token0 && price0In1 > 0) token1 = token0 / price0In1;
+
+    return { token0, token1 };
+  }
+
+  sqrtFactor(multiplier) {
+    return BigInt(Math.round(Math.sqrt(multiplier) * Number(FACTOR_SCALE)));
+  }
+
+  clampSqrtPrice(sqrtPriceX96) {
+    if (sqrtPriceX96 <= V3Math.MIN_SQRT_RATIO) return V3Math.MIN_SQRT_RATIO + 1n;
+    if (sqrtPriceX96 >= V3Math.MAX_SQRT_RATIO) return V3Math.MAX_SQRT_RATIO - 1n;
+    return sqrtPriceX96;
+  }
+
+  /**
+   * Gross input needed so that `netAmount` reaches the reserves after the LP fee
+   */
+  addFee(netAmount, feeBps) {
+    const denominator = 10000n - feeBps;
+    return (netAmount * 10000n + denominator - 1n) / denominator;
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  getLiquidityDepthService: perChain(() => new LiquidityDepthService()),
+};
@@ -1,26 +1,24 @@
 // src/services/MultiHopRouterService.js
-// Multi-hop route finding service for token-to-token swaps
+// Multi-hop route finding service for token-to-token swaps. The pools of tokenIn, tokenOut,
+// the registry intermediates and the pair tokens reached from them form a token graph; the
+// k cheapest paths of up to maxHops pools (utils/PoolGraph) are then quoted on-chain and
+// ranked by output.
 
 const { ethers } = require('ethers');
 const { getPoolAnalyzer } = require('./PoolAnalyzer');
 const { getPriceService } = require('./PriceService');
+const { getMulticallService } = require('./MulticallService');
+const { getV2PoolService } = require('./V2PoolService');
+const { getV3PoolService } = require('./V3PoolService');
+const { getV3SwapSimulator } = require('./V3SwapSimulator');
+const { getStableSwapPoolService } = require('./StableSwapPoolService');
+const { getTokenRegistry } = require('./TokenRegistryService');
 const { getLogger } = require('../utils/Logger');
-
-// Common intermediate tokens on BSC
-const INTERMEDIATES = {
-  WBNB: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
-  USDC: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d',
-  USDT: '0x55d398326f99059fF775485246999027B3197955',
-  BUSD: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56',
-  DAI: '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3',
-  CAKE: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82',
-};
-
-// Primary intermediates for 3-hop routing (most liquid)
-const PRIMARY_INTERMEDIATES = ['WBNB', 'USDC', 'USDT'];
-
-// Secondary intermediates that may need 3-hop (ecosystem tokens)
-const SECONDARY_INTERMEDIATES = ['CAKE'];
+const { perChain } = require('../utils/ChainContext');
+const PoolGraph = require('../utils/PoolGraph');
+const { PANCAKESWAP_V3_QUOTER_V2_ABI } = require('../config/abis');
+const { ROUTER_CONFIG } = require('../config/constants');
+const { getV3Protocol } = require('../config/protocols');
 
 // Normalize addresses for comparison
 const normalizeAddress = (addr) => addr?.toLowerCase();
@@ -29,6 +27,13 @@ class MultiHopRouterService {
   constructor() {
     this.poolAnalyzer = getPoolAnalyzer();
     this.priceService = getPriceService();
+    this.multicallService = getMulticallService();
+    this.v2PoolService = getV2PoolService();
+    this.v3PoolService = getV3PoolService();
+    this.swapSimulator = getV3SwapSimulator();
+    this.stableSwapPoolService = getStableSwapPoolService();
+    this.tokenRegistry = getTokenRegistry();
+    this.quoterInterface = new ethers.Interface(PANCAKESWAP_V3_QUOTER_V2_ABI);
     this.logger = getLogger();
   }
 
@@ -37,477 +42,557 @@ class MultiHopRouterService {
    * @param {string} tokenIn - Input token address
    * @param {string} tokenOut - Output token address
    * @param {string} amountIn - Amount of tokenIn (in wei)
+   * @param {Object} [options] - { maxHops: most pools in a route (default ROUTER_CONFIG.MAX_HOPS) }
    * @returns {Object} Best route with legs and estimated output
    */
-  async findBestRoute(tokenIn, tokenOut, amountIn) {
+  async findBestRoute(tokenIn, tokenOut, amountIn, options = {}) {
     const startTime = Date.now();
+    const { maxHops = ROUTER_CONFIG.MAX_HOPS } = options;
     tokenIn = ethers.getAddress(tokenIn);
     tokenOut = ethers.getAddress(tokenOut);
 
-    this.logger.info(`🔍 Finding best route: ${tokenIn.slice(0,10)}... -> ${tokenOut.slice(0,10)}...`);
+    this.logger.info(`🔍 Finding best route: ${tokenIn.slice(0,10)}... -> ${tokenOut.slice(0,10)}... (max ${maxHops} hops)`);
 
-    // Check if either token is a common intermediate (direct swap possible)
-    const isDirectSwap = this.isDirectSwapPossible(tokenIn, tokenOut);
+    // Analyze both tokens and the registry intermediates in parallel (analyses are cached)
+    const intermediates = this.tokenRegistry.getIntermediates()
+      .filter(token => ![normalizeAddress(tokenIn), normalizeAddress(tokenOut)].includes(normalizeAddress(token.address)));
 
-    // Analyze both tokens in parallel
-    const [tokenInAnalysis, tokenOutAnalysis] = await Promise.all([
-      this.poolAnalyzer.analyzeToken(tokenIn).catch(err => {
-        this.logger.warn(`Failed to analyze tokenIn: ${err.message}`);
-        return null;
-      }),
-      this.poolAnalyzer.analyzeToken(tokenOut).catch(err => {
-        this.logger.warn(`Failed to analyze tokenOut: ${err.message}`);
-        return null;
-      }),
-    ]);
+    const [tokenInAnalysis, tokenOutAnalysis, ...intermediateAnalyses] = await Promise.all(
+      [tokenIn, tokenOut, ...intermediates.map(token => token.address)].map(token => this.analyzeOrNull(token))
+    );
 
     if (!tokenInAnalysis || !tokenOutAnalysis) {
       throw new Error('Failed to analyze one or both tokens');
     }
 
-    // Find common intermediates between the two tokens
-    const routes = [];
-
-    // Try each intermediate token
-    for (const [name, intermediateAddr] of Object.entries(INTERMEDIATES)) {
-      const route = await this.evaluateRoute(
-        tokenIn,
-        tokenOut,
-        intermediateAddr,
-        name,
-        tokenInAnalysis,
-        tokenOutAnalysis,
-        amountIn
-      );
-
-      if (route) {
-        routes.push(route);
-      }
-    }
-
-    // Also check if direct swap is possible (tokens share a pool)
-    const directRoute = await this.evaluateDirectRoute(
-      tokenIn,
-      tokenOut,
-      tokenInAnalysis,
-      tokenOutAnalysis,
-      amountIn
+    const analyses = await this.expandAnalyses(
+      [tokenInAnalysis, tokenOutAnalysis, ...intermediateAnalyses.filter(Boolean)],
+      maxHops
     );
 
-    if (directRoute) {
-      routes.push(directRoute);
-    }
+    // Stablecoin pairs can also swap directly on a StableSwap pool
+    const stableSwapPools = await this.findStableSwapPools(tokenIn, tokenOut);
 
-    // If no good 2-hop routes found, try 3-hop routes through CAKE ecosystem
-    // e.g., TOKEN → WBNB → CAKE → TOKEN2
-    if (routes.length === 0 || (routes.length > 0 && routes[0].score < 50)) {
-      this.logger.info('🔄 Trying 3-hop routes through secondary intermediates...');
-
-      for (const primaryName of PRIMARY_INTERMEDIATES) {
-        for (const secondaryName of SECONDARY_INTERMEDIATES) {
-          const threeHopRoute = await this.evaluate3HopRoute(
-            tokenIn,
-            tokenOut,
-            INTERMEDIATES[primaryName],
-            primaryName,
-            INTERMEDIATES[secondaryName],
-            secondaryName,
-            tokenInAnalysis,
-            tokenOutAnalysis,
-            amountIn
-          );
-
-          if (threeHopRoute) {
-            routes.push(threeHopRoute);
-          }
-        }
-      }
-    }
+    const tradeUSD = Number(ethers.formatUnits(amountIn, tokenInAnalysis.token.decimals || 18)) *
+      (tokenInAnalysis.pricing?.currentPrice?.usd || 0);
+
+    const { graph, tokens } = this.buildPoolGraph(analyses, stableSwapPools, tradeUSD);
+
+    const paths = graph.kShortestPaths(tokenIn, tokenOut, { k: ROUTER_CONFIG.K_ROUTES, maxHops });
+    const routes = paths.map(path => this.toRoute(path, tokens));
+
+    this.logger.info(`🕸️ Pool graph: ${graph.size.tokens} tokens / ${graph.size.edges} pool edges, ${routes.length} candidate routes`);
 
     if (routes.length === 0) {
       throw new Error('No valid route found between tokens');
     }
 
-    // Sort routes by SCORE (highest first) - score considers liquidity, fees, and directness
-    // Score is more reliable than estimatedOutput which uses simplified math
-    routes.sort((a, b) => {
-      const aScore = a.score || 0;
-      const bScore = b.score || 0;
-      return bScore - aScore;
+    // Quote every candidate on-chain, then rank by actual output (net of pool fees)
+    const quotedRoutes = await this.quoteRoutes(routes, amountIn);
+
+    if (quotedRoutes.length === 0) {
+      throw new Error('No route could be quoted between tokens');
+    }
+
+    quotedRoutes.sort((a, b) => {
+      const diff = BigInt(b.amountOut) - BigInt(a.amountOut);
+      if (diff !== 0n) return diff > 0n ? 1 : -1;
+      return (b.score || 0) - (a.score || 0);
     });
 
-    const bestRoute = routes[0];
+    const bestRoute = quotedRoutes[0];
     const elapsed = Date.now() - startTime;
 
     this.logger.info(`✅ Best route found in ${elapsed}ms: ${bestRoute.path.map(t => t.symbol).join(' → ')}`);
-    this.logger.info(`   Estimated output: ${bestRoute.estimatedOutput} ${bestRoute.path[bestRoute.path.length - 1].symbol}`);
+    this.logger.info(`   Output: ${bestRoute.amountOutFormatted} ${bestRoute.path[bestRoute.path.length - 1].symbol}`);
     this.logger.info(`   Price impact: ${bestRoute.priceImpact}%`);
 
     return {
       bestRoute,
-      alternativeRoutes: routes.slice(1, 4), // Top 3 alternatives
+      alternativeRoutes: quotedRoutes.slice(1, 4), // Top 3 alternatives
       timing: {
         totalMs: elapsed,
         routesEvaluated: routes.length,
+        routesQuoted: quotedRoutes.length,
+        maxHops,
       },
     };
   }
 
+  analyzeOrNull(token) {
+    return this.poolAnalyzer.analyzeToken(token).catch(err => {
+      this.logger.warn(`Failed to analyze ${token}: ${err.message}`);
+      return null;
+    });
+  }
+
   /**
-   * Evaluate a 2-leg route through an intermediate token
+   * Analyze the pair tokens of the pools found so far, round by round. The middle pool of a
+   * path of maxHops pools sits at most floor((maxHops - 1) / 2) tokens away from tokenIn or
+   * tokenOut, so after that many rounds the graph holds every pool of such a path through
+   * any connected token. A round analyzes the ROUTER_CONFIG.EXPAND_TOKENS new pair tokens
+   * with the most active liquidity.
+   * @returns {Array} the given analyses followed by the new ones
    */
-  async evaluateRoute(tokenIn, tokenOut, intermediate, intermediateName, tokenInAnalysis, tokenOutAnalysis, amountIn) {
-    const normalizedIntermediate = normalizeAddress(intermediate);
-    const normalizedTokenIn = normalizeAddress(tokenIn);
-    const normalizedTokenOut = normalizeAddress(tokenOut);
+  async expandAnalyses(analyses, maxHops) {
+    const analyzed = new Set(analyses.map(analysis => normalizeAddress(analysis.token?.address)));
+    const expanded = [...analyses];
+    let frontier = analyses;
+
+    for (let round = 0; round < Math.floor((maxHops - 1) / 2) && frontier.length > 0; round++) {
+      const liquidity = new Map();
+      for (const analysis of frontier) {
+        for (const pool of analysis.pools || []) {
+          const address = normalizeAddress(pool.pairToken?.address);
+          if (pool.liquidity?.status !== 'ACTIVE' || !address || analyzed.has(address)) continue;
+          liquidity.set(address, (liquidity.get(address) || 0) + (pool.liquidity.usd || 0));
+        }
+      }
 
-    // Skip if tokenIn or tokenOut IS the intermediate
-    if (normalizedTokenIn === normalizedIntermediate || normalizedTokenOut === normalizedIntermediate) {
-      return null;
+      const next = [...liquidity.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, ROUTER_CONFIG.EXPAND_TOKENS)
+        .map(([address]) => address);
+      next.forEach(address => analyzed.add(address));
+
+      frontier = (await Promise.all(next.map(address => this.analyzeOrNull(address)))).filter(Boolean);
+      expanded.push(...frontier);
+
+      this.logger.debug(`🕸️ Graph expansion round ${round + 1}: ${frontier.length}/${next.length} pair tokens analyzed`);
     }
 
-    // Find leg 1: tokenIn -> intermediate
-    const leg1Pool = this.findBestPoolForPair(tokenInAnalysis.pools, intermediate);
-    if (!leg1Pool) {
-      this.logger.debug(`No pool found for ${tokenInAnalysis.token.symbol} -> ${intermediateName}`);
-      return null;
+    return expanded;
+  }
+
+  /**
+   * Token graph of the analyzed tokens' active pools: one edge per pool and direction
+   * @param {Array} analyses - PoolAnalyzer results
+   * @param {Array} stableSwapPools - StableSwap pools between tokenIn and tokenOut
+   * @param {number} tradeUSD - trade size used to estimate each pool's price impact
+   * @returns {{ graph: PoolGraph, tokens: Map }} tokens: address -> { address, symbol, decimals }
+   */
+  buildPoolGraph(analyses, stableSwapPools, tradeUSD) {
+    const graph = new PoolGraph();
+    const tokens = new Map();
+    const added = new Set();
+
+    const addToken = token => {
+      if (token?.address && !tokens.has(normalizeAddress(token.address))) {
+        tokens.set(normalizeAddress(token.address), {
+          address: ethers.getAddress(token.address),
+          symbol: token.symbol,
+          decimals: token.decimals ?? 18,
+        });
+      }
+    };
+
+    const addPool = (pool, tokenA, tokenB) => {
+      if (pool.liquidity?.status !== 'ACTIVE' || !tokenA?.address || !tokenB?.address) return;
+      if (added.has(normalizeAddress(pool.address))) return; // seen from the other token's analysis
+      added.add(normalizeAddress(pool.address));
+
+      addToken(tokenA);
+      addToken(tokenB);
+
+      const weight = this.getEdgeWeight(pool, tradeUSD);
+      graph.addEdge(`${normalizeAddress(pool.address)}:0`, tokenA.address, tokenB.address, weight, pool);
+      graph.addEdge(`${normalizeAddress(pool.address)}:1`, tokenB.address, tokenA.address, weight, pool);
+    };
+
+    for (const analysis of analyses) {
+      for (const pool of analysis.pools || []) {
+        addPool(pool, analysis.token, pool.pairToken);
+      }
     }
 
-    // Find leg 2: intermediate -> tokenOut
-    const leg2Pool = this.findBestPoolForPair(tokenOutAnalysis.pools, intermediate);
-    if (!leg2Pool) {
-      this.logger.debug(`No pool found for ${intermediateName} -> ${tokenOutAnalysis.token.symbol}`);
-      return null;
+    for (const pool of stableSwapPools) {
+      addPool(pool, pool.token0, pool.token1);
     }
 
-    // Calculate estimated output through both legs
-    const leg1Output = this.estimateSwapOutput(leg1Pool, amountIn, true);
-    const leg2Output = this.estimateSwapOutput(leg2Pool, leg1Output.amountOut, false);
+    return { graph, tokens };
+  }
+
+  /**
+   * Edge weight -ln(effective rate / spot rate): what the pool keeps of the trade's value
+   * through its fee and estimated price impact, so summed weights rank whole paths.
+   * Impact is estimated constant-product style against half the pool's USD liquidity
+   * (StableSwap pools are ~A times deeper near the peg); routes are re-ranked by real quotes.
+   */
+  getEdgeWeight(pool, tradeUSD) {
+    const feeRate = (pool.fee || 0) / 1000000;
+    const depthUSD = (pool.liquidity?.usd || 0) / 2 * (pool.type === 'StableSwap' ? Number(pool.amplification || 1) : 1);
+    if (depthUSD <= 0) return Infinity;
+
+    const impact = tradeUSD > 0 ? tradeUSD / (depthUSD + tradeUSD) : 0;
+    return -Math.log((1 - feeRate) * (1 - impact));
+  }
+
+  /**
+   * Route object for a graph path (legs in path order, not yet quoted)
+   */
+  toRoute(path, tokens) {
+    const legPools = path.edges.map(edge => edge.data);
+    const routeTokens = [path.edges[0].from, ...path.edges.map(edge => edge.to)].map(address => tokens.get(address));
+    const intermediates = routeTokens.slice(1, -1).map(({ address, symbol }) => ({ address, symbol }));
+
+    const legs = path.edges.map((edge, i) => ({
+      tokenIn: routeTokens[i].address,
+      tokenOut: routeTokens[i + 1].address,
+      pool: this.toLegPool(edge.data),
+    }));
 
-    // Calculate total price impact
-    const totalPriceImpact = (leg1Output.priceImpact || 0) + (leg2Output.priceImpact || 0);
+    let type = `${legs.length}-hop`;
+    if (legs.length === 1) type = 'direct';
+    else if (legs.length === 2) type = 'multi-hop';
 
     return {
-      type: 'multi-hop',
-      path: [
-        { address: tokenIn, symbol: tokenInAnalysis.token.symbol, decimals: tokenInAnalysis.token.decimals },
-        { address: intermediate, symbol: intermediateName, decimals: this.getIntermediateDecimals(intermediateName) },
-        { address: tokenOut, symbol: tokenOutAnalysis.token.symbol, decimals: tokenOutAnalysis.token.decimals },
-      ],
-      legs: [
-        {
-          tokenIn: tokenIn,
-          tokenOut: intermediate,
-          pool: {
-            address: leg1Pool.address,
-            protocol: leg1Pool.protocol,
-            type: leg1Pool.type,
-            fee: leg1Pool.fee,
-            tickSpacing: leg1Pool.tickSpacing,
-            liquidity: leg1Pool.liquidity,
-          },
-          estimatedOutput: leg1Output.amountOut,
-          priceImpact: leg1Output.priceImpact,
-        },
-        {
-          tokenIn: intermediate,
-          tokenOut: tokenOut,
-          pool: {
-            address: leg2Pool.address,
-            protocol: leg2Pool.protocol,
-            type: leg2Pool.type,
-            fee: leg2Pool.fee,
-            tickSpacing: leg2Pool.tickSpacing,
-            liquidity: leg2Pool.liquidity,
-          },
-          estimatedOutput: leg2Output.amountOut,
-          priceImpact: leg2Output.priceImpact,
-        },
-      ],
-      estimatedOutput: leg2Output.amountOut,
-      estimatedOutputFormatted: ethers.formatUnits(
-        BigInt(Math.floor(parseFloat(leg2Output.amountOut))),
-        tokenOutAnalysis.token.decimals
-      ),
-      priceImpact: totalPriceImpact.toFixed(4),
-      intermediateToken: {
-        address: intermediate,
-        symbol: intermediateName,
-      },
-      totalFees: leg1Pool.fee + leg2Pool.fee,
-      score: this.calculateRouteScore(leg1Pool, leg2Pool, totalPriceImpact),
+      type,
+      path: routeTokens,
+      legs,
+      ...(intermediates.length === 1 && { intermediateToken: intermediates[0] }),
+      ...(intermediates.length > 1 && { intermediateTokens: intermediates }),
+      totalFees: legPools.reduce((sum, pool) => sum + (pool.fee || 0), 0),
+      score: this.scoreRoute({ legs }, 0), // Re-scored with real price impact after quoting
     };
   }
 
   /**
-   * Evaluate a 3-leg route: tokenIn → primary → secondary → tokenOut
-   * Used for ecosystem tokens like CAKE that connect to other ecosystem tokens
-   * e.g., TOKEN → WBNB → CAKE → TOKEN2
+   * Quote candidate routes with real pool math.
+   * V2 legs use getAmountOut on live reserves; consecutive V3 legs on the same DEX are
+   * quoted as one encoded path through that DEX's QuoterV2.quoteExactInput. V3 legs on a
+   * DEX without a QuoterV2 (Algebra) are simulated locally over the pool's ticks, and
+   * StableSwap legs with the pool's Curve invariant. Every
+   * round is a single multicall (reserves + all quotable V3 segments); another round is
+   * only needed when a V3 segment follows a locally applied leg.
+   *
+   * @returns {Array} Routes that could be fully quoted, with amounts filled in
    */
-  async evaluate3HopRoute(tokenIn, tokenOut, primaryIntermediate, primaryName, secondaryIntermediate, secondaryName, tokenInAnalysis, tokenOutAnalysis, amountIn) {
-    const normalizedPrimary = normalizeAddress(primaryIntermediate);
-    const normalizedSecondary = normalizeAddress(secondaryIntermediate);
-    const normalizedTokenIn = normalizeAddress(tokenIn);
-    const normalizedTokenOut = normalizeAddress(tokenOut);
-
-    // Skip if any token IS the intermediate
-    if (normalizedTokenIn === normalizedPrimary || normalizedTokenIn === normalizedSecondary ||
-        normalizedTokenOut === normalizedPrimary || normalizedTokenOut === normalizedSecondary ||
-        normalizedPrimary === normalizedSecondary) {
-      return null;
-    }
+  async quoteRoutes(routes, amountIn) {
+    const pairInterface = this.multicallService.interfaces.v2Pair;
+    const reserves = new Map();
+
+    const states = routes.map(route => ({
+      route,
+      legIndex: 0,
+      amount: BigInt(amountIn),
+      gasEstimate: 0n,
+      failed: false,
+    }));
+
+    const v2Pools = [...new Set(routes.flatMap(route => route.legs
+      .filter(leg => leg.pool.type === 'V2')
+      .map(leg => normalizeAddress(leg.pool.address))))];
+
+    let active = states;
+    let round = 0;
+
+    while (active.length > 0) {
+      const calls = [];
+      const segments = [];
+
+      if (round === 0) {
+        for (const address of v2Pools) {
+          calls.push({
+            target: address,
+            callData: pairInterface.encodeFunctionData('getReserves'),
+            allowFailure: true,
+          });
+        }
+      }
 
-    try {
-      // Leg 1: tokenIn → primaryIntermediate (e.g., TOKEN → WBNB)
-      const leg1Pool = this.findBestPoolForPair(tokenInAnalysis.pools, primaryIntermediate);
-      if (!leg1Pool) {
-        this.logger.debug(`3-hop: No pool for ${tokenInAnalysis.token.symbol} → ${primaryName}`);
-        return null;
+      for (const state of active) {
+        const segment = this.getV3Segment(state);
+        if (segment) {
+          segments.push({ state, segment, callIndex: calls.length });
+          calls.push({
+            target: segment.quoter,
+            callData: this.quoterInterface.encodeFunctionData('quoteExactInput', [
+              this.v3PoolService.encodePath(segment.tokens, segment.fees),
+              state.amount,
+            ]),
+            allowFailure: true,
+          });
+        }
       }
 
-      // Get secondary token analysis for leg 2
-      const secondaryAnalysis = await this.poolAnalyzer.analyzeToken(secondaryIntermediate).catch(() => null);
-      if (!secondaryAnalysis) {
-        this.logger.debug(`3-hop: Failed to analyze ${secondaryName}`);
-        return null;
+      // Rounds where every route is at a locally applied leg need no multicall
+      const results = calls.length > 0 ? await this.multicallService.execute(calls) : [];
+
+      if (round === 0) {
+        v2Pools.forEach((address, i) => {
+          if (results[i].success && results[i].returnData !== '0x') {
+            const decoded = pairInterface.decodeFunctionResult('getReserves', results[i].returnData);
+            reserves.set(address, { reserve0: decoded[0], reserve1: decoded[1] });
+          }
+        });
       }
 
-      // Leg 2: primaryIntermediate → secondaryIntermediate (e.g., WBNB → CAKE)
-      const leg2Pool = this.findBestPoolForPair(secondaryAnalysis.pools, primaryIntermediate);
-      if (!leg2Pool) {
-        this.logger.debug(`3-hop: No pool for ${primaryName} → ${secondaryName}`);
-        return null;
+      for (const { state, segment, callIndex } of segments) {
+        this.applyV3Segment(state, segment, results[callIndex]);
       }
 
-      // Leg 3: secondaryIntermediate → tokenOut (e.g., CAKE → TOKEN2)
-      const leg3Pool = this.findBestPoolForPair(tokenOutAnalysis.pools, secondaryIntermediate);
-      if (!leg3Pool) {
-        this.logger.debug(`3-hop: No pool for ${secondaryName} → ${tokenOutAnalysis.token.symbol}`);
-        return null;
+      for (const state of active) {
+        await this.applyLocalLegs(state, reserves);
       }
 
-      // Calculate outputs through all legs
-      const leg1Output = this.estimateSwapOutput(leg1Pool, amountIn, true);
-      const leg2Output = this.estimateSwapOutput(leg2Pool, leg1Output.amountOut, false);
-      const leg3Output = this.estimateSwapOutput(leg3Pool, leg2Output.amountOut, false);
-
-      // Calculate total price impact
-      const totalPriceImpact = (leg1Output.priceImpact || 0) + (leg2Output.priceImpact || 0) + (leg3Output.priceImpact || 0);
-
-      this.logger.info(`🔗 3-hop route found: ${tokenInAnalysis.token.symbol} → ${primaryName} → ${secondaryName} → ${tokenOutAnalysis.token.symbol}`);
-
-      return {
-        type: '3-hop',
-        path: [
-          { address: tokenIn, symbol: tokenInAnalysis.token.symbol, decimals: tokenInAnalysis.token.decimals },
-          { address: primaryIntermediate, symbol: primaryName, decimals: this.getIntermediateDecimals(primaryName) },
-          { address: secondaryIntermediate, symbol: secondaryName, decimals: this.getIntermediateDecimals(secondaryName) },
-          { address: tokenOut, symbol: tokenOutAnalysis.token.symbol, decimals: tokenOutAnalysis.token.decimals },
-        ],
-        legs: [
-          {
-            tokenIn: tokenIn,
-            tokenOut: primaryIntermediate,
-            pool: {
-              address: leg1Pool.address,
-              protocol: leg1Pool.protocol,
-              type: leg1Pool.type,
-              fee: leg1Pool.fee,
-              tickSpacing: leg1Pool.tickSpacing,
-              liquidity: leg1Pool.liquidity,
-            },
-            estimatedOutput: leg1Output.amountOut,
-            priceImpact: leg1Output.priceImpact,
-          },
-          {
-            tokenIn: primaryIntermediate,
-            tokenOut: secondaryIntermediate,
-            pool: {
-              address: leg2Pool.address,
-              protocol: leg2Pool.protocol,
-              type: leg2Pool.type,
-              fee: leg2Pool.fee,
-              tickSpacing: leg2Pool.tickSpacing,
-              liquidity: leg2Pool.liquidity,
-            },
-            estimatedOutput: leg2Output.amountOut,
-            priceImpact: leg2Output.priceImpact,
-          },
-          {
-            tokenIn: secondaryIntermediate,
-            tokenOut: tokenOut,
-            pool: {
-              address: leg3Pool.address,
-              protocol: leg3Pool.protocol,
-              type: leg3Pool.type,
-              fee: leg3Pool.fee,
-              tickSpacing: leg3Pool.tickSpacing,
-              liquidity: leg3Pool.liquidity,
-            },
-            estimatedOutput: leg3Output.amountOut,
-            priceImpact: leg3Output.priceImpact,
-          },
-        ],
-        estimatedOutput: leg3Output.amountOut,
-        estimatedOutputFormatted: ethers.formatUnits(
-          BigInt(Math.floor(parseFloat(leg3Output.amountOut))),
-          tokenOutAnalysis.token.decimals
-        ),
-        priceImpact: totalPriceImpact.toFixed(4),
-        intermediateTokens: [
-          { address: primaryIntermediate, symbol: primaryName },
-          { address: secondaryIntermediate, symbol: secondaryName },
-        ],
-        totalFees: leg1Pool.fee + leg2Pool.fee + leg3Pool.fee,
-        score: this.calculate3HopRouteScore(leg1Pool, leg2Pool, leg3Pool, totalPriceImpact),
-      };
-    } catch (err) {
-      this.logger.debug(`3-hop route evaluation failed: ${err.message}`);
-      return null;
+      active = states.filter(state => !state.failed && state.legIndex < state.route.legs.length);
+      round++;
+    }
+
+    const quoted = [];
+    for (const state of states) {
+      if (state.failed || state.legIndex < state.route.legs.length) {
+        this.logger.debug(`Route ${state.route.path.map(t => t.symbol).join(' → ')} could not be quoted`);
+        continue;
+      }
+
+      const { route } = state;
+      const tokenOutDecimals = route.path[route.path.length - 1].decimals || 18;
+      const priceImpact = route.legs.reduce((sum, leg) => sum + (leg.priceImpact || 0), 0);
+
+      route.amountIn = amountIn.toString();
+      route.amountOut = state.amount.toString();
+      route.amountOutFormatted = ethers.formatUnits(state.amount, tokenOutDecimals);
+      route.estimatedOutput = route.amountOut;
+      route.estimatedOutputFormatted = route.amountOutFormatted;
+      route.priceImpact = priceImpact.toFixed(4);
+      route.gasEstimate = state.gasEstimate.toString();
+      route.quoteSource = 'onchain';
+      route.score = this.scoreRoute(route, priceImpact);
+
+      quoted.push(route);
     }
+
+    this.logger.info(`💱 Quoted ${quoted.length}/${routes.length} routes in ${round} multicall round(s)`);
+
+    return quoted;
   }
 
   /**
-   * Calculate score for 3-hop routes (penalized compared to 2-hop)
+   * QuoterV2 of a route leg's DEX, or null for V2 legs and DEXes without one
    */
-  calculate3HopRouteScore(leg1Pool, leg2Pool, leg3Pool, priceImpact) {
-    let score = 70; // Start lower than 2-hop routes
+  getLegQuoter(leg) {
+    if (leg.pool.type !== 'V3') return null;
+    return getV3Protocol(leg.pool.protocol || 'PancakeSwap')?.quoter || null;
+  }
 
-    // Minimum liquidity across all legs
-    const minLiquidity = Math.min(
-      leg1Pool.liquidity?.usd || 0,
-      leg2Pool.liquidity?.usd || 0,
-      leg3Pool.liquidity?.usd || 0
-    );
+  /**
+   * Consecutive V3 legs on the same quotable DEX starting at the route's current leg, if any
+   */
+  getV3Segment(state) {
+    const { legs } = state.route;
+    const quoter = state.legIndex < legs.length ? this.getLegQuoter(legs[state.legIndex]) : null;
+    if (!quoter) return null;
+
+    const segmentLegs = [];
+    for (let i = state.legIndex; i < legs.length && this.getLegQuoter(legs[i]) === quoter; i++) {
+      segmentLegs.push(legs[i]);
+    }
 
-    if (minLiquidity >= 100000) score += 25;
-    else if (minLiquidity >= 50000) score += 15;
-    else if (minLiquidity >= 10000) score += 5;
+    return {
+      quoter,
+      legs: segmentLegs,
+      tokens: [segmentLegs[0].tokenIn, ...segmentLegs.map(leg => leg.tokenOut)],
+      fees: segmentLegs.map(leg => leg.pool.fee),
+    };
+  }
 
-    // Fee score (3 legs means more fees)
-    const totalFee = (leg1Pool.fee || 3000) + (leg2Pool.fee || 3000) + (leg3Pool.fee || 3000);
-    if (totalFee <= 1000) score += 15;
-    else if (totalFee <= 6000) score += 10;
-    else if (totalFee <= 10000) score += 5;
+  /**
+   * Apply a QuoterV2.quoteExactInput result to a route
+   */
+  applyV3Segment(state, segment, result) {
+    if (!result.success || result.returnData === '0x') {
+      state.failed = true;
+      return;
+    }
 
-    // Price impact penalty (higher for 3-hop)
-    score -= priceImpact * 7;
+    const decoded = this.quoterInterface.decodeFunctionResult('quoteExactInput', result.returnData);
+    const [amountOut, sqrtPriceX96AfterList, , gasEstimate] = decoded;
 
-    return Math.max(0, score);
+    segment.legs.forEach((leg, i) => {
+      const isLast = i === segment.legs.length - 1;
+      const zeroForOne = normalizeAddress(leg.tokenIn) < normalizeAddress(leg.tokenOut);
+
+      // QuoterV2 only returns the final output of a path, not intermediate amounts
+      leg.amountIn = i === 0 ? state.amount.toString() : null;
+      leg.amountOut = isLast ? amountOut.toString() : null;
+      leg.priceImpact = this.calculateV3PriceMove(leg.pool.sqrtPriceX96, sqrtPriceX96AfterList[i], zeroForOne);
+    });
+
+    state.amount = amountOut;
+    state.gasEstimate += gasEstimate;
+    state.legIndex += segment.legs.length;
   }
 
   /**
-   * Evaluate direct route (if tokens share a common pool)
+   * Apply consecutive locally computable legs: V2 legs from reserves (x*y=k with the
+   * leg DEX's fee), V3 legs without a quoter by walking the pool's ticks, StableSwap
+   * legs with get_dy
    */
-  async evaluateDirectRoute(tokenIn, tokenOut, tokenInAnalysis, tokenOutAnalysis, amountIn) {
-    // Find ALL pools between tokenIn and tokenOut, then pick the best one
-    const directPools = tokenInAnalysis.pools.filter(pool =>
-      normalizeAddress(pool.pairToken?.address) === normalizeAddress(tokenOut) &&
-      pool.liquidity?.status === 'ACTIVE'
-    );
+  async applyLocalLegs(state, reserves) {
+    const { legs } = state.route;
 
-    if (directPools.length === 0) {
-      return null;
-    }
+    while (!state.failed && state.legIndex < legs.length) {
+      const leg = legs[state.legIndex];
 
-    // Sort by liquidity (highest first), then by fee (lowest first)
-    directPools.sort((a, b) => {
-      const liquidityDiff = (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0);
-      if (Math.abs(liquidityDiff) > 1000) return liquidityDiff;
-      return (a.fee || 10000) - (b.fee || 10000);
-    });
+      if (leg.pool.type === 'V3') {
+        if (this.getLegQuoter(leg)) return;
+        await this.applySimulatedV3Leg(state, leg);
+        continue;
+      }
 
-    const directPool = directPools[0];
-    this.logger.info(`📍 Direct pool found: ${tokenInAnalysis.token.symbol} → ${tokenOutAnalysis.token.symbol} via ${directPool.protocol} ${directPool.type} (Liq: $${(directPool.liquidity?.usd || 0).toFixed(0)})`);
+      if (leg.pool.type === 'StableSwap') {
+        await this.applyStableSwapLeg(state, leg);
+        continue;
+      }
 
-    const output = this.estimateSwapOutput(directPool, amountIn, true);
+      const pairReserves = reserves.get(normalizeAddress(leg.pool.address));
 
-    return {
-      type: 'direct',
-      path: [
-        { address: tokenIn, symbol: tokenInAnalysis.token.symbol, decimals: tokenInAnalysis.token.decimals },
-        { address: tokenOut, symbol: tokenOutAnalysis.token.symbol, decimals: tokenOutAnalysis.token.decimals },
-      ],
-      legs: [
-        {
-          tokenIn: tokenIn,
-          tokenOut: tokenOut,
-          pool: {
-            address: directPool.address,
-            protocol: directPool.protocol,
-            type: directPool.type,
-            fee: directPool.fee,
-            tickSpacing: directPool.tickSpacing,
-            liquidity: directPool.liquidity,
-          },
-          estimatedOutput: output.amountOut,
-          priceImpact: output.priceImpact,
-        },
-      ],
-      estimatedOutput: output.amountOut,
-      estimatedOutputFormatted: ethers.formatUnits(
-        BigInt(Math.floor(parseFloat(output.amountOut))),
-        tokenOutAnalysis.token.decimals
-      ),
-      priceImpact: (output.priceImpact || 0).toFixed(4),
-      totalFees: directPool.fee,
-      score: this.calculateRouteScore(directPool, null, output.priceImpact || 0),
-    };
+      if (!pairReserves) {
+        state.failed = true;
+        return;
+      }
+
+      // Pair token0 is the lower address
+      const isToken0In = normalizeAddress(leg.tokenIn) < normalizeAddress(leg.tokenOut);
+      const reserveIn = isToken0In ? pairReserves.reserve0 : pairReserves.reserve1;
+      const reserveOut = isToken0In ? pairReserves.reserve1 : pairReserves.reserve0;
+
+      if (reserveIn === 0n || reserveOut === 0n) {
+        state.failed = true;
+        return;
+      }
+
+      const amountOut = await this.v2PoolService.getAmountOut(state.amount, reserveIn, reserveOut, leg.pool.protocol, leg.pool.fee);
+
+      leg.amountIn = state.amount.toString();
+      leg.amountOut = amountOut.toString();
+      leg.priceImpact = this.v2PoolService.calculatePriceImpact(state.amount, amountOut, reserveIn, reserveOut);
+
+      state.amount = amountOut;
+      state.legIndex++;
+    }
   }
 
   /**
-   * Find the best pool for swapping with a specific pair token
+   * Simulate a V3 leg off-chain (V3SwapSimulator) at the pool's current fee
    */
-  findBestPoolForPair(pools, pairTokenAddress) {
-    const normalizedPair = normalizeAddress(pairTokenAddress);
+  async applySimulatedV3Leg(state, leg) {
+    try {
+      const result = await this.swapSimulator.simulateExactInput(leg.pool.address, leg.tokenIn, state.amount);
+      if (!result.fullyFilled || result.amountOut <= 0n) {
+        state.failed = true;
+        return;
+      }
 
-    // Filter pools that match the pair token
-    const matchingPools = pools.filter(pool =>
-      normalizeAddress(pool.pairToken?.address) === normalizedPair &&
-      pool.liquidity?.status === 'ACTIVE'
-    );
+      const zeroForOne = normalizeAddress(leg.tokenIn) < normalizeAddress(leg.tokenOut);
+      leg.amountIn = state.amount.toString();
+      leg.amountOut = result.amountOut.toString();
+      leg.priceImpact = this.calculateV3PriceMove(result.sqrtPriceX96Before, result.sqrtPriceX96After, zeroForOne);
 
-    if (matchingPools.length === 0) {
-      return null;
+      state.amount = result.amountOut;
+      state.legIndex++;
+    } catch (error) {
+      this.logger.debug(`Local V3 simulation failed for ${leg.pool.address}: ${error.message}`);
+      state.failed = true;
     }
+  }
 
-    // Sort by liquidity (highest first), then by fee (lowest first)
-    matchingPools.sort((a, b) => {
-      const liquidityDiff = (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0);
-      if (Math.abs(liquidityDiff) > 1000) return liquidityDiff;
-      return (a.fee || 10000) - (b.fee || 10000);
-    });
+  /**
+   * Quote a StableSwap leg from the pool's balances, amplification and fee
+   */
+  async applyStableSwapLeg(state, leg) {
+    try {
+      const poolState = await this.stableSwapPoolService.getPoolState(leg.pool.address);
+      const { amountOut, priceImpact } = this.stableSwapPoolService.getAmountOut(poolState, leg.tokenIn, state.amount);
+      if (amountOut <= 0n) {
+        state.failed = true;
+        return;
+      }
 
-    return matchingPools[0];
+      leg.amountIn = state.amount.toString();
+      leg.amountOut = amountOut.toString();
+      leg.priceImpact = priceImpact;
+
+      state.amount = amountOut;
+      state.legIndex++;
+    } catch (error) {
+      this.logger.debug(`StableSwap quote failed for ${leg.pool.address}: ${error.message}`);
+      state.failed = true;
+    }
   }
 
   /**
-   * Estimate swap output amount (simplified calculation)
+   * Percent price move of a V3 pool between two sqrtPriceX96 values
    */
-  estimateSwapOutput(pool, amountIn, isTokenInFirst) {
-    const amountInNum = typeof amountIn === 'string' ? parseFloat(amountIn) : amountIn;
+  calculateV3PriceMove(sqrtPriceBefore, sqrtPriceAfter, zeroForOne) {
+    const before = Number(sqrtPriceBefore || 0);
+    const after = Number(sqrtPriceAfter || 0);
+    if (!before || !after) return 0;
 
-    // Get pool liquidity
-    const liquidityUSD = pool.liquidity?.usd || 0;
+    const ratio = (after / before) ** 2;
+    return Math.abs((zeroForOne ? 1 - ratio : ratio - 1) * 100);
+  }
+
+  /**
+   * Recompute a route's ranking score with its quoted price impact
+   */
+  scoreRoute(route, priceImpact) {
+    const pools = route.legs.map(leg => leg.pool);
+    return pools.length > 2
+      ? this.calculateLongRouteScore(pools, priceImpact)
+      : this.calculateRouteScore(pools[0], pools[1] || null, priceImpact);
+  }
+
+  /**
+   * Calculate score for routes of 3+ legs (penalized compared to 2-hop, more per extra leg)
+   */
+  calculateLongRouteScore(pools, priceImpact) {
+    let score = 70 - (pools.length - 3) * 10; // Start lower than 2-hop routes
+
+    // Minimum liquidity across all legs
+    const minLiquidity = Math.min(...pools.map(pool => pool.liquidity?.usd || 0));
 
-    // Simple price impact estimation based on swap size vs liquidity
-    // This is a simplified model - real implementation should use pool math
-    const swapValueUSD = amountInNum * (pool.price?.usd || 0) / 1e18; // Assuming 18 decimals
-    const priceImpact = liquidityUSD > 0 ? (swapValueUSD / liquidityUSD) * 100 : 10;
+    if (minLiquidity >= 100000) score += 25;
+    else if (minLiquidity >= 50000) score += 15;
+    else if (minLiquidity >= 10000) score += 5;
 
-    // Calculate output based on price ratio and fee
-    const feePercent = (pool.fee || 3000) / 1000000; // Convert basis points
-    const priceRatio = pool.price?.ratio || 1;
+    // Fee score (more legs means more fees)
+    const totalFee = pools.reduce((sum, pool) => sum + (pool.fee || 3000), 0);
+    if (totalFee <= 1000) score += 15;
+    else if (totalFee <= 6000) score += 10;
+    else if (totalFee <= 10000) score += 5;
 
-    // Adjust for which direction we're swapping
-    const effectivePrice = isTokenInFirst ? priceRatio : (1 / priceRatio);
+    // Price impact penalty (higher for long routes)
+    score -= priceImpact * 7;
 
-    // Output = input * price * (1 - fee) * (1 - priceImpact)
-    const amountOut = amountInNum * effectivePrice * (1 - feePercent) * (1 - priceImpact / 100);
+    return Math.max(0, score);
+  }
 
+  /**
+   * Active StableSwap pools between two tokens (stablecoin pairs only)
+   */
+  async findStableSwapPools(tokenIn, tokenOut) {
+    const stableSwapPools = await this.stableSwapPoolService.getPoolsForPair(tokenIn, tokenOut).catch(err => {
+      this.logger.warn(`StableSwap pool lookup failed: ${err.message}`);
+      return [];
+    });
+
+    return stableSwapPools.filter(pool => pool.liquidity?.status === 'ACTIVE');
+  }
+
+  /**
+   * Pool fields carried on a route leg (sqrtPriceX96 is used for V3 price impact)
+   */
+  toLegPool(pool) {
     return {
-      amountOut: amountOut.toString(),
-      priceImpact: Math.min(priceImpact, 50), // Cap at 50%
+      address: pool.address,
+      protocol: pool.protocol,
+      type: pool.type,
+      fee: pool.fee,
+      tickSpacing: pool.tickSpacing,
+      liquidity: pool.liquidity,
+      sqrtPriceX96: pool.sqrtPriceX96,
     };
   }
 
@@ -543,46 +628,12 @@ class MultiHopRouterService {
 
     return Math.max(0, score);
   }
-
-  /**
-   * Check if direct swap is possible (one token is a common base)
-   */
-  isDirectSwapPossible(tokenIn, tokenOut) {
-    const intermediateAddresses = Object.values(INTERMEDIATES).map(normalizeAddress);
-    return intermediateAddresses.includes(normalizeAddress(tokenIn)) ||
-           intermediateAddresses.includes(normalizeAddress(tokenOut));
-  }
-
-  /**
-   * Get decimals for intermediate tokens
-   */
-  getIntermediateDecimals(symbol) {
-    const decimals = {
-      WBNB: 18,
-      USDC: 18, // BSC USDC is 18 decimals
-      USDT: 18, // BSC USDT is 18 decimals
-      BUSD: 18,
-      DAI: 18,
-      CAKE: 18,
-    };
-    return decimals[symbol] || 18;
-  }
 }
 
-// Singleton instance
-let instance = null;
-
-function getMultiHopRouterService() {
-  if (!instance) {
-    instance = new MultiHopRouterService();
-  }
-  return instance;
-}
+// One instance per chain (see utils/ChainContext)
+const getMultiHopRouterService = perChain(() => new MultiHopRouterService());
 
 module.exports = {
   MultiHopRouterService,
   getMultiHopRouterService,
-  INTERMEDIATES,
-  PRIMARY_INTERMEDIATES,
-  SECONDARY_INTERMEDIATES,
 };
@@ -3,8 +3,18 @@
 
 const { ethers } = require('ethers');
 const { getProviderService } = require('./ProviderService');
+const { getTokenRegistry } = require('./TokenRegistryService');
 const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const { computeV2PairAddress, computeV3PoolAddress } = require('../utils/PoolAddress');
 const { CONTRACTS } = require('../config/constants');
+const {
+  V3_ADAPTERS,
+  getV2Protocols,
+  getV3Protocols,
+  getStableSwapProtocols,
+  getV3ProtocolByFactory,
+} = require('../config/protocols');
 
 // Multicall3 is deployed at same address on all chains
 const MULTICALL3_ADDRESS = CONTRACTS.MULTICALL3 || '0xcA11bde05977b3631167028862bE2a173976CA11';
@@ -12,11 +22,13 @@ const MULTICALL3_ADDRESS = CONTRACTS.MULTICALL3 || '0xcA11bde05977b3631167028862
 const MULTICALL3_ABI = [
   'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) external payable returns (tuple(bool success, bytes returnData)[])',
   'function aggregate3Value(tuple(address target, bool allowFailure, uint256 value, bytes callData)[] calls) external payable returns (tuple(bool success, bytes returnData)[])',
+  'function getCurrentBlockTimestamp() view returns (uint256 timestamp)',
 ];
 
 // Common ABIs for encoding
 const FACTORY_V2_ABI = ['function getPair(address, address) view returns (address)'];
 const FACTORY_V3_ABI = ['function getPool(address, address, uint24) view returns (address)'];
+const FACTORY_ALGEBRA_ABI = ['function poolByPair(address, address) view returns (address)'];
 const ERC20_ABI = [
   'function name() view returns (string)',
   'function symbol() view returns (string)',
@@ -24,22 +36,47 @@ const ERC20_ABI = [
   'function balanceOf(address) view returns (uint256)',
 ];
 const V2_PAIR_ABI = [
+  'function factory() view returns (address)',
   'function token0() view returns (address)',
   'function token1() view returns (address)',
   'function getReserves() view returns (uint112, uint112, uint32)',
+  'function swapFee() view returns (uint32)', // Biswap pairs only
+  'function price0CumulativeLast() view returns (uint256)',
+  'function price1CumulativeLast() view returns (uint256)',
 ];
 const V3_POOL_ABI = [
+  'function factory() view returns (address)',
   'function token0() view returns (address)',
   'function token1() view returns (address)',
   'function fee() view returns (uint24)',
   'function liquidity() view returns (uint128)',
   'function slot0() view returns (uint160, int24, uint16, uint16, uint16, uint8, bool)',
+  'function tickSpacing() view returns (int24)',
+  'function tickBitmap(int16) view returns (uint256)',
+  'function ticks(int24) view returns (uint128 liquidityGross, int128 liquidityNet, uint256, uint256, int56, uint160, uint32, bool initialized)',
+  'function observe(uint32[]) view returns (int56[] tickCumulatives, uint160[])',
+];
+// Algebra (THENA) pools: same ticks() layout, price/tick/fee in globalState(), bitmap in tickTable()
+const ALGEBRA_POOL_ABI = [
+  'function globalState() view returns (uint160, int24, uint16, uint16, uint8, uint8, bool)',
+  'function tickTable(int16) view returns (uint256)',
+];
+// PancakeSwap StableSwap: the factory lists one two-coin pool per pair
+const STABLE_SWAP_FACTORY_ABI = [
+  'function getPairInfo(address, address) view returns (tuple(address swapContract, address token0, address token1, address LPContract))',
+];
+const STABLE_SWAP_POOL_ABI = [
+  'function coins(uint256) view returns (address)',
+  'function balances(uint256) view returns (uint256)',
+  'function A() view returns (uint256)',
+  'function fee() view returns (uint256)',
 ];
 
 class MulticallService {
   constructor() {
     this.providerService = getProviderService();
     this.logger = getLogger();
+    this.tokenRegistry = getTokenRegistry();
     this.multicall = null;
 
     // In-memory token info cache (1 hour TTL)
@@ -60,9 +97,14 @@ class MulticallService {
     this.interfaces = {
       factoryV2: new ethers.Interface(FACTORY_V2_ABI),
       factoryV3: new ethers.Interface(FACTORY_V3_ABI),
+      factoryAlgebra: new ethers.Interface(FACTORY_ALGEBRA_ABI),
       erc20: new ethers.Interface(ERC20_ABI),
       v2Pair: new ethers.Interface(V2_PAIR_ABI),
       v3Pool: new ethers.Interface(V3_POOL_ABI),
+      algebraPool: new ethers.Interface(ALGEBRA_POOL_ABI),
+      stableSwapFactory: new ethers.Interface(STABLE_SWAP_FACTORY_ABI),
+      stableSwapPool: new ethers.Interface(STABLE_SWAP_POOL_ABI),
+      multicall3: new ethers.Interface(MULTICALL3_ABI),
     };
   }
 
@@ -106,7 +148,8 @@ class MulticallService {
   }
 
   /**
-   * Execute batch calls using Multicall3
+   * Execute batch calls using Multicall3.
+   * Inside an analysis (or a ?blockTag= request) the batch reads the block it is pinned to.
    * @param {Array} calls - Array of { target, callData, allowFailure }
    * @returns {Array} Results with { success, returnData }
    */
@@ -142,61 +185,69 @@ class MulticallService {
   }
 
   /**
-   * Batch discover all pools for a token using Multicall
-   * Much faster than sequential calls!
+   * Batch discover all pools for a token using Multicall.
+   * Pool addresses are derived with CREATE2 (utils/PoolAddress) and only probed for code:
+   * getReserves() on V2, liquidity() on V3. DEXes without an init code hash (THENA) are
+   * looked up on the factory instead.
    */
   async batchDiscoverPools(tokenAddress, options = {}) {
     const {
-      uniswapV2Factory = '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73', // PancakeSwap V2
-      uniswapV3Factory = '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865', // PancakeSwap V3
-      fullMode = false,  // Set to true to check ALL tokens/fees (slower but comprehensive)
+      v2Protocols = getV2Protocols(), // PancakeSwap V2 and its forks (config/protocols.js)
+      v3Protocols = getV3Protocols(), // PancakeSwap V3, Uniswap V3, THENA
     } = options;
 
-    // SPEED OPTIMIZED BY DEFAULT: Only check most liquid pairs (WBNB, USDC, USDT)
-    // This covers 99%+ of real trading scenarios while being ~2x faster
-    // Set fullMode=true to check all tokens including minor stablecoins
-    const commonTokens = fullMode ? [
-      '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', // WBNB
-      '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', // USDC
-      '0x55d398326f99059fF775485246999027B3197955', // USDT
-      '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56', // BUSD
-      '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3', // DAI
-    ] : [
-      '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', // WBNB - primary liquidity
-      '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', // USDC - primary stablecoin
-      '0x55d398326f99059fF775485246999027B3197955', // USDT - BSC ecosystem
-    ];
-
-    // PancakeSwap V3 fee tiers including 0.25% (2500) - common on BSC
-    const feeTiers = [100, 500, 2500, 3000, 10000];
+    // Base pairs come from the token registry; pools against any other token
+    // are added from the factory event index (PoolDiscoveryService)
+    const commonTokens = this.tokenRegistry.getAddresses('base');
 
     const calls = [];
-    const callMeta = []; // Track what each call represents
+    const callMeta = []; // Track what each call represents (address set when derived)
 
-    // Build all calls for PancakeSwap V2 and V3
+    // Build all calls for every V2 and V3 DEX
     for (const pairToken of commonTokens) {
       if (pairToken.toLowerCase() === tokenAddress.toLowerCase()) continue;
 
-      // PancakeSwap V2
-      calls.push({
-        target: uniswapV2Factory,
-        callData: this.interfaces.factoryV2.encodeFunctionData('getPair', [tokenAddress, pairToken]),
-        allowFailure: true,
-      });
-      callMeta.push({ type: 'V2', protocol: 'PancakeSwap', pairToken });
+      // V2 pairs on each registered DEX
+      for (const protocol of v2Protocols) {
+        const address = computeV2PairAddress(protocol, tokenAddress, pairToken);
+        calls.push(address
+          ? { target: address, callData: this.interfaces.v2Pair.encodeFunctionData('getReserves'), allowFailure: true }
+          : {
+            target: protocol.factory,
+            callData: this.interfaces.factoryV2.encodeFunctionData('getPair', [tokenAddress, pairToken]),
+            allowFailure: true,
+          });
+        callMeta.push({ type: 'V2', protocol: protocol.name, pairToken, address });
+      }
 
-      // PancakeSwap V3 (all fee tiers)
-      for (const fee of feeTiers) {
-        calls.push({
-          target: uniswapV3Factory,
-          callData: this.interfaces.factoryV3.encodeFunctionData('getPool', [tokenAddress, pairToken, fee]),
-          allowFailure: true,
-        });
-        callMeta.push({ type: 'V3', protocol: 'PancakeSwap', pairToken, fee });
+      // V3 pools: one per fee tier, or a single dynamic-fee pool on Algebra
+      for (const protocol of v3Protocols) {
+        if (protocol.adapter === V3_ADAPTERS.ALGEBRA) {
+          calls.push({
+            target: protocol.factory,
+            callData: this.interfaces.factoryAlgebra.encodeFunctionData('poolByPair', [tokenAddress, pairToken]),
+            allowFailure: true,
+          });
+          callMeta.push({ type: 'V3', protocol: protocol.name, pairToken, address: null });
+          continue;
+        }
+
+        for (const fee of protocol.feeTiers) {
+          const address = computeV3PoolAddress(protocol, tokenAddress, pairToken, fee);
+          calls.push(address
+            ? { target: address, callData: this.interfaces.v3Pool.encodeFunctionData('liquidity'), allowFailure: true }
+            : {
+              target: protocol.factory,
+              callData: this.interfaces.factoryV3.encodeFunctionData('getPool', [tokenAddress, pairToken, fee]),
+              allowFailure: true,
+            });
+          callMeta.push({ type: 'V3', protocol: protocol.name, pairToken, fee, address });
+        }
       }
     }
 
-    this.logger.info(`Batch discovering pools: ${calls.length} checks in single multicall`);
+    const derived = callMeta.filter(meta => meta.address).length;
+    this.logger.info(`Batch discovering pools: ${calls.length} checks (${derived} derived addresses) in single multicall`);
     const startTime = Date.now();
 
     // Execute all in one call!
@@ -204,21 +255,24 @@ class MulticallService {
 
     const pools = [];
     for (let i = 0; i < results.length; i++) {
-      if (results[i].success && results[i].returnData !== '0x') {
-        try {
-          const poolAddress = ethers.AbiCoder.defaultAbiCoder().decode(['address'], results[i].returnData)[0];
-
-          if (poolAddress && poolAddress !== ethers.ZeroAddress) {
-            pools.push({
-              address: poolAddress,
-              token0: tokenAddress,
-              token1: callMeta[i].pairToken,
-              ...callMeta[i],
-            });
-          }
-        } catch (e) {
-          // Decode failed, skip
+      // A call to an address without code succeeds with empty return data
+      if (!results[i].success || results[i].returnData === '0x') continue;
+
+      const { address, ...meta } = callMeta[i];
+      try {
+        const poolAddress = address ||
+          ethers.AbiCoder.defaultAbiCoder().decode(['address'], results[i].returnData)[0];
+
+        if (poolAddress && poolAddress !== ethers.ZeroAddress) {
+          pools.push({
+            address: poolAddress,
+            token0: tokenAddress,
+            token1: meta.pairToken,
+            ...meta,
+          });
         }
+      } catch (e) {
+        this.logger.debug(`Failed to decode pool lookup from ${results[i].target}`);
       }
     }
 
@@ -227,6 +281,44 @@ class MulticallService {
     return pools;
   }
 
+  /**
+   * Batch look up StableSwap pools for token pairs on each StableSwap DEX
+   * @param {Array} pairs - Array of [tokenA, tokenB]
+   */
+  async batchDiscoverStableSwapPools(pairs, protocols = getStableSwapProtocols()) {
+    const calls = [];
+    const callMeta = [];
+
+    for (const [tokenA, tokenB] of pairs) {
+      for (const protocol of protocols) {
+        calls.push({
+          target: protocol.factory,
+          callData: this.interfaces.stableSwapFactory.encodeFunctionData('getPairInfo', [tokenA, tokenB]),
+          allowFailure: true,
+        });
+        callMeta.push({ type: 'StableSwap', protocol: protocol.name, token0: tokenA, token1: tokenB });
+      }
+    }
+
+    const results = await this.execute(calls);
+    const pools = [];
+
+    for (let i = 0; i < results.length; i++) {
+      if (!results[i].success || results[i].returnData === '0x') continue;
+
+      try {
+        const [info] = this.interfaces.stableSwapFactory.decodeFunctionResult('getPairInfo', results[i].returnData);
+        if (info.swapContract !== ethers.ZeroAddress) {
+          pools.push({ address: info.swapContract, ...callMeta[i] });
+        }
+      } catch (e) {
+        this.logger.debug(`Failed to decode StableSwap pair info from ${results[i].target}`);
+      }
+    }
+
+    return pools;
+  }
+
   /**
    * Batch get token info for multiple addresses
    * OPTIMIZED: Uses cache for known tokens, only fetches unknown ones
@@ -334,13 +426,25 @@ class MulticallService {
         callData: this.interfaces.v2Pair.encodeFunctionData('getReserves'),
         allowFailure: true,
       });
+      // Identifies the DEX (V2 forks share the pair interface)
+      calls.push({
+        target: address,
+        callData: this.interfaces.v2Pair.encodeFunctionData('factory'),
+        allowFailure: true,
+      });
+      // Per-pair fee on forks that have one (fails elsewhere)
+      calls.push({
+        target: address,
+        callData: this.interfaces.v2Pair.encodeFunctionData('swapFee'),
+        allowFailure: true,
+      });
     }
 
     const results = await this.execute(calls);
     const poolData = [];
 
     for (let i = 0; i < poolAddresses.length; i++) {
-      const baseIdx = i * 3;
+      const baseIdx = i * 5;
 
       try {
         if (!results[baseIdx].success || !results[baseIdx + 1].success || !results[baseIdx + 2].success) {
@@ -350,6 +454,12 @@ class MulticallService {
         const token0 = this.interfaces.v2Pair.decodeFunctionResult('token0', results[baseIdx].returnData)[0];
         const token1 = this.interfaces.v2Pair.decodeFunctionResult('token1', results[baseIdx + 1].returnData)[0];
         const reserves = this.interfaces.v2Pair.decodeFunctionResult('getReserves', results[baseIdx + 2].returnData);
+        const factory = results[baseIdx + 3].success
+          ? this.interfaces.v2Pair.decodeFunctionResult('factory', results[baseIdx + 3].returnData)[0]
+          : null;
+        const swapFee = results[baseIdx + 4].success && results[baseIdx + 4].returnData !== '0x'
+          ? this.interfaces.v2Pair.decodeFunctionResult('swapFee', results[baseIdx + 4].returnData)[0]
+          : null;
 
         poolData.push({
           address: poolAddresses[i],
@@ -358,6 +468,8 @@ class MulticallService {
           reserve0: reserves[0],
           reserve1: reserves[1],
           blockTimestamp: reserves[2],
+          factory,
+          swapFee,
         });
       } catch (e) {
         this.logger.debug(`Failed to decode V2 pool data for ${poolAddresses[i]}`);
@@ -369,62 +481,68 @@ class MulticallService {
 
   /**
    * Batch get V3 pool data for multiple pools
+   * Uniswap V3-style pools report price and fee through slot0()/fee(), Algebra pools
+   * through globalState(); both are requested and the result is returned as `slot0`.
    */
   async batchGetV3PoolData(poolAddresses) {
+    const fields = [
+      [this.interfaces.v3Pool, 'token0'],
+      [this.interfaces.v3Pool, 'token1'],
+      [this.interfaces.v3Pool, 'factory'],
+      [this.interfaces.v3Pool, 'liquidity'],
+      [this.interfaces.v3Pool, 'fee'],
+      [this.interfaces.v3Pool, 'slot0'],
+      [this.interfaces.algebraPool, 'globalState'],
+    ];
     const calls = [];
 
     for (const address of poolAddresses) {
-      calls.push({
-        target: address,
-        callData: this.interfaces.v3Pool.encodeFunctionData('token0'),
-        allowFailure: true,
-      });
-      calls.push({
-        target: address,
-        callData: this.interfaces.v3Pool.encodeFunctionData('token1'),
-        allowFailure: true,
-      });
-      calls.push({
-        target: address,
-        callData: this.interfaces.v3Pool.encodeFunctionData('fee'),
-        allowFailure: true,
-      });
-      calls.push({
-        target: address,
-        callData: this.interfaces.v3Pool.encodeFunctionData('liquidity'),
-        allowFailure: true,
-      });
-      calls.push({
-        target: address,
-        callData: this.interfaces.v3Pool.encodeFunctionData('slot0'),
-        allowFailure: true,
-      });
+      for (const [iface, field] of fields) {
+        calls.push({
+          target: address,
+          callData: iface.encodeFunctionData(field),
+          allowFailure: true,
+        });
+      }
     }
 
     const results = await this.execute(calls);
     const poolData = [];
 
     for (let i = 0; i < poolAddresses.length; i++) {
-      const baseIdx = i * 5;
+      const baseIdx = i * fields.length;
+      const decode = (offset) => {
+        const result = results[baseIdx + offset];
+        if (!result.success || result.returnData === '0x') return null;
+        const [iface, field] = fields[offset];
+        return iface.decodeFunctionResult(field, result.returnData);
+      };
 
       try {
         if (!results[baseIdx].success) continue;
 
-        const token0 = this.interfaces.v3Pool.decodeFunctionResult('token0', results[baseIdx].returnData)[0];
-        const token1 = this.interfaces.v3Pool.decodeFunctionResult('token1', results[baseIdx + 1].returnData)[0];
-        const fee = results[baseIdx + 2].success
-          ? Number(this.interfaces.v3Pool.decodeFunctionResult('fee', results[baseIdx + 2].returnData)[0])
-          : 0;
-        const liquidity = results[baseIdx + 3].success
-          ? this.interfaces.v3Pool.decodeFunctionResult('liquidity', results[baseIdx + 3].returnData)[0]
-          : 0n;
+        const token0 = decode(0)[0];
+        const token1 = decode(1)[0];
+        const factory = decode(2)?.[0] || null;
+        const liquidity = decode(3)?.[0] ?? 0n;
+        const protocol = getV3ProtocolByFactory(factory);
 
+        let fee = 0;
         let slot0 = null;
-        if (results[baseIdx + 4].success) {
-          const decoded = this.interfaces.v3Pool.decodeFunctionResult('slot0', results[baseIdx + 4].returnData);
+        const slot0Result = decode(5);
+        const globalState = slot0Result ? null : decode(6);
+
+        if (slot0Result) {
+          fee = Number(decode(4)?.[0] ?? 0);
           slot0 = {
-            sqrtPriceX96: decoded[0],
-            tick: Number(decoded[1]),
+            sqrtPriceX96: slot0Result[0],
+            tick: Number(slot0Result[1]),
+          };
+        } else if (globalState) {
+          fee = Number(globalState[2]);
+          slot0 = {
+            sqrtPriceX96: globalState[0],
+            tick: Number(globalState[1]),
           };
         }
 
@@ -432,6 +550,9 @@ class MulticallService {
           address: poolAddresses[i],
           token0,
           token1,
+          factory,
+          protocol: protocol?.name || 'Unknown',
+          adapter: globalState ? V3_ADAPTERS.ALGEBRA : V3_ADAPTERS.UNISWAP_V3,
           fee,
           liquidity,
           slot0,
@@ -444,6 +565,209 @@ class MulticallService {
     return poolData;
   }
 
+  /**
+   * Batch get V3 tick bitmap words for a pool (tickTable() on Algebra pools)
+   * @returns {Map<number, bigint>} wordPosition -> bitmap word
+   */
+  async batchGetTickBitmap(poolAddress, wordPositions, adapter = V3_ADAPTERS.UNISWAP_V3) {
+    const [iface, field] = adapter === V3_ADAPTERS.ALGEBRA
+      ? [this.interfaces.algebraPool, 'tickTable']
+      : [this.interfaces.v3Pool, 'tickBitmap'];
+
+    const calls = wordPositions.map(wordPos => ({
+      target: poolAddress,
+      callData: iface.encodeFunctionData(field, [wordPos]),
+      allowFailure: false,
+    }));
+
+    const results = await this.execute(calls);
+    const words = new Map();
+
+    for (let i = 0; i < wordPositions.length; i++) {
+      const word = iface.decodeFunctionResult(field, results[i].returnData)[0];
+      words.set(wordPositions[i], word);
+    }
+
+    return words;
+  }
+
+  /**
+   * Batch get V3 tick data (liquidityNet) for initialized ticks of a pool
+   * @returns {Map<number, {liquidityGross: bigint, liquidityNet: bigint}>}
+   */
+  async batchGetTicks(poolAddress, ticks) {
+    const calls = ticks.map(tick => ({
+      target: poolAddress,
+      callData: this.interfaces.v3Pool.encodeFunctionData('ticks', [tick]),
+      allowFailure: false,
+    }));
+
+    const results = await this.execute(calls);
+    const tickData = new Map();
+
+    for (let i = 0; i < ticks.length; i++) {
+      const decoded = this.interfaces.v3Pool.decodeFunctionResult('ticks', results[i].returnData);
+      tickData.set(ticks[i], {
+        liquidityGross: decoded.liquidityGross,
+        liquidityNet: decoded.liquidityNet,
+      });
+    }
+
+    return tickData;
+  }
+
+  /**
+   * Batch get V3 time-weighted average ticks via observe()
+   * One call per pool and window, so a pool with too little observation
+   * history for the long window still returns the short one.
+   * @param {string[]} poolAddresses
+   * @param {Object<string, number>} windows - label -> seconds (e.g. { '5m': 300 })
+   * @returns {Map<string, Object>} lowercase address -> { label: { tick, seconds } | null }
+   */
+  async batchGetV3Twaps(poolAddresses, windows) {
+    const labels = Object.keys(windows);
+    const calls = [];
+
+    for (const address of poolAddresses) {
+      for (const label of labels) {
+        calls.push({
+          target: address,
+          callData: this.interfaces.v3Pool.encodeFunctionData('observe', [[windows[label], 0]]),
+          allowFailure: true, // Reverts with 'OLD' when the oldest observation is too recent
+        });
+      }
+    }
+
+    const results = await this.execute(calls);
+    const twaps = new Map();
+
+    for (let i = 0; i < poolAddresses.length; i++) {
+      const poolTwaps = {};
+
+      for (let j = 0; j < labels.length; j++) {
+        const result = results[i * labels.length + j];
+        const seconds = windows[labels[j]];
+        poolTwaps[labels[j]] = null;
+
+        if (!result.success || result.returnData.length <= 2) continue;
+
+        try {
+          const [tickCumulatives] = this.interfaces.v3Pool.decodeFunctionResult('observe', result.returnData);
+          const delta = tickCumulatives[1] - tickCumulatives[0];
+          let tick = delta / BigInt(seconds);
+          // Round towards negative infinity like OracleLibrary.consult()
+          if (delta < 0n && delta % BigInt(seconds) !== 0n) tick--;
+
+          poolTwaps[labels[j]] = { tick: Number(tick), seconds };
+        } catch (e) {
+          this.logger.debug(`Failed to decode observe() for ${poolAddresses[i]}`);
+        }
+      }
+
+      twaps.set(poolAddresses[i].toLowerCase(), poolTwaps);
+    }
+
+    return twaps;
+  }
+
+  /**
+   * Batch get V2 cumulative prices and reserves, plus the block timestamp
+   * they were read at (from Multicall3, so everything is from the same block)
+   * @returns {{ blockTimestamp: number, pairs: Map<string, Object> }}
+   */
+  async batchGetV2Cumulatives(pairAddresses) {
+    const fields = ['price0CumulativeLast', 'price1CumulativeLast', 'getReserves'];
+    const calls = [{
+      target: MULTICALL3_ADDRESS,
+      callData: this.interfaces.multicall3.encodeFunctionData('getCurrentBlockTimestamp'),
+      allowFailure: false,
+    }];
+
+    for (const address of pairAddresses) {
+      for (const field of fields) {
+        calls.push({
+          target: address,
+          callData: this.interfaces.v2Pair.encodeFunctionData(field),
+          allowFailure: true,
+        });
+      }
+    }
+
+    const results = await this.execute(calls);
+    const blockTimestamp = Number(
+      this.interfaces.multicall3.decodeFunctionResult('getCurrentBlockTimestamp', results[0].returnData)[0]
+    );
+    const pairs = new Map();
+
+    for (let i = 0; i < pairAddresses.length; i++) {
+      const baseIdx = 1 + i * fields.length;
+
+      try {
+        if (!results[baseIdx].success || !results[baseIdx + 2].success) continue;
+
+        const reserves = this.interfaces.v2Pair.decodeFunctionResult('getReserves', results[baseIdx + 2].returnData);
+        pairs.set(pairAddresses[i].toLowerCase(), {
+          price0CumulativeLast: this.interfaces.v2Pair.decodeFunctionResult('price0CumulativeLast', results[baseIdx].returnData)[0],
+          price1CumulativeLast: this.interfaces.v2Pair.decodeFunctionResult('price1CumulativeLast', results[baseIdx + 1].returnData)[0],
+          reserve0: reserves[0],
+          reserve1: reserves[1],
+          blockTimestampLast: Number(reserves[2]),
+        });
+      } catch (e) {
+        this.logger.debug(`Failed to decode V2 cumulative prices for ${pairAddresses[i]}`);
+      }
+    }
+
+    return { blockTimestamp, pairs };
+  }
+
+  /**
+   * Batch get StableSwap pool state (coins, balances, amplification and fee)
+   */
+  async batchGetStableSwapPoolData(poolAddresses) {
+    const iface = this.interfaces.stableSwapPool;
+    const fields = [['coins', [0]], ['coins', [1]], ['balances', [0]], ['balances', [1]], ['A', []], ['fee', []]];
+    const calls = [];
+
+    for (const address of poolAddresses) {
+      for (const [method, args] of fields) {
+        calls.push({
+          target: address,
+          callData: iface.encodeFunctionData(method, args),
+          allowFailure: true,
+        });
+      }
+    }
+
+    const results = await this.execute(calls);
+    const poolData = [];
+
+    for (let i = 0; i < poolAddresses.length; i++) {
+      const slice = results.slice(i * fields.length, (i + 1) * fields.length);
+      if (slice.some(result => !result.success || result.returnData === '0x')) continue;
+
+      try {
+        const [token0, token1, balance0, balance1, amp, fee] = slice.map((result, k) =>
+          iface.decodeFunctionResult(fields[k][0], result.returnData)[0]
+        );
+
+        poolData.push({
+          address: poolAddresses[i],
+          token0,
+          token1,
+          balance0,
+          balance1,
+          A: amp,
+          fee,
+        });
+      } catch (e) {
+        this.logger.debug(`Failed to decode StableSwap pool data for ${poolAddresses[i]}`);
+      }
+    }
+
+    return poolData;
+  }
+
   /**
    * Batch get token balances for pools (for accurate TVL)
    */
@@ -495,14 +819,7 @@ class MulticallService {
   }
 }
 
-// Singleton
-let multicallInstance = null;
-
+// One instance per chain (see utils/ChainContext)
 module.exports = {
-  getMulticallService: () => {
-    if (!multicallInstance) {
-      multicallInstance = new MulticallService();
-    }
-    return multicallInstance;
-  },
+  getMulticallService: perChain(() => new MulticallService()),
 };
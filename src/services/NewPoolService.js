@@ -0,0 +1,327 @@
+// src/services/NewPoolService.js
+// Feed of newly created pools: PairCreated / PoolCreated / Pool logs of every V2 and V3 DEX
+// in config/protocols.js, the first Mint into each pool and (optionally) an analysis of
+// the new token
+
+const { ethers } = require('ethers');
+const { getProviderService } = require('./ProviderService');
+const { getMulticallService } = require('./MulticallService');
+const { getPoolEventIndexer } = require('./PoolEventIndexer');
+const { getPriceService } = require('./PriceService');
+const { getPoolAnalyzer } = require('./PoolAnalyzer');
+const { parseCreatedLog, getFactories, CREATED_TOPICS } = require('./FactoryIndexService');
+const { getTokenRegistry } = require('./TokenRegistryService');
+const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const { NEW_POOLS_CONFIG } = require('../config/constants');
+const { PANCAKESWAP_V2_PAIR_ABI, PANCAKESWAP_V3_POOL_ABI } = require('../config/abis');
+
+const v2PairInterface = new ethers.Interface(PANCAKESWAP_V2_PAIR_ABI);
+const v3PoolInterface = new ethers.Interface(PANCAKESWAP_V3_POOL_ABI);
+
+const MINT_TOPICS = [
+  v2PairInterface.getEvent('Mint').topicHash,
+  v3PoolInterface.getEvent('Mint').topicHash,
+];
+
+class NewPoolService {
+  constructor() {
+    this.providerService = getProviderService();
+    this.multicallService = getMulticallService();
+    this.eventIndexer = getPoolEventIndexer();
+    this.priceService = getPriceService();
+    this.poolAnalyzer = getPoolAnalyzer();
+    this.tokenRegistry = getTokenRegistry();
+    this.logger = getLogger();
+
+    this.pools = []; // newest first
+    this.byAddress = new Map();
+    this.lastBlock = null;
+    this.lastError = null;
+    this.syncing = false;
+    this.timer = null;
+    this.running = false;
+    this.analyzeQueue = [];
+    this.analyzing = false;
+  }
+
+  /**
+   * Start polling the factories (no-op if already running). The first sync
+   * backfills BACKFILL_BLOCKS blocks.
+   */
+  start(intervalMs = NEW_POOLS_CONFIG.POLL_INTERVAL) {
+    if (this.running) return;
+    this.running = true;
+
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        this.lastError = error.message;
+        this.logger.warn(`New pool sync failed: ${error.message}`);
+      }
+      if (this.running) this.timer = setTimeout(poll, intervalMs);
+    };
+
+    this.logger.info(`🆕 New pool watcher started (polling every ${intervalMs}ms, auto-analyze ${NEW_POOLS_CONFIG.AUTO_ANALYZE ? 'on' : 'off'})`);
+    poll();
+  }
+
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.analyzeQueue = [];
+    this.logger.info('New pool watcher stopped');
+  }
+
+  /**
+   * Scan the blocks since the last sync for new pools and first liquidity
+   */
+  async sync() {
+    if (this.syncing) return;
+    this.syncing = true;
+
+    try {
+      const latest = await this.providerService.executeWithRetry(provider => provider.getBlock('latest'));
+      const toBlock = latest.number;
+      const fromBlock = this.lastBlock !== null
+        ? this.lastBlock + 1
+        : Math.max(0, toBlock - NEW_POOLS_CONFIG.BACKFILL_BLOCKS + 1);
+      if (fromBlock > toBlock) return;
+
+      const blockTime = await this.eventIndexer.getBlockTime(toBlock);
+      const timestampOf = blockNumber => Math.round(latest.timestamp - (toBlock - blockNumber) * blockTime);
+
+      const created = await this.indexCreated(fromBlock, toBlock, timestampOf);
+      await this.indexFirstLiquidity(fromBlock, toBlock);
+
+      this.lastBlock = toBlock;
+      this.lastError = null;
+      if (created > 0) {
+        this.logger.info(`🆕 ${created} new pools in blocks ${fromBlock}-${toBlock}`);
+      }
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Add pools created in [fromBlock, toBlock] to the feed
+   * @returns {Promise<number>} number of new pools
+   */
+  async indexCreated(fromBlock, toBlock, timestampOf) {
+    const logs = await this.eventIndexer.getLogs(getFactories(), fromBlock, toBlock, CREATED_TOPICS);
+    if (logs.length === 0) return 0;
+
+    const created = logs.map(log => this.parseCreated(log)).filter(Boolean);
+    const tokenInfo = await this.multicallService.batchGetTokenInfo(
+      created.flatMap(pool => [pool.token0, pool.token1])
+    );
+
+    let added = 0;
+    for (const pool of created) {
+      const key = pool.address.toLowerCase();
+      if (this.byAddress.has(key)) continue;
+
+      const entry = {
+        ...pool,
+        token0: this.tokenSummary(pool.token0, tokenInfo),
+        token1: this.tokenSummary(pool.token1, tokenInfo),
+        createdTimestamp: timestampOf(pool.createdBlock),
+        firstLiquidity: null,
+        analysis: null,
+      };
+      this.byAddress.set(key, entry);
+      this.pools.unshift(entry);
+      added++;
+    }
+
+    // Logs come in block order, so the newest pools are already at the front
+    while (this.pools.length > NEW_POOLS_CONFIG.MAX_POOLS) {
+      this.byAddress.delete(this.pools.pop().address.toLowerCase());
+    }
+
+    return added;
+  }
+
+  parseCreated(log) {
+    const pool = parseCreatedLog(log);
+    if (!pool) {
+      this.logger.debug(`Skipping unparseable factory log ${log.transactionHash}`);
+      return null;
+    }
+
+    return {
+      address: pool.address,
+      type: pool.type,
+      protocol: pool.protocol,
+      factory: pool.factory,
+      token0: pool.token0,
+      token1: pool.token1,
+      fee: pool.fee,
+      feePercent: pool.fee === null ? null : pool.fee / 10000, // null: dynamic fee (Algebra)
+      tickSpacing: pool.tickSpacing,
+      createdBlock: pool.createdBlock,
+      transactionHash: pool.transactionHash,
+    };
+  }
+
+  tokenSummary(address, tokenInfo) {
+    const info = tokenInfo[address.toLowerCase()] || {};
+    return {
+      address,
+      symbol: info.symbol || 'UNKNOWN',
+      name: info.name || 'Unknown',
+      decimals: info.decimals ?? 18,
+    };
+  }
+
+  /**
+   * Record the first Mint into pools still waiting for liquidity
+   */
+  async indexFirstLiquidity(fromBlock, toBlock) {
+    const pending = this.pools.filter(pool =>
+      !pool.firstLiquidity && toBlock - pool.createdBlock <= NEW_POOLS_CONFIG.FIRST_LIQUIDITY_WINDOW
+    );
+    if (pending.length === 0) return;
+
+    // A pool cannot be minted into before it exists
+    const start = Math.max(fromBlock, Math.min(...pending.map(pool => pool.createdBlock)));
+
+    for (const batch of this.eventIndexer.batchAddresses(pending.map(pool => pool.address))) {
+      const logs = await this.eventIndexer.getLogs(batch, start, toBlock, MINT_TOPICS);
+      for (const log of logs) {
+        const pool = this.byAddress.get(log.address.toLowerCase());
+        if (!pool || pool.firstLiquidity) continue;
+
+        const amounts = this.parseMint(pool, log);
+        if (!amounts) continue;
+
+        pool.firstLiquidity = {
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          ...amounts,
+        };
+        this.queueAnalysis(pool);
+      }
+    }
+  }
+
+  parseMint(pool, log) {
+    try {
+      const iface = pool.type === 'V2' ? v2PairInterface : v3PoolInterface;
+      const { args } = iface.parseLog(log);
+      const { token0, token1 } = pool;
+
+      return {
+        amount0: ethers.formatUnits(args.amount0, token0.decimals),
+        amount1: ethers.formatUnits(args.amount1, token1.decimals),
+        amount0Raw: args.amount0.toString(),
+        amount1Raw: args.amount1.toString(),
+        valueUSD: this.priceService.calculatePoolValueUSD(
+          token0.address, token1.address, args.amount0, args.amount1, token0.decimals, token1.decimals
+        ),
+      };
+    } catch (error) {
+      this.logger.debug(`Skipping unparseable Mint in ${pool.address}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * The launched token of a pool: the side that is not a registry base token
+   */
+  launchedToken(pool) {
+    if (!this.tokenRegistry.hasRole(pool.token0.address, 'base')) return pool.token0;
+    if (!this.tokenRegistry.hasRole(pool.token1.address, 'base')) return pool.token1;
+    return null;
+  }
+
+  queueAnalysis(pool) {
+    if (!NEW_POOLS_CONFIG.AUTO_ANALYZE || !this.launchedToken(pool)) return;
+    pool.analysis = { status: 'PENDING' };
+    this.analyzeQueue.push(pool);
+    this.drainAnalysisQueue();
+  }
+
+  /**
+   * Analyze queued tokens one at a time so a burst of launches does not
+   * flood the RPC
+   */
+  async drainAnalysisQueue() {
+    if (this.analyzing) return;
+    this.analyzing = true;
+
+    try {
+      while (this.analyzeQueue.length > 0) {
+        const pool = this.analyzeQueue.shift();
+        pool.analysis = await this.analyze(this.launchedToken(pool));
+      }
+    } finally {
+      this.analyzing = false;
+    }
+  }
+
+  async analyze(token) {
+    try {
+      const analysis = await this.poolAnalyzer.analyzeToken(token.address, true);
+      return {
+        status: 'DONE',
+        analyzedAt: new Date().toISOString(),
+        blockNumber: analysis.meta?.blockNumber ?? null,
+        priceUSD: analysis.pricing?.currentPrice?.usd ?? null,
+        totalPools: analysis.summary?.totalPools ?? 0,
+        activePools: analysis.summary?.activePools ?? 0,
+        liquidityUSD: analysis.bestPools?.[0]?.liquidity?.totalValueUSD ?? null,
+        security: analysis.security ? {
+          isHoneypot: analysis.security.isHoneypot ?? null,
+          buyTaxPercent: analysis.security.buyTaxPercent ?? null,
+          sellTaxPercent: analysis.security.sellTaxPercent ?? null,
+        } : null,
+        warnings: (analysis.warnings?.items || []).map(warning => warning.code),
+      };
+    } catch (error) {
+      this.logger.warn(`New pool analysis failed for ${token.address}: ${error.message}`);
+      return { status: 'FAILED', error: error.message };
+    }
+  }
+
+  /**
+   * Pools in the feed, newest first
+   * @param {Object} filters - { limit, type, token, withLiquidity, sinceBlock }
+   */
+  getPools({ limit = NEW_POOLS_CONFIG.DEFAULT_LIMIT, type, token, withLiquidity, sinceBlock } = {}) {
+    const tokenKey = token?.toLowerCase();
+    const pools = this.pools.filter(pool =>
+      (!type || pool.type === type) &&
+      (!tokenKey || pool.token0.address.toLowerCase() === tokenKey || pool.token1.address.toLowerCase() === tokenKey) &&
+      (withLiquidity === undefined || Boolean(pool.firstLiquidity) === withLiquidity) &&
+      (sinceBlock === undefined || pool.createdBlock >= sinceBlock)
+    );
+
+    return {
+      total: pools.length,
+      pools: pools.slice(0, Math.min(limit, NEW_POOLS_CONFIG.MAX_LIMIT)),
+    };
+  }
+
+  getStats() {
+    return {
+      running: this.running,
+      trackedPools: this.pools.length,
+      withLiquidity: this.pools.filter(pool => pool.firstLiquidity).length,
+      lastBlock: this.lastBlock,
+      autoAnalyze: NEW_POOLS_CONFIG.AUTO_ANALYZE,
+      analysisQueue: this.analyzeQueue.length,
+      lastError: this.lastError,
+    };
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  NewPoolService,
+  getNewPoolService: perChain(() => new NewPoolService()),
+};
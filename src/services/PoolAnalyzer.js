@@ -3,26 +3,45 @@
 const { ethers } = require('ethers');
 const { getV2PoolService } = require('./V2PoolService');
 const { getV3PoolService } = require('./V3PoolService');
+const { getStableSwapPoolService } = require('./StableSwapPoolService');
 // PancakeSwap V2/V3 pool analyzer for BSC network
 const { getTokenService } = require('./TokenService');
 const { getPoolDiscoveryService } = require('./PoolDiscoveryService');
 const { getMulticallService } = require('./MulticallService');
 const { getPriceService } = require('./PriceService');
+const { getV2TwapService } = require('./V2TwapService');
+const { getTokenSecurityService } = require('./TokenSecurityService');
+const { getPoolEventIndexer } = require('./PoolEventIndexer');
+const { getProviderService } = require('./ProviderService');
+const { getTokenRegistry } = require('./TokenRegistryService');
 const { getCacheService } = require('../utils/Cache');
 const { getLogger } = require('../utils/Logger');
-const { LIQUIDITY_THRESHOLDS } = require('../config/constants');
+const { getChain, perChain } = require('../utils/ChainContext');
+const { runAtBlock, getPinnedBlock, getHistoricalBlock } = require('../utils/BlockContext');
+const { LIQUIDITY_THRESHOLDS, TWAP_CONFIG, EVENT_INDEXER_CONFIG, ACTIVITY_SCORING } = require('../config/constants');
+const { V3_ADAPTERS, getV2Protocols, getV3Protocols, getV2Protocol, getV2PoolFee, getV3Protocol } = require('../config/protocols');
+
+// Protocol keys used in per-protocol breakdowns ('pancakeswap', 'biswap', 'thena', ...) on the current chain
+const protocolKeys = () => [...new Set([...getV2Protocols(), ...getV3Protocols()].map(protocol => protocol.id))];
+const protocolKey = pool => (pool.protocol || 'PancakeSwap').toLowerCase();
 
 class PoolAnalyzer {
   constructor() {
     // PancakeSwap V2/V3 services (Uniswap-compatible)
     this.v2PoolService = getV2PoolService();
     this.v3PoolService = getV3PoolService();
+    this.stableSwapPoolService = getStableSwapPoolService();
 
     // Common services
     this.tokenService = getTokenService();
     this.discoveryService = getPoolDiscoveryService();
     this.multicallService = getMulticallService();
     this.priceService = getPriceService();
+    this.v2TwapService = getV2TwapService();
+    this.tokenSecurityService = getTokenSecurityService();
+    this.eventIndexer = getPoolEventIndexer();
+    this.providerService = getProviderService();
+    this.tokenRegistry = getTokenRegistry();
     this.cache = getCacheService();
     this.inFlightRequests = new Map(); // Request deduplication: stores pending promises
     this.logger = getLogger();
@@ -55,7 +74,7 @@ class PoolAnalyzer {
       }
 
       // REQUEST DEDUPLICATION: If there's an in-flight request for this token, wait for it
-      const inFlightKey = `${tokenAddress}:${forceRefresh}`;
+      const inFlightKey = `${tokenAddress}:${forceRefresh}:${getHistoricalBlock() ?? 'latest'}`;
       if (this.inFlightRequests.has(inFlightKey)) {
         this.logger.info(`🔄 Deduplicating request for ${tokenAddress} - waiting for in-flight analysis`);
         const result = await this.inFlightRequests.get(inFlightKey);
@@ -70,7 +89,7 @@ class PoolAnalyzer {
       }
 
       // Create promise for this analysis and store it
-      const analysisPromise = this._performAnalysis(tokenAddress, forceRefresh, startTime);
+      const analysisPromise = this._performSnapshotAnalysis(tokenAddress, forceRefresh, startTime);
       this.inFlightRequests.set(inFlightKey, analysisPromise);
 
       try {
@@ -86,16 +105,32 @@ class PoolAnalyzer {
     }
   }
 
-  // Internal method that performs the actual analysis
-  async _performAnalysis(tokenAddress, forceRefresh, startTime) {
+  /**
+   * Run the analysis against a single block so token info, prices, discovery and
+   * pool state all come from the same chain state. The block is the chain head when
+   * the analysis starts, or the block a ?blockTag= request is already pinned to.
+   */
+  async _performSnapshotAnalysis(tokenAddress, forceRefresh, startTime) {
+    const block = await this.providerService.executeWithRetry(provider => provider.getBlock('latest'));
+    const analyze = () => this._performAnalysis(tokenAddress, forceRefresh, startTime, block);
+
+    const result = getPinnedBlock() === null
+      ? await runAtBlock(block.number, analyze, { historical: false })
+      : await analyze();
+    return result;
+  }
+
+  // Internal method that performs the actual analysis (inside _performSnapshotAnalysis)
+  async _performAnalysis(tokenAddress, forceRefresh, startTime, block) {
     try {
-      this.logger.info(`⏱️ Starting token analysis: ${tokenAddress}`);
+      this.logger.info(`⏱️ Starting token analysis: ${tokenAddress} at block ${block.number}`);
 
       // Track performance timing
       const timing = {
         total: 0,
         tokenInfo: 0,
         poolDiscovery: 0,
+        eventIndexing: 0,
         poolFormatting: 0,
         priceCalculation: 0,
         poolAnalysis: 0,
@@ -117,7 +152,10 @@ class PoolAnalyzer {
       this.logger.info(`⏱️ [${timing.tokenInfo}ms] Token info${pricesStale ? ' + prices' : ''} fetched`);
       this.logger.info(`Token: ${tokenInfo.symbol} (${tokenInfo.name})`);
 
-      // Discover all pools (PancakeSwap V2/V3) with graceful degradation
+      // Buy/sell simulation runs alongside pool discovery (independent RPC work)
+      const securityPromise = this.tokenSecurityService.checkToken(tokenAddress, { forceRefresh });
+
+      // Discover all pools (V2 and V3 DEXes) with graceful degradation
       const step2Start = Date.now();
       const { pools: allPools, protocolStatus } = await this.discoverAllPools(tokenAddress);
       timing.poolDiscovery = Date.now() - step2Start;
@@ -130,6 +168,17 @@ class PoolAnalyzer {
         .map(([name, status]) => ({ name, error: status.error }));
       const hasPartialResults = failedProtocols.length > 0;
 
+      // Swap/Mint/Burn/Sync logs for 1h/24h activity - waits at most SYNC_TIMEOUT,
+      // a first backfill keeps running in the background past that.
+      // The index follows the chain head, so it is skipped for ?blockTag= requests.
+      const historical = getHistoricalBlock() !== null;
+      const stepEventsStart = Date.now();
+      if (!historical) {
+        await this.eventIndexer.sync(allPools);
+      }
+      timing.eventIndexing = Date.now() - stepEventsStart;
+      this.logger.info(`⏱️ [${timing.eventIndexing}ms] Pool event indexing ${historical ? 'skipped (historical block)' : 'completed'}`);
+
       // Format pools with comprehensive pricing
       const step3Start = Date.now();
       const formattedPools = this.formatPoolsWithPricing(allPools, tokenAddress);
@@ -155,6 +204,8 @@ class PoolAnalyzer {
       // Count by protocol and type
       const protocolBreakdown = this.getProtocolBreakdown(allPools);
 
+      const security = await securityPromise;
+
       // Calculate total timing
       const totalTime = Date.now() - startTime;
       timing.total = totalTime;
@@ -167,7 +218,8 @@ class PoolAnalyzer {
         pricesStale,
         timing,
         protocolStatus,
-        hasPartialResults
+        hasPartialResults,
+        security
       });
 
       // Create comprehensive result with enhanced UX
@@ -204,6 +256,7 @@ class PoolAnalyzer {
         bestPools,
         pools: formattedPools,
         analysis,
+        security,
 
         // Enhanced UX: Performance timing breakdown
         performance: {
@@ -211,6 +264,7 @@ class PoolAnalyzer {
           breakdown: {
             tokenInfo: timing.tokenInfo,
             poolDiscovery: timing.poolDiscovery,
+            eventIndexing: timing.eventIndexing,
             poolFormatting: timing.poolFormatting,
             priceCalculation: timing.priceCalculation,
             poolAnalysis: timing.poolAnalysis,
@@ -225,7 +279,12 @@ class PoolAnalyzer {
           cached: false,
           cacheKey: tokenAddress,
           ttlSeconds: 300,
+          // Every on-chain read of this analysis was made at this block
+          blockNumber: block.number,
+          blockTimestamp: block.timestamp,
+          historical,
           bnbPrice: this.priceService.getBNBPrice(),
+          pricesBlockNumber: this.priceService.getPriceBlock(),
           pricesStale: pricesStale,
           // Graceful degradation: protocol status and partial results flag
           partialResults: hasPartialResults,
@@ -258,7 +317,7 @@ class PoolAnalyzer {
 
     this.logger.info(`Starting comprehensive pool discovery for ${tokenAddress}`);
 
-    // Use the enhanced discovery service (PancakeSwap V2/V3)
+    // Use the enhanced discovery service (V2 and V3 DEXes)
     const discoveryStart = Date.now();
     const discoveredPools = await this.discoveryService.findAllPoolsForToken(tokenAddress);
     this.logger.info(`  ⏱️ [${Date.now() - discoveryStart}ms] Pool discovery completed - found ${discoveredPools.length} potential pools`);
@@ -306,11 +365,14 @@ class PoolAnalyzer {
    * ENHANCED: Returns protocol status for graceful degradation
    */
   async batchFetchPoolData(pools) {
-    // Initialize protocol status tracking for graceful degradation
-    const protocolStatus = {
-      pancakeswapV2: { status: 'skipped', pools: 0, error: null },
-      pancakeswapV3: { status: 'skipped', pools: 0, error: null }
-    };
+    // Initialize protocol status tracking for graceful degradation (<id>V2 / <id>V3 per DEX)
+    const protocolStatus = {};
+    for (const protocol of getV2Protocols()) {
+      protocolStatus[`${protocol.id}V2`] = { status: 'skipped', pools: 0, error: null };
+    }
+    for (const protocol of getV3Protocols()) {
+      protocolStatus[`${protocol.id}V3`] = { status: 'skipped', pools: 0, error: null };
+    }
 
     if (!pools || pools.length === 0) {
       return { pools: [], protocolStatus };
@@ -323,8 +385,14 @@ class PoolAnalyzer {
     this.logger.info(`  Batch fetching: ${v2Pools.length} V2, ${v3Pools.length} V3`);
 
     // Update initial pool counts
-    protocolStatus.pancakeswapV2.pools = v2Pools.length;
-    protocolStatus.pancakeswapV3.pools = v3Pools.length;
+    const v2StatusOf = pool => protocolStatus[`${getV2Protocol(pool.protocol)?.id || 'pancakeswap'}V2`];
+    const v3StatusOf = pool => protocolStatus[`${getV3Protocol(pool.protocol)?.id || 'pancakeswap'}V3`];
+    for (const pool of v2Pools) {
+      v2StatusOf(pool).pools++;
+    }
+    for (const pool of v3Pools) {
+      v3StatusOf(pool).pools++;
+    }
 
     try {
       // Fetch all pool types in parallel using Multicall with detailed error tracking
@@ -345,14 +413,28 @@ class PoolAnalyzer {
       const v2Data = v2Result.data;
       const v3Data = v3Result.data;
 
-      // Update protocol status based on results
-      protocolStatus.pancakeswapV2.status = v2Pools.length === 0 ? 'skipped' : v2Result.error ? 'failed' : 'success';
-      protocolStatus.pancakeswapV2.error = v2Result.error;
-      protocolStatus.pancakeswapV2.returned = v2Data.length;
+      // Update protocol status based on results (all V2 DEXes share one multicall)
+      const v2Returned = new Set(v2Data.map(data => data.address.toLowerCase()));
+      for (const protocol of getV2Protocols()) {
+        const status = protocolStatus[`${protocol.id}V2`];
+        status.status = status.pools === 0 ? 'skipped' : v2Result.error ? 'failed' : 'success';
+        status.error = status.pools === 0 ? null : v2Result.error;
+        status.returned = 0;
+      }
+      for (const pool of v2Pools) {
+        if (v2Returned.has(pool.address.toLowerCase())) v2StatusOf(pool).returned++;
+      }
 
-      protocolStatus.pancakeswapV3.status = v3Pools.length === 0 ? 'skipped' : v3Result.error ? 'failed' : 'success';
-      protocolStatus.pancakeswapV3.error = v3Result.error;
-      protocolStatus.pancakeswapV3.returned = v3Data.length;
+      const v3Returned = new Set(v3Data.map(data => data.address.toLowerCase()));
+      for (const protocol of getV3Protocols()) {
+        const status = protocolStatus[`${protocol.id}V3`];
+        status.status = status.pools === 0 ? 'skipped' : v3Result.error ? 'failed' : 'success';
+        status.error = status.pools === 0 ? null : v3Result.error;
+        status.returned = 0;
+      }
+      for (const pool of v3Pools) {
+        if (v3Returned.has(pool.address.toLowerCase())) v3StatusOf(pool).returned++;
+      }
 
       // Log any failures
       Object.entries(protocolStatus).forEach(([protocol, status]) => {
@@ -363,26 +445,50 @@ class PoolAnalyzer {
 
       // Now fetch V3 balances using the ACTUAL token addresses from pool data
       // This must happen AFTER pool data fetch to get correct token addresses
+      // Oracle TWAPs are fetched in parallel for the spot-vs-TWAP manipulation check
       let v3Balances = {};
+      let v3Twaps = new Map();
       if (v3Data.length > 0) {
-        try {
-          const balanceData = await this.multicallService.batchGetPoolBalances(v3Data);
-          for (const b of balanceData) {
-            v3Balances[b.address.toLowerCase()] = { balance0: b.balance0, balance1: b.balance1 };
-          }
-          this.logger.info(`  Fetched actual balances for ${v3Data.length} V3 pools`);
-        } catch (err) {
-          this.logger.warn(`Failed to fetch V3 pool balances: ${err.message}`);
-        }
+        await Promise.all([
+          this.multicallService.batchGetPoolBalances(v3Data)
+            .then(balanceData => {
+              for (const b of balanceData) {
+                v3Balances[b.address.toLowerCase()] = { balance0: b.balance0, balance1: b.balance1 };
+              }
+              this.logger.info(`  Fetched actual balances for ${v3Data.length} V3 pools`);
+            })
+            .catch(err => this.logger.warn(`Failed to fetch V3 pool balances: ${err.message}`)),
+          // Algebra pools (THENA) have no observe() oracle
+          this.multicallService.batchGetV3Twaps(
+            v3Data.filter(p => p.adapter !== V3_ADAPTERS.ALGEBRA).map(p => p.address),
+            TWAP_CONFIG.WINDOWS
+          )
+            .then(twaps => { v3Twaps = twaps; })
+            .catch(err => this.logger.warn(`Failed to fetch V3 TWAPs: ${err.message}`)),
+        ]);
       }
 
-      // Attach actual balances to V3 pool data
+      // Attach actual balances and TWAP ticks to V3 pool data
       for (const pool of v3Data) {
         const balances = v3Balances[pool.address.toLowerCase()];
         if (balances) {
           pool.actualBalance0 = balances.balance0;
           pool.actualBalance1 = balances.balance1;
         }
+        pool.twaps = v3Twaps.get(pool.address.toLowerCase()) || null;
+      }
+
+      // V2 pairs have no on-chain observation history - keep snapshotting their cumulative prices.
+      // The snapshots are of the live chain, so block-pinned requests get no V2 TWAPs.
+      if (v2Data.length > 0 && getHistoricalBlock() !== null) {
+        for (const pool of v2Data) {
+          pool.twaps = null;
+        }
+      } else if (v2Data.length > 0) {
+        this.v2TwapService.track(v2Data.map(p => p.address));
+        for (const pool of v2Data) {
+          pool.twaps = this.v2TwapService.getTwaps(pool.address);
+        }
       }
 
       // Get all unique token addresses for batch token info fetch
@@ -412,7 +518,7 @@ class PoolAnalyzer {
         const poolData = v2Data[i];
         const poolInfo = v2Pools.find(p => p.address.toLowerCase() === poolData.address.toLowerCase());
         if (poolData && poolInfo) {
-          enrichmentPromises.push(this.enrichPoolData(poolData, poolInfo, tokenInfo, 'V2', 'PancakeSwap'));
+          enrichmentPromises.push(this.enrichPoolData(poolData, poolInfo, tokenInfo, 'V2', poolInfo.protocol || 'PancakeSwap'));
         }
       }
 
@@ -421,7 +527,7 @@ class PoolAnalyzer {
         const poolData = v3Data[i];
         const poolInfo = v3Pools.find(p => p.address.toLowerCase() === poolData.address.toLowerCase());
         if (poolData && poolInfo) {
-          enrichmentPromises.push(this.enrichPoolData(poolData, poolInfo, tokenInfo, 'V3', 'PancakeSwap'));
+          enrichmentPromises.push(this.enrichPoolData(poolData, poolInfo, tokenInfo, 'V3', poolInfo.protocol || 'PancakeSwap'));
         }
       }
 
@@ -482,8 +588,13 @@ class PoolAnalyzer {
         reserve0: poolData.reserve0?.toString() || '0',
         reserve1: poolData.reserve1?.toString() || '0',
       };
-      enriched.fee = poolInfo.fee || 2500; // PancakeSwap V2 default 0.25%
+      // The DEX's fee (PancakeSwap 0.25%), or the pair's own on forks like Biswap
+      const v2Protocol = getV2Protocol(protocol);
+      enriched.fee = v2Protocol?.pairFee && poolData.swapFee != null
+        ? getV2PoolFee(v2Protocol, poolData.swapFee)
+        : poolInfo.fee || getV2PoolFee(v2Protocol || undefined);
       enriched.feePercent = enriched.fee / 10000; // fee is in basis points (2500 = 0.25%)
+      enriched.twaps = poolData.twaps || null;
 
       // Calculate liquidity from reserves
       const reserve0Num = Number(ethers.formatUnits(poolData.reserve0 || 0n, token0Info.decimals));
@@ -514,10 +625,11 @@ class PoolAnalyzer {
     }
     // Handle V3 style pools (liquidity + slot0)
     else if (type === 'V3') {
-      enriched.fee = poolData.fee || poolInfo.fee || 2500; // PancakeSwap V3 common fee tier
+      enriched.fee = poolData.fee || poolInfo.fee || 2500; // current fee (dynamic on Algebra), else PancakeSwap V3 common tier
       enriched.feePercent = enriched.fee / 10000; // fee is in basis points (2500 = 0.25%)
       enriched.sqrtPriceX96 = poolData.slot0?.sqrtPriceX96?.toString() || '0';
       enriched.tick = Number(poolData.slot0?.tick) || 0;
+      enriched.twaps = poolData.twaps || null;
 
       const liquidityRaw = poolData.liquidity || 0n;
 
@@ -727,7 +839,7 @@ class PoolAnalyzer {
 
   // Helper method to fetch pool data based on protocol and type
   async fetchPoolData(poolInfo) {
-    // Route to appropriate service based on pool type (BSC: PancakeSwap V2/V3)
+    // Route to appropriate service based on pool type (V2 forks share V2PoolService)
     if (poolInfo.type === 'V2') {
       return await this.v2PoolService.getPoolData(poolInfo.address);
     } else if (poolInfo.type === 'V3') {
@@ -737,15 +849,13 @@ class PoolAnalyzer {
   }
 
   getProtocolBreakdown(pools) {
-    const breakdown = {
-      pancakeswap: {
-        v2: pools.filter(p => p.type === 'V2').length,
-        v3: pools.filter(p => p.type === 'V3').length,
-        total: 0
-      }
-    };
-
-    breakdown.pancakeswap.total = breakdown.pancakeswap.v2 + breakdown.pancakeswap.v3;
+    const breakdown = {};
+    for (const key of new Set([...protocolKeys(), ...pools.map(protocolKey)])) {
+      const protocolPools = pools.filter(p => protocolKey(p) === key);
+      const v2 = protocolPools.filter(p => p.type === 'V2').length;
+      const v3 = protocolPools.filter(p => p.type === 'V3').length;
+      breakdown[key] = { v2, v3, total: v2 + v3 };
+    }
 
     return breakdown;
   }
@@ -889,10 +999,145 @@ class PoolAnalyzer {
         formattedPool.sqrtPriceX96 = pool.sqrtPriceX96;
       }
 
+      // Oracle TWAPs (V3 observe() or tracked V2 cumulative prices)
+      formattedPool.twap = this.formatTwap(pool, isToken0, priceRatio);
+
+      // 1h/24h volume, trades and fees from indexed pool events
+      formattedPool.activity = this.formatActivity(pool, isToken0, token1Price);
+
       return formattedPool;
     });
   }
 
+  /**
+   * Convert oracle TWAPs (V3 ticks or raw V2 prices) to prices in the same
+   * orientation as price.ratio and measure how far the spot price is from each
+   */
+  formatTwap(pool, isToken0, spotRatio) {
+    const windows = {};
+    let maxDeviation = null;
+
+    if (pool.type === 'V3' && getV3Protocol(pool.protocol)?.adapter === V3_ADAPTERS.ALGEBRA) {
+      return {
+        available: false,
+        windows: Object.fromEntries(Object.keys(TWAP_CONFIG.WINDOWS).map(label => [label, null])),
+        maxDeviationPercent: null,
+        status: 'UNSUPPORTED',
+        reason: `${pool.protocol} (Algebra) pools have no observe() oracle, so the spot price is not checked against a TWAP`,
+      };
+    }
+
+    const decimalAdjustment = Math.pow(10, (pool.token0?.decimals || 18) - (pool.token1?.decimals || 18));
+
+    for (const label of Object.keys(TWAP_CONFIG.WINDOWS)) {
+      const twap = pool.twaps?.[label];
+      if (!twap) {
+        windows[label] = null;
+        continue;
+      }
+
+      const rawPrice = twap.tick !== undefined ? Math.pow(1.0001, twap.tick) : twap.price0;
+      const token1Price = rawPrice * decimalAdjustment;
+      const price = isToken0 ? token1Price : (token1Price > 0 ? 1 / token1Price : 0);
+      const deviation = price > 0 && spotRatio > 0
+        ? Math.abs((spotRatio - price) / price) * 100
+        : null;
+
+      windows[label] = {
+        ...(twap.tick !== undefined && { tick: twap.tick }),
+        seconds: twap.seconds,
+        price,
+        deviationPercent: deviation !== null ? Math.round(deviation * 100) / 100 : null,
+      };
+
+      if (deviation !== null) {
+        maxDeviation = Math.max(maxDeviation ?? 0, deviation);
+      }
+    }
+
+    const thresholds = TWAP_CONFIG.DEVIATION;
+    let status = 'UNAVAILABLE';
+    if (maxDeviation !== null) {
+      status = maxDeviation > thresholds.MANIPULATION ? 'MANIPULATION_RISK'
+        : maxDeviation > thresholds.HIGH ? 'HIGH_DEVIATION'
+        : maxDeviation > thresholds.MODERATE ? 'MODERATE_DEVIATION'
+        : 'OK';
+    }
+
+    return {
+      available: maxDeviation !== null,
+      windows,
+      maxDeviationPercent: maxDeviation !== null ? Math.round(maxDeviation * 100) / 100 : null,
+      status,
+    };
+  }
+
+  /**
+   * Indexed event activity per window with token amounts converted to decimals and USD.
+   * token1Price is token0 priced in token1 (the pool's raw orientation).
+   */
+  formatActivity(pool, isToken0, token1Price) {
+    // Indexed windows end at the chain head, not at a pinned block
+    const activity = getHistoricalBlock() === null ? this.eventIndexer.getActivity(pool.address) : null;
+    if (!activity) {
+      return { available: false, windows: {} };
+    }
+
+    const token0 = pool.token0?.address;
+    const token1 = pool.token1?.address;
+    const decimals0 = pool.token0?.decimals || 18;
+    const decimals1 = pool.token1?.decimals || 18;
+    const decimalAdjustment = Math.pow(10, decimals0 - decimals1);
+
+    const toUSD = (amount0, amount1) => (token0 && token1
+      ? this.priceService.calculatePoolValueUSD(token0, token1, amount0, amount1, decimals0, decimals1, token1Price || null)
+      : 0);
+    // Same orientation as price.ratio
+    const orient = rawPrice => {
+      if (rawPrice === null || rawPrice <= 0) return null;
+      const price = rawPrice * decimalAdjustment;
+      return isToken0 ? price : 1 / price;
+    };
+
+    const windows = {};
+    for (const [label, window] of Object.entries(activity.windows)) {
+      const low = orient(window.priceLow);
+      const high = orient(window.priceHigh);
+
+      windows[label] = {
+        complete: window.complete,
+        trades: window.swaps,
+        mints: window.mints,
+        burns: window.burns,
+        volume: {
+          token0: ethers.formatUnits(window.amount0In, decimals0),
+          token1: ethers.formatUnits(window.amount1In, decimals1),
+          usd: toUSD(window.amount0In, window.amount1In),
+        },
+        fees: {
+          token0: ethers.formatUnits(window.fees0, decimals0),
+          token1: ethers.formatUnits(window.fees1, decimals1),
+          usd: toUSD(window.fees0, window.fees1),
+        },
+        price: {
+          low: low !== null && high !== null ? Math.min(low, high) : null,
+          high: low !== null && high !== null ? Math.max(low, high) : null,
+          last: orient(window.priceLast),
+        },
+      };
+    }
+
+    return {
+      available: true,
+      indexedBlocks: { from: activity.fromBlock, to: activity.toBlock },
+      lastSwapBlock: activity.lastSwapBlock,
+      blocksSinceLastSwap: activity.blocksSinceLastSwap,
+      syncing: activity.syncing,
+      error: activity.error,
+      windows,
+    };
+  }
+
   analyzePoolData(pools, tokenInfo, aggregatePrices) {
     // Include both ACTIVE and WARNING_LIQUIDITY pools for analysis
     const activePools = pools.filter(p =>
@@ -905,11 +1150,11 @@ class PoolAnalyzer {
     };
 
     // Group liquidity by protocol
-    const liquidityByProtocol = {
-      pancakeswap: activePools
-        .filter(p => p.protocol === 'PancakeSwap' || !p.protocol)
-        .reduce((sum, p) => sum + (p.liquidity?.usd || 0), 0)
-    };
+    const liquidityByProtocol = Object.fromEntries(protocolKeys().map(key => [key, 0]));
+    for (const pool of activePools) {
+      const key = protocolKey(pool);
+      liquidityByProtocol[key] = (liquidityByProtocol[key] || 0) + (pool.liquidity?.usd || 0);
+    }
 
     const priceAnalysis = {
       averagePrice: {
@@ -974,9 +1219,7 @@ class PoolAnalyzer {
         byPriceUSD: null,
         byPriceBNB: null,
         byFee: null,
-        byProtocol: {
-          pancakeswap: null
-        },
+        byProtocol: Object.fromEntries(protocolKeys().map(key => [key, null])),
         recommended: null
       };
     }
@@ -1002,14 +1245,12 @@ class PoolAnalyzer {
       
     const byFee = [...activePools].sort((a, b) => a.fee - b.fee)[0];
 
-    // Best by protocol
-    const pancakeswapPools = activePools.filter(p => p.protocol === 'PancakeSwap' || !p.protocol);
-
-    const byProtocol = {
-      pancakeswap: pancakeswapPools.length > 0
-        ? [...pancakeswapPools].sort((a, b) => b.liquidity.usd - a.liquidity.usd)[0]
-        : null
-    };
+    // Best by protocol (deepest pool on each DEX)
+    const byProtocol = Object.fromEntries(protocolKeys().map(key => [key, null]));
+    for (const pool of activePools) {
+      const key = protocolKey(pool);
+      if (!byProtocol[key] || pool.liquidity.usd > byProtocol[key].liquidity.usd) byProtocol[key] = pool;
+    }
     
     const recommended = this.calculateRecommendedPool(activePools);
 
@@ -1050,15 +1291,25 @@ class PoolAnalyzer {
       };
     });
 
-    // Sort by total cost (lowest = best), then by liquidity (highest = safest)
+    // Pools that trade first, then by total cost (lowest = best), then by score and liquidity
     const sorted = scoredPools
       .filter(p => p.tradeable) // Only tradeable pools
       .sort((a, b) => {
-        // Primary: lower total cost wins
+        // Primary: pools with no recent swaps go last
+        const aInactive = a.activityMetrics?.inactive ? 1 : 0;
+        const bInactive = b.activityMetrics?.inactive ? 1 : 0;
+        if (aInactive !== bInactive) {
+          return aInactive - bInactive;
+        }
+        // Secondary: lower total cost wins
         if (Math.abs(a.totalCostPercent - b.totalCostPercent) > 0.01) {
           return a.totalCostPercent - b.totalCostPercent;
         }
-        // Secondary: higher liquidity wins (safer)
+        // Tertiary: higher score wins (includes turnover and fee APR)
+        if (a.score !== b.score) {
+          return b.score - a.score;
+        }
+        // Finally: higher liquidity wins (safer)
         return (b.liquidity.usd || 0) - (a.liquidity.usd || 0);
       });
 
@@ -1067,6 +1318,7 @@ class PoolAnalyzer {
     }
 
     const best = sorted[0];
+    const activityMetrics = best.activityMetrics;
 
     // Enhanced UX: Create explicit score breakdown for transparency
     const scoreBreakdown = {
@@ -1074,17 +1326,17 @@ class PoolAnalyzer {
       components: {
         feeCost: {
           value: best.costs?.feePercent || 0,
-          weight: 30,
+          weight: 25,
           description: `${(best.costs?.feePercent || 0).toFixed(2)}% pool fee`
         },
         slippage: {
           value: best.costs?.slippagePercent || 0,
-          weight: 30,
+          weight: 25,
           description: `${(best.costs?.slippagePercent || 0).toFixed(4)}% estimated slippage`
         },
         liquidity: {
           value: best.liquidityRatio || 0,
-          weight: 25,
+          weight: 20,
           description: `${(best.liquidityRatio || 0).toFixed(1)}x trade size coverage`
         },
         safety: {
@@ -1093,6 +1345,28 @@ class PoolAnalyzer {
           description: best.safety?.warnings?.length > 0
             ? `${best.safety.warnings.length} warning(s): ${best.safety.warnings.join(', ')}`
             : 'No safety warnings'
+        },
+        turnover: {
+          value: activityMetrics?.turnover ?? null,
+          weight: 10,
+          description: activityMetrics
+            ? `$${this.priceService.formatNumber(activityMetrics.volumeDailyUSD)} daily volume, ${activityMetrics.turnover.toFixed(2)}x TVL` +
+              (activityMetrics.estimated ? ` (from ${activityMetrics.window})` : '')
+            : 'Trading activity not indexed yet'
+        },
+        feeApr: {
+          value: activityMetrics?.feeAPR ?? null,
+          weight: 5,
+          description: activityMetrics
+            ? `${activityMetrics.feeAPR.toFixed(2)}% realized fee APR`
+            : 'Fee revenue not indexed yet'
+        },
+        activity: {
+          value: activityMetrics?.blocksSinceLastSwap ?? null,
+          description: !activityMetrics ? 'Trading activity not indexed yet'
+            : activityMetrics.inactive ? `No swaps in the last ${ACTIVITY_SCORING.INACTIVE_BLOCKS} blocks (deprioritized)`
+            : activityMetrics.blocksSinceLastSwap !== null ? `Last swap ${activityMetrics.blocksSinceLastSwap} blocks ago`
+            : 'No swaps in the indexed range'
         }
       },
       totalCostPercent: best.costs?.totalCostPercent || 0,
@@ -1100,6 +1374,8 @@ class PoolAnalyzer {
         `Lowest total cost: ${(best.costs?.totalCostPercent || 0).toFixed(4)}%`,
         `Risk level: ${best.riskLevel}`,
         best.liquidityRatio > 50 ? 'Deep liquidity' : best.liquidityRatio > 10 ? 'Good liquidity' : 'Moderate liquidity',
+        activityMetrics && !activityMetrics.inactive && activityMetrics.turnover >= 1 ? 'Actively traded (1x+ daily turnover)' : null,
+        activityMetrics?.inactive ? 'WARNING: no recent trades in any tradeable pool' : null,
         'PancakeSwap protocol'
       ].filter(Boolean)
     };
@@ -1173,6 +1449,11 @@ class PoolAnalyzer {
 
     if (pool.type === 'V3') reasons.push('Concentrated');
 
+    // Volume / fee revenue from indexed Swap events
+    const activityMetrics = this.calculateActivityMetrics(pool);
+    if (activityMetrics?.inactive) reasons.push('Inactive (no recent swaps)');
+    else if (activityMetrics?.turnover >= 1) reasons.push('High turnover');
+
     // Add safety warnings to reasons
     if (safetyChecks.warnings.length > 0) {
       reasons.push(...safetyChecks.warnings);
@@ -1181,6 +1462,15 @@ class PoolAnalyzer {
     // Calculate composite score (higher = better)
     // Penalize heavily for safety issues
     let score = Math.max(0, 100 - (totalCostPercent * 10) + (liquidityRatio > 50 ? 10 : 0));
+    if (activityMetrics) {
+      // Reward pools where trading (and fee revenue) actually happens
+      score += Math.min(ACTIVITY_SCORING.TURNOVER_BONUS, activityMetrics.turnover * ACTIVITY_SCORING.TURNOVER_BONUS);
+      score += Math.min(
+        ACTIVITY_SCORING.FEE_APR_BONUS,
+        (activityMetrics.feeAPR / ACTIVITY_SCORING.FEE_APR_FULL_BONUS) * ACTIVITY_SCORING.FEE_APR_BONUS
+      );
+      if (activityMetrics.inactive) score *= ACTIVITY_SCORING.INACTIVE_PENALTY;
+    }
     score = score * (safetyChecks.safetyScore / 100); // Apply safety multiplier
 
     // Calculate recommended minimum output (for slippage protection)
@@ -1202,6 +1492,7 @@ class PoolAnalyzer {
         totalCostUSD: Math.round(totalCostUSD * 10000) / 10000
       },
       liquidityRatio: Math.round(liquidityRatio * 10) / 10,
+      activityMetrics,
       safety: {
         score: safetyChecks.safetyScore,
         warnings: safetyChecks.warnings,
@@ -1217,6 +1508,45 @@ class PoolAnalyzer {
     };
   }
 
+  /**
+   * Daily volume, turnover (volume / TVL) and realized fee APR from pool.activity.
+   * Uses the longest fully indexed window, scaled to a day when shorter.
+   * @returns {Object|null} null while the pool's activity is not indexed
+   */
+  calculateActivityMetrics(pool) {
+    const activity = pool.activity;
+    if (!activity?.available) return null;
+
+    const [label, seconds] = Object.entries(EVENT_INDEXER_CONFIG.WINDOWS)
+      .sort((a, b) => b[1] - a[1])
+      .find(([windowLabel]) => activity.windows[windowLabel]?.complete) || [];
+    if (!label) return null;
+
+    const window = activity.windows[label];
+    const dailyFactor = 86400 / seconds;
+    const volumeDailyUSD = (window.volume.usd || 0) * dailyFactor;
+    const feesDailyUSD = (window.fees.usd || 0) * dailyFactor;
+    const liquidityUSD = pool.liquidity?.usd || 0;
+
+    // Inactive only when the indexed range actually covers INACTIVE_BLOCKS
+    const indexedBlocks = activity.indexedBlocks.to - activity.indexedBlocks.from + 1;
+    const inactive = activity.blocksSinceLastSwap !== null
+      ? activity.blocksSinceLastSwap > ACTIVITY_SCORING.INACTIVE_BLOCKS
+      : indexedBlocks >= ACTIVITY_SCORING.INACTIVE_BLOCKS;
+
+    return {
+      window: label,
+      estimated: dailyFactor !== 1,
+      volumeDailyUSD,
+      feesDailyUSD,
+      turnover: liquidityUSD > 0 ? volumeDailyUSD / liquidityUSD : 0,
+      feeAPR: liquidityUSD > 0 ? (feesDailyUSD * 365 / liquidityUSD) * 100 : 0,
+      trades: window.trades,
+      blocksSinceLastSwap: activity.blocksSinceLastSwap,
+      inactive,
+    };
+  }
+
   /**
    * CRITICAL SAFETY CHECKS
    * Detect potential issues that could cause fund loss
@@ -1243,22 +1573,21 @@ class PoolAnalyzer {
       }
     }
 
-    // 2. PRICE DEVIATION CHECK - Compare pool price to aggregate/oracle price
-    if (pool.price?.inUSD > 0) {
-      const aggregatePrice = this.priceService.getAggregatePrice?.() || pool.price.inUSD;
-      if (aggregatePrice > 0) {
-        priceDeviation = Math.abs((pool.price.inUSD - aggregatePrice) / aggregatePrice) * 100;
-
-        if (priceDeviation > 10) {
-          warnings.push('PRICE_MANIPULATION_RISK');
-          safetyScore -= 40;
-        } else if (priceDeviation > 5) {
-          warnings.push('PRICE_DEVIATION_HIGH');
-          safetyScore -= 20;
-        } else if (priceDeviation > 2) {
-          warnings.push('PRICE_DEVIATION_MODERATE');
-          safetyScore -= 5;
-        }
+    // 2. PRICE DEVIATION CHECK - Compare spot price to the pool's own oracle TWAP
+    // A spot price far from its TWAP means the pool was pushed within the window
+    if (pool.twap?.available) {
+      priceDeviation = pool.twap.maxDeviationPercent;
+      const thresholds = TWAP_CONFIG.DEVIATION;
+
+      if (priceDeviation > thresholds.MANIPULATION) {
+        warnings.push('PRICE_MANIPULATION_RISK');
+        safetyScore -= 40;
+      } else if (priceDeviation > thresholds.HIGH) {
+        warnings.push('PRICE_DEVIATION_HIGH');
+        safetyScore -= 20;
+      } else if (priceDeviation > thresholds.MODERATE) {
+        warnings.push('PRICE_DEVIATION_MODERATE');
+        safetyScore -= 5;
       }
     }
 
@@ -1300,7 +1629,7 @@ class PoolAnalyzer {
     const MIN_OTHER_RESERVE = 10;    // Generic minimum
 
     let minPairReserve = MIN_OTHER_RESERVE;
-    if (pairSymbol === 'WBNB') minPairReserve = MIN_WBNB_RESERVE;
+    if (pairSymbol === getChain().wrappedNativeSymbol) minPairReserve = MIN_WBNB_RESERVE;
     else if (pairSymbol === 'USDC' || pairSymbol === 'USDT' || pairSymbol === 'BUSD') minPairReserve = MIN_USDC_RESERVE;
     else if (pairSymbol === 'CAKE') minPairReserve = MIN_CAKE_RESERVE;
 
@@ -1322,7 +1651,7 @@ class PoolAnalyzer {
     const stableSymbols = ['USDC', 'USDT', 'DAI', 'USDBC', 'USDC.E'];
     const isStablePair = stableSymbols.includes(pairSymbol);
 
-    if (tradeAmountUSD > 10000 && !isStablePair && pairSymbol !== 'WBNB') {
+    if (tradeAmountUSD > 10000 && !isStablePair && pairSymbol !== getChain().wrappedNativeSymbol) {
       warnings.push('VOLATILE_PAIR_FOR_LARGE_TRADE');
       safetyScore -= 10;
     }
@@ -1347,7 +1676,7 @@ class PoolAnalyzer {
    * Generate comprehensive warnings for the analysis response
    * Provides human-readable warnings with severity levels and suggestions
    */
-  generateWarnings({ bestPools, formattedPools, aggregatePrices, pricesStale, timing, protocolStatus, hasPartialResults }) {
+  generateWarnings({ bestPools, formattedPools, aggregatePrices, pricesStale, timing, protocolStatus, hasPartialResults, security }) {
     const warnings = {
       items: [],
       count: 0,
@@ -1420,7 +1749,7 @@ class PoolAnalyzer {
         ? parseFloat(p.liquidity?.token0 || p.liquidity?.token0Amount || '0')
         : parseFloat(p.liquidity?.token1 || p.liquidity?.token1Amount || '0');
       const pairSymbol = p.pairToken?.symbol?.toUpperCase();
-      const minReserve = pairSymbol === 'WBNB' ? 0.001 : 10;
+      const minReserve = pairSymbol === getChain().wrappedNativeSymbol ? 0.001 : 10;
       // Rug pull = has target token but no pair token to swap against
       return pairAmount < minReserve && targetTokenAmount > 0;
     });
@@ -1561,6 +1890,11 @@ class PoolAnalyzer {
       );
     }
 
+    // 10. TOKEN SECURITY - honeypot and buy/sell/transfer taxes from the swap simulation
+    for (const item of security?.warnings || []) {
+      addWarning(item.code, item.severity, item.message, item.suggestion);
+    }
+
     // Sort warnings by severity
     const severityOrder = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
     warnings.items.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
@@ -1572,6 +1906,8 @@ class PoolAnalyzer {
    * Map safety warning codes to human-readable messages
    */
   mapSafetyWarning(code) {
+    const { DEVIATION, WINDOWS } = TWAP_CONFIG;
+    const longestWindowMinutes = Math.max(...Object.values(WINDOWS)) / 60;
     const mappings = {
       'V3_NO_LIQUIDITY_IN_RANGE': {
         severity: 'CRITICAL',
@@ -1580,17 +1916,17 @@ class PoolAnalyzer {
       },
       'PRICE_MANIPULATION_RISK': {
         severity: 'CRITICAL',
-        message: 'Pool price deviates significantly from market (>10%)',
+        message: `Pool spot price deviates >${DEVIATION.MANIPULATION}% from its own TWAP`,
         suggestion: 'Possible price manipulation. Avoid this pool.'
       },
       'PRICE_DEVIATION_HIGH': {
         severity: 'HIGH',
-        message: 'Pool price deviates >5% from market average',
-        suggestion: 'Consider using a pool closer to market price'
+        message: `Pool spot price deviates >${DEVIATION.HIGH}% from its own TWAP`,
+        suggestion: `Price moved sharply in the last ${longestWindowMinutes} minutes - wait or use another pool`
       },
       'PRICE_DEVIATION_MODERATE': {
         severity: 'LOW',
-        message: 'Pool price deviates slightly from market average',
+        message: `Pool spot price deviates >${DEVIATION.MODERATE}% from its TWAP`,
         suggestion: 'Price difference is within acceptable range'
       },
       'SANDWICH_ATTACK_CRITICAL': {
@@ -2017,11 +2353,8 @@ class PoolAnalyzer {
     if (pool.reserves) {
       const tokens = Object.keys(pool.reserves);
       // Return the non-WBNB token, or first token
-      const wbnbAddresses = [
-        '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', // BSC WBNB
-        '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'  // Mainnet WBNB (unused)
-      ];
-      return tokens.find(t => !wbnbAddresses.includes(t.toLowerCase())) || tokens[0];
+      const wrappedNative = getChain().contracts.WRAPPED_NATIVE.toLowerCase();
+      return tokens.find(t => t.toLowerCase() !== wrappedNative) || tokens[0];
     }
     return null;
   }
@@ -2031,33 +2364,27 @@ class PoolAnalyzer {
    * Determines if BNB→TOKEN needs to go through a stablecoin intermediate
    */
   getRoutingInfo(pool, tokenAddress, tokenSymbol = null) {
-    const WBNB = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
-    const stablecoins = {
-      '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d': { symbol: 'USDC', decimals: 18 },
-      '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56': { symbol: 'BUSD', decimals: 18 },
-      '0x55d398326f99059fF775485246999027B3197955': { symbol: 'USDT', decimals: 18 },
-      '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3': { symbol: 'DAI', decimals: 18 }
-    };
-
+    const { contracts, wrappedNativeSymbol } = getChain();
+    const WBNB = contracts.WRAPPED_NATIVE;
     const pairTokenAddress = pool.pairToken?.address?.toLowerCase();
 
     // Get the target token symbol from pair string or passed parameter
     // Pair format can be "TOKEN/WBNB" or "WBNB/TOKEN" - get the non-WBNB symbol
     const pairParts = pool.pair?.split('/') || [];
     const targetSymbol = tokenSymbol ||
-      (pairParts[0] !== 'WBNB' && pairParts[0] !== pool.pairToken?.symbol ? pairParts[0] : pairParts[1]) ||
+      (pairParts[0] !== wrappedNativeSymbol && pairParts[0] !== pool.pairToken?.symbol ? pairParts[0] : pairParts[1]) ||
       'TOKEN';
 
-    // Check if pair is a stablecoin (not WBNB)
-    if (pairTokenAddress && pairTokenAddress !== WBNB.toLowerCase() && stablecoins[pairTokenAddress]) {
-      const stable = stablecoins[pairTokenAddress];
+    // Check if pair is a stablecoin (registry "stable" role)
+    const stable = this.tokenRegistry.getToken(pairTokenAddress);
+    if (pairTokenAddress && pairTokenAddress !== WBNB.toLowerCase() && stable?.roles.includes('stable')) {
 
       // Need multi-hop: BNB → STABLE → TOKEN
       return {
         type: 'MULTI_HOP',
         hops: 2,
         path: [
-          { token: WBNB, symbol: 'WBNB' },
+          { token: WBNB, symbol: wrappedNativeSymbol },
           { token: pool.pairToken.address, symbol: stable.symbol },
           { token: tokenAddress, symbol: targetSymbol }
         ],
@@ -2074,7 +2401,7 @@ class PoolAnalyzer {
       type: 'DIRECT',
       hops: 1,
       path: [
-        { token: WBNB, symbol: 'WBNB' },
+        { token: WBNB, symbol: wrappedNativeSymbol },
         { token: tokenAddress, symbol: targetSymbol }
       ],
       tickSpacing: pool.tickSpacing || null
@@ -2338,27 +2665,40 @@ class PoolAnalyzer {
     return insights;
   }
 
-  async comparePoolsForSwap(tokenIn, tokenOut, amountIn) {
+  /**
+   * Simulate a swap on every direct pool between two tokens.
+   * Exact input (default): `amount` is the input, best pool maximizes amountOut.
+   * Exact output (options.exactOutput): `amount` is the desired output, best pool minimizes amountIn.
+   */
+  async comparePoolsForSwap(tokenIn, tokenOut, amount, options = {}) {
+    const { exactOutput = false } = options;
+
     const [tokenInInfo, tokenOutInfo] = await Promise.all([
       this.tokenService.getTokenInfo(tokenIn),
       this.tokenService.getTokenInfo(tokenOut)
     ]);
 
-    const [analysisIn, analysisOut] = await Promise.all([
+    // Stablecoin pairs are also quoted on StableSwap pools (none for other pairs)
+    const [analysisIn, analysisOut, stableSwapPools] = await Promise.all([
       this.analyzeToken(tokenIn),
-      this.analyzeToken(tokenOut)
+      this.analyzeToken(tokenOut),
+      this.stableSwapPoolService.getPoolsForPair(tokenIn, tokenOut).catch(error => {
+        this.logger.warn(`StableSwap pool lookup failed: ${error.message}`);
+        return [];
+      })
     ]);
 
     const commonPools = analysisIn.pools.filter(poolIn => {
       return analysisOut.pools.some(poolOut => 
         poolIn.address.toLowerCase() === poolOut.address.toLowerCase()
       );
-    });
+    }).concat(stableSwapPools);
 
     if (commonPools.length === 0) {
       return {
         tokenIn: tokenInInfo,
         tokenOut: tokenOutInfo,
+        exactOutput,
         bestPool: null,
         pools: [],
         message: 'No direct pools found for this pair'
@@ -2370,19 +2710,14 @@ class PoolAnalyzer {
         try {
           let simulation;
 
-          // Route to appropriate service for simulation (BSC: PancakeSwap V2/V3)
-          if (pool.type === 'V2') {
-            simulation = await this.v2PoolService.simulateSwap(
-              pool.address,
-              tokenIn,
-              amountIn
-            );
+          // Route to appropriate service for simulation (V2 forks share V2PoolService)
+          const service = pool.type === 'V2' ? this.v2PoolService
+            : pool.type === 'StableSwap' ? this.stableSwapPoolService
+            : this.v3PoolService;
+          if (exactOutput) {
+            simulation = await service.simulateSwapExactOutput(pool.address, tokenIn, amount);
           } else {
-            simulation = await this.v3PoolService.simulateSwap(
-              pool.address,
-              tokenIn,
-              amountIn
-            );
+            simulation = await service.simulateSwap(pool.address, tokenIn, amount);
           }
 
           return {
@@ -2397,28 +2732,25 @@ class PoolAnalyzer {
     );
 
     const validPools = poolsWithSimulation.filter(p => p && p.simulation);
-    
-    const bestPool = validPools.sort((a, b) => 
-      BigInt(b.simulation.amountOut) - BigInt(a.simulation.amountOut)
-    )[0];
+
+    // Compare as BigInt without subtracting (sort comparators must return numbers)
+    const compareAmounts = (x, y) => (x > y ? 1 : x < y ? -1 : 0);
+    validPools.sort((a, b) => (exactOutput
+      ? compareAmounts(BigInt(a.simulation.amountIn), BigInt(b.simulation.amountIn))
+      : compareAmounts(BigInt(b.simulation.amountOut), BigInt(a.simulation.amountOut))
+    ));
 
     return {
       tokenIn: tokenInInfo,
       tokenOut: tokenOutInfo,
-      bestPool,
+      exactOutput,
+      bestPool: validPools[0],
       pools: validPools
     };
   }
 }
 
-// Singleton instance  
-let poolAnalyzerInstance = null;
-
+// One instance per chain (see utils/ChainContext)
 module.exports = {
-  getPoolAnalyzer: () => {
-    if (!poolAnalyzerInstance) {
-      poolAnalyzerInstance = new PoolAnalyzer();
-    }
-    return poolAnalyzerInstance;
-  }
+  getPoolAnalyzer: perChain(() => new PoolAnalyzer())
 };
@@ -4,17 +4,32 @@
 const { ethers } = require('ethers');
 const { getProviderService } = require('./ProviderService');
 const { getMulticallService } = require('./MulticallService');
+const { getFactoryIndexService } = require('./FactoryIndexService');
+const { getTokenRegistry } = require('./TokenRegistryService');
 const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const { getPinnedBlock } = require('../utils/BlockContext');
+const { sortTokens, computeV2PairAddress, computeV3PoolAddress } = require('../utils/PoolAddress');
+const {
+  V3_ADAPTERS,
+  getV2Protocols,
+  getV3Protocols,
+  getStableSwapProtocols,
+  getV2PoolFee,
+} = require('../config/protocols');
 
 class PoolDiscoveryService {
   constructor() {
     this.providerService = getProviderService();
     this.multicallService = getMulticallService();
+    this.factoryIndex = getFactoryIndexService();
+    this.tokenRegistry = getTokenRegistry();
     this.logger = getLogger();
 
-    // PancakeSwap factories on BSC
-    this.pancakeV2Factory = '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73'; // PancakeSwap V2
-    this.pancakeV3Factory = '0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865'; // PancakeSwap V3
+    // Pools are checked on every V2 and V3 DEX in config/protocols.js
+    this.v2Protocols = getV2Protocols();
+    this.v3Protocols = getV3Protocols();
+    this.stableSwapProtocols = getStableSwapProtocols();
   }
 
   /**
@@ -28,12 +43,12 @@ class PoolDiscoveryService {
     try {
       // Use Multicall for batch discovery - MUCH faster!
       const pools = await this.multicallService.batchDiscoverPools(tokenAddress, {
-        uniswapV2Factory: this.pancakeV2Factory,
-        uniswapV3Factory: this.pancakeV3Factory,
+        v2Protocols: this.v2Protocols,
+        v3Protocols: this.v3Protocols,
       });
 
       // Remove duplicates
-      const uniquePools = this.removeDuplicates(pools);
+      const uniquePools = this.removeDuplicates(pools.concat(this.findIndexedPools(tokenAddress)));
 
       const duration = Date.now() - startTime;
       this.logger.info(`Pool discovery completed in ${duration}ms - Found ${uniquePools.length} pools`);
@@ -52,43 +67,70 @@ class PoolDiscoveryService {
   async findAllPoolsForTokenSequential(tokenAddress) {
     this.logger.info(`Using sequential pool discovery for ${tokenAddress}`);
 
-    // Find PancakeSwap V2/V3 pools
-    const pools = await this.findPancakeSwapPools(tokenAddress);
+    // Find V2 pairs and V3 pools on every DEX
+    const pools = await this.findBasePairPools(tokenAddress);
 
     // Remove duplicates
-    const uniquePools = this.removeDuplicates(pools);
+    const uniquePools = this.removeDuplicates(pools.concat(this.findIndexedPools(tokenAddress)));
 
     this.logger.info(`Total pools found: ${uniquePools.length}`);
 
     return uniquePools;
   }
 
-  async findPancakeSwapPools(tokenAddress) {
-    const commonTokens = [
-      '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', // WBNB
-      '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', // USDC
-      '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56', // BUSD
-      '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3', // DAI
-      '0x55d398326f99059fF775485246999027B3197955', // USDT
-    ];
+  /**
+   * Pools against any other token, from the factory event index. Base-pair lookups
+   * above only cover the registry's base tokens.
+   */
+  findIndexedPools(tokenAddress) {
+    const { pools, total, truncated } = this.factoryIndex.getPoolsForToken(tokenAddress, { maxBlock: getPinnedBlock() });
+    if (truncated) {
+      this.logger.info(`Factory index: ${total} pools for ${tokenAddress}, checking the ${pools.length} against the most-paired tokens`);
+    }
+    return pools;
+  }
+
+  /**
+   * StableSwap pools for a pair of registry stablecoins (StableSwap DEXes only list pegged pairs)
+   */
+  async findStableSwapPools(tokenA, tokenB) {
+    const isStablePair = tokenA.toLowerCase() !== tokenB.toLowerCase() &&
+      this.tokenRegistry.hasRole(tokenA, 'stable') &&
+      this.tokenRegistry.hasRole(tokenB, 'stable');
+    if (!isStablePair || this.stableSwapProtocols.length === 0) return [];
+
+    try {
+      const pools = await this.multicallService.batchDiscoverStableSwapPools([[tokenA, tokenB]], this.stableSwapProtocols);
+      return pools;
+    } catch (error) {
+      this.logger.warn(`StableSwap discovery failed: ${error.message}`);
+      return [];
+    }
+  }
 
-    const feeTiers = [100, 500, 2500, 3000, 10000]; // PancakeSwap V3 fee tiers including 0.25%
+  async findBasePairPools(tokenAddress) {
+    const commonTokens = this.tokenRegistry.getAddresses('base');
     const allPromises = [];
 
     for (const pairToken of commonTokens) {
       if (pairToken.toLowerCase() === tokenAddress.toLowerCase()) continue;
 
-      // Check PancakeSwap V2
-      allPromises.push(
-        this.checkPancakeV2Pool(tokenAddress, pairToken).catch(() => null)
-      );
-
-      // Check PancakeSwap V3 (all fee tiers in parallel)
-      for (const fee of feeTiers) {
+      // Check each V2 DEX
+      for (const protocol of this.v2Protocols) {
         allPromises.push(
-          this.checkPancakeV3Pool(tokenAddress, pairToken, fee).catch(() => null)
+          this.checkV2Pool(protocol, tokenAddress, pairToken).catch(() => null)
         );
       }
+
+      // Check each V3 DEX (all fee tiers in parallel, one pool per pair on Algebra)
+      for (const protocol of this.v3Protocols) {
+        const fees = protocol.adapter === V3_ADAPTERS.ALGEBRA ? [null] : protocol.feeTiers;
+        for (const fee of fees) {
+          allPromises.push(
+            this.checkV3Pool(protocol, tokenAddress, pairToken, fee).catch(() => null)
+          );
+        }
+      }
     }
 
     const results = await Promise.all(allPromises);
@@ -96,11 +138,11 @@ class PoolDiscoveryService {
   }
 
 
-  async checkPancakeV2Pool(tokenA, tokenB) {
+  async checkV2Pool(protocol, tokenA, tokenB) {
     try {
       const provider = this.providerService.getCurrentProvider();
       const factoryContract = new ethers.Contract(
-        this.pancakeV2Factory,
+        protocol.factory,
         ['function getPair(address, address) view returns (address)'],
         provider
       );
@@ -112,7 +154,7 @@ class PoolDiscoveryService {
           token0: tokenA,
           token1: tokenB,
           type: 'V2',
-          protocol: 'PancakeSwap',
+          protocol: protocol.name,
         };
       }
     } catch (error) {
@@ -121,24 +163,29 @@ class PoolDiscoveryService {
     return null;
   }
 
-  async checkPancakeV3Pool(tokenA, tokenB, fee) {
+  async checkV3Pool(protocol, tokenA, tokenB, fee) {
     try {
       const provider = this.providerService.getCurrentProvider();
+      const isAlgebra = protocol.adapter === V3_ADAPTERS.ALGEBRA;
       const factoryContract = new ethers.Contract(
-        this.pancakeV3Factory,
-        ['function getPool(address, address, uint24) view returns (address)'],
+        protocol.factory,
+        isAlgebra
+          ? ['function poolByPair(address, address) view returns (address)']
+          : ['function getPool(address, address, uint24) view returns (address)'],
         provider
       );
 
-      const poolAddress = await factoryContract.getPool(tokenA, tokenB, fee);
+      const poolAddress = isAlgebra
+        ? await factoryContract.poolByPair(tokenA, tokenB)
+        : await factoryContract.getPool(tokenA, tokenB, fee);
       if (poolAddress && poolAddress !== ethers.ZeroAddress) {
         return {
           address: poolAddress,
           token0: tokenA,
           token1: tokenB,
-          fee,
+          ...(fee !== null && { fee }),
           type: 'V3',
-          protocol: 'PancakeSwap',
+          protocol: protocol.name,
         };
       }
     } catch (error) {
@@ -147,6 +194,58 @@ class PoolDiscoveryService {
     return null;
   }
 
+  /**
+   * Addresses of a pair's pools on every enabled DEX, derived with CREATE2 (no RPC).
+   * A derived pool may not be deployed yet. DEXes without an init code hash are listed
+   * in notDerivable.
+   * @param {Object} [filters] - { version: 'V2'|'V3', fee (millionths), protocol: id or name }
+   * @returns {{ token0: string, token1: string, pools: Object[], notDerivable: string[] }}
+   */
+  derivePoolAddresses(tokenA, tokenB, { version, fee, protocol } = {}) {
+    const [token0, token1] = sortTokens(tokenA, tokenB);
+    const key = protocol?.toLowerCase();
+    const isSelected = candidate => !key || candidate.id === key || candidate.name.toLowerCase() === key;
+    const pools = [];
+    const notDerivable = [];
+
+    if (version !== 'V3') {
+      for (const candidate of this.v2Protocols.filter(isSelected)) {
+        const address = computeV2PairAddress(candidate, token0, token1);
+        if (!address) {
+          notDerivable.push(`${candidate.name} V2`);
+          continue;
+        }
+
+        const poolFee = getV2PoolFee(candidate);
+        if (fee !== undefined && fee !== poolFee) continue;
+        pools.push({ address, type: 'V2', protocol: candidate.name, fee: poolFee, factory: candidate.factory });
+      }
+    }
+
+    if (version !== 'V2') {
+      for (const candidate of this.v3Protocols.filter(isSelected)) {
+        if (!candidate.feeTiers || !candidate.initCodeHash) {
+          notDerivable.push(`${candidate.name} V3`);
+          continue;
+        }
+
+        for (const tier of candidate.feeTiers) {
+          if (fee !== undefined && fee !== tier) continue;
+          pools.push({
+            address: computeV3PoolAddress(candidate, token0, token1, tier),
+            type: 'V3',
+            protocol: candidate.name,
+            fee: tier,
+            factory: candidate.factory,
+            deployer: candidate.deployer,
+          });
+        }
+      }
+    }
+
+    return { token0, token1, pools, notDerivable };
+  }
+
   removeDuplicates(pools) {
     const seen = new Set();
     return pools.filter((pool) => {
@@ -160,14 +259,7 @@ class PoolDiscoveryService {
   }
 }
 
-// Singleton
-let poolDiscoveryInstance = null;
-
+// One instance per chain (see utils/ChainContext)
 module.exports = {
-  getPoolDiscoveryService: () => {
-    if (!poolDiscoveryInstance) {
-      poolDiscoveryInstance = new PoolDiscoveryService();
-    }
-    return poolDiscoveryInstance;
-  },
+  getPoolDiscoveryService: perChain(() => new PoolDiscoveryService()),
 };
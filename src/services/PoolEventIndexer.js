@@ -0,0 +1,461 @@
+// src/services/PoolEventIndexer.js
+// Rolling-window Swap/Mint/Burn/Sync log index for analyzed pools (volume, trade count, fees)
+
+const { ethers } = require('ethers');
+const { getProviderService } = require('./ProviderService');
+const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const { EVENT_INDEXER_CONFIG } = require('../config/constants');
+const { PANCAKESWAP_V2_PAIR_ABI, PANCAKESWAP_V3_POOL_ABI } = require('../config/abis');
+
+const v2PairInterface = new ethers.Interface(PANCAKESWAP_V2_PAIR_ABI);
+const v3PoolInterface = new ethers.Interface(PANCAKESWAP_V3_POOL_ABI);
+
+// topic0 filter shared by V2 pairs and V3 pools (each pool only emits its own family)
+const EVENT_TOPICS = [
+  ...['Swap', 'Mint', 'Burn', 'Sync'].map(name => v2PairInterface.getEvent(name).topicHash),
+  ...['Swap', 'Mint', 'Burn'].map(name => v3PoolInterface.getEvent(name).topicHash),
+];
+
+// Pool fees are in hundredths of a basis point (2500 = 0.25%)
+const FEE_DENOMINATOR = 1_000_000n;
+
+const Q96 = 2 ** 96;
+
+// RPC errors that mean "ask for a smaller block range"
+const RANGE_ERROR_PATTERN = /range|limit|too (many|large)|exceed|more than/i;
+
+class PoolEventIndexer {
+  constructor() {
+    this.providerService = getProviderService();
+    this.logger = getLogger();
+
+    // pool address (lowercase) -> indexed state, see track()
+    this.pools = new Map();
+    // pool address (lowercase) -> pending sync promise
+    this.inFlight = new Map();
+    // { value: seconds per block, measuredAt }
+    this.blockTime = null;
+
+    this.maxWindow = Math.max(...Object.values(EVENT_INDEXER_CONFIG.WINDOWS));
+  }
+
+  /**
+   * Start (or keep) indexing pools. Pools need `address`, `type` ('V2'|'V3') and `fee`.
+   */
+  track(pools) {
+    const now = Date.now();
+
+    for (const pool of pools) {
+      const key = pool.address.toLowerCase();
+      let state = this.pools.get(key);
+      if (!state) {
+        state = {
+          address: pool.address,
+          type: pool.type,
+          fee: BigInt(pool.fee || 2500),
+          fromBlock: null,
+          toBlock: null,
+          // One aggregate per block with events, oldest first
+          buckets: [],
+          lastSwapBlock: null,
+          error: null,
+        };
+        this.pools.set(key, state);
+      }
+      state.lastAccess = now;
+    }
+  }
+
+  /**
+   * Bring pools up to the latest block, waiting at most `timeoutMs`.
+   * Indexing keeps running in the background after the timeout.
+   */
+  async sync(pools, { timeoutMs = EVENT_INDEXER_CONFIG.SYNC_TIMEOUT } = {}) {
+    if (pools.length === 0) return;
+
+    this.pruneUntracked();
+    this.track(pools);
+
+    let timer = null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(resolve, timeoutMs);
+    });
+
+    try {
+      await Promise.race([this.syncPools(pools.map(p => p.address.toLowerCase())), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Sync pools, joining syncs that are already running for some of them
+   */
+  async syncPools(keys) {
+    const pending = new Set();
+    const toSync = [];
+
+    for (const key of keys) {
+      if (this.inFlight.has(key)) {
+        pending.add(this.inFlight.get(key));
+      } else {
+        toSync.push(key);
+      }
+    }
+
+    if (toSync.length > 0) {
+      const promise = this.runSync(toSync)
+        .catch(err => {
+          this.logger.warn(`Pool event sync failed: ${err.message}`);
+        })
+        .finally(() => {
+          for (const key of toSync) {
+            if (this.inFlight.get(key) === promise) this.inFlight.delete(key);
+          }
+        });
+
+      for (const key of toSync) this.inFlight.set(key, promise);
+      pending.add(promise);
+    }
+
+    await Promise.all(pending);
+  }
+
+  /**
+   * Forward-fill every pool from its last indexed block to the head, then
+   * backfill newest-to-oldest until the longest window is covered, so the
+   * short windows become complete first.
+   */
+  async runSync(keys) {
+    const startTime = Date.now();
+    const latest = await this.providerService.executeWithRetry(provider => provider.getBlockNumber());
+    const blockTime = await this.getBlockTime(latest);
+    const windowStart = Math.max(0, latest - this.blocksFor(this.maxWindow, blockTime) + 1);
+
+    const forwardGroups = new Map();
+    const backfillGroups = new Map();
+    const addToGroup = (groups, block, key) => {
+      if (!groups.has(block)) groups.set(block, []);
+      groups.get(block).push(key);
+    };
+
+    for (const key of keys) {
+      const state = this.pools.get(key);
+      if (!state) continue;
+
+      // New pool, or last indexed before the window started: restart at the head
+      if (state.toBlock === null || state.toBlock < windowStart - 1) {
+        state.fromBlock = latest + 1;
+        state.toBlock = latest;
+        state.buckets = [];
+        state.lastSwapBlock = null;
+      }
+
+      this.pruneBuckets(state, windowStart);
+
+      if (state.toBlock < latest) addToGroup(forwardGroups, state.toBlock + 1, key);
+      if (state.fromBlock > windowStart) addToGroup(backfillGroups, state.fromBlock - 1, key);
+    }
+
+    for (const [fromBlock, groupKeys] of forwardGroups) {
+      for (const batch of this.batchAddresses(groupKeys)) {
+        await this.indexRange(batch, fromBlock, latest, 'forward');
+      }
+    }
+
+    for (const [toBlock, groupKeys] of backfillGroups) {
+      for (const batch of this.batchAddresses(groupKeys)) {
+        await this.indexRange(batch, windowStart, toBlock, 'backward');
+      }
+    }
+
+    this.logger.debug(`Pool events synced for ${keys.length} pools to block ${latest} in ${Date.now() - startTime}ms`);
+  }
+
+  /**
+   * Index [fromBlock, toBlock] for a batch of pools in MAX_BLOCK_RANGE chunks,
+   * ascending ('forward') or descending ('backward'). Progress is kept chunk by chunk.
+   */
+  async indexRange(keys, fromBlock, toBlock, direction) {
+    const { MAX_BLOCK_RANGE } = EVENT_INDEXER_CONFIG;
+    const states = keys.map(key => this.pools.get(key));
+    const addresses = states.map(state => state.address);
+
+    try {
+      if (direction === 'forward') {
+        for (let start = fromBlock; start <= toBlock; start += MAX_BLOCK_RANGE) {
+          const end = Math.min(toBlock, start + MAX_BLOCK_RANGE - 1);
+          const logs = await this.fetchLogs(addresses, start, end);
+          this.applyLogs(states, logs, direction);
+          for (const state of states) state.toBlock = end;
+        }
+      } else {
+        for (let end = toBlock; end >= fromBlock; end -= MAX_BLOCK_RANGE) {
+          const start = Math.max(fromBlock, end - MAX_BLOCK_RANGE + 1);
+          const logs = await this.fetchLogs(addresses, start, end);
+          this.applyLogs(states, logs, direction);
+          for (const state of states) state.fromBlock = start;
+        }
+      }
+      for (const state of states) state.error = null;
+    } catch (error) {
+      this.logger.warn(`Pool event indexing failed for ${addresses.length} pools (${fromBlock}-${toBlock}): ${error.message}`);
+      for (const state of states) state.error = error.message;
+    }
+  }
+
+  /**
+   * Logs for [fromBlock, toBlock] fetched in MAX_BLOCK_RANGE chunks, in block order
+   * @param {string[]} topics - topic0 alternatives (defaults to every indexed event)
+   */
+  async getLogs(addresses, fromBlock, toBlock, topics = EVENT_TOPICS) {
+    const { MAX_BLOCK_RANGE } = EVENT_INDEXER_CONFIG;
+    let logs = [];
+    for (let start = fromBlock; start <= toBlock; start += MAX_BLOCK_RANGE) {
+      const end = Math.min(toBlock, start + MAX_BLOCK_RANGE - 1);
+      logs = logs.concat(await this.fetchLogs(addresses, start, end, topics));
+    }
+    return logs;
+  }
+
+  /**
+   * eth_getLogs, halving the block range while the RPC rejects it as too large
+   */
+  async fetchLogs(addresses, fromBlock, toBlock, topics = EVENT_TOPICS) {
+    try {
+      const logs = await this.providerService.executeWithRetry(provider => provider.getLogs({
+        address: addresses,
+        topics: [topics],
+        fromBlock,
+        toBlock,
+      }), 1);
+      return logs;
+    } catch (error) {
+      const span = toBlock - fromBlock + 1;
+      if (span <= EVENT_INDEXER_CONFIG.MIN_BLOCK_RANGE || !RANGE_ERROR_PATTERN.test(error.message)) {
+        throw error;
+      }
+
+      const mid = fromBlock + Math.floor(span / 2) - 1;
+      const left = await this.fetchLogs(addresses, fromBlock, mid, topics);
+      const right = await this.fetchLogs(addresses, mid + 1, toBlock, topics);
+      return left.concat(right);
+    }
+  }
+
+  /**
+   * Fold one chunk of logs (in block order) into per-block buckets and
+   * append or prepend them depending on the indexing direction
+   */
+  applyLogs(states, logs, direction) {
+    const chunkBuckets = new Map(states.map(state => [state.address.toLowerCase(), []]));
+
+    for (const log of logs) {
+      const key = log.address.toLowerCase();
+      const state = this.pools.get(key);
+      const buckets = chunkBuckets.get(key);
+      if (!state || !buckets) continue;
+
+      const iface = state.type === 'V3' ? v3PoolInterface : v2PairInterface;
+      let parsed;
+      try {
+        parsed = iface.parseLog(log);
+      } catch (e) {
+        parsed = null;
+      }
+      if (!parsed) continue;
+
+      let bucket = buckets[buckets.length - 1];
+      if (!bucket || bucket.block !== log.blockNumber) {
+        bucket = { block: log.blockNumber, swaps: 0, amount0In: 0n, amount1In: 0n, mints: 0, burns: 0, price: null };
+        buckets.push(bucket);
+      }
+
+      this.applyEvent(state, bucket, parsed);
+    }
+
+    for (const state of states) {
+      const buckets = chunkBuckets.get(state.address.toLowerCase());
+      if (buckets.length === 0) continue;
+
+      state.buckets = direction === 'forward' ? state.buckets.concat(buckets) : buckets.concat(state.buckets);
+
+      for (let i = buckets.length - 1; i >= 0; i--) {
+        if (buckets[i].swaps > 0) {
+          state.lastSwapBlock = Math.max(state.lastSwapBlock ?? 0, buckets[i].block);
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Volume is counted on the input side of each swap (the side fees are charged on).
+   * bucket.price is the raw token1/token0 price after the block's last event.
+   */
+  applyEvent(state, bucket, event) {
+    const { args } = event;
+
+    switch (event.name) {
+      case 'Swap':
+        bucket.swaps++;
+        if (state.type === 'V3') {
+          if (args.amount0 > 0n) bucket.amount0In += args.amount0;
+          if (args.amount1 > 0n) bucket.amount1In += args.amount1;
+          const sqrtPrice = Number(args.sqrtPriceX96) / Q96;
+          bucket.price = sqrtPrice * sqrtPrice;
+        } else {
+          bucket.amount0In += args.amount0In;
+          bucket.amount1In += args.amount1In;
+        }
+        break;
+      case 'Mint':
+        bucket.mints++;
+        break;
+      case 'Burn':
+        // V3 burn(0) is only a fee checkpoint before collect()
+        if (state.type !== 'V3' || args.amount > 0n) bucket.burns++;
+        break;
+      case 'Sync':
+        if (args.reserve0 > 0n) bucket.price = Number(args.reserve1) / Number(args.reserve0);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Aggregated activity per window for a pool, in raw token units
+   * @returns {Object|null} null if the pool has never been indexed
+   */
+  getActivity(poolAddress) {
+    const key = poolAddress.toLowerCase();
+    const state = this.pools.get(key);
+    if (!state || state.toBlock === null || !this.blockTime) return null;
+
+    const windows = {};
+    for (const [label, seconds] of Object.entries(EVENT_INDEXER_CONFIG.WINDOWS)) {
+      const startBlock = state.toBlock - this.blocksFor(seconds, this.blockTime.value) + 1;
+      const window = {
+        fromBlock: startBlock,
+        complete: state.fromBlock <= startBlock,
+        swaps: 0,
+        mints: 0,
+        burns: 0,
+        amount0In: 0n,
+        amount1In: 0n,
+        fees0: 0n,
+        fees1: 0n,
+        priceLow: null,
+        priceHigh: null,
+        priceLast: null,
+      };
+
+      for (let i = state.buckets.length - 1; i >= 0 && state.buckets[i].block >= startBlock; i--) {
+        const bucket = state.buckets[i];
+        window.swaps += bucket.swaps;
+        window.mints += bucket.mints;
+        window.burns += bucket.burns;
+        window.amount0In += bucket.amount0In;
+        window.amount1In += bucket.amount1In;
+
+        if (bucket.price !== null) {
+          if (window.priceLast === null) window.priceLast = bucket.price;
+          window.priceLow = Math.min(window.priceLow ?? bucket.price, bucket.price);
+          window.priceHigh = Math.max(window.priceHigh ?? bucket.price, bucket.price);
+        }
+      }
+
+      window.fees0 = (window.amount0In * state.fee) / FEE_DENOMINATOR;
+      window.fees1 = (window.amount1In * state.fee) / FEE_DENOMINATOR;
+      windows[label] = window;
+    }
+
+    return {
+      fromBlock: state.fromBlock,
+      toBlock: state.toBlock,
+      blockTimeSeconds: this.blockTime.value,
+      lastSwapBlock: state.lastSwapBlock,
+      blocksSinceLastSwap: state.lastSwapBlock !== null ? state.toBlock - state.lastSwapBlock : null,
+      syncing: this.inFlight.has(key),
+      error: state.error,
+      windows,
+    };
+  }
+
+  /**
+   * Average block time over the last BLOCK_TIME_SAMPLE blocks (cached)
+   */
+  async getBlockTime(latest) {
+    const { BLOCK_TIME_SAMPLE, BLOCK_TIME_TTL } = EVENT_INDEXER_CONFIG;
+    if (this.blockTime && Date.now() - this.blockTime.measuredAt < BLOCK_TIME_TTL) {
+      return this.blockTime.value;
+    }
+
+    const [head, past] = await this.providerService.executeWithRetry(provider => Promise.all([
+      provider.getBlock(latest),
+      provider.getBlock(latest - BLOCK_TIME_SAMPLE),
+    ]));
+
+    const value = (head.timestamp - past.timestamp) / BLOCK_TIME_SAMPLE;
+    if (!(value > 0)) {
+      throw new Error(`Could not measure block time (blocks ${latest - BLOCK_TIME_SAMPLE}-${latest})`);
+    }
+
+    this.blockTime = { value, measuredAt: Date.now() };
+    return value;
+  }
+
+  blocksFor(seconds, blockTime) {
+    return Math.ceil(seconds / blockTime);
+  }
+
+  batchAddresses(keys) {
+    const size = EVENT_INDEXER_CONFIG.MAX_ADDRESSES_PER_QUERY;
+    const batches = [];
+    for (let i = 0; i < keys.length; i += size) {
+      batches.push(keys.slice(i, i + size));
+    }
+    return batches;
+  }
+
+  pruneBuckets(state, windowStart) {
+    const firstKept = state.buckets.findIndex(bucket => bucket.block >= windowStart);
+    state.buckets = firstKept === -1 ? [] : state.buckets.slice(firstKept);
+    if (state.fromBlock < windowStart) state.fromBlock = windowStart;
+  }
+
+  /**
+   * Drop pools nobody has analyzed for TRACKING_TTL
+   */
+  pruneUntracked() {
+    const cutoff = Date.now() - EVENT_INDEXER_CONFIG.TRACKING_TTL;
+    for (const [key, state] of this.pools) {
+      if (state.lastAccess < cutoff && !this.inFlight.has(key)) {
+        this.pools.delete(key);
+      }
+    }
+  }
+
+  getStats() {
+    let buckets = 0;
+    for (const state of this.pools.values()) {
+      buckets += state.buckets.length;
+    }
+
+    return {
+      trackedPools: this.pools.size,
+      syncing: new Set(this.inFlight.values()).size,
+      blockBuckets: buckets,
+      blockTimeSeconds: this.blockTime?.value ?? null,
+      windows: EVENT_INDEXER_CONFIG.WINDOWS,
+    };
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  PoolEventIndexer,
+  getPoolEventIndexer: perChain(() => new PoolEventIndexer()),
+};
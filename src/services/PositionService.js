@@ -0,0 +1,312 @@
+// src/services/PositionService.js
+// PancakeSwap V3 LP positions (NonfungiblePositionManager NFTs) held by a wallet
+
+const { ethers } = require('ethers');
+const { getMulticallService } = require('./MulticallService');
+const { getProviderService } = require('./ProviderService');
+const { getPriceService } = require('./PriceService');
+const { getLogger } = require('../utils/Logger');
+const { getChain, perChain } = require('../utils/ChainContext');
+const { PANCAKESWAP_V3_NFT_POSITION_MANAGER_ABI } = require('../config/abis');
+const V3Math = require('../utils/V3Math');
+
+// Upper bound on NFTs enumerated per wallet
+const MAX_POSITIONS = 100;
+
+// collect() amountMax: everything owed
+const MAX_UINT128 = (1n << 128n) - 1n;
+
+class PositionService {
+  constructor() {
+    this.multicallService = getMulticallService();
+    this.providerService = getProviderService();
+    this.priceService = getPriceService();
+    this.logger = getLogger();
+    this.positionManagerInterface = new ethers.Interface(PANCAKESWAP_V3_NFT_POSITION_MANAGER_ABI);
+
+    // PancakeSwap V3 deployment of this chain
+    const { contracts } = getChain();
+    this.positionManager = contracts.PANCAKESWAP_V3_NFT_POSITION_MANAGER;
+    this.factory = contracts.PANCAKESWAP_V3_FACTORY;
+  }
+
+  /**
+   * List the V3 positions owned by a wallet with amounts, uncollected fees and USD value.
+   * Positions staked in MasterChef V3 are owned by the farm contract and are not listed.
+   */
+  async getPositions(owner, { includeClosed = false } = {}) {
+    const startTime = Date.now();
+
+    const pricesStale = this.priceService.arePricesStale?.() ?? true;
+    const [tokenIds] = await Promise.all([
+      this.getTokenIds(owner),
+      pricesStale ? this.priceService.fetchTokenPricesFromChain().catch(err => {
+        this.logger.warn('Price fetch failed, using cached prices', err);
+      }) : Promise.resolve(),
+    ]);
+
+    const { ids, balance } = tokenIds;
+    if (ids.length === 0) {
+      return this.formatResponse(owner, balance, [], 0);
+    }
+
+    const rawPositions = await this.getRawPositions(ids);
+    const [pools, tokens, fees] = await Promise.all([
+      this.getPools(rawPositions),
+      this.multicallService.batchGetTokenInfo(rawPositions.flatMap(p => [p.token0, p.token1])),
+      this.getUncollectedFees(owner, rawPositions),
+    ]);
+
+    const positions = rawPositions
+      .map(position => this.formatPosition(position, pools, tokens, fees.get(position.tokenId)))
+      .filter(position => includeClosed || position.status !== 'closed');
+
+    this.logger.info(`🧾 ${positions.length} V3 positions for ${owner} in ${Date.now() - startTime}ms`);
+
+    return this.formatResponse(owner, balance, positions, rawPositions.length - positions.length);
+  }
+
+  async getTokenIds(owner) {
+    const [balanceResult] = await this.multicallService.execute([{
+      target: this.positionManager,
+      callData: this.positionManagerInterface.encodeFunctionData('balanceOf', [owner]),
+      allowFailure: false,
+    }]);
+    const balance = Number(this.positionManagerInterface.decodeFunctionResult('balanceOf', balanceResult.returnData)[0]);
+    const count = Math.min(balance, MAX_POSITIONS);
+    if (count === 0) return { ids: [], balance };
+
+    const results = await this.multicallService.execute(Array.from({ length: count }, (_, i) => ({
+      target: this.positionManager,
+      callData: this.positionManagerInterface.encodeFunctionData('tokenOfOwnerByIndex', [owner, i]),
+      allowFailure: true,
+    })));
+
+    const ids = results
+      .filter(result => result.success)
+      .map(result => this.positionManagerInterface.decodeFunctionResult('tokenOfOwnerByIndex', result.returnData)[0]);
+
+    return { ids, balance };
+  }
+
+  async getRawPositions(tokenIds) {
+    const results = await this.multicallService.execute(tokenIds.map(tokenId => ({
+      target: this.positionManager,
+      callData: this.positionManagerInterface.encodeFunctionData('positions', [tokenId]),
+      allowFailure: true,
+    })));
+
+    const positions = [];
+    results.forEach((result, i) => {
+      if (!result.success) return;
+      const decoded = this.positionManagerInterface.decodeFunctionResult('positions', result.returnData);
+      positions.push({
+        tokenId: tokenIds[i],
+        token0: decoded.token0,
+        token1: decoded.token1,
+        fee: Number(decoded.fee),
+        tickLower: Number(decoded.tickLower),
+        tickUpper: Number(decoded.tickUpper),
+        liquidity: decoded.liquidity,
+        tokensOwed0: decoded.tokensOwed0,
+        tokensOwed1: decoded.tokensOwed1,
+      });
+    });
+    return positions;
+  }
+
+  /**
+   * Pool address and slot0 for every distinct token0/token1/fee among the positions
+   * @returns {Map<string, {address, sqrtPriceX96, tick}>} keyed by poolKey()
+   */
+  async getPools(positions) {
+    const keys = [...new Set(positions.map(p => this.poolKey(p)))];
+    const byKey = new Map(positions.map(p => [this.poolKey(p), p]));
+    const factoryInterface = this.multicallService.interfaces.factoryV3;
+
+    const poolResults = await this.multicallService.execute(keys.map(key => {
+      const { token0, token1, fee } = byKey.get(key);
+      return {
+        target: this.factory,
+        callData: factoryInterface.encodeFunctionData('getPool', [token0, token1, fee]),
+        allowFailure: true,
+      };
+    }));
+
+    const addresses = poolResults.map(result => (result.success
+      ? factoryInterface.decodeFunctionResult('getPool', result.returnData)[0]
+      : ethers.ZeroAddress));
+
+    const slot0Results = await this.multicallService.execute(addresses.map(address => ({
+      target: address,
+      callData: this.multicallService.interfaces.v3Pool.encodeFunctionData('slot0'),
+      allowFailure: true,
+    })));
+
+    const pools = new Map();
+    keys.forEach((key, i) => {
+      const result = slot0Results[i];
+      if (addresses[i] === ethers.ZeroAddress || !result.success || result.returnData.length <= 2) return;
+      const slot0 = this.multicallService.interfaces.v3Pool.decodeFunctionResult('slot0', result.returnData);
+      pools.set(key, {
+        address: addresses[i],
+        sqrtPriceX96: slot0[0],
+        tick: Number(slot0[1]),
+      });
+    });
+    return pools;
+  }
+
+  /**
+   * Fees owed to each position, from a static call of NonfungiblePositionManager.multicall(collect...)
+   * sent from the owner. collect() pokes the pool first, so the amounts include fees accrued
+   * since the last interaction, which tokensOwed0/1 alone do not.
+   * Falls back to tokensOwed0/1 if the static call fails.
+   * @returns {Map<bigint, {amount0, amount1, source}>}
+   */
+  async getUncollectedFees(owner, positions) {
+    const fees = new Map();
+    const collectable = positions.filter(p => p.liquidity > 0n || p.tokensOwed0 > 0n || p.tokensOwed1 > 0n);
+
+    for (const position of positions) {
+      fees.set(position.tokenId, {
+        amount0: position.tokensOwed0,
+        amount1: position.tokensOwed1,
+        source: 'tokensOwed',
+      });
+    }
+    if (collectable.length === 0) return fees;
+
+    const data = this.positionManagerInterface.encodeFunctionData('multicall', [
+      collectable.map(position => this.positionManagerInterface.encodeFunctionData('collect', [{
+        tokenId: position.tokenId,
+        recipient: owner,
+        amount0Max: MAX_UINT128,
+        amount1Max: MAX_UINT128,
+      }])),
+    ]);
+
+    try {
+      const returnData = await this.providerService.executeWithRetry(provider => provider.call({
+        from: owner,
+        to: this.positionManager,
+        data,
+      }));
+
+      const [results] = this.positionManagerInterface.decodeFunctionResult('multicall', returnData);
+      results.forEach((result, i) => {
+        const [amount0, amount1] = this.positionManagerInterface.decodeFunctionResult('collect', result);
+        fees.set(collectable[i].tokenId, { amount0, amount1, source: 'collect' });
+      });
+    } catch (error) {
+      this.logger.warn(`collect() static call failed for ${owner}, using tokensOwed: ${error.message}`);
+    }
+
+    return fees;
+  }
+
+  formatPosition(position, pools, tokens, fees) {
+    const token0 = tokens[position.token0.toLowerCase()];
+    const token1 = tokens[position.token1.toLowerCase()];
+    const pool = pools.get(this.poolKey(position));
+
+    const tokenInfo = token => ({ address: ethers.getAddress(token.address), symbol: token.symbol, decimals: token.decimals });
+    const priceAtTick = tick => Math.pow(1.0001, tick) * Math.pow(10, token0.decimals - token1.decimals);
+
+    let amount0 = 0n;
+    let amount1 = 0n;
+    let inRange = false;
+    let currentPrice = null;
+
+    if (pool) {
+      ({ amount0, amount1 } = V3Math.getAmountsForLiquidity(
+        pool.sqrtPriceX96,
+        V3Math.getSqrtRatioAtTick(position.tickLower),
+        V3Math.getSqrtRatioAtTick(position.tickUpper),
+        position.liquidity
+      ));
+      // Same condition the pool uses to count a position's liquidity as active
+      inRange = pool.tick >= position.tickLower && pool.tick < position.tickUpper;
+      currentPrice = this.priceService.calculateSqrtPriceToPrice(pool.sqrtPriceX96, token0.decimals, token1.decimals);
+    }
+
+    const liquidityValueUSD = this.priceService.calculatePoolValueUSD(
+      position.token0, position.token1, amount0, amount1, token0.decimals, token1.decimals, currentPrice
+    );
+    const feesValueUSD = this.priceService.calculatePoolValueUSD(
+      position.token0, position.token1, fees.amount0, fees.amount1, token0.decimals, token1.decimals, currentPrice
+    );
+
+    let status = 'closed';
+    if (position.liquidity > 0n) status = inRange ? 'in-range' : 'out-of-range';
+
+    return {
+      tokenId: position.tokenId.toString(),
+      pool: pool ? pool.address : null,
+      token0: tokenInfo(token0),
+      token1: tokenInfo(token1),
+      fee: position.fee,
+      feePercent: position.fee / 10000,
+      status,
+      inRange,
+      liquidity: position.liquidity.toString(),
+      range: {
+        tickLower: position.tickLower,
+        tickUpper: position.tickUpper,
+        currentTick: pool ? pool.tick : null,
+        // token0 priced in token1
+        priceLower: priceAtTick(position.tickLower),
+        priceUpper: priceAtTick(position.tickUpper),
+        currentPrice,
+      },
+      amounts: {
+        token0: ethers.formatUnits(amount0, token0.decimals),
+        token1: ethers.formatUnits(amount1, token1.decimals),
+        token0Raw: amount0.toString(),
+        token1Raw: amount1.toString(),
+      },
+      uncollectedFees: {
+        token0: ethers.formatUnits(fees.amount0, token0.decimals),
+        token1: ethers.formatUnits(fees.amount1, token1.decimals),
+        token0Raw: fees.amount0.toString(),
+        token1Raw: fees.amount1.toString(),
+        source: fees.source,
+      },
+      valueUSD: {
+        liquidity: liquidityValueUSD,
+        fees: feesValueUSD,
+        total: liquidityValueUSD + feesValueUSD,
+      },
+    };
+  }
+
+  formatResponse(owner, balance, positions, hiddenClosed) {
+    const sum = field => positions.reduce((total, p) => total + p.valueUSD[field], 0);
+
+    return {
+      owner,
+      positionManager: this.positionManager,
+      summary: {
+        totalPositions: balance,
+        listed: positions.length,
+        inRange: positions.filter(p => p.status === 'in-range').length,
+        outOfRange: positions.filter(p => p.status === 'out-of-range').length,
+        closedHidden: hiddenClosed,
+        truncated: balance > MAX_POSITIONS,
+        liquidityValueUSD: sum('liquidity'),
+        feesValueUSD: sum('fees'),
+        totalValueUSD: sum('total'),
+      },
+      positions,
+    };
+  }
+
+  poolKey({ token0, token1, fee }) {
+    return `${token0.toLowerCase()}_${token1.toLowerCase()}_${fee}`;
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  getPositionService: perChain(() => new PositionService()),
+};
@@ -1,33 +1,87 @@
-// src/services/PriceService.js - BSC Price Oracle
-// BscRadar - Real-time price fetching for BSC tokens
+// src/services/PriceService.js - Price Oracle
+// BscRadar - Real-time price fetching for the current chain's tokens (see config/chains.js)
 
 const { ethers } = require('ethers');
+const { getTokenRegistry } = require('./TokenRegistryService');
 const { getLogger } = require('../utils/Logger');
-const { CONTRACTS, DEFAULT_PRICES, KNOWN_TOKEN_PRICES } = require('../config/constants');
+const { getChain, perChain } = require('../utils/ChainContext');
+const { getBlockContext, getPinnedBlock } = require('../utils/BlockContext');
+const { UNISWAP_V3_FACTORY_ABI } = require('../config/abis');
 
 class PriceService {
   constructor() {
     this.logger = getLogger();
-
-    // Base prices in USD (stablecoins and known tokens)
-    this.basePrices = {
-      // Major assets - use constants
-      [CONTRACTS.WBNB.toLowerCase()]: DEFAULT_PRICES.BNB,
-      // Stablecoins - always $1
-      [CONTRACTS.USDC.toLowerCase()]: 1.00,
-      [CONTRACTS.BUSD.toLowerCase()]: 1.00,
-      [CONTRACTS.DAI.toLowerCase()]: 1.00,
-      [CONTRACTS.USDT.toLowerCase()]: 1.00,
-      // CAKE token (approximate price)
-      [CONTRACTS.CAKE.toLowerCase()]: 2.50,
+    this.tokenRegistry = getTokenRegistry();
+    this.chain = getChain();
+    const { native, cake } = this.chain.prices;
+    this.nativeAddress = this.chain.contracts.WRAPPED_NATIVE.toLowerCase();
+    this.cakeAddress = cake ? cake.token.toLowerCase() : null;
+
+    // Prices for the live chain state. Requests pinned to a block get their own
+    // copy (see priceState) so prices from another block never leak into them.
+    this.livePriceState = {
+      // Base prices in USD (stablecoins and known tokens)
+      basePrices: {
+        // Major assets - chain defaults until read on-chain
+        [this.nativeAddress]: native.default,
+        // CAKE token (approximate price, BSC only)
+        ...(cake ? { [this.cakeAddress]: cake.default } : {}),
+      },
+      // Native token (BNB, ETH) price in USD - will be fetched dynamically
+      bnbPriceUSD: native.default,
+      lastPriceUpdate: Date.now(),
+      blockNumber: null, // Block the on-chain prices were read at (null: defaults, manual or unpinned)
+      fetchLock: false, // CRITICAL FIX: Prevents concurrent price fetches
     };
 
-    // BNB price in USD - will be fetched dynamically
-    this.bnbPriceUSD = DEFAULT_PRICES.BNB;
-    this.lastPriceUpdate = Date.now();
-    this.priceUpdateInterval = 60000;
-    this.fetchLock = false; // CRITICAL FIX: Prevents concurrent price fetches // Update every 60 seconds
+    this.priceUpdateInterval = 60000; // Update every 60 seconds
     this.providerService = null; // Will be set lazily to avoid circular dependency
+    this.pricePools = new Map(); // price feed -> pool address looked up on the V3 factory
+
+    // Stablecoins (registry "stable" role) - always $1, including ones added by a registry reload
+    this.applyStablePrices();
+    this.tokenRegistry.on('change', () => this.applyStablePrices());
+  }
+
+  applyStablePrices() {
+    for (const token of this.tokenRegistry.getTokens('stable')) {
+      this.livePriceState.basePrices[token.address.toLowerCase()] = 1.00;
+    }
+  }
+
+  /**
+   * Price state for the current request: the live one, or a per-request copy when
+   * the request is pinned to a block (refetched unless the live prices are from that block)
+   */
+  get priceState() {
+    const context = getBlockContext();
+    if (!context) return this.livePriceState;
+
+    if (!context.priceState) {
+      context.priceState = {
+        ...this.livePriceState,
+        basePrices: { ...this.livePriceState.basePrices },
+        fetchLock: false,
+      };
+    }
+    return context.priceState;
+  }
+
+  get basePrices() { return this.priceState.basePrices; }
+  set basePrices(value) { this.priceState.basePrices = value; }
+
+  get bnbPriceUSD() { return this.priceState.bnbPriceUSD; }
+  set bnbPriceUSD(value) { this.priceState.bnbPriceUSD = value; }
+
+  get lastPriceUpdate() { return this.priceState.lastPriceUpdate; }
+  set lastPriceUpdate(value) { this.priceState.lastPriceUpdate = value; }
+
+  get fetchLock() { return this.priceState.fetchLock; }
+  set fetchLock(value) { this.priceState.fetchLock = value; }
+
+  // Block the current on-chain prices were read at (null if not from a known block)
+  getPriceBlock() {
+    return this.priceState.blockNumber;
   }
 
   // Get current BNB price
@@ -37,9 +91,12 @@ class PriceService {
 
   /**
    * Check if prices are stale and need refresh
-   * Returns true if prices are older than 30 seconds
+   * Returns true if prices are older than 30 seconds, or were not read at the pinned block
    */
   arePricesStale() {
+    const pinnedBlock = getPinnedBlock();
+    if (pinnedBlock !== null) return this.priceState.blockNumber !== pinnedBlock;
+
     const STALE_THRESHOLD = 30000; // 30 seconds
     return Date.now() - this.lastPriceUpdate > STALE_THRESHOLD;
   }
@@ -102,25 +159,29 @@ class PriceService {
   async fetchTokenPricesFromChain() {
     try {
       const now = Date.now();
-      // Only fetch if price is older than update interval
-      if (now - this.lastPriceUpdate < this.priceUpdateInterval) {
-        return { bnb: this.bnbPriceUSD, cake: this.basePrices[CONTRACTS.CAKE.toLowerCase()] };
+      // Pinned requests (see BlockContext) need prices read at their block;
+      // otherwise only fetch if price is older than update interval
+      const pinnedBlock = getPinnedBlock();
+      const upToDate = pinnedBlock !== null
+        ? this.priceState.blockNumber === pinnedBlock
+        : now - this.lastPriceUpdate < this.priceUpdateInterval;
+      if (upToDate) {
+        return this.getCurrentPrices();
       }
 
       // Prevent concurrent price fetches
       if (this.fetchLock) {
-        return { bnb: this.bnbPriceUSD, cake: this.basePrices[CONTRACTS.CAKE.toLowerCase()] };
+        return this.getCurrentPrices();
       }
       this.fetchLock = true;
 
-      this.logger.info('Fetching real-time prices from BSC chain...');
+      this.logger.info(`Fetching real-time prices from ${this.chain.name} chain${pinnedBlock !== null ? ` at block ${pinnedBlock}` : ''}...`);
 
       const provider = this.getProviderService();
 
-      // PancakeSwap V3 pools for price discovery
-      const WBNB_USDT_POOL = '0x36696169C63e42cd08ce11f5deeBbCeBae652050'; // WBNB/USDT on PancakeSwap V3
-      const CAKE_WBNB_POOL = '0x133B3D95bAD5405D14d53473671200e9342896BF'; // CAKE/WBNB on PancakeSwap V3
-      const MULTICALL3 = CONTRACTS.MULTICALL3;
+      // V3 pools for price discovery (config/chains.js)
+      const { native, cake } = this.chain.prices;
+      const MULTICALL3 = this.chain.contracts.MULTICALL3;
 
       const poolInterface = new ethers.Interface([
         'function slot0() view returns (uint160, int24, uint16, uint16, uint16, uint8, bool)',
@@ -131,66 +192,125 @@ class PriceService {
         'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) returns (tuple(bool success, bytes returnData)[])'
       ]);
 
-      // Build multicall for price queries
-      const calls = [
-        { target: WBNB_USDT_POOL, allowFailure: true, callData: poolInterface.encodeFunctionData('slot0', []) },
-        { target: WBNB_USDT_POOL, allowFailure: true, callData: poolInterface.encodeFunctionData('token0', []) },
-        { target: CAKE_WBNB_POOL, allowFailure: true, callData: poolInterface.encodeFunctionData('slot0', []) },
-        { target: CAKE_WBNB_POOL, allowFailure: true, callData: poolInterface.encodeFunctionData('token0', []) },
-      ];
-
       let bnbPrice = this.bnbPriceUSD;
-      let cakePrice = this.basePrices[CONTRACTS.CAKE.toLowerCase()] || 2.50;
+      let cakePrice = cake ? this.basePrices[this.cakeAddress] || cake.default : null;
+      let fetched = false;
 
       try {
-        const results = await provider.executeWithRetry(async (prov) => {
+        const nativePool = await this.getPricePool(native);
+        const cakePool = cake ? await this.getPricePool(cake) : null;
+
+        // Build multicall for price queries (slot0 and token0 of each pool)
+        const calls = [nativePool, cakePool].filter(Boolean).flatMap(pool => [
+          { target: pool, allowFailure: true, callData: poolInterface.encodeFunctionData('slot0', []) },
+          { target: pool, allowFailure: true, callData: poolInterface.encodeFunctionData('token0', []) },
+        ]);
+
+        // executeWithRetry pins the call to the request's block, if any
+        const results = calls.length === 0 ? [] : await provider.executeWithRetry(async (prov) => {
           const multicall = new ethers.Contract(MULTICALL3, multicallInterface, prov);
           return await multicall.aggregate3.staticCall(calls);
         });
-
-        // Decode WBNB/USDT price
-        if (results[0].success && results[1].success) {
-          const slot0 = poolInterface.decodeFunctionResult('slot0', results[0].returnData);
-          const token0 = poolInterface.decodeFunctionResult('token0', results[1].returnData)[0];
-          const price = this.calculateSqrtPriceToPrice(slot0[0], 18, 18);
-          const usdtAddress = CONTRACTS.USDT.toLowerCase();
-          bnbPrice = token0.toLowerCase() === usdtAddress ? 1 / price : price;
+        const decodePool = offset => (results[offset].success && results[offset + 1].success
+          ? {
+            sqrtPriceX96: poolInterface.decodeFunctionResult('slot0', results[offset].returnData)[0],
+            token0: poolInterface.decodeFunctionResult('token0', results[offset + 1].returnData)[0].toLowerCase(),
+          }
+          : null);
+
+        // Decode native/stablecoin price
+        const nativeSlot = nativePool ? decodePool(0) : null;
+        if (nativeSlot) {
+          const quoteDecimals = this.tokenRegistry.getToken(native.quote)?.decimals ?? 18;
+          const quoteIsToken0 = nativeSlot.token0 === native.quote.toLowerCase();
+          const price = quoteIsToken0
+            ? this.calculateSqrtPriceToPrice(nativeSlot.sqrtPriceX96, quoteDecimals, 18)
+            : this.calculateSqrtPriceToPrice(nativeSlot.sqrtPriceX96, 18, quoteDecimals);
+          bnbPrice = quoteIsToken0 ? 1 / price : price;
         }
 
-        // Decode CAKE/WBNB price and convert to USD
-        if (results[2].success && results[3].success && bnbPrice > 0) {
-          const slot0 = poolInterface.decodeFunctionResult('slot0', results[2].returnData);
-          const token0 = poolInterface.decodeFunctionResult('token0', results[3].returnData)[0];
-          const priceInBNB = this.calculateSqrtPriceToPrice(slot0[0], 18, 18);
-          const cakeAddress = CONTRACTS.CAKE.toLowerCase();
-          const cakePriceInBNB = token0.toLowerCase() === cakeAddress ? priceInBNB : 1 / priceInBNB;
+        // Decode CAKE/native price and convert to USD
+        const cakeSlot = cakePool ? decodePool(nativePool ? 2 : 0) : null;
+        if (cakeSlot && bnbPrice > 0) {
+          const priceInBNB = this.calculateSqrtPriceToPrice(cakeSlot.sqrtPriceX96, 18, 18);
+          const cakePriceInBNB = cakeSlot.token0 === this.cakeAddress ? priceInBNB : 1 / priceInBNB;
           cakePrice = cakePriceInBNB * bnbPrice;
         }
+        fetched = results.length > 0;
       } catch (err) {
         this.logger.warn('Multicall price fetch failed, using cached prices:', err.message);
       }
 
       this.fetchLock = false;
 
-      // Update BNB price (validate reasonable range for BSC)
-      if (bnbPrice && bnbPrice > 0 && isFinite(bnbPrice) && bnbPrice > 100 && bnbPrice < 2000) {
+      // Update native price (validate reasonable range for the chain)
+      if (bnbPrice && bnbPrice > 0 && isFinite(bnbPrice) && bnbPrice > native.min && bnbPrice < native.max) {
         this.bnbPriceUSD = bnbPrice;
-        this.basePrices[CONTRACTS.WBNB.toLowerCase()] = bnbPrice;
-        this.logger.info(`✓ BNB price updated to $${bnbPrice.toFixed(2)}`);
+        this.basePrices[this.nativeAddress] = bnbPrice;
+        this.logger.info(`✓ ${this.chain.nativeSymbol} price updated to $${bnbPrice.toFixed(2)}`);
       }
 
       // Update CAKE price
-      if (cakePrice && cakePrice > 0 && isFinite(cakePrice) && cakePrice > 0.1 && cakePrice < 100) {
-        this.basePrices[CONTRACTS.CAKE.toLowerCase()] = cakePrice;
+      if (cake && cakePrice > 0 && isFinite(cakePrice) && cakePrice > cake.min && cakePrice < cake.max) {
+        this.basePrices[this.cakeAddress] = cakePrice;
         this.logger.info(`✓ CAKE price updated to $${cakePrice.toFixed(4)}`);
       }
 
       this.lastPriceUpdate = now;
+      if (fetched) {
+        this.priceState.blockNumber = pinnedBlock;
+        this.publishLivePrices();
+      }
       return { bnb: bnbPrice, cake: cakePrice };
     } catch (error) {
       this.logger.error('Failed to fetch prices from chain, using cached prices:', error.message);
-      return { bnb: this.bnbPriceUSD, cake: this.basePrices[CONTRACTS.CAKE.toLowerCase()] };
+      return this.getCurrentPrices();
+    }
+  }
+
+  /**
+   * Share prices an analysis read at the chain head with the live state, unless the
+   * live prices come from a later block. Prices of ?blockTag= requests stay private.
+   */
+  publishLivePrices() {
+    const context = getBlockContext();
+    if (!context || context.historical) return;
+
+    const state = this.priceState;
+    const live = this.livePriceState;
+    if (live.blockNumber !== null && live.blockNumber > state.blockNumber) return;
+
+    live.basePrices = { ...state.basePrices };
+    live.bnbPriceUSD = state.bnbPriceUSD;
+    live.lastPriceUpdate = state.lastPriceUpdate;
+    live.blockNumber = state.blockNumber;
+  }
+
+  // Native and CAKE prices in USD (cake is null outside BSC)
+  getCurrentPrices() {
+    return { bnb: this.bnbPriceUSD, cake: this.cakeAddress ? this.basePrices[this.cakeAddress] : null };
+  }
+
+  /**
+   * Pool a price feed reads: its configured address, or the V3 factory's pool for the
+   * wrapped native token and feed.quote at feed.fee (looked up once)
+   * @returns {Promise<string|null>}
+   */
+  async getPricePool(feed) {
+    if (feed.pool) return feed.pool;
+    if (this.pricePools.has(feed)) return this.pricePools.get(feed);
+
+    const factory = feed.factory || this.chain.contracts.PANCAKESWAP_V3_FACTORY;
+    const pool = await this.getProviderService().executeWithRetry(provider =>
+      new ethers.Contract(factory, UNISWAP_V3_FACTORY_ABI, provider).getPool(this.nativeAddress, feed.quote, feed.fee)
+    );
+    if (pool === ethers.ZeroAddress) {
+      this.logger.warn(`No ${this.chain.wrappedNativeSymbol} price pool at fee ${feed.fee} on ${factory}, keeping the default price`);
+      return null;
     }
+
+    this.pricePools.set(feed, pool);
+    return pool;
   }
 
   // Legacy method for backwards compatibility
@@ -216,10 +336,10 @@ class PriceService {
     result.priceInPairToken = poolPrice;
     
     // If pair token is WBNB
-    if (pairTokenAddress.toLowerCase() === CONTRACTS.WBNB.toLowerCase()) {
+    if (pairTokenAddress.toLowerCase() === this.nativeAddress) {
       result.priceInBNB = poolPrice;
       result.priceInUSD = poolPrice * this.bnbPriceUSD;
-      result.pairTokenSymbol = 'WBNB';
+      result.pairTokenSymbol = this.chain.wrappedNativeSymbol;
       result.calculationMethod = 'direct-bnb';
     }
     // If pair token is a stablecoin (USDC, USDT, DAI)
@@ -297,7 +417,7 @@ class PriceService {
     }
     
     if (prices.priceInBNB > 0) {
-      parts.push(`${this.formatNumber(prices.priceInBNB)} BNB`);
+      parts.push(`${this.formatNumber(prices.priceInBNB)} ${this.chain.nativeSymbol}`);
     }
     
     if (parts.length === 0 && prices.priceInPairToken > 0) {
@@ -318,15 +438,7 @@ class PriceService {
   }
   
   getTokenSymbol(address) {
-    const symbols = {
-      [CONTRACTS.WBNB.toLowerCase()]: 'WBNB',
-      [CONTRACTS.USDC.toLowerCase()]: 'USDC',
-      [CONTRACTS.USDT.toLowerCase()]: 'USDT',
-      [CONTRACTS.DAI.toLowerCase()]: 'DAI',
-      [CONTRACTS.BUSD.toLowerCase()]: 'BUSD',
-      [CONTRACTS.CAKE.toLowerCase()]: 'CAKE',
-    };
-    return symbols[address.toLowerCase()] || 'UNKNOWN';
+    return this.tokenRegistry.getToken(address)?.symbol || 'UNKNOWN';
   }
 
   /**
@@ -434,7 +546,7 @@ class PriceService {
     for (const pool of pools) {
       const poolPrices = this.calculatePoolPrices(pool, tokenAddress);
       const liquidityUSD = pool.liquidity?.usd || 0;
-      const liquidityBNB = pool.liquidity?.eth || 0;
+      const liquidityBNB = pool.liquidity?.bnb || pool.liquidity?.eth || 0; // formatted pools report liquidity.bnb
 
       // Track prices by pair token
       const pairKey = poolPrices.pairTokenSymbol;
@@ -512,6 +624,7 @@ class PriceService {
   setBNBPrice(priceUSD) {
     this.bnbPriceUSD = priceUSD;
     this.lastPriceUpdate = Date.now();
+    this.priceState.blockNumber = null;
     this.logger.info(`BNB price updated to $${priceUSD}`);
   }
 
@@ -528,19 +641,13 @@ class PriceService {
       bnbPriceUSD: this.bnbPriceUSD,
       knownTokens: Object.keys(this.basePrices).length,
       lastUpdate: new Date(this.lastPriceUpdate).toISOString(),
+      blockNumber: this.getPriceBlock(),
       basePrices: this.basePrices
     };
   }
 }
 
-// Singleton instance
-let priceServiceInstance = null;
-
+// One instance per chain (see utils/ChainContext)
 module.exports = {
-  getPriceService: () => {
-    if (!priceServiceInstance) {
-      priceServiceInstance = new PriceService();
-    }
-    return priceServiceInstance;
-  },
+  getPriceService: perChain(() => new PriceService()),
 };
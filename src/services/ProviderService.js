@@ -2,33 +2,32 @@
 
 const { ethers } = require('ethers');
 const { getLogger } = require('../utils/Logger');
-const { NETWORK, API_CONFIG } = require('../config/constants');
+const { getChain, perChain } = require('../utils/ChainContext');
+const { getPinnedBlock } = require('../utils/BlockContext');
+const { API_CONFIG } = require('../config/constants');
 
 class ProviderService {
   constructor() {
     this.logger = getLogger();
+    this.chain = getChain();
     this.providers = [];
     this.currentProviderIndex = 0;
     this.setupProviders();
   }
 
   setupProviders() {
-    const rpcUrls = [
-      NETWORK.RPC_URLS.CUSTOM,
-      NETWORK.RPC_URLS.ALCHEMY,
-      NETWORK.RPC_URLS.QUICKNODE,
-      NETWORK.RPC_URLS.PUBLIC,
-    ].filter(url => url && url.length > 0);
+    // <CHAIN>_RPC from .env first, then the chain's public endpoint (config/chains.js)
+    const rpcUrls = this.chain.rpcUrls;
 
     if (rpcUrls.length === 0) {
-      throw new Error('No RPC providers configured. Please set at least one RPC URL in .env');
+      throw new Error(`No RPC providers configured for ${this.chain.name}. Please set at least one RPC URL in .env`);
     }
 
     rpcUrls.forEach(url => {
       try {
         const provider = new ethers.JsonRpcProvider(url, {
-          chainId: NETWORK.CHAIN_ID,
-          name: NETWORK.NAME,
+          chainId: this.chain.chainId,
+          name: this.chain.name,
         });
         
         // Set timeout
@@ -51,7 +50,7 @@ class ProviderService {
       throw new Error('Failed to initialize any RPC providers');
     }
 
-    this.logger.info(`Initialized ${this.providers.length} RPC providers`);
+    this.logger.info(`Initialized ${this.providers.length} RPC providers for ${this.chain.name}`);
   }
 
   maskUrl(url) {
@@ -67,7 +66,71 @@ class ProviderService {
   }
 
   getCurrentProvider() {
-    return this.providers[this.currentProviderIndex].provider;
+    return this.forCurrentBlock(this.providers[this.currentProviderIndex].provider);
+  }
+
+  /**
+   * The provider itself, or a view of it pinned to the block of the current request (see BlockContext)
+   */
+  forCurrentBlock(provider) {
+    const blockNumber = getPinnedBlock();
+    return blockNumber === null ? provider : this.pinToBlock(provider, blockNumber);
+  }
+
+  /**
+   * Wrap a provider so that state reads default to blockNumber instead of 'latest'.
+   * Contracts built on the wrapper (staticCall, view calls) are pinned as well.
+   */
+  pinToBlock(provider, blockNumber) {
+    const blockTag = ethers.toQuantity(blockNumber);
+    const withTag = tag => (tag === undefined || tag === 'latest' ? blockNumber : tag);
+
+    const overrides = {
+      call: tx => provider.call({ ...tx, blockTag: withTag(tx.blockTag) }),
+      getBalance: (address, tag) => provider.getBalance(address, withTag(tag)),
+      getCode: (address, tag) => provider.getCode(address, withTag(tag)),
+      getStorage: (address, position, tag) => provider.getStorage(address, position, withTag(tag)),
+      getTransactionCount: (address, tag) => provider.getTransactionCount(address, withTag(tag)),
+      getBlock: (tag, prefetchTxs) => provider.getBlock(withTag(tag), prefetchTxs),
+      getBlockNumber: () => Promise.resolve(blockNumber),
+      // Raw eth_call (e.g. with a state override set)
+      send: (method, params) => provider.send(
+        method,
+        method === 'eth_call' && params[1] === 'latest' ? [params[0], blockTag, ...params.slice(2)] : params
+      ),
+    };
+
+    return new Proxy(provider, {
+      get(target, prop) {
+        if (Object.prototype.hasOwnProperty.call(overrides, prop)) return overrides[prop];
+        const value = Reflect.get(target, prop, target);
+        // ethers providers use private fields, so methods must run against the real instance
+        return typeof value === 'function' ? value.bind(target) : value;
+      },
+    });
+  }
+
+  /**
+   * Resolve a request blockTag to a block number
+   * @param {number|string} blockTag - block number, 'latest', 'safe' or 'finalized'
+   * @returns {number|null} null for 'latest' (read the live state)
+   */
+  async resolveBlockTag(blockTag) {
+    if (blockTag === undefined || blockTag === null || blockTag === 'latest') return null;
+
+    if (typeof blockTag === 'number') {
+      const latest = await this.executeWithRetry(provider => provider.getBlockNumber());
+      if (blockTag > latest) {
+        throw Object.assign(new Error(`Block ${blockTag} is ahead of the chain head (${latest})`), { code: 'INVALID_BLOCK_TAG' });
+      }
+      return blockTag;
+    }
+
+    const block = await this.executeWithRetry(provider => provider.getBlock(blockTag));
+    if (!block) {
+      throw Object.assign(new Error(`Block '${blockTag}' is not available from the RPC provider`), { code: 'INVALID_BLOCK_TAG' });
+    }
+    return block.number;
   }
 
   async executeWithRetry(operation, maxRetries = API_CONFIG.MAX_RETRIES) {
@@ -87,7 +150,7 @@ class ProviderService {
         }
 
         try {
-          const result = await operation(providerInfo.provider);
+          const result = await operation(this.forCurrentBlock(providerInfo.provider));
           
           // Reset failure count on success
           providerInfo.failures = 0;
@@ -141,7 +204,7 @@ class ProviderService {
       
       const isHealthy = 
         blockNumber > 0 && 
-        Number(chainId) === NETWORK.CHAIN_ID &&
+        Number(chainId) === this.chain.chainId &&
         latency < 5000;
       
       return {
@@ -175,14 +238,7 @@ class ProviderService {
   }
 }
 
-// Singleton instance
-let providerInstance = null;
-
+// One instance per chain (see utils/ChainContext)
 module.exports = {
-  getProviderService: () => {
-    if (!providerInstance) {
-      providerInstance = new ProviderService();
-    }
-    return providerInstance;
-  },
+  getProviderService: perChain(() => new ProviderService()),
 };
\ No newline at end of file
@@ -1,41 +1,18 @@
 // src/services/RouteCacheService.js
-// Pre-caches routes for main token pairs to speed up routing
+// Pre-caches routes for main token pairs (the token registry's routeCachePairs) to speed up routing
 
 const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
 const { getPoolAnalyzer } = require('./PoolAnalyzer');
-
-// Main tokens to pre-cache routes for (BSC)
-const MAIN_TOKENS = {
-  WBNB: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
-  USDC: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d',
-  USDT: '0x55d398326f99059fF775485246999027B3197955',
-  BUSD: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56',
-  CAKE: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82',
-};
-
-// Token pairs to pre-cache (from → to)
-const PAIRS_TO_CACHE = [
-  ['WBNB', 'USDC'],
-  ['WBNB', 'USDT'],
-  ['WBNB', 'BUSD'],
-  ['WBNB', 'CAKE'],
-  ['USDC', 'WBNB'],
-  ['USDC', 'USDT'],
-  ['USDC', 'BUSD'],
-  ['USDT', 'WBNB'],
-  ['USDT', 'USDC'],
-  ['USDT', 'BUSD'],
-  ['BUSD', 'WBNB'],
-  ['BUSD', 'USDC'],
-  ['BUSD', 'USDT'],
-  ['CAKE', 'WBNB'],
-  ['CAKE', 'USDC'],
-];
+const { getStableSwapPoolService } = require('./StableSwapPoolService');
+const { getTokenRegistry } = require('./TokenRegistryService');
 
 class RouteCacheService {
   constructor() {
     this.logger = getLogger();
     this.poolAnalyzer = getPoolAnalyzer();
+    this.stableSwapPoolService = getStableSwapPoolService();
+    this.tokenRegistry = getTokenRegistry();
     this.cache = new Map();
     this.cacheTTL = 10 * 60 * 1000; // 10 minutes
     this.refreshInterval = null;
@@ -107,24 +84,23 @@ class RouteCacheService {
     const startTime = Date.now();
     this.logger.info('🔄 Starting route cache refresh for main tokens...');
 
+    const pairs = this.tokenRegistry.getRouteCachePairs();
+
     // OPTIMIZATION: Get unique tokens and analyze them all in parallel
-    const uniqueTokens = new Set();
-    for (const [fromSymbol] of PAIRS_TO_CACHE) {
-      if (MAIN_TOKENS[fromSymbol]) {
-        uniqueTokens.add(fromSymbol);
-      }
+    const uniqueTokens = new Map();
+    for (const [fromToken] of pairs) {
+      uniqueTokens.set(fromToken.symbol, fromToken);
     }
 
     // Analyze all unique tokens in PARALLEL (not sequential!)
     const tokenAnalyses = {};
-    const analysisPromises = [...uniqueTokens].map(async (symbol) => {
+    const analysisPromises = [...uniqueTokens.values()].map(async ({ symbol, address }) => {
       try {
-        const addr = MAIN_TOKENS[symbol];
-        const analysis = await this.poolAnalyzer.analyzeToken(addr);
-        return { symbol, addr, analysis };
+        const analysis = await this.poolAnalyzer.analyzeToken(address);
+        return { symbol, addr: address, analysis };
       } catch (err) {
         this.logger.debug(`Failed to analyze ${symbol}: ${err.message}`);
-        return { symbol, addr: MAIN_TOKENS[symbol], analysis: null };
+        return { symbol, addr: address, analysis: null };
       }
     });
 
@@ -143,11 +119,9 @@ class RouteCacheService {
     let successCount = 0;
     let failCount = 0;
 
-    for (const [fromSymbol, toSymbol] of PAIRS_TO_CACHE) {
-      const fromAddr = MAIN_TOKENS[fromSymbol];
-      const toAddr = MAIN_TOKENS[toSymbol];
-
-      if (!fromAddr || !toAddr) continue;
+    for (const [fromToken, toToken] of pairs) {
+      const { symbol: fromSymbol, address: fromAddr } = fromToken;
+      const { symbol: toSymbol, address: toAddr } = toToken;
 
       const analysis = tokenAnalyses[fromSymbol];
       if (!analysis || !analysis.pools) {
@@ -155,11 +129,16 @@ class RouteCacheService {
         continue;
       }
 
+      // Stablecoin pairs also compete on StableSwap pools (no lookup for other pairs)
+      const stableSwapPools = await this.stableSwapPoolService.getPoolsForPair(fromAddr, toAddr).catch(err => {
+        this.logger.debug(`StableSwap lookup failed for ${fromSymbol} → ${toSymbol}: ${err.message}`);
+        return [];
+      });
+
       // Find best pool for this pair
       const matchingPools = analysis.pools.filter(pool =>
-        pool.pairToken?.address?.toLowerCase() === toAddr.toLowerCase() &&
-        pool.liquidity?.status === 'ACTIVE'
-      );
+        pool.pairToken?.address?.toLowerCase() === toAddr.toLowerCase()
+      ).concat(stableSwapPools).filter(pool => pool.liquidity?.status === 'ACTIVE');
 
       if (matchingPools.length === 0) {
         failCount++;
@@ -201,7 +180,7 @@ class RouteCacheService {
     this.logger.info(`✅ Route cache refresh complete in ${elapsed}ms (was ~3000ms before parallelization)`, {
       cached: successCount,
       failed: failCount,
-      totalPairs: PAIRS_TO_CACHE.length,
+      totalPairs: pairs.length,
     });
   }
 
@@ -221,6 +200,15 @@ class RouteCacheService {
       });
     }, intervalMs);
 
+    // Registry edits can add or drop pairs: start over from the new list
+    this.onRegistryChange = () => {
+      this.cache.clear();
+      this.refreshCache().catch(err => {
+        this.logger.error('Route cache refresh failed', { error: err.message });
+      });
+    };
+    this.tokenRegistry.on('change', this.onRegistryChange);
+
     this.logger.info(`📦 Route cache service started (refresh every ${intervalMs / 1000}s)`);
   }
 
@@ -231,6 +219,7 @@ class RouteCacheService {
     if (this.refreshInterval) {
       clearInterval(this.refreshInterval);
       this.refreshInterval = null;
+      this.tokenRegistry.off('change', this.onRegistryChange);
       this.logger.info('Route cache service stopped');
     }
   }
@@ -285,19 +274,10 @@ class RouteCacheService {
   }
 }
 
-// Singleton instance
-let instance = null;
-
-function getRouteCacheService() {
-  if (!instance) {
-    instance = new RouteCacheService();
-  }
-  return instance;
-}
+// One instance per chain (see utils/ChainContext)
+const getRouteCacheService = perChain(() => new RouteCacheService());
 
 module.exports = {
   RouteCacheService,
   getRouteCacheService,
-  MAIN_TOKENS,
-  PAIRS_TO_CACHE,
 };
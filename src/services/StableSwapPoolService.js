@@ -0,0 +1,233 @@
+// src/services/StableSwapPoolService.js
+// PancakeSwap StableSwap pools (Curve invariant) for stablecoin pairs. Pools are found through
+// the StableSwap factory, their state is read in one multicall and swaps are quoted locally
+// with utils/StableSwapMath (get_dy / get_dx), which matches the pool to the wei.
+
+const { ethers } = require('ethers');
+const { getMulticallService } = require('./MulticallService');
+const { getPoolDiscoveryService } = require('./PoolDiscoveryService');
+const { getPriceService } = require('./PriceService');
+const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const StableSwapMath = require('../utils/StableSwapMath');
+const { getStableSwapProtocols } = require('../config/protocols');
+
+class StableSwapPoolService {
+  constructor() {
+    this.multicallService = getMulticallService();
+    this.discoveryService = getPoolDiscoveryService();
+    this.priceService = getPriceService();
+    this.logger = getLogger();
+  }
+
+  /**
+   * StableSwap pools for a pair of registry stablecoins, with liquidity and spot price.
+   * Other pairs have none.
+   */
+  async getPoolsForPair(tokenA, tokenB) {
+    const discovered = await this.discoveryService.findStableSwapPools(tokenA, tokenB);
+    if (discovered.length === 0) return [];
+
+    const states = await this.getPoolStates(discovered);
+    return states.map(state => this.formatPool(state));
+  }
+
+  /**
+   * Read pool state (coins, balances, A, fee) and coin decimals
+   * @param {Array} pools - { address, protocol } from discovery
+   */
+  async getPoolStates(pools) {
+    const poolData = await this.multicallService.batchGetStableSwapPoolData(pools.map(p => p.address));
+    if (poolData.length === 0) return [];
+
+    const tokenInfo = await this.multicallService.batchGetTokenInfo(
+      poolData.flatMap(data => [data.token0, data.token1])
+    );
+
+    return poolData.map(data => {
+      const protocol = pools.find(p => p.address.toLowerCase() === data.address.toLowerCase())?.protocol;
+      const token0 = { ...tokenInfo[data.token0.toLowerCase()], address: data.token0 };
+      const token1 = { ...tokenInfo[data.token1.toLowerCase()], address: data.token1 };
+      const decimals = [token0.decimals ?? 18, token1.decimals ?? 18].map(Number);
+
+      return {
+        address: data.address,
+        protocol: protocol || getStableSwapProtocols()[0]?.name,
+        token0,
+        token1,
+        pool: {
+          balances: [data.balance0, data.balance1],
+          rates: StableSwapMath.getRates(decimals),
+          amp: data.A,
+          fee: data.fee,
+        },
+      };
+    });
+  }
+
+  async getPoolState(poolAddress) {
+    const [state] = await this.getPoolStates([{ address: poolAddress }]);
+    if (!state) {
+      throw new Error(`Pool ${poolAddress} is not a StableSwap pool`);
+    }
+    return state;
+  }
+
+  /**
+   * Pool object in the shape the analyzer and route cache use for V2/V3 pools
+   */
+  formatPool(state) {
+    const { pool, token0, token1 } = state;
+    const token0Amount = Number(ethers.formatUnits(pool.balances[0], token0.decimals ?? 18));
+    const token1Amount = Number(ethers.formatUnits(pool.balances[1], token1.decimals ?? 18));
+
+    // Registry stablecoins are priced at $1 unless the price service knows better
+    const basePrices = this.priceService.basePrices || {};
+    const totalValueUSD =
+      token0Amount * (basePrices[token0.address.toLowerCase()] || 1) +
+      token1Amount * (basePrices[token1.address.toLowerCase()] || 1);
+
+    let status = 'LOW_LIQUIDITY';
+    if (totalValueUSD >= 1000) {
+      status = 'ACTIVE';
+    } else if (totalValueUSD >= 100) {
+      status = 'WARNING_LIQUIDITY';
+    } else if (token0Amount <= 0 && token1Amount <= 0) {
+      status = 'EMPTY';
+    }
+
+    const fee = Number(pool.fee / 10000n); // pool fee is in 1e10ths, pool objects use millionths
+
+    return {
+      address: state.address,
+      type: 'StableSwap',
+      protocol: state.protocol,
+      pair: `${token0.symbol}/${token1.symbol}`,
+      token0,
+      token1,
+      amplification: pool.amp.toString(),
+      fee,
+      feePercent: fee / 10000,
+      reserves: {
+        reserve0: pool.balances[0].toString(),
+        reserve1: pool.balances[1].toString(),
+      },
+      liquidity: {
+        status,
+        usd: totalValueUSD,
+        totalValueUSD,
+        token0: token0Amount.toString(),
+        token1: token1Amount.toString(),
+      },
+      price: {
+        ratio: this.getSpotRate(state, 0, 1),
+      },
+    };
+  }
+
+  /**
+   * Coin indexes for a swap out of tokenIn
+   */
+  getIndexes(state, tokenIn) {
+    const isToken0In = tokenIn.toLowerCase() === state.token0.address.toLowerCase();
+    if (!isToken0In && tokenIn.toLowerCase() !== state.token1.address.toLowerCase()) {
+      throw new Error(`Token ${tokenIn} is not in StableSwap pool ${state.address}`);
+    }
+    return isToken0In ? [0, 1] : [1, 0];
+  }
+
+  /**
+   * Marginal price of coin i in coin j before fees, in token units, from a swap of
+   * a millionth of coin i's balance
+   */
+  getSpotRate(state, i, j) {
+    const { pool } = state;
+    const probe = pool.balances[i] / 1000000n || 1n;
+    const { amountOut, feeAmount } = StableSwapMath.getDy(i, j, probe, pool);
+    const decimalsIn = state[`token${i}`].decimals ?? 18;
+    const decimalsOut = state[`token${j}`].decimals ?? 18;
+
+    return Number(ethers.formatUnits(amountOut + feeAmount, decimalsOut)) /
+      Number(ethers.formatUnits(probe, decimalsIn));
+  }
+
+  /**
+   * Percent shortfall of a fill against the marginal price (fee included, like V2)
+   */
+  calculatePriceImpact(state, i, j, amountIn, amountOut) {
+    if (amountIn === 0n) return 0;
+
+    const spotRate = this.getSpotRate(state, i, j);
+    const decimalsIn = state[`token${i}`].decimals ?? 18;
+    const decimalsOut = state[`token${j}`].decimals ?? 18;
+    const rate = Number(ethers.formatUnits(amountOut, decimalsOut)) / Number(ethers.formatUnits(amountIn, decimalsIn));
+
+    return spotRate > 0 ? Math.max(0, (1 - rate / spotRate) * 100) : 0;
+  }
+
+  /**
+   * Output of a swap against a loaded pool state (get_dy)
+   * @returns {{ amountOut: bigint, priceImpact: number }}
+   */
+  getAmountOut(state, tokenIn, amountIn) {
+    const [i, j] = this.getIndexes(state, tokenIn);
+    const { amountOut } = StableSwapMath.getDy(i, j, BigInt(amountIn), state.pool);
+
+    return {
+      amountOut,
+      priceImpact: this.calculatePriceImpact(state, i, j, BigInt(amountIn), amountOut),
+    };
+  }
+
+  async simulateSwap(poolAddress, tokenIn, amountIn) {
+    try {
+      const state = await this.getPoolState(poolAddress);
+      const amountInBN = BigInt(amountIn);
+      const { amountOut, priceImpact } = this.getAmountOut(state, tokenIn, amountInBN);
+
+      if (amountOut <= 0n) {
+        throw new Error('Insufficient liquidity for requested input');
+      }
+
+      return {
+        amountIn: amountInBN.toString(),
+        amountOut: amountOut.toString(),
+        priceImpact,
+        executionPrice: Number(amountOut) / Number(amountInBN),
+        source: 'local-simulation',
+      };
+    } catch (error) {
+      this.logger.error('Failed to simulate StableSwap swap', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Simulate buying exactly `amountOut` of the other pool coin with `tokenIn` (get_dx)
+   */
+  async simulateSwapExactOutput(poolAddress, tokenIn, amountOut) {
+    try {
+      const state = await this.getPoolState(poolAddress);
+      const [i, j] = this.getIndexes(state, tokenIn);
+      const amountOutBN = BigInt(amountOut);
+      const amountIn = StableSwapMath.getDx(i, j, amountOutBN, state.pool);
+
+      return {
+        amountIn: amountIn.toString(),
+        amountOut: amountOutBN.toString(),
+        priceImpact: this.calculatePriceImpact(state, i, j, amountIn, amountOutBN),
+        executionPrice: Number(amountOutBN) / Number(amountIn),
+        source: 'local-simulation',
+      };
+    } catch (error) {
+      this.logger.error('Failed to simulate StableSwap exact output swap', error);
+      throw error;
+    }
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  StableSwapPoolService,
+  getStableSwapPoolService: perChain(() => new StableSwapPoolService()),
+};
@@ -0,0 +1,492 @@
+// src/services/StreamService.js
+// Pushes token price and pool reserve/liquidity changes to subscribed stream clients on every new block
+
+const { ethers } = require('ethers');
+const { getBlockWatcherService } = require('./BlockWatcherService');
+const { getMulticallService } = require('./MulticallService');
+const { getPoolAnalyzer } = require('./PoolAnalyzer');
+const { getPriceService } = require('./PriceService');
+const { getLogger } = require('../utils/Logger');
+const { perChain, getChain } = require('../utils/ChainContext');
+const { runAtBlock } = require('../utils/BlockContext');
+const { STREAM_CONFIG } = require('../config/constants');
+const { getV2ProtocolByFactory, getV2PoolFee } = require('../config/protocols');
+
+// Pool statuses worth following for a token (same set the recommender trades through)
+const TRADEABLE_STATUSES = new Set(['ACTIVE', 'WARNING_LIQUIDITY']);
+
+class StreamService {
+  constructor() {
+    this.blockWatcher = getBlockWatcherService();
+    this.multicallService = getMulticallService();
+    this.poolAnalyzer = getPoolAnalyzer();
+    this.priceService = getPriceService();
+    this.logger = getLogger();
+
+    // client id -> { id, send, tokens: Set, pools: Set }
+    this.clients = new Map();
+    this.nextClientId = 1;
+
+    // token address (lowercase) -> { address, symbol, subscribers, pools, resolvedAt, snapshot }
+    this.tokens = new Map();
+    // pool address (lowercase) -> { address, type, protocol, fee, token0, token1, subscribers, tokens, fingerprint, enriched, snapshot }
+    this.pools = new Map();
+
+    this.updating = false;
+    this.lastBlock = null;
+    this.onBlock = block => this.update(block);
+  }
+
+  /**
+   * Register a connection. `send` receives every message for it as a plain object.
+   * Internal clients (server-side monitors) are exempt from the connection and subscription limits.
+   */
+  addClient(send, { internal = false } = {}) {
+    if (!internal && this.clients.size >= STREAM_CONFIG.MAX_CLIENTS) {
+      throw new Error(`Too many stream connections (max ${STREAM_CONFIG.MAX_CLIENTS})`);
+    }
+
+    const client = { id: this.nextClientId++, send, internal, tokens: new Set(), pools: new Set() };
+    this.clients.set(client.id, client);
+    return client;
+  }
+
+  removeClient(client) {
+    this.unsubscribe(client, { tokens: [...client.tokens], pools: [...client.pools] });
+    this.clients.delete(client.id);
+  }
+
+  /**
+   * Follow tokens and/or pools. Known snapshots are sent right away,
+   * everything else arrives with the next block.
+   * @returns {{tokens: string[], pools: string[]}} everything the client now follows
+   */
+  subscribe(client, { tokens = [], pools = [] }) {
+    const tokenAddresses = this.normalizeAddresses(tokens);
+    const poolAddresses = this.normalizeAddresses(pools);
+
+    const newCount = tokenAddresses.filter(a => !client.tokens.has(a.toLowerCase())).length +
+      poolAddresses.filter(a => !client.pools.has(a.toLowerCase())).length;
+    if (!client.internal && client.tokens.size + client.pools.size + newCount > STREAM_CONFIG.MAX_SUBSCRIPTIONS) {
+      throw new Error(`Too many subscriptions (max ${STREAM_CONFIG.MAX_SUBSCRIPTIONS} tokens + pools per connection)`);
+    }
+
+    for (const address of tokenAddresses) {
+      const key = address.toLowerCase();
+      let token = this.tokens.get(key);
+      if (!token) {
+        token = { address, symbol: null, subscribers: new Set(), pools: [], resolvedAt: 0, snapshot: null };
+        this.tokens.set(key, token);
+      }
+      token.subscribers.add(client.id);
+      client.tokens.add(key);
+      if (token.snapshot) client.send(token.snapshot);
+    }
+
+    for (const address of poolAddresses) {
+      const pool = this.getOrCreatePool(address);
+      pool.subscribers.add(client.id);
+      client.pools.add(pool.address.toLowerCase());
+      if (pool.snapshot) client.send(pool.snapshot);
+    }
+
+    this.updateWatcher();
+    return this.getSubscriptions(client);
+  }
+
+  unsubscribe(client, { tokens = [], pools = [] }) {
+    for (const address of tokens) {
+      const key = address.toLowerCase();
+      const token = this.tokens.get(key);
+      client.tokens.delete(key);
+      if (!token) continue;
+
+      token.subscribers.delete(client.id);
+      if (token.subscribers.size === 0) {
+        this.tokens.delete(key);
+        for (const poolKey of token.pools) this.releasePool(poolKey, { token: key });
+      }
+    }
+
+    for (const address of pools) {
+      const key = address.toLowerCase();
+      client.pools.delete(key);
+      this.releasePool(key, { clientId: client.id });
+    }
+
+    this.updateWatcher();
+    return this.getSubscriptions(client);
+  }
+
+  getSubscriptions(client) {
+    return {
+      tokens: [...client.tokens].map(key => this.tokens.get(key)?.address || key),
+      pools: [...client.pools].map(key => this.pools.get(key)?.address || key),
+    };
+  }
+
+  normalizeAddresses(addresses) {
+    const list = Array.isArray(addresses) ? addresses : [addresses];
+    return list.map(address => {
+      if (!ethers.isAddress(address)) {
+        throw new Error(`Invalid ${getChain().name} address: ${address}`);
+      }
+      return ethers.getAddress(address);
+    });
+  }
+
+  getOrCreatePool(address) {
+    const key = address.toLowerCase();
+    let pool = this.pools.get(key);
+    if (!pool) {
+      pool = {
+        address: ethers.getAddress(address),
+        type: null,
+        subscribers: new Set(),
+        tokens: new Set(),
+        fingerprint: null,
+        enriched: null,
+        snapshot: null,
+      };
+      this.pools.set(key, pool);
+    }
+    return pool;
+  }
+
+  /**
+   * Drop a client's or a token's hold on a pool, forgetting the pool once nothing follows it
+   */
+  releasePool(key, { clientId = null, token = null }) {
+    const pool = this.pools.get(key);
+    if (!pool) return;
+
+    if (clientId !== null) pool.subscribers.delete(clientId);
+    if (token !== null) pool.tokens.delete(token);
+    if (pool.subscribers.size === 0 && pool.tokens.size === 0) this.pools.delete(key);
+  }
+
+  /**
+   * Watch blocks only while something is subscribed
+   */
+  updateWatcher() {
+    const listening = this.blockWatcher.listeners('block').includes(this.onBlock);
+    const needed = this.tokens.size > 0 || this.pools.size > 0;
+
+    if (needed && !listening) {
+      this.blockWatcher.on('block', this.onBlock);
+      this.blockWatcher.start();
+    } else if (!needed && listening) {
+      this.blockWatcher.off('block', this.onBlock);
+      if (this.blockWatcher.listenerCount('block') === 0) this.blockWatcher.stop();
+    }
+  }
+
+  /**
+   * Refresh everything followed at the new block. A block that arrives while the
+   * previous one is still being processed is skipped - the next one catches up.
+   */
+  async update(block) {
+    if (this.updating) {
+      this.logger.debug(`Stream update for block ${block.number} skipped (previous update still running)`);
+      return;
+    }
+
+    this.updating = true;
+    const startTime = Date.now();
+    try {
+      await runAtBlock(block.number, () => this.refresh(block), { historical: false });
+      this.lastBlock = block;
+
+      // Server-side monitors also need to know which blocks passed without changes
+      const done = { type: 'block', blockNumber: block.number, blockTimestamp: block.timestamp };
+      this.broadcast([...this.clients.values()].filter(c => c.internal).map(c => c.id), done);
+      this.logger.debug(`📡 Stream updated ${this.tokens.size} tokens / ${this.pools.size} pools at block ${block.number} in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      this.logger.warn(`Stream update failed at block ${block.number}: ${error.message}`);
+    } finally {
+      this.updating = false;
+    }
+  }
+
+  async refresh(block) {
+    if (this.priceService.arePricesStale()) {
+      await this.priceService.fetchTokenPricesFromChain();
+    }
+
+    await Promise.all([this.resolveTokenPools(), this.resolvePoolInfo()]);
+
+    const pools = [...this.pools.values()].filter(pool => pool.type);
+    const states = await this.fetchPoolStates(pools);
+    const changed = new Set();
+
+    for (const pool of pools) {
+      const key = pool.address.toLowerCase();
+      const enriched = states.get(key);
+      if (!enriched) continue;
+
+      const fingerprint = this.fingerprint(enriched);
+      if (fingerprint === pool.fingerprint) continue;
+
+      pool.fingerprint = fingerprint;
+      pool.enriched = enriched;
+      changed.add(key);
+
+      if (pool.subscribers.size > 0) {
+        pool.snapshot = this.formatPoolUpdate(pool, enriched, block);
+        this.broadcast(pool.subscribers, pool.snapshot);
+      }
+    }
+
+    // Token USD prices also move with BNB, so they are recomputed every block
+    for (const token of this.tokens.values()) {
+      const update = this.formatTokenUpdate(token, block);
+      const poolsChanged = token.pools.some(key => changed.has(key));
+      if (!poolsChanged && token.snapshot?.price.usd === update.price.usd) continue;
+
+      token.snapshot = update;
+      this.broadcast(token.subscribers, update);
+    }
+  }
+
+  /**
+   * (Re)select the deepest pools of every token from its cached analysis
+   */
+  async resolveTokenPools() {
+    const now = Date.now();
+    const due = [...this.tokens.values()].filter(token => now - token.resolvedAt > STREAM_CONFIG.TOKEN_POOLS_TTL);
+
+    for (const token of due) {
+      const key = token.address.toLowerCase();
+      token.resolvedAt = now;
+
+      try {
+        const analysis = await this.poolAnalyzer.analyzeToken(token.address);
+        const selected = analysis.pools
+          .filter(pool => TRADEABLE_STATUSES.has(pool.liquidity?.status))
+          .sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0))
+          .slice(0, STREAM_CONFIG.POOLS_PER_TOKEN);
+
+        const previous = token.pools;
+        token.symbol = analysis.token?.symbol || null;
+        token.pools = selected.map(formatted => {
+          const pool = this.getOrCreatePool(formatted.address);
+          Object.assign(pool, {
+            type: formatted.type,
+            protocol: formatted.protocol,
+            fee: formatted.fee,
+            token0: formatted.token0,
+            token1: formatted.token1,
+          });
+          pool.tokens.add(key);
+          return pool.address.toLowerCase();
+        });
+
+        for (const poolKey of previous) {
+          if (!token.pools.includes(poolKey)) this.releasePool(poolKey, { token: key });
+        }
+      } catch (error) {
+        this.logger.warn(`Stream: could not resolve pools for ${token.address}: ${error.message}`);
+        this.broadcast(token.subscribers, { type: 'error', token: token.address, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Type, fee and tokens of pools subscribed by address (token0/token1 share a selector on V2 and V3)
+   */
+  async resolvePoolInfo() {
+    const unknown = [...this.pools.values()].filter(pool => !pool.type);
+    if (unknown.length === 0) return;
+
+    const addresses = unknown.map(pool => pool.address);
+    const v3Data = await this.multicallService.batchGetV3PoolData(addresses);
+    const v3ByAddress = new Map(v3Data.filter(data => data.slot0).map(data => [data.address.toLowerCase(), data]));
+    const v2Candidates = addresses.filter(address => !v3ByAddress.has(address.toLowerCase()));
+    const v2Data = v2Candidates.length > 0 ? await this.multicallService.batchGetV2PoolData(v2Candidates) : [];
+    const v2ByAddress = new Map(v2Data.map(data => [data.address.toLowerCase(), data]));
+
+    const tokenAddresses = [...v3ByAddress.values(), ...v2ByAddress.values()].flatMap(data => [data.token0, data.token1]);
+    const tokenInfo = tokenAddresses.length > 0 ? await this.multicallService.batchGetTokenInfo(tokenAddresses) : {};
+    const describe = address => ({ address, ...tokenInfo[address.toLowerCase()] });
+
+    for (const pool of unknown) {
+      const key = pool.address.toLowerCase();
+      const v3 = v3ByAddress.get(key);
+      const v2 = v2ByAddress.get(key);
+
+      if (!v3 && !v2) {
+        this.broadcast(pool.subscribers, { type: 'error', pool: pool.address, error: 'Not a V2 pair or V3 pool' });
+        for (const client of this.clientsOf(pool.subscribers)) client.pools.delete(key);
+        this.pools.delete(key);
+        continue;
+      }
+
+      const data = v3 || v2;
+      const v2Protocol = v2 && getV2ProtocolByFactory(v2.factory);
+      Object.assign(pool, {
+        type: v3 ? 'V3' : 'V2',
+        protocol: v3 ? v3.protocol : v2Protocol?.name || 'Unknown',
+        fee: v3 ? v3.fee : getV2PoolFee(v2Protocol || undefined, v2.swapFee),
+        token0: describe(data.token0),
+        token1: describe(data.token1),
+      });
+    }
+  }
+
+  /**
+   * Current state of every followed pool in the shape PoolAnalyzer.enrichPoolData produces
+   * @returns {Map<string, Object>} keyed by lowercase pool address
+   */
+  async fetchPoolStates(pools) {
+    const v2Pools = pools.filter(pool => pool.type === 'V2');
+    const v3Pools = pools.filter(pool => pool.type === 'V3');
+
+    const [v2Data, v3Data, v3Balances] = await Promise.all([
+      v2Pools.length > 0 ? this.multicallService.batchGetV2PoolData(v2Pools.map(p => p.address)) : [],
+      v3Pools.length > 0 ? this.multicallService.batchGetV3PoolData(v3Pools.map(p => p.address)) : [],
+      v3Pools.length > 0 ? this.multicallService.batchGetPoolBalances(v3Pools.map(p => ({
+        address: p.address,
+        token0: p.token0.address,
+        token1: p.token1.address,
+      }))) : [],
+    ]);
+
+    const balances = new Map(v3Balances.map(b => [b.address.toLowerCase(), b]));
+    const states = new Map();
+
+    for (const data of [...v2Data, ...v3Data]) {
+      const key = data.address.toLowerCase();
+      const pool = this.pools.get(key);
+      if (!pool) continue;
+
+      const balance = balances.get(key);
+      if (pool.type === 'V3' && balance) {
+        data.actualBalance0 = balance.balance0;
+        data.actualBalance1 = balance.balance1;
+      }
+
+      const tokenInfo = {
+        [pool.token0.address.toLowerCase()]: pool.token0,
+        [pool.token1.address.toLowerCase()]: pool.token1,
+      };
+      const enriched = await this.poolAnalyzer.enrichPoolData(data, { fee: pool.fee }, tokenInfo, pool.type, pool.protocol);
+      enriched.rawState = data;
+      states.set(key, enriched);
+    }
+
+    return states;
+  }
+
+  fingerprint(enriched) {
+    const state = enriched.rawState;
+    const parts = enriched.type === 'V3'
+      ? [state.slot0?.sqrtPriceX96, state.liquidity, state.actualBalance0, state.actualBalance1]
+      : [state.reserve0, state.reserve1];
+    return [...parts.map(part => String(part)), enriched.liquidity?.status].join(':');
+  }
+
+  formatPoolUpdate(pool, enriched, block) {
+    const decimals0 = pool.token0.decimals;
+    const decimals1 = pool.token1.decimals;
+    const reserve0 = Number(enriched.liquidity?.token0Amount || 0);
+    const reserve1 = Number(enriched.liquidity?.token1Amount || 0);
+
+    let price = 0;
+    if (pool.type === 'V3') {
+      price = this.priceService.calculateSqrtPriceToPrice(enriched.sqrtPriceX96 || '0', decimals0, decimals1);
+    } else if (reserve0 > 0) {
+      price = reserve1 / reserve0;
+    }
+
+    return {
+      type: 'pool',
+      blockNumber: block.number,
+      blockTimestamp: block.timestamp,
+      pool: {
+        address: pool.address,
+        type: pool.type,
+        protocol: pool.protocol,
+        pair: `${pool.token0.symbol}/${pool.token1.symbol}`,
+        fee: pool.fee,
+        token0: { address: pool.token0.address, symbol: pool.token0.symbol },
+        token1: { address: pool.token1.address, symbol: pool.token1.symbol },
+        price: {
+          token0InToken1: price,
+          token1InToken0: price > 0 ? 1 / price : 0,
+        },
+        reserves: {
+          token0: enriched.liquidity?.token0Amount || '0',
+          token1: enriched.liquidity?.token1Amount || '0',
+        },
+        liquidity: {
+          usd: enriched.liquidity?.totalValueUSD || 0,
+          status: enriched.liquidity?.status || 'UNKNOWN',
+        },
+      },
+    };
+  }
+
+  formatTokenUpdate(token, block) {
+    const enrichedPools = token.pools
+      .map(key => this.pools.get(key)?.enriched)
+      .filter(Boolean);
+    const formatted = this.poolAnalyzer.formatPoolsWithPricing(enrichedPools, token.address);
+    const aggregate = this.priceService.calculateAggregatePrice(formatted, token.address);
+
+    return {
+      type: 'token',
+      blockNumber: block.number,
+      blockTimestamp: block.timestamp,
+      token: { address: token.address, symbol: token.symbol },
+      price: {
+        usd: aggregate.avgPriceUSD,
+        bnb: aggregate.avgPriceBNB,
+      },
+      pools: formatted.map(pool => ({
+        address: pool.address,
+        type: pool.type,
+        protocol: pool.protocol,
+        pair: pool.pair,
+        fee: pool.fee,
+        priceUSD: pool.price?.inUSD || 0,
+        reserves: {
+          token0: pool.liquidity.token0,
+          token1: pool.liquidity.token1,
+        },
+        liquidity: {
+          usd: pool.liquidity.usd,
+          status: pool.liquidity.status,
+        },
+      })),
+    };
+  }
+
+  clientsOf(ids) {
+    return [...ids].map(id => this.clients.get(id)).filter(Boolean);
+  }
+
+  broadcast(ids, message) {
+    for (const client of this.clientsOf(ids)) {
+      try {
+        client.send(message);
+      } catch (error) {
+        this.logger.debug(`Stream send to client ${client.id} failed: ${error.message}`);
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      clients: this.clients.size,
+      tokens: this.tokens.size,
+      pools: this.pools.size,
+      lastBlock: this.lastBlock?.number ?? null,
+      watcher: this.blockWatcher.getStats(),
+    };
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  getStreamService: perChain(() => new StreamService()),
+};
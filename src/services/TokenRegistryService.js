@@ -0,0 +1,213 @@
+// src/services/TokenRegistryService.js
+// Single source for the tokens the service treats specially, loaded from a JSON/YAML
+// file (one per chain, see config/chains.js) and reloaded when it changes. Roles:
+//   base         - pair tokens checked directly on the factories during pool discovery
+//   stable       - USD stablecoins (priced at $1, routed BNB -> stable -> token)
+//   intermediate - multi-hop routing candidates (intermediateTier primary/secondary is informational)
+//   warm         - token info and analyses pre-cached on startup
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const yaml = require('js-yaml');
+const { getLogger } = require('../utils/Logger');
+const { getChain, perChain } = require('../utils/ChainContext');
+const { TOKEN_REGISTRY_CONFIG } = require('../config/constants');
+
+const ROLES = ['base', 'stable', 'intermediate', 'warm'];
+const INTERMEDIATE_TIERS = ['primary', 'secondary'];
+
+/**
+ * Validate a parsed registry file
+ * @returns {{ tokens: Object[], routeCachePairs: Object[][] }}
+ * @throws {Error} listing every problem found
+ */
+function parseRegistry(raw) {
+  const problems = [];
+  const tokens = [];
+  const bySymbol = new Map();
+  const byAddress = new Set();
+
+  if (!raw || !Array.isArray(raw.tokens)) {
+    throw new Error('Token registry must have a "tokens" list');
+  }
+
+  raw.tokens.forEach((entry, i) => {
+    const where = `tokens[${i}]`;
+    const problemCount = problems.length;
+    if (!entry || typeof entry !== 'object') {
+      problems.push(`${where} must be an object`);
+      return;
+    }
+
+    const { symbol, name, address, decimals = 18, roles, intermediateTier = null } = entry;
+    if (typeof symbol !== 'string' || !symbol.trim()) problems.push(`${where}.symbol is required`);
+    if (!ethers.isAddress(address)) problems.push(`${where}.address is not an address`);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) problems.push(`${where}.decimals must be an integer 0-36`);
+    if (!Array.isArray(roles) || roles.length === 0 || roles.some(role => !ROLES.includes(role))) {
+      problems.push(`${where}.roles must be a non-empty list of ${ROLES.join(', ')}`);
+    }
+    if (intermediateTier !== null && !INTERMEDIATE_TIERS.includes(intermediateTier)) {
+      problems.push(`${where}.intermediateTier must be one of ${INTERMEDIATE_TIERS.join(', ')}`);
+    }
+    if (problems.length > problemCount) return;
+
+    const token = {
+      symbol: symbol.trim(),
+      name: name || symbol.trim(),
+      address: ethers.getAddress(address),
+      decimals,
+      roles: [...new Set(roles)],
+      intermediateTier: roles.includes('intermediate') ? intermediateTier : null,
+    };
+
+    if (bySymbol.has(token.symbol)) problems.push(`${where}: duplicate symbol ${token.symbol}`);
+    if (byAddress.has(token.address.toLowerCase())) problems.push(`${where}: duplicate address ${token.address}`);
+    bySymbol.set(token.symbol, token);
+    byAddress.add(token.address.toLowerCase());
+    tokens.push(token);
+  });
+
+  if (problems.length === 0 && !tokens.some(token => token.roles.includes('base'))) {
+    problems.push('at least one token needs the "base" role');
+  }
+
+  const routeCachePairs = [];
+  (raw.routeCachePairs || []).forEach((pair, i) => {
+    if (!Array.isArray(pair) || pair.length !== 2 || !bySymbol.has(pair[0]) || !bySymbol.has(pair[1])) {
+      problems.push(`routeCachePairs[${i}] must be [fromSymbol, toSymbol] of registry tokens`);
+      return;
+    }
+    routeCachePairs.push([bySymbol.get(pair[0]), bySymbol.get(pair[1])]);
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid token registry: ${problems.join('; ')}`);
+  }
+
+  return { tokens, routeCachePairs };
+}
+
+class TokenRegistryService extends EventEmitter {
+  constructor(file = getChain().tokenRegistryFile) {
+    super();
+    this.logger = getLogger();
+    this.file = path.resolve(file);
+    this.watching = false;
+    this.lastError = null;
+
+    // Fail fast on startup: every consumer depends on the registry
+    this.apply(this.read());
+    this.logger.info(`🪙 Token registry loaded from ${this.file}: ${this.tokens.length} tokens`);
+  }
+
+  read() {
+    const text = fs.readFileSync(this.file, 'utf8');
+    const raw = /\.ya?ml$/i.test(this.file) ? yaml.load(text) : JSON.parse(text);
+    return parseRegistry(raw);
+  }
+
+  apply({ tokens, routeCachePairs }) {
+    this.tokens = tokens;
+    this.routeCachePairs = routeCachePairs;
+    this.byAddress = new Map(tokens.map(token => [token.address.toLowerCase(), token]));
+    this.bySymbol = new Map(tokens.map(token => [token.symbol, token]));
+    this.loadedAt = new Date().toISOString();
+  }
+
+  /**
+   * Re-read the file. An invalid file is logged and ignored, keeping the current registry.
+   * Emits 'change' after a successful reload.
+   * @returns {boolean} whether the new file was applied
+   */
+  reload() {
+    try {
+      this.apply(this.read());
+      this.lastError = null;
+      this.logger.info(`🪙 Token registry reloaded: ${this.tokens.length} tokens`);
+      this.emit('change', this);
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error(`Token registry reload failed, keeping the previous registry: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Reload whenever the file's modification time changes (polling works on every
+   * filesystem and survives editors that replace the file)
+   */
+  watch(intervalMs = TOKEN_REGISTRY_CONFIG.RELOAD_INTERVAL) {
+    if (this.watching) return;
+    this.watching = true;
+
+    fs.watchFile(this.file, { interval: intervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs && current.mtimeMs > 0) this.reload();
+    });
+    this.logger.info(`🪙 Watching ${this.file} for token registry changes`);
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.file);
+    this.watching = false;
+  }
+
+  /**
+   * @param {string} [role] - only tokens with this role
+   */
+  getTokens(role) {
+    return role ? this.tokens.filter(token => token.roles.includes(role)) : this.tokens;
+  }
+
+  getAddresses(role) {
+    return this.getTokens(role).map(token => token.address);
+  }
+
+  getToken(address) {
+    return address ? this.byAddress.get(address.toLowerCase()) || null : null;
+  }
+
+  getBySymbol(symbol) {
+    return this.bySymbol.get(symbol) || null;
+  }
+
+  hasRole(address, role) {
+    return Boolean(this.getToken(address)?.roles.includes(role));
+  }
+
+  /**
+   * Multi-hop intermediates, optionally only one tier
+   * @param {'primary'|'secondary'} [tier]
+   */
+  getIntermediates(tier) {
+    return this.getTokens('intermediate').filter(token => !tier || token.intermediateTier === tier);
+  }
+
+  /**
+   * @returns {Object[][]} [fromToken, toToken] pairs whose best pool is pre-cached
+   */
+  getRouteCachePairs() {
+    return this.routeCachePairs;
+  }
+
+  getStats() {
+    return {
+      file: this.file,
+      loadedAt: this.loadedAt,
+      watching: this.watching,
+      tokens: this.tokens.length,
+      roles: Object.fromEntries(ROLES.map(role => [role, this.getTokens(role).length])),
+      lastError: this.lastError,
+    };
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  TokenRegistryService,
+  ROLES,
+  getTokenRegistry: perChain(() => new TokenRegistryService()),
+};
@@ -0,0 +1,296 @@
+// src/services/TokenSecurityService.js
+// Buy/sell/transfer tax and honeypot detection by simulating real swaps with eth_call state overrides
+
+const { ethers } = require('ethers');
+const { getProviderService } = require('./ProviderService');
+const { getMulticallService } = require('./MulticallService');
+const { getTokenRegistry } = require('./TokenRegistryService');
+const { getCacheService } = require('../utils/Cache');
+const { getLogger } = require('../utils/Logger');
+const { getChain, perChain } = require('../utils/ChainContext');
+const { getHistoricalBlock } = require('../utils/BlockContext');
+const { SECURITY_CONFIG } = require('../config/constants');
+const { TOKEN_SIMULATOR_ABI } = require('../config/abis');
+const { TOKEN_SIMULATOR_BYTECODE } = require('../config/tokenSimulator');
+const { getV2Protocols } = require('../config/protocols');
+
+// Synthetic wallet: the simulator code and a BNB balance are injected here for each eth_call
+const SIMULATOR_ADDRESS = ethers.getAddress(ethers.dataSlice(ethers.id('bscradar.token-simulator'), 12));
+
+// Balance given to the synthetic wallet (1000 BNB)
+const SIMULATOR_BALANCE = ethers.toQuantity(ethers.parseEther('1000'));
+
+// Gas limit for the whole buy + transfer + sell simulation
+const SIMULATION_GAS = ethers.toQuantity(15_000_000);
+
+class TokenSecurityService {
+  constructor() {
+    this.providerService = getProviderService();
+    this.multicallService = getMulticallService();
+    this.tokenRegistry = getTokenRegistry();
+    this.cache = getCacheService();
+    this.logger = getLogger();
+    this.simulatorInterface = new ethers.Interface(TOKEN_SIMULATOR_ABI);
+  }
+
+  /**
+   * Simulate buy -> transfer -> sell for a token (cached per token, and per block when pinned)
+   * @returns {Object|null} null for base tokens (WBNB, stablecoins)
+   */
+  async checkToken(tokenAddress, { forceRefresh = false } = {}) {
+    const token = ethers.getAddress(tokenAddress);
+    // Base tokens and stablecoins are never simulated
+    if (this.tokenRegistry.hasRole(token, 'base') || this.tokenRegistry.hasRole(token, 'stable')) return null;
+
+    const blockNumber = getHistoricalBlock();
+    const cacheKey = `${token.toLowerCase()}_security${blockNumber === null ? '' : `@${blockNumber}`}`;
+    if (forceRefresh) this.cache.poolCache.del(cacheKey);
+
+    const result = await this.cache.getOrSet(
+      this.cache.poolCache,
+      cacheKey,
+      () => this.simulateToken(token),
+      SECURITY_CONFIG.CACHE_TTL
+    );
+    return result;
+  }
+
+  async simulateToken(token) {
+    const startTime = Date.now();
+    const amountIn = ethers.parseEther(SECURITY_CONFIG.SIMULATION_AMOUNT_BNB);
+
+    try {
+      const buyPath = await this.findBuyPath(token);
+      if (!buyPath) {
+        return this.formatUnavailable(token, 'No funded V2 pair with WBNB or a base token on any supported DEX');
+      }
+
+      const raw = await this.runSimulation(buyPath, amountIn);
+      const result = this.formatResult(token, buyPath, raw);
+
+      this.logger.info(
+        `🛡️ Token simulation ${token}: buy ${result.buyTaxPercent ?? '-'}% / sell ${result.sellTaxPercent ?? '-'}% / ` +
+        `transfer ${result.transferTaxPercent ?? '-'}%${result.isHoneypot ? ' - HONEYPOT' : ''} (${Date.now() - startTime}ms)`
+      );
+
+      return result;
+    } catch (error) {
+      // RPCs without state override support land here - report instead of failing the caller
+      this.logger.warn(`Token simulation failed for ${token}: ${error.message}`);
+      return this.formatUnavailable(token, error.message);
+    }
+  }
+
+  /**
+   * WBNB -> token if a funded V2 pair exists, otherwise WBNB -> stable -> token.
+   * DEXes are tried in config/protocols.js order (PancakeSwap first); the swap goes
+   * through the router of the DEX the pair is on.
+   * @returns {Promise<{ protocol: string, router: string, path: string[] }|null>}
+   */
+  async findBuyPath(token) {
+    // Registry base tokens are the intermediates, WBNB tried first
+    const wrappedNative = getChain().contracts.WRAPPED_NATIVE;
+    const baseTokens = [wrappedNative, ...this.tokenRegistry.getAddresses('base').filter(base => base !== wrappedNative)];
+    const lookups = getV2Protocols().flatMap(protocol => baseTokens.map(base => ({ protocol, base })));
+    const factoryInterface = this.multicallService.interfaces.factoryV2;
+    const pairResults = await this.multicallService.execute(lookups.map(({ protocol, base }) => ({
+      target: protocol.factory,
+      callData: factoryInterface.encodeFunctionData('getPair', [token, base]),
+      allowFailure: true,
+    })));
+
+    const candidates = [];
+    pairResults.forEach((result, i) => {
+      if (!result.success) return;
+      const pair = factoryInterface.decodeFunctionResult('getPair', result.returnData)[0];
+      if (pair !== ethers.ZeroAddress) candidates.push({ ...lookups[i], pair });
+    });
+    if (candidates.length === 0) return null;
+
+    const reserveResults = await this.multicallService.execute(candidates.map(({ pair }) => ({
+      target: pair,
+      callData: this.multicallService.interfaces.v2Pair.encodeFunctionData('getReserves'),
+      allowFailure: true,
+    })));
+
+    const funded = candidates.find((_, i) => {
+      if (!reserveResults[i].success) return false;
+      const [reserve0, reserve1] = this.multicallService.interfaces.v2Pair.decodeFunctionResult(
+        'getReserves', reserveResults[i].returnData
+      );
+      return reserve0 > 0n && reserve1 > 0n;
+    });
+    if (!funded) return null;
+
+    return {
+      protocol: funded.protocol.name,
+      router: funded.protocol.router,
+      path: funded.base === wrappedNative
+        ? [wrappedNative, token]
+        : [wrappedNative, funded.base, token],
+    };
+  }
+
+  /**
+   * eth_call TokenSimulator.simulate() from the synthetic wallet, with its code
+   * and BNB balance injected through the state override set
+   */
+  async runSimulation(buyPath, amountIn) {
+    const data = this.simulatorInterface.encodeFunctionData('simulate', [
+      buyPath.router,
+      buyPath.path,
+      amountIn,
+    ]);
+
+    const returnData = await this.providerService.executeWithRetry(provider => provider.send('eth_call', [
+      { from: SIMULATOR_ADDRESS, to: SIMULATOR_ADDRESS, data, gas: SIMULATION_GAS },
+      'latest',
+      {
+        [SIMULATOR_ADDRESS]: {
+          code: TOKEN_SIMULATOR_BYTECODE,
+          balance: SIMULATOR_BALANCE,
+        },
+      },
+    ]));
+
+    return this.simulatorInterface.decodeFunctionResult('simulate', returnData)[0];
+  }
+
+  formatResult(token, buyPath, raw) {
+    const buyTax = raw.buyOk ? this.calculateTax(raw.buyExpected, raw.buyReceived) : null;
+    const transferTax = raw.transferOk ? this.calculateTax(raw.transferSent, raw.transferReceived) : null;
+    const sellTax = raw.sellOk ? this.calculateTax(raw.sellExpected, raw.sellReceived) : null;
+
+    // Bought fine but cannot sell back (or selling returns next to nothing)
+    const sellBlocked = raw.buyOk && raw.buyReceived > 0n && !raw.sellOk;
+    const isHoneypot = sellBlocked || (sellTax !== null && sellTax >= SECURITY_CONFIG.HONEYPOT_SELL_TAX);
+
+    const result = {
+      token,
+      simulated: true,
+      isHoneypot,
+      buyTaxPercent: buyTax,
+      sellTaxPercent: sellTax,
+      transferTaxPercent: transferTax,
+      buy: {
+        success: raw.buyOk && raw.buyReceived > 0n,
+        gasUsed: Number(raw.buyGas),
+      },
+      sell: {
+        success: raw.sellOk,
+        reverted: sellBlocked,
+        revertReason: sellBlocked ? this.decodeRevertReason(raw.sellError) : null,
+        gasUsed: raw.sellOk ? Number(raw.sellGas) : null,
+      },
+      transfer: {
+        success: raw.transferOk,
+      },
+      path: buyPath.path,
+      dex: buyPath.protocol,
+      amountInBNB: SECURITY_CONFIG.SIMULATION_AMOUNT_BNB,
+      simulatedAt: new Date().toISOString(),
+    };
+
+    result.warnings = this.buildWarnings(result);
+    return result;
+  }
+
+  formatUnavailable(token, reason) {
+    return {
+      token,
+      simulated: false,
+      isHoneypot: null,
+      buyTaxPercent: null,
+      sellTaxPercent: null,
+      transferTaxPercent: null,
+      error: reason,
+      simulatedAt: new Date().toISOString(),
+      warnings: [{
+        code: 'TOKEN_SIMULATION_UNAVAILABLE',
+        severity: 'LOW',
+        message: 'Buy/sell tax simulation could not run for this token',
+        suggestion: 'Taxes and honeypot status are unknown - verify the token contract before trading',
+      }],
+    };
+  }
+
+  /**
+   * Percent of the router-quoted amount that did not arrive (negative values from reflection tokens clamp to 0)
+   */
+  calculateTax(expected, received) {
+    if (expected === 0n) return null;
+    if (received >= expected) return 0;
+    return Number(((expected - received) * 10000n) / expected) / 100;
+  }
+
+  decodeRevertReason(data) {
+    if (!data || data === '0x') return 'reverted without reason';
+
+    try {
+      // Error(string)
+      if (data.startsWith('0x08c379a0')) {
+        return ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4))[0];
+      }
+    } catch (e) {
+      // Fall through to the raw selector
+    }
+
+    return `custom error ${ethers.dataSlice(data, 0, 4)}`;
+  }
+
+  buildWarnings(result) {
+    const warnings = [];
+    const { TAX_MEDIUM, TAX_HIGH, TAX_CRITICAL } = SECURITY_CONFIG;
+
+    if (result.isHoneypot) {
+      warnings.push({
+        code: 'HONEYPOT',
+        severity: 'CRITICAL',
+        message: result.sell.reverted
+          ? `Selling this token reverts (${result.sell.revertReason})`
+          : `Selling this token loses ${result.sellTaxPercent}% to taxes`,
+        suggestion: 'DANGER: Tokens bought cannot be sold back. Do not buy.',
+      });
+    }
+
+    if (!result.buy.success) {
+      warnings.push({
+        code: 'BUY_REVERTED',
+        severity: 'HIGH',
+        message: `Buying this token through ${result.dex} V2 reverts`,
+        suggestion: 'Trading may be disabled or restricted to whitelisted wallets',
+      });
+    }
+
+    const taxWarning = (code, label, tax) => {
+      if (tax === null || tax < TAX_MEDIUM) return;
+      const severity = tax >= TAX_CRITICAL ? 'CRITICAL' : tax >= TAX_HIGH ? 'HIGH' : 'MEDIUM';
+      warnings.push({
+        code,
+        severity,
+        message: `${label} tax of ${tax}%`,
+        suggestion: 'Fee-on-transfer token: use *SupportingFeeOnTransferTokens swaps and set slippage above the tax',
+      });
+    };
+
+    taxWarning('BUY_TAX', 'Buy', result.buyTaxPercent);
+    if (!result.isHoneypot) taxWarning('SELL_TAX', 'Sell', result.sellTaxPercent);
+    taxWarning('TRANSFER_TAX', 'Transfer', result.transferTaxPercent);
+
+    if (result.buy.success && !result.transfer.success) {
+      warnings.push({
+        code: 'TRANSFER_BLOCKED',
+        severity: 'HIGH',
+        message: 'Wallet-to-wallet transfers of this token revert',
+        suggestion: 'Tokens may be locked in the buying wallet',
+      });
+    }
+
+    return warnings;
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  getTokenSecurityService: perChain(() => new TokenSecurityService()),
+};
@@ -2,14 +2,16 @@
 
 const { ethers } = require('ethers');
 const { getProviderService } = require('./ProviderService');
+const { getTokenRegistry } = require('./TokenRegistryService');
 const { getCacheService } = require('../utils/Cache');
 const { getLogger } = require('../utils/Logger');
+const { getChain, perChain } = require('../utils/ChainContext');
 const { ERC20_ABI } = require('../config/abis');
-const { CONTRACTS } = require('../config/constants');
 
 class TokenService {
   constructor() {
     this.providerService = getProviderService();
+    this.tokenRegistry = getTokenRegistry();
     this.cache = getCacheService();
     this.logger = getLogger();
   }
@@ -51,19 +53,14 @@ class TokenService {
     } catch (error) {
       this.logger.error(`Failed to get token info for ${tokenAddress}`, error);
       
-      // Return default values for known tokens
-      const knownTokens = {
-        [CONTRACTS.WBNB.toLowerCase()]: { symbol: 'WBNB', name: 'Wrapped BNB', decimals: 18 },
-        [CONTRACTS.USDC.toLowerCase()]: { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
-        [CONTRACTS.USDT.toLowerCase()]: { symbol: 'USDT', name: 'Tether USD', decimals: 6 },
-        [CONTRACTS.DAI.toLowerCase()]: { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
-      };
-
-      const known = knownTokens[tokenAddress.toLowerCase()];
+      // Return default values for registry tokens
+      const known = this.tokenRegistry.getToken(tokenAddress);
       if (known) {
         return {
           address: tokenAddress.toLowerCase(),
-          ...known,
+          symbol: known.symbol,
+          name: known.name,
+          decimals: known.decimals,
           totalSupply: '0',
         };
       }
@@ -98,16 +95,11 @@ class TokenService {
   }
 
   isStablecoin(tokenAddress) {
-    const stablecoins = [
-      CONTRACTS.USDC.toLowerCase(),
-      CONTRACTS.USDT.toLowerCase(),
-      CONTRACTS.DAI.toLowerCase(),
-    ];
-    return stablecoins.includes(tokenAddress.toLowerCase());
+    return this.tokenRegistry.hasRole(tokenAddress, 'stable');
   }
 
   isWrappedNative(tokenAddress) {
-    return tokenAddress.toLowerCase() === CONTRACTS.WBNB.toLowerCase();
+    return tokenAddress.toLowerCase() === getChain().contracts.WRAPPED_NATIVE.toLowerCase();
   }
 
   formatTokenAmount(amount, decimals) {
@@ -127,14 +119,7 @@ class TokenService {
   }
 }
 
-// Singleton instance
-let tokenServiceInstance = null;
-
+// One instance per chain (see utils/ChainContext)
 module.exports = {
-  getTokenService: () => {
-    if (!tokenServiceInstance) {
-      tokenServiceInstance = new TokenService();
-    }
-    return tokenServiceInstance;
-  },
+  getTokenService: perChain(() => new TokenService()),
 };
\ No newline at end of file
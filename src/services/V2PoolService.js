@@ -3,22 +3,30 @@
 const { ethers } = require('ethers');
 const { getProviderService } = require('./ProviderService');
 const { getTokenService } = require('./TokenService');
+const { getTokenRegistry } = require('./TokenRegistryService');
 const { getCacheService } = require('../utils/Cache');
 const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const { getHistoricalBlock } = require('../utils/BlockContext');
 const {
   PANCAKESWAP_V2_FACTORY_ABI,
   PANCAKESWAP_V2_PAIR_ABI
 } = require('../config/abis');
-const { 
-  CONTRACTS, 
-  COMMON_BASE_PAIRS,
-  LIQUIDITY_THRESHOLDS 
-} = require('../config/constants');
+const { LIQUIDITY_THRESHOLDS } = require('../config/constants');
+const {
+  V2_FEE_DENOMINATOR,
+  getV2Protocols,
+  getDefaultV2Protocol,
+  getV2Protocol,
+  getV2ProtocolByFactory,
+  getV2PoolFee
+} = require('../config/protocols');
 
 class V2PoolService {
   constructor() {
     this.providerService = getProviderService();
     this.tokenService = getTokenService();
+    this.tokenRegistry = getTokenRegistry();
     this.cache = getCacheService();
     this.logger = getLogger();
   }
@@ -26,33 +34,35 @@ class V2PoolService {
   async findAllPools(tokenAddress) {
     const pools = [];
     
-    // Check against common base pairs
-    for (const baseToken of COMMON_BASE_PAIRS) {
+    // Check against common base pairs on every V2 DEX
+    for (const baseToken of this.tokenRegistry.getAddresses('base')) {
       if (baseToken.toLowerCase() === tokenAddress.toLowerCase()) {
         continue; // Skip if checking token against itself
       }
 
-      try {
-        const poolAddress = await this.getPairAddress(tokenAddress, baseToken);
-        if (poolAddress && poolAddress !== ethers.ZeroAddress) {
-          const poolData = await this.getPoolData(poolAddress);
-          if (poolData) {
-            pools.push(poolData);
-            this.logger.info(`Found V2 pool: ${poolData.token0.symbol}/${poolData.token1.symbol}`);
+      for (const protocol of getV2Protocols()) {
+        try {
+          const poolAddress = await this.getPairAddress(tokenAddress, baseToken, protocol);
+          if (poolAddress && poolAddress !== ethers.ZeroAddress) {
+            const poolData = await this.getPoolData(poolAddress);
+            if (poolData) {
+              pools.push(poolData);
+              this.logger.info(`Found ${protocol.name} V2 pool: ${poolData.token0.symbol}/${poolData.token1.symbol}`);
+            }
           }
+        } catch (error) {
+          this.logger.debug(`No ${protocol.name} V2 pool for ${tokenAddress} with ${baseToken}`);
         }
-      } catch (error) {
-        this.logger.debug(`No V2 pool for ${tokenAddress} with ${baseToken}`);
       }
     }
 
     return pools;
   }
 
-  async getPairAddress(tokenA, tokenB) {
+  async getPairAddress(tokenA, tokenB, protocol = getDefaultV2Protocol()) {
     return this.providerService.executeWithRetry(async (provider) => {
       const factory = new ethers.Contract(
-        CONTRACTS.PANCAKESWAP_V2_FACTORY,
+        protocol.factory,
         PANCAKESWAP_V2_FACTORY_ABI,
         provider
       );
@@ -63,8 +73,9 @@ class V2PoolService {
 
   async getPoolData(poolAddress) {
     try {
-      // Check cache
-      const cached = this.cache.getPoolData(`v2_${poolAddress}`);
+      // Check cache (live state only - block-pinned reads always go to the chain)
+      const pinned = getHistoricalBlock() !== null;
+      const cached = pinned ? null : this.cache.getPoolData(`v2_${poolAddress}`);
       if (cached) {
         return cached;
       }
@@ -72,13 +83,21 @@ class V2PoolService {
       const poolData = await this.providerService.executeWithRetry(async (provider) => {
         const pair = new ethers.Contract(poolAddress, PANCAKESWAP_V2_PAIR_ABI, provider);
         
-        const [token0, token1, reserves, totalSupply] = await Promise.all([
+        const [token0, token1, reserves, totalSupply, factory] = await Promise.all([
           pair.token0(),
           pair.token1(),
           pair.getReserves(),
           pair.totalSupply(),
+          pair.factory().catch(() => null),
         ]);
 
+        // The factory tells the forks apart; unknown forks are priced with PancakeSwap's fee
+        const protocol = getV2ProtocolByFactory(factory);
+        const feeProtocol = protocol || getDefaultV2Protocol();
+        const pairFee = feeProtocol.pairFee
+          ? await pair[feeProtocol.pairFee.method]().catch(() => null)
+          : null;
+
         // Get token info
         const [token0Info, token1Info] = await Promise.all([
           this.tokenService.getTokenInfo(token0),
@@ -115,6 +134,8 @@ class V2PoolService {
           address: poolAddress.toLowerCase(),
           type: 'V2',
           version: 2,
+          protocol: protocol ? protocol.name : 'Unknown',
+          factory,
           token0: token0Info,
           token1: token1Info,
           reserves: {
@@ -126,12 +147,12 @@ class V2PoolService {
           totalSupply: totalSupply.toString(),
           price: priceData,
           liquidity: liquidityData,
-          fee: 0.003, // 0.3% fixed for V2
+          fee: getV2PoolFee(feeProtocol, pairFee) / 1000000, // fraction (0.0025 = 0.25%)
           lastUpdated: new Date().toISOString(),
         };
 
         // Cache the result
-        this.cache.setPoolData(`v2_${poolAddress}`, data);
+        if (!pinned) this.cache.setPoolData(`v2_${poolAddress}`, data);
         
         return data;
       });
@@ -239,10 +260,10 @@ async estimateLiquidity(token0, token1, reserve0, reserve1, decimals0, decimals1
       const derivedToken0Price = amount0 > 0 ? (amount1 / amount0) * token1Price : 0;
       const token0Value = amount0 * derivedToken0Price;
       totalValueUSD = token0Value + token1Value;
-    } else if (token0.toLowerCase() === CONTRACTS.WBNB.toLowerCase()) {
+    } else if (this.tokenService.isWrappedNative(token0)) {
       totalValueBNB = amount0 * 2;
       totalValueUSD = totalValueBNB * bnbPrice;
-    } else if (token1.toLowerCase() === CONTRACTS.WBNB.toLowerCase()) {
+    } else if (this.tokenService.isWrappedNative(token1)) {
       totalValueBNB = amount1 * 2;
       totalValueUSD = totalValueBNB * bnbPrice;
     } else if (this.tokenService.isStablecoin(token0)) {
@@ -275,14 +296,39 @@ async estimateLiquidity(token0, token1, reserve0, reserve1, decimals0, decimals1
   };
 }
 
-  async getAmountOut(amountIn, reserveIn, reserveOut) {
-    // PancakeSwap V2 formula (Uniswap V2 compatible)
-    const amountInWithFee = amountIn * 997n;
+  /**
+   * Fee numerator/denominator of a V2 DEX, or of one pair when its fee is known
+   * @param {Object|string} protocol - protocol object, id or name (default PancakeSwap)
+   * @param {number} [poolFee] - the pair's fee in millionths (pool objects' `fee`)
+   */
+  getFeeFactors(protocol, poolFee = null) {
+    if (poolFee !== null && poolFee !== undefined) {
+      return { numerator: 1000000n - BigInt(Math.round(poolFee)), denominator: 1000000n };
+    }
+    const resolved = (typeof protocol === 'string' ? getV2Protocol(protocol) : protocol) || getDefaultV2Protocol();
+    return { numerator: BigInt(resolved.feeNumerator), denominator: BigInt(V2_FEE_DENOMINATOR) };
+  }
+
+  async getAmountOut(amountIn, reserveIn, reserveOut, protocol, poolFee = null) {
+    // Uniswap V2 getAmountOut with the pair's or the DEX's fee (PancakeSwap 9975/10000)
+    const { numerator: feeNumerator, denominator: feeDenominator } = this.getFeeFactors(protocol, poolFee);
+    const amountInWithFee = amountIn * feeNumerator;
     const numerator = amountInWithFee * reserveOut;
-    const denominator = reserveIn * 1000n + amountInWithFee;
+    const denominator = reserveIn * feeDenominator + amountInWithFee;
     return numerator / denominator;
   }
 
+  getAmountIn(amountOut, reserveIn, reserveOut, protocol, poolFee = null) {
+    // Uniswap V2 getAmountIn with the pair's or the DEX's fee (rounds up)
+    if (amountOut >= reserveOut) {
+      throw new Error('Insufficient liquidity for requested output');
+    }
+    const { numerator: feeNumerator, denominator: feeDenominator } = this.getFeeFactors(protocol, poolFee);
+    const numerator = reserveIn * amountOut * feeDenominator;
+    const denominator = (reserveOut - amountOut) * feeNumerator;
+    return numerator / denominator + 1n;
+  }
+
   async simulateSwap(poolAddress, tokenIn, amountIn) {
     try {
       const poolData = await this.getPoolData(poolAddress);
@@ -299,7 +345,7 @@ async estimateLiquidity(token0, token1, reserve0, reserve1, decimals0, decimals1
         : BigInt(poolData.reserves.reserve0);
 
       const amountInBN = BigInt(amountIn);
-      const amountOut = await this.getAmountOut(amountInBN, reserveIn, reserveOut);
+      const amountOut = await this.getAmountOut(amountInBN, reserveIn, reserveOut, poolData.protocol, poolData.fee * 1000000);
 
       // Calculate price impact
       const priceImpact = this.calculatePriceImpact(
@@ -321,6 +367,36 @@ async estimateLiquidity(token0, token1, reserve0, reserve1, decimals0, decimals1
     }
   }
 
+  async simulateSwapExactOutput(poolAddress, tokenIn, amountOut) {
+    try {
+      const poolData = await this.getPoolData(poolAddress);
+      if (!poolData) {
+        throw new Error('Pool not found');
+      }
+
+      const isToken0In = tokenIn.toLowerCase() === poolData.token0.address.toLowerCase();
+      const reserveIn = isToken0In
+        ? BigInt(poolData.reserves.reserve0)
+        : BigInt(poolData.reserves.reserve1);
+      const reserveOut = isToken0In
+        ? BigInt(poolData.reserves.reserve1)
+        : BigInt(poolData.reserves.reserve0);
+
+      const amountOutBN = BigInt(amountOut);
+      const amountIn = this.getAmountIn(amountOutBN, reserveIn, reserveOut, poolData.protocol, poolData.fee * 1000000);
+
+      return {
+        amountIn: amountIn.toString(),
+        amountOut: amountOutBN.toString(),
+        priceImpact: this.calculatePriceImpact(amountIn, amountOutBN, reserveIn, reserveOut),
+        executionPrice: Number(amountOutBN) / Number(amountIn),
+      };
+    } catch (error) {
+      this.logger.error(`Failed to simulate V2 exact output swap`, error);
+      throw error;
+    }
+  }
+
   calculatePriceImpact(amountIn, amountOut, reserveIn, reserveOut) {
     const exactQuote = (Number(amountIn) * Number(reserveOut)) / Number(reserveIn);
     const priceImpact = ((exactQuote - Number(amountOut)) / exactQuote) * 100;
@@ -328,14 +404,7 @@ async estimateLiquidity(token0, token1, reserve0, reserve1, decimals0, decimals1
   }
 }
 
-// Singleton instance
-let v2PoolServiceInstance = null;
-
+// One instance per chain (see utils/ChainContext)
 module.exports = {
-  getV2PoolService: () => {
-    if (!v2PoolServiceInstance) {
-      v2PoolServiceInstance = new V2PoolService();
-    }
-    return v2PoolServiceInstance;
-  },
+  getV2PoolService: perChain(() => new V2PoolService()),
 };
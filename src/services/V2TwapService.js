@@ -0,0 +1,224 @@
+// src/services/V2TwapService.js
+// Time-weighted prices for V2 pairs from price0CumulativeLast / price1CumulativeLast snapshots
+
+const { getMulticallService } = require('./MulticallService');
+const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const { runUnpinned } = require('../utils/BlockContext');
+const { TWAP_CONFIG } = require('../config/constants');
+
+// Cumulative prices are UQ112x112 and intentionally overflow uint256
+const Q112 = 2n ** 112n;
+const UINT256_MOD = 2n ** 256n;
+const UINT32_MOD = 2 ** 32;
+
+class V2TwapService {
+  constructor() {
+    this.multicallService = getMulticallService();
+    this.logger = getLogger();
+
+    // pair address (lowercase) -> [{ timestamp, price0Cumulative, price1Cumulative }] oldest first
+    this.observations = new Map();
+    // pair address (lowercase) -> last time it was requested (ms)
+    this.lastAccess = new Map();
+
+    this.snapshotInterval = null;
+    this.snapshotInProgress = null;
+  }
+
+  /**
+   * Start snapshotting tracked pairs. Nothing is fetched while no pair is tracked.
+   */
+  startSnapshots(intervalMs = TWAP_CONFIG.V2_SNAPSHOT_INTERVAL) {
+    if (this.snapshotInterval) return;
+
+    this.snapshotInterval = setInterval(() => {
+      this.snapshot().catch(err => {
+        this.logger.error('V2 TWAP snapshot failed', { error: err.message });
+      });
+    }, intervalMs);
+
+    this.logger.info(`📈 V2 TWAP tracking started (snapshot every ${intervalMs / 1000}s)`);
+  }
+
+  stopSnapshots() {
+    if (this.snapshotInterval) {
+      clearInterval(this.snapshotInterval);
+      this.snapshotInterval = null;
+      this.logger.info('V2 TWAP tracking stopped');
+    }
+  }
+
+  /**
+   * Start (or keep) tracking pairs. New pairs get a first snapshot right away
+   * so their clock starts ticking without waiting for the next interval.
+   */
+  track(pairAddresses) {
+    const now = Date.now();
+    const newPairs = [];
+
+    for (const address of pairAddresses) {
+      const key = address.toLowerCase();
+      if (!this.observations.has(key)) {
+        this.observations.set(key, []);
+        newPairs.push(key);
+      }
+      this.lastAccess.set(key, now);
+    }
+
+    // Snapshots are timestamped with the wall clock, so they always read the chain head
+    // even when tracking starts from an analysis pinned to a block
+    if (newPairs.length > 0) {
+      runUnpinned(() => this.snapshot(newPairs)).catch(err => {
+        this.logger.warn(`Initial V2 TWAP snapshot failed: ${err.message}`);
+      });
+    }
+  }
+
+  /**
+   * Record the current cumulative prices of tracked pairs (all of them by default)
+   */
+  async snapshot(pairAddresses = null) {
+    // Full snapshots never overlap; a slow RPC just skips an interval
+    if (!pairAddresses && this.snapshotInProgress) return this.snapshotInProgress;
+
+    this.pruneUntracked();
+    const pairs = pairAddresses || [...this.observations.keys()];
+    if (pairs.length === 0) return;
+
+    if (pairAddresses) {
+      await this.recordSnapshot(pairs);
+      return;
+    }
+
+    this.snapshotInProgress = this.recordSnapshot(pairs);
+    try {
+      await this.snapshotInProgress;
+    } finally {
+      this.snapshotInProgress = null;
+    }
+  }
+
+  async recordSnapshot(pairs) {
+    const { blockTimestamp, pairs: data } = await this.multicallService.batchGetV2Cumulatives(pairs);
+    const maxAge = Math.max(...Object.values(TWAP_CONFIG.WINDOWS)) + (2 * TWAP_CONFIG.V2_SNAPSHOT_INTERVAL) / 1000;
+
+    for (const [address, pairData] of data) {
+      const observations = this.observations.get(address);
+      if (!observations) continue;
+
+      const last = observations[observations.length - 1];
+      if (last && last.timestamp >= blockTimestamp) continue;
+
+      observations.push({
+        timestamp: blockTimestamp,
+        ...this.currentCumulativePrices(pairData, blockTimestamp),
+      });
+
+      // Keep one observation older than the longest window so it stays answerable
+      while (observations.length > 2 && observations[1].timestamp <= blockTimestamp - maxAge) {
+        observations.shift();
+      }
+    }
+
+    this.logger.debug(`V2 TWAP snapshot: ${data.size}/${pairs.length} pairs at ${blockTimestamp}`);
+  }
+
+  /**
+   * Cumulative prices as of `blockTimestamp`, extending the stored values with
+   * the time elapsed since the pair's last update (UniswapV2OracleLibrary.currentCumulativePrices)
+   */
+  currentCumulativePrices(pairData, blockTimestamp) {
+    let price0Cumulative = pairData.price0CumulativeLast;
+    let price1Cumulative = pairData.price1CumulativeLast;
+
+    const timeElapsed = ((blockTimestamp % UINT32_MOD) - pairData.blockTimestampLast + UINT32_MOD) % UINT32_MOD;
+    const { reserve0, reserve1 } = pairData;
+
+    if (timeElapsed > 0 && reserve0 > 0n && reserve1 > 0n) {
+      price0Cumulative = (price0Cumulative + ((reserve1 * Q112) / reserve0) * BigInt(timeElapsed)) % UINT256_MOD;
+      price1Cumulative = (price1Cumulative + ((reserve0 * Q112) / reserve1) * BigInt(timeElapsed)) % UINT256_MOD;
+    }
+
+    return { price0Cumulative, price1Cumulative };
+  }
+
+  /**
+   * Time-weighted price over (at least) `seconds`, between the latest snapshot and
+   * the newest snapshot that is old enough. Prices are raw (no decimal adjustment):
+   * price0 = token1 per token0, price1 = token0 per token1.
+   * @returns {Object|null} null until the pair has enough snapshot history
+   */
+  getTwap(pairAddress, seconds) {
+    const observations = this.observations.get(pairAddress.toLowerCase());
+    if (!observations || observations.length < 2) return null;
+
+    const latest = observations[observations.length - 1];
+    const targetTimestamp = latest.timestamp - seconds;
+
+    let start = null;
+    for (let i = observations.length - 2; i >= 0; i--) {
+      if (observations[i].timestamp <= targetTimestamp) {
+        start = observations[i];
+        break;
+      }
+    }
+    if (!start) return null;
+
+    const elapsed = latest.timestamp - start.timestamp;
+    const price0X112 = ((latest.price0Cumulative - start.price0Cumulative + UINT256_MOD) % UINT256_MOD) / BigInt(elapsed);
+    const price1X112 = ((latest.price1Cumulative - start.price1Cumulative + UINT256_MOD) % UINT256_MOD) / BigInt(elapsed);
+
+    return {
+      seconds: elapsed,
+      price0: Number(price0X112) / Number(Q112),
+      price1: Number(price1X112) / Number(Q112),
+      from: start.timestamp,
+      to: latest.timestamp,
+    };
+  }
+
+  /**
+   * TWAPs for every configured window, keyed by label ('5m', '30m', ...)
+   */
+  getTwaps(pairAddress, windows = TWAP_CONFIG.WINDOWS) {
+    const twaps = {};
+    for (const [label, seconds] of Object.entries(windows)) {
+      twaps[label] = this.getTwap(pairAddress, seconds);
+    }
+    return twaps;
+  }
+
+  /**
+   * Drop pairs nobody has analyzed for V2_TRACKING_TTL
+   */
+  pruneUntracked() {
+    const cutoff = Date.now() - TWAP_CONFIG.V2_TRACKING_TTL;
+    for (const [address, lastAccess] of this.lastAccess) {
+      if (lastAccess < cutoff) {
+        this.lastAccess.delete(address);
+        this.observations.delete(address);
+      }
+    }
+  }
+
+  getStats() {
+    let snapshots = 0;
+    for (const observations of this.observations.values()) {
+      snapshots += observations.length;
+    }
+
+    return {
+      trackedPairs: this.observations.size,
+      snapshots,
+      running: !!this.snapshotInterval,
+      windows: TWAP_CONFIG.WINDOWS,
+    };
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  V2TwapService,
+  getV2TwapService: perChain(() => new V2TwapService()),
+};
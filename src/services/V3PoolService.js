@@ -1,27 +1,38 @@
 // src/services/V3PoolService.js
 // FIXED VERSION - Properly calculates and returns V3 pool prices
+// Covers every concentrated-liquidity DEX in config/protocols.js: Uniswap V3-style pools
+// (PancakeSwap V3, Uniswap V3) and Algebra pools (THENA) through their adapter
 
 const { ethers } = require('ethers');
 const { getProviderService } = require('./ProviderService');
 const { getTokenService } = require('./TokenService');
+const { getV3SwapSimulator } = require('./V3SwapSimulator');
+const { getTokenRegistry } = require('./TokenRegistryService');
 const { getCacheService } = require('../utils/Cache');
 const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
 const { 
   UNISWAP_V3_FACTORY_ABI, 
   UNISWAP_V3_POOL_ABI,
-  UNISWAP_V3_QUOTER_V2_ABI
+  UNISWAP_V3_QUOTER_V2_ABI,
+  ALGEBRA_FACTORY_ABI,
+  ALGEBRA_POOL_ABI
 } = require('../config/abis');
-const { 
-  CONTRACTS, 
-  FEE_TIERS,
-  COMMON_BASE_PAIRS,
-  LIQUIDITY_THRESHOLDS 
-} = require('../config/constants');
+const { LIQUIDITY_THRESHOLDS } = require('../config/constants');
+const {
+  V3_ADAPTERS,
+  getV3Protocols,
+  getDefaultV3Protocol,
+  getV3Protocol,
+  getV3ProtocolByFactory
+} = require('../config/protocols');
 
 class V3PoolService {
   constructor() {
     this.providerService = getProviderService();
     this.tokenService = getTokenService();
+    this.swapSimulator = getV3SwapSimulator();
+    this.tokenRegistry = getTokenRegistry();
     this.cache = getCacheService();
     this.logger = getLogger();
 
@@ -34,33 +45,39 @@ class V3PoolService {
   async findAllPools(tokenAddress) {
     const pools = [];
     
-    for (const baseToken of COMMON_BASE_PAIRS) {
+    for (const baseToken of this.tokenRegistry.getAddresses('base')) {
       if (baseToken.toLowerCase() === tokenAddress.toLowerCase()) {
         continue;
       }
 
-      for (const feeTier of FEE_TIERS.V3) {
-        try {
-          const poolAddress = await this.getPoolAddress(tokenAddress, baseToken, feeTier);
-          if (poolAddress && poolAddress !== ethers.ZeroAddress) {
-            const poolData = await this.getPoolData(poolAddress);
-            if (poolData) {
-              // Include all pools (even rugged) for transparency, but log status
-              const status = poolData.liquidity?.status || 'UNKNOWN';
-              if (status === 'RUGGED') {
-                this.logger.warn(
-                  `⚠️ Found RUGGED V3 pool: ${poolData.token0?.symbol}/${poolData.token1?.symbol} (${feeTier/10000}%)`
-                );
-              } else if (status === 'ACTIVE' || status === 'WARNING_LIQUIDITY') {
-                this.logger.info(
-                  `Found V3 pool: ${poolData.token0?.symbol}/${poolData.token1?.symbol} (${feeTier/10000}%) - ${status}`
-                );
+      for (const protocol of getV3Protocols()) {
+        // Algebra has a single dynamic-fee pool per pair
+        const feeTiers = protocol.adapter === V3_ADAPTERS.ALGEBRA ? [null] : protocol.feeTiers;
+
+        for (const feeTier of feeTiers) {
+          const feeLabel = feeTier === null ? 'dynamic fee' : `${feeTier/10000}%`;
+          try {
+            const poolAddress = await this.getPoolAddress(tokenAddress, baseToken, feeTier, protocol);
+            if (poolAddress && poolAddress !== ethers.ZeroAddress) {
+              const poolData = await this.getPoolData(poolAddress);
+              if (poolData) {
+                // Include all pools (even rugged) for transparency, but log status
+                const status = poolData.liquidity?.status || 'UNKNOWN';
+                if (status === 'RUGGED') {
+                  this.logger.warn(
+                    `⚠️ Found RUGGED ${protocol.name} V3 pool: ${poolData.token0?.symbol}/${poolData.token1?.symbol} (${feeLabel})`
+                  );
+                } else if (status === 'ACTIVE' || status === 'WARNING_LIQUIDITY') {
+                  this.logger.info(
+                    `Found ${protocol.name} V3 pool: ${poolData.token0?.symbol}/${poolData.token1?.symbol} (${feeLabel}) - ${status}`
+                  );
+                }
+                pools.push(poolData);
               }
-              pools.push(poolData);
             }
+          } catch (error) {
+            this.logger.debug(`No ${protocol.name} V3 pool for ${tokenAddress}/${baseToken} at ${feeLabel}`);
           }
-        } catch (error) {
-          this.logger.debug(`No V3 pool for ${tokenAddress}/${baseToken} at ${feeTier} tier`);
         }
       }
     }
@@ -68,10 +85,18 @@ class V3PoolService {
     return pools;
   }
 
-  async getPoolAddress(tokenA, tokenB, fee) {
+  /**
+   * Pool of a pair on a V3 DEX: getPool(a, b, fee), or poolByPair(a, b) on Algebra (fee is ignored)
+   */
+  async getPoolAddress(tokenA, tokenB, fee, protocol = getDefaultV3Protocol()) {
     return this.providerService.executeWithRetry(async (provider) => {
+      if (protocol.adapter === V3_ADAPTERS.ALGEBRA) {
+        const factory = new ethers.Contract(protocol.factory, ALGEBRA_FACTORY_ABI, provider);
+        return factory.poolByPair(tokenA, tokenB);
+      }
+
       const factory = new ethers.Contract(
-        CONTRACTS.UNISWAP_V3_FACTORY,
+        protocol.factory,
         UNISWAP_V3_FACTORY_ABI,
         provider
       );
@@ -80,6 +105,21 @@ class V3PoolService {
     });
   }
 
+  /**
+   * Fee and slot0 of a pool through its protocol's adapter. Algebra pools keep
+   * price, tick and the current dynamic fee in globalState().
+   */
+  async getPriceState(pool, protocol, provider) {
+    if (protocol?.adapter === V3_ADAPTERS.ALGEBRA) {
+      const algebraPool = new ethers.Contract(pool.target, ALGEBRA_POOL_ABI, provider);
+      const globalState = await algebraPool.globalState();
+      return { fee: globalState[2], slot0: globalState };
+    }
+
+    const [fee, slot0] = await Promise.all([pool.fee(), pool.slot0()]);
+    return { fee, slot0 };
+  }
+
   async getPoolData(poolAddress) {
     try {
       // IMPORTANT: Don't use cache during price fix testing
@@ -95,13 +135,14 @@ class V3PoolService {
       const poolData = await this.providerService.executeWithRetry(async (provider) => {
         const pool = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, provider);
         
-        const [token0, token1, fee, liquidity, slot0] = await Promise.all([
+        const [token0, token1, factory, liquidity] = await Promise.all([
           pool.token0(),
           pool.token1(),
-          pool.fee(),
+          pool.factory(),
           pool.liquidity(),
-          pool.slot0(),
         ]);
+        const protocol = getV3ProtocolByFactory(factory);
+        const { fee, slot0 } = await this.getPriceState(pool, protocol, provider);
 
         // Get token info
         const [token0Info, token1Info] = await Promise.all([
@@ -133,6 +174,8 @@ class V3PoolService {
             address: poolAddress.toLowerCase(),
             type: 'V3',
             version: 3,
+            protocol: protocol?.name || 'Unknown',
+            factory,
             token0: token0Info,
             token1: token1Info,
             fee: Number(fee),
@@ -202,6 +245,8 @@ class V3PoolService {
           address: poolAddress.toLowerCase(),
           type: 'V3',
           version: 3,
+          protocol: protocol?.name || 'Unknown',
+          factory,
           token0: token0Info,
           token1: token1Info,
           fee: Number(fee),
@@ -370,42 +415,6 @@ class V3PoolService {
     }
   }
 
-  calculateTokenAmounts(liquidity, sqrtPriceX96, tick, decimals0, decimals1) {
-    // Simplified calculation - in production you'd calculate based on tick ranges
-    if (liquidity === 0n) {
-      return {
-        amount0: 0n,
-        amount1: 0n,
-        amount0String: '0',
-        amount1String: '0',
-      };
-    }
-
-    const Q96 = 2n ** 96n;
-
-    // Calculate approximate amounts from liquidity
-    // These are approximations - actual amounts depend on position ranges
-    // Formula: amount0 = L / sqrt(P), amount1 = L * sqrt(P)
-    try {
-      const amount0 = (liquidity * Q96) / sqrtPriceX96;
-      const amount1 = (liquidity * sqrtPriceX96) / Q96;
-
-      return {
-        amount0,
-        amount1,
-        amount0String: ethers.formatUnits(amount0, decimals0),
-        amount1String: ethers.formatUnits(amount1, decimals1),
-      };
-    } catch (error) {
-      return {
-        amount0: 0n,
-        amount1: 0n,
-        amount0String: '0',
-        amount1String: '0',
-      };
-    }
-  }
-
   /**
    * Estimate liquidity using DexScreener/DexTools method:
    * Total = (Token0 Balance × Token0 Price) + (Token1 Balance × Token1 Price)
@@ -448,13 +457,13 @@ class V3PoolService {
 
       if (hasLiquidity && (amount0Num > 0 || amount1Num > 0)) {
         // Check if token1 is a known price token (WBNB, stablecoin)
-        if (token1.toLowerCase() === CONTRACTS.WBNB.toLowerCase()) {
+        if (this.tokenService.isWrappedNative(token1)) {
           // Token1 is WBNB - calculate token0 value using pool price
           const token1ValueBNB = amount1Num;
           const token0ValueBNB = poolPriceRatio ? amount0Num * poolPriceRatio : amount1Num; // Use price or mirror
           totalValueBNB = token0ValueBNB + token1ValueBNB;
           totalValueUSD = totalValueBNB * bnbPrice;
-        } else if (token0.toLowerCase() === CONTRACTS.WBNB.toLowerCase()) {
+        } else if (this.tokenService.isWrappedNative(token0)) {
           // Token0 is WBNB
           const token0ValueBNB = amount0Num;
           const token1ValueBNB = poolPriceRatio && poolPriceRatio > 0 ? amount1Num / poolPriceRatio : amount0Num;
@@ -500,27 +509,34 @@ class V3PoolService {
     };
   }
 
-  async getQuote(tokenIn, tokenOut, amountIn, fee) {
+  /**
+   * QuoterV2 quoteExactInputSingle on the pool's DEX. Returns null for DEXes without a
+   * QuoterV2 (Algebra), whose swaps are simulated locally instead.
+   */
+  async getQuote(tokenIn, tokenOut, amountIn, fee, protocol = getDefaultV3Protocol()) {
+    if (!protocol.quoter) return null;
+
     try {
       return await this.providerService.executeWithRetry(async (provider) => {
         const quoter = new ethers.Contract(
-          CONTRACTS.UNISWAP_V3_QUOTER_V2,
+          protocol.quoter,
           UNISWAP_V3_QUOTER_V2_ABI,
           provider
         );
 
         try {
-          const result = await quoter.quoteExactInputSingle.staticCall(
+          const result = await quoter.quoteExactInputSingle.staticCall({
             tokenIn,
             tokenOut,
-            fee,
             amountIn,
-            0 // sqrtPriceLimitX96
-          );
+            fee,
+            sqrtPriceLimitX96: 0,
+          });
 
           return {
             amountOut: result[0] || result.amountOut,
             sqrtPriceX96After: result[1] || result.sqrtPriceX96After,
+            initializedTicksCrossed: Number(result[2] || result.initializedTicksCrossed || 0),
             gasEstimate: result[3] || result.gasEstimate,
           };
         } catch (quoterError) {
@@ -534,6 +550,68 @@ class V3PoolService {
     }
   }
 
+  /**
+   * QuoterV2 quoteExactOutputSingle - input needed to receive exactly `amountOut`
+   */
+  async getQuoteExactOutput(tokenIn, tokenOut, amountOut, fee, protocol = getDefaultV3Protocol()) {
+    if (!protocol.quoter) return null;
+
+    try {
+      return await this.providerService.executeWithRetry(async (provider) => {
+        const quoter = new ethers.Contract(
+          protocol.quoter,
+          UNISWAP_V3_QUOTER_V2_ABI,
+          provider
+        );
+
+        try {
+          const result = await quoter.quoteExactOutputSingle.staticCall({
+            tokenIn,
+            tokenOut,
+            amount: amountOut,
+            fee,
+            sqrtPriceLimitX96: 0,
+          });
+
+          return {
+            amountIn: result[0],
+            sqrtPriceX96After: result[1],
+            initializedTicksCrossed: Number(result[2] || 0),
+            gasEstimate: result[3],
+          };
+        } catch (quoterError) {
+          this.logger.debug(`Quoter (exact output) failed: ${quoterError.message}`);
+          return null;
+        }
+      });
+    } catch (error) {
+      this.logger.debug('V3 exact output quote failed', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Encode a V3 swap path: token (20 bytes) | fee (3 bytes) | token | ...
+   */
+  encodePath(tokens, fees) {
+    if (tokens.length !== fees.length + 1) {
+      throw new Error('Path must have exactly one fee per hop');
+    }
+
+    const types = [];
+    const values = [];
+    tokens.forEach((token, i) => {
+      types.push('address');
+      values.push(token);
+      if (i < fees.length) {
+        types.push('uint24');
+        values.push(fees[i]);
+      }
+    });
+
+    return ethers.solidityPacked(types, values);
+  }
+
   async simulateSwap(poolAddress, tokenIn, amountIn) {
     try {
       const poolData = await this.getPoolData(poolAddress);
@@ -541,60 +619,130 @@ class V3PoolService {
         throw new Error('Pool not found');
       }
 
-      const tokenOut = tokenIn.toLowerCase() === poolData.token0.address.toLowerCase()
-        ? poolData.token1.address
-        : poolData.token0.address;
+      const isToken0In = tokenIn.toLowerCase() === poolData.token0.address.toLowerCase();
+      const tokenOut = isToken0In ? poolData.token1.address : poolData.token0.address;
 
       const quote = await this.getQuote(
         tokenIn,
         tokenOut,
         amountIn,
-        poolData.fee
+        poolData.fee,
+        getV3Protocol(poolData.protocol) || undefined
       );
 
-      if (!quote) {
-        this.logger.debug('Quote failed, using basic estimation');
-        
-        const isToken0In = tokenIn.toLowerCase() === poolData.token0.address.toLowerCase();
-        const price = isToken0In ? poolData.price.token1Price : poolData.price.token0Price;
-        const estimatedOut = BigInt(Math.floor(Number(amountIn) * price));
-        
+      if (quote) {
         return {
           amountIn: amountIn.toString(),
-          amountOut: estimatedOut.toString(),
-          priceImpact: 0,
-          executionPrice: price,
-          gasEstimate: '150000',
+          amountOut: quote.amountOut.toString(),
+          priceImpact: this.calculatePriceImpact(poolData.sqrtPriceX96, isToken0In, amountIn, quote.amountOut),
+          executionPrice: Number(quote.amountOut) / Number(amountIn),
+          sqrtPriceX96After: quote.sqrtPriceX96After?.toString(),
+          initializedTicksCrossed: quote.initializedTicksCrossed,
+          gasEstimate: quote.gasEstimate?.toString() || '150000',
+          source: 'quoter',
         };
       }
 
-      // Calculate price impact
-      const currentPrice = poolData.price.priceRatio;
-      const executionPrice = Number(quote.amountOut) / Number(amountIn);
-      const priceImpact = Math.abs((executionPrice - currentPrice) / currentPrice) * 100;
+      // No quoter (Algebra), or it reverted or is unreachable - walk the ticks locally instead of guessing from spot price
+      this.logger.debug(`No quote for ${poolAddress}, simulating swap locally`);
+      const result = await this.swapSimulator.simulateExactInput(poolAddress, tokenIn, amountIn);
+
+      if (!result.fullyFilled) {
+        throw new Error(
+          `Insufficient liquidity: only ${result.amountIn.toString()} of ${amountIn.toString()} could be swapped`
+        );
+      }
 
       return {
-        amountIn: amountIn.toString(),
-        amountOut: quote.amountOut.toString(),
-        priceImpact,
-        executionPrice,
-        gasEstimate: quote.gasEstimate?.toString() || '150000',
+        amountIn: result.amountIn.toString(),
+        amountOut: result.amountOut.toString(),
+        priceImpact: this.calculatePriceImpact(result.sqrtPriceX96Before, isToken0In, result.amountIn, result.amountOut),
+        executionPrice: Number(result.amountOut) / Number(result.amountIn),
+        sqrtPriceX96After: result.sqrtPriceX96After.toString(),
+        initializedTicksCrossed: result.initializedTicksCrossed,
+        gasEstimate: '150000',
+        source: 'local-simulation',
       };
     } catch (error) {
       this.logger.error('Failed to simulate V3 swap', error);
       throw error;
     }
   }
-}
 
-// Singleton instance
-let v3PoolServiceInstance = null;
+  /**
+   * Simulate buying exactly `amountOut` of the other pool token with `tokenIn`
+   */
+  async simulateSwapExactOutput(poolAddress, tokenIn, amountOut) {
+    try {
+      const poolData = await this.getPoolData(poolAddress);
+      if (!poolData) {
+        throw new Error('Pool not found');
+      }
+
+      const isToken0In = tokenIn.toLowerCase() === poolData.token0.address.toLowerCase();
+      const tokenOut = isToken0In ? poolData.token1.address : poolData.token0.address;
 
-module.exports = {
-  getV3PoolService: () => {
-    if (!v3PoolServiceInstance) {
-      v3PoolServiceInstance = new V3PoolService();
+      const quote = await this.getQuoteExactOutput(
+        tokenIn,
+        tokenOut,
+        amountOut,
+        poolData.fee,
+        getV3Protocol(poolData.protocol) || undefined
+      );
+
+      if (quote) {
+        return {
+          amountIn: quote.amountIn.toString(),
+          amountOut: amountOut.toString(),
+          priceImpact: this.calculatePriceImpact(poolData.sqrtPriceX96, isToken0In, quote.amountIn, amountOut),
+          executionPrice: Number(amountOut) / Number(quote.amountIn),
+          sqrtPriceX96After: quote.sqrtPriceX96After?.toString(),
+          initializedTicksCrossed: quote.initializedTicksCrossed,
+          gasEstimate: quote.gasEstimate?.toString() || '150000',
+          source: 'quoter',
+        };
+      }
+
+      this.logger.debug(`No exact output quote for ${poolAddress}, simulating swap locally`);
+      const result = await this.swapSimulator.simulateExactOutput(poolAddress, tokenIn, amountOut);
+
+      if (!result.fullyFilled) {
+        throw new Error(
+          `Insufficient liquidity: only ${result.amountOut.toString()} of ${amountOut.toString()} is available`
+        );
+      }
+
+      return {
+        amountIn: result.amountIn.toString(),
+        amountOut: result.amountOut.toString(),
+        priceImpact: this.calculatePriceImpact(result.sqrtPriceX96Before, isToken0In, result.amountIn, result.amountOut),
+        executionPrice: Number(result.amountOut) / Number(result.amountIn),
+        sqrtPriceX96After: result.sqrtPriceX96After.toString(),
+        initializedTicksCrossed: result.initializedTicksCrossed,
+        gasEstimate: '150000',
+        source: 'local-simulation',
+      };
+    } catch (error) {
+      this.logger.error('Failed to simulate V3 exact output swap', error);
+      throw error;
     }
-    return v3PoolServiceInstance;
-  },
+  }
+
+  /**
+   * Price impact (incl. fee) of a swap versus the pre-swap spot price, in percent
+   */
+  calculatePriceImpact(sqrtPriceX96, zeroForOne, amountIn, amountOut) {
+    const sqrtPrice = Number(BigInt(sqrtPriceX96)) / 2 ** 96;
+    const spotPrice = sqrtPrice * sqrtPrice; // raw token1 per token0
+    const expectedRate = zeroForOne ? spotPrice : 1 / spotPrice;
+    const executionRate = Number(amountOut) / Number(amountIn);
+
+    if (!expectedRate || !isFinite(expectedRate)) return 0;
+    return Math.max(0, (1 - executionRate / expectedRate) * 100);
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  getV3PoolService: perChain(() => new V3PoolService()),
 };
\ No newline at end of file
@@ -0,0 +1,275 @@
+// src/services/V3SwapSimulator.js
+// Off-chain V3 swap engine - walks initialized ticks exactly like PancakeV3Pool.swap()
+// (Uniswap V3 pools and Algebra pools at their current dynamic fee swap the same way)
+
+const { ethers } = require('ethers');
+const { getMulticallService } = require('./MulticallService');
+const { getLogger } = require('../utils/Logger');
+const { perChain } = require('../utils/ChainContext');
+const V3Math = require('../utils/V3Math');
+
+// Bitmap words fetched per multicall round while walking (each word = 256 * tickSpacing ticks)
+const WORDS_PER_BATCH = 4;
+
+// Hard cap on bitmap words loaded for a single simulation
+const MAX_WORDS = 64;
+
+class V3SwapSimulator {
+  constructor() {
+    this.multicallService = getMulticallService();
+    this.logger = getLogger();
+  }
+
+  /**
+   * Load the swap-relevant state of a pool: slot0 (globalState on Algebra), liquidity,
+   * fee, tickSpacing and the bitmap words surrounding the current tick.
+   */
+  async loadPoolState(poolAddress) {
+    const iface = this.multicallService.interfaces.v3Pool;
+
+    const [[pool], [tickSpacingResult]] = await Promise.all([
+      this.multicallService.batchGetV3PoolData([poolAddress]),
+      this.multicallService.execute([{
+        target: poolAddress,
+        callData: iface.encodeFunctionData('tickSpacing'),
+        allowFailure: true,
+      }]),
+    ]);
+
+    if (!pool?.slot0 || !tickSpacingResult.success) {
+      throw new Error(`Pool ${poolAddress} is not a V3 pool`);
+    }
+
+    const state = {
+      address: poolAddress.toLowerCase(),
+      protocol: pool.protocol,
+      adapter: pool.adapter,
+      token0: pool.token0,
+      token1: pool.token1,
+      fee: pool.fee,
+      tickSpacing: Number(iface.decodeFunctionResult('tickSpacing', tickSpacingResult.returnData)[0]),
+      liquidity: pool.liquidity,
+      sqrtPriceX96: pool.slot0.sqrtPriceX96,
+      tick: pool.slot0.tick,
+      words: new Map(),
+      ticks: new Map(),
+    };
+
+    if (state.sqrtPriceX96 === 0n) {
+      throw new Error(`Pool ${poolAddress} is not initialized`);
+    }
+
+    const currentWord = V3Math.getWordPosition(V3Math.compressTick(state.tick, state.tickSpacing));
+    await this.loadWords(state, [currentWord - 1, currentWord, currentWord + 1]);
+
+    return state;
+  }
+
+  /**
+   * Load bitmap words plus liquidityNet of every initialized tick they contain
+   */
+  async loadWords(state, wordPositions) {
+    const missing = wordPositions.filter(wordPos => !state.words.has(wordPos));
+    if (missing.length === 0) return;
+
+    if (state.words.size + missing.length > MAX_WORDS) {
+      throw new Error(`Tick walk exceeded ${MAX_WORDS} bitmap words for pool ${state.address}`);
+    }
+
+    const words = await this.multicallService.batchGetTickBitmap(state.address, missing, state.adapter);
+
+    const initializedTicks = [];
+    for (const [wordPos, word] of words) {
+      state.words.set(wordPos, word);
+      initializedTicks.push(...V3Math.getInitializedTicksInWord(wordPos, word, state.tickSpacing));
+    }
+
+    if (initializedTicks.length > 0) {
+      const tickData = await this.multicallService.batchGetTicks(state.address, initializedTicks);
+      for (const [tick, data] of tickData) {
+        state.ticks.set(tick, data.liquidityNet);
+      }
+    }
+
+    this.logger.debug(
+      `Loaded ${missing.length} bitmap words (${initializedTicks.length} initialized ticks) for ${state.address}`
+    );
+  }
+
+  /**
+   * Run PancakeV3Pool.swap() against a loaded state.
+   * The state itself is not mutated, so it can be reused for several simulations.
+   *
+   * @param {Object} state - From loadPoolState()
+   * @param {boolean} zeroForOne - Direction (token0 -> token1)
+   * @param {bigint} amountSpecified - > 0 exact input, < 0 exact output
+   * @param {bigint} [sqrtPriceLimitX96] - Optional price limit
+   */
+  async swap(state, zeroForOne, amountSpecified, sqrtPriceLimitX96 = null) {
+    if (amountSpecified === 0n) {
+      throw new Error('Swap amount must be non-zero');
+    }
+
+    const limit = sqrtPriceLimitX96 ?? (zeroForOne
+      ? V3Math.MIN_SQRT_RATIO + 1n
+      : V3Math.MAX_SQRT_RATIO - 1n);
+
+    if (zeroForOne
+      ? limit >= state.sqrtPriceX96 || limit <= V3Math.MIN_SQRT_RATIO
+      : limit <= state.sqrtPriceX96 || limit >= V3Math.MAX_SQRT_RATIO) {
+      throw new Error('Invalid sqrtPriceLimitX96 for swap direction');
+    }
+
+    const exactInput = amountSpecified > 0n;
+
+    let amountSpecifiedRemaining = amountSpecified;
+    let amountCalculated = 0n;
+    let sqrtPriceX96 = state.sqrtPriceX96;
+    let tick = state.tick;
+    let liquidity = state.liquidity;
+    let feeAmount = 0n;
+    let initializedTicksCrossed = 0;
+    let liquidityExhausted = false;
+
+    while (amountSpecifiedRemaining !== 0n && sqrtPriceX96 !== limit) {
+      const sqrtPriceStartX96 = sqrtPriceX96;
+
+      let next = V3Math.nextInitializedTickWithinOneWord(state.words, tick, state.tickSpacing, zeroForOne);
+      if (!next) {
+        if (liquidity === 0n && state.words.size + WORDS_PER_BATCH > MAX_WORDS) {
+          // No active liquidity and nothing initialized within MAX_WORDS - treat as drained
+          liquidityExhausted = true;
+          break;
+        }
+
+        // Walked off the loaded range - fetch the next batch in the direction of travel
+        const compressed = V3Math.compressTick(tick, state.tickSpacing);
+        const wordPos = V3Math.getWordPosition(zeroForOne ? compressed : compressed + 1);
+        const batch = Array.from({ length: WORDS_PER_BATCH }, (_, i) => (zeroForOne ? wordPos - i : wordPos + i));
+        await this.loadWords(state, batch);
+        next = V3Math.nextInitializedTickWithinOneWord(state.words, tick, state.tickSpacing, zeroForOne);
+      }
+
+      let tickNext = next.tickNext;
+      if (tickNext < V3Math.MIN_TICK) {
+        tickNext = V3Math.MIN_TICK;
+      } else if (tickNext > V3Math.MAX_TICK) {
+        tickNext = V3Math.MAX_TICK;
+      }
+
+      const sqrtPriceNextX96 = V3Math.getSqrtRatioAtTick(tickNext);
+      const sqrtPriceTargetX96 = (zeroForOne ? sqrtPriceNextX96 < limit : sqrtPriceNextX96 > limit)
+        ? limit
+        : sqrtPriceNextX96;
+
+      const step = V3Math.computeSwapStep(
+        sqrtPriceX96,
+        sqrtPriceTargetX96,
+        liquidity,
+        amountSpecifiedRemaining,
+        state.fee
+      );
+      sqrtPriceX96 = step.sqrtRatioNextX96;
+      feeAmount += step.feeAmount;
+
+      if (exactInput) {
+        amountSpecifiedRemaining -= step.amountIn + step.feeAmount;
+        amountCalculated -= step.amountOut;
+      } else {
+        amountSpecifiedRemaining += step.amountOut;
+        amountCalculated += step.amountIn + step.feeAmount;
+      }
+
+      if (sqrtPriceX96 === sqrtPriceNextX96) {
+        // Crossed into the next range - apply liquidityNet like Tick.cross()
+        if (next.initialized) {
+          let liquidityNet = state.ticks.get(tickNext) ?? 0n;
+          if (zeroForOne) liquidityNet = -liquidityNet;
+          liquidity += liquidityNet;
+          initializedTicksCrossed++;
+        }
+        tick = zeroForOne ? tickNext - 1 : tickNext;
+      } else if (sqrtPriceX96 !== sqrtPriceStartX96) {
+        tick = V3Math.getTickAtSqrtRatio(sqrtPriceX96);
+      }
+    }
+
+    const amountA = amountSpecified - amountSpecifiedRemaining;
+    const [amount0, amount1] = zeroForOne === exactInput
+      ? [amountA, amountCalculated]
+      : [amountCalculated, amountA];
+
+    const amountIn = zeroForOne ? amount0 : amount1;
+    const amountOut = -(zeroForOne ? amount1 : amount0);
+
+    return {
+      amount0,
+      amount1,
+      amountIn,
+      amountOut,
+      feeAmount,
+      sqrtPriceX96Before: state.sqrtPriceX96,
+      sqrtPriceX96After: sqrtPriceX96,
+      tickBefore: state.tick,
+      tickAfter: tick,
+      liquidityAfter: liquidity,
+      initializedTicksCrossed,
+      // False when the price limit was hit before the full amount was swapped
+      fullyFilled: amountSpecifiedRemaining === 0n,
+      liquidityExhausted,
+    };
+  }
+
+  /**
+   * Simulate an exact-input swap on a pool
+   */
+  async simulateExactInput(poolAddress, tokenIn, amountIn, options = {}) {
+    const state = options.state || await this.loadPoolState(poolAddress);
+    const zeroForOne = this.isZeroForOne(state, tokenIn);
+
+    return this.swap(state, zeroForOne, BigInt(amountIn), options.sqrtPriceLimitX96);
+  }
+
+  /**
+   * Simulate an exact-output swap on a pool (amountOut of the other token)
+   */
+  async simulateExactOutput(poolAddress, tokenIn, amountOut, options = {}) {
+    const state = options.state || await this.loadPoolState(poolAddress);
+    const zeroForOne = this.isZeroForOne(state, tokenIn);
+
+    return this.swap(state, zeroForOne, -BigInt(amountOut), options.sqrtPriceLimitX96);
+  }
+
+  isZeroForOne(state, tokenIn) {
+    const tokenInLower = tokenIn.toLowerCase();
+    if (tokenInLower === state.token0.toLowerCase()) return true;
+    if (tokenInLower === state.token1.toLowerCase()) return false;
+    throw new Error(`Token ${tokenIn} is not in pool ${state.address}`);
+  }
+
+  /**
+   * Convert a simulation result to JSON-safe strings
+   */
+  formatResult(result, decimalsIn = 18, decimalsOut = 18) {
+    return {
+      amountIn: result.amountIn.toString(),
+      amountOut: result.amountOut.toString(),
+      amountInFormatted: ethers.formatUnits(result.amountIn, decimalsIn),
+      amountOutFormatted: ethers.formatUnits(result.amountOut, decimalsOut),
+      feeAmount: result.feeAmount.toString(),
+      sqrtPriceX96Before: result.sqrtPriceX96Before.toString(),
+      sqrtPriceX96After: result.sqrtPriceX96After.toString(),
+      tickBefore: result.tickBefore,
+      tickAfter: result.tickAfter,
+      initializedTicksCrossed: result.initializedTicksCrossed,
+      fullyFilled: result.fullyFilled,
+      liquidityExhausted: result.liquidityExhausted,
+    };
+  }
+}
+
+// One instance per chain (see utils/ChainContext)
+module.exports = {
+  V3SwapSimulator,
+  getV3SwapSimulator: perChain(() => new V3SwapSimulator()),
+};
@@ -0,0 +1,55 @@
+// src/utils/BlockContext.js
+// Request-scoped block pinning. Everything awaited inside runAtBlock() reads chain
+// state at that block: ProviderService hands out block-pinned providers, and
+// services keep historical results out of their live caches.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with every RPC read pinned to blockNumber.
+ * historical: a past block asked for with ?blockTag= (cached apart from live results).
+ * Otherwise the block is just the chain head the caller snapshotted, for consistent reads.
+ */
+function runAtBlock(blockNumber, fn, { historical = true } = {}) {
+  return storage.run({ blockNumber, historical }, fn);
+}
+
+/**
+ * Run fn against the chain head, outside any pinned block (background work started from a request)
+ */
+function runUnpinned(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Mutable store of the current pinned request (services may keep per-request state on it)
+ * @returns {Object|null} null outside runAtBlock()
+ */
+function getBlockContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * @returns {number|null} the pinned block number, null when reading the latest state
+ */
+function getPinnedBlock() {
+  return storage.getStore()?.blockNumber ?? null;
+}
+
+/**
+ * @returns {number|null} the pinned block number for ?blockTag= requests, null for live ones
+ */
+function getHistoricalBlock() {
+  const store = storage.getStore();
+  return store?.historical ? store.blockNumber : null;
+}
+
+module.exports = {
+  runAtBlock,
+  runUnpinned,
+  getBlockContext,
+  getPinnedBlock,
+  getHistoricalBlock,
+};
@@ -3,7 +3,9 @@
 
 const NodeCache = require('node-cache');
 const { getLogger } = require('./Logger');
-const { API_CONFIG } = require('../config/constants');
+const { getHistoricalBlock } = require('./BlockContext');
+const { perChain } = require('./ChainContext');
+const { API_CONFIG, CACHE_CONFIG } = require('../config/constants');
 
 class CacheService {
   constructor() {
@@ -213,33 +215,38 @@ class CacheService {
     return this.getOrSet(this.tokenCache, key, fetchFn, ttl);
   }
 
-  // Analysis cache methods with validation
-  getAnalysis(tokenAddress) {
+  // Analysis cache methods with validation.
+  // Requests pinned to a block (see BlockContext) use their own keys, never the live entry.
+  analysisKey(tokenAddress) {
     const address = this.validateAddress(tokenAddress);
-    const key = `analysis_${address}`;
-    return this.poolCache.get(key);
+    const blockNumber = getHistoricalBlock();
+    return blockNumber === null ? `analysis_${address}` : `analysis_${address}@${blockNumber}`;
   }
 
-  setAnalysis(tokenAddress, data, ttl = API_CONFIG.CACHE_TTL) {
-    const address = this.validateAddress(tokenAddress);
-    const key = `analysis_${address}`;
-    return this.poolCache.set(key, data, ttl);
+  // State at a fixed block never changes, so pinned results can live longer
+  analysisTTL() {
+    return getHistoricalBlock() === null ? API_CONFIG.CACHE_TTL : CACHE_CONFIG.PINNED_TTL;
+  }
+
+  getAnalysis(tokenAddress) {
+    return this.poolCache.get(this.analysisKey(tokenAddress));
+  }
+
+  setAnalysis(tokenAddress, data, ttl = this.analysisTTL()) {
+    return this.poolCache.set(this.analysisKey(tokenAddress), data, ttl);
   }
 
   // Atomic get-or-fetch for analysis data
-  async getOrFetchAnalysis(tokenAddress, fetchFn, ttl = API_CONFIG.CACHE_TTL) {
-    const address = this.validateAddress(tokenAddress);
-    const key = `analysis_${address}`;
-    return this.getOrSet(this.poolCache, key, fetchFn, ttl);
+  async getOrFetchAnalysis(tokenAddress, fetchFn, ttl = this.analysisTTL()) {
+    return this.getOrSet(this.poolCache, this.analysisKey(tokenAddress), fetchFn, ttl);
   }
 
   // Clear cache for specific token with validation
   clearTokenAnalysis(tokenAddress) {
     const address = this.validateAddress(tokenAddress);
 
-    // Clear analysis cache
-    const analysisKey = `analysis_${address}`;
-    this.poolCache.del(analysisKey);
+    // Clear analysis cache (the pinned entry when called for a block-pinned request)
+    this.poolCache.del(this.analysisKey(address));
 
     // Clear token data
     this.tokenCache.del(address);
@@ -367,21 +374,14 @@ class CacheService {
   /**
    * Warm cache with common tokens and prices
    * Call this on startup to pre-populate frequently accessed data
+   * @param {Object[]} tokens - { address, symbol } to pre-cache (the registry's "warm" tokens)
    */
-  async warmCache(tokenService, priceService) {
+  async warmCache(tokenService, priceService, tokens = []) {
     this.logger.info('Starting cache warming...');
     const startTime = Date.now();
 
     try {
-      // Common BSC tokens to pre-cache
-      const commonTokens = [
-        '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', // WBNB
-        '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', // USDC
-        '0x55d398326f99059fF775485246999027B3197955', // USDT
-        '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56', // BUSD
-        '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3', // DAI
-        '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82', // CAKE
-      ];
+      const commonTokens = tokens.map(token => token.address);
 
       // Pre-fetch token info in parallel
       if (tokenService) {
@@ -431,20 +431,12 @@ class CacheService {
   /**
    * Pre-analyze main tokens on startup for instant response
    * These are frequently traded tokens that users query often
+   * @param {Object[]} mainTokens - { address, symbol } to analyze (the registry's "warm" tokens)
    */
-  async warmAnalysisCache(poolAnalyzer) {
+  async warmAnalysisCache(poolAnalyzer, mainTokens = []) {
     this.logger.info('Starting analysis cache warming for main tokens...');
     const startTime = Date.now();
 
-    // Main tokens to pre-analyze (frequently traded on BSC)
-    const mainTokens = [
-      { address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', symbol: 'USDC' },
-      { address: '0x55d398326f99059fF775485246999027B3197955', symbol: 'USDT' },
-      { address: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56', symbol: 'BUSD' },
-      { address: '0x1AF3F329e8BE154074D8769D1FFa4eE058B1DBc3', symbol: 'DAI' },
-      { address: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82', symbol: 'CAKE' },
-    ];
-
     let successCount = 0;
 
     // Analyze tokens sequentially to avoid overwhelming RPC
@@ -487,14 +479,7 @@ class CacheService {
   }
 }
 
-// Singleton instance
-let cacheInstance = null;
-
+// One instance per chain (see utils/ChainContext)
 module.exports = {
-  getCacheService: () => {
-    if (!cacheInstance) {
-      cacheInstance = new CacheService();
-    }
-    return cacheInstance;
-  },
+  getCacheService: perChain(() => new CacheService()),
 };
@@ -0,0 +1,51 @@
+// src/utils/ChainContext.js
+// Request-scoped chain selection. Everything awaited inside runOnChain() works on that
+// chain: service getters built with perChain() hand out the chain's own instance (its
+// providers, caches and token registry) and config/protocols.js resolves its DEXes.
+// Outside runOnChain() the default chain is used.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { ALL_CHAINS, DEFAULT_CHAIN, getChainConfig } = require('../config/chains');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn on chainId (an enabled chain, see config/chains.js)
+ */
+function runOnChain(chainId, fn) {
+  const chain = getChainConfig(chainId);
+  if (!chain) {
+    throw new Error(`Chain '${chainId}' is not enabled`);
+  }
+  return storage.run(chain, fn);
+}
+
+/**
+ * @returns {Object} config of the current chain (the default chain outside runOnChain())
+ */
+function getChain() {
+  return storage.getStore() || ALL_CHAINS[DEFAULT_CHAIN];
+}
+
+/**
+ * Singleton getter keeping one instance per chain. create() runs on the chain it
+ * builds for, so services it pulls in are that chain's too.
+ * @param {Function} create - () => new Service()
+ */
+function perChain(create) {
+  const instances = new Map();
+
+  return () => {
+    const { id } = getChain();
+    if (!instances.has(id)) {
+      instances.set(id, runOnChain(id, create));
+    }
+    return instances.get(id);
+  };
+}
+
+module.exports = {
+  runOnChain,
+  getChain,
+  perChain,
+};
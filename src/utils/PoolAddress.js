@@ -0,0 +1,51 @@
+// src/utils/PoolAddress.js
+// CREATE2 pool addresses, computed offline the way the factories deploy them:
+//   V2: factory deploys the pair with salt keccak256(abi.encodePacked(token0, token1))
+//   V3: the pool deployer (the factory itself on Uniswap) uses salt keccak256(abi.encode(token0, token1, fee))
+// Protocols without an init code hash (config/protocols.js) cannot be derived and return null.
+
+const { ethers } = require('ethers');
+
+/**
+ * @returns {string[]} [token0, token1] in the order pools store them
+ */
+function sortTokens(tokenA, tokenB) {
+  const a = ethers.getAddress(tokenA);
+  const b = ethers.getAddress(tokenB);
+  if (a.toLowerCase() === b.toLowerCase()) {
+    throw new Error('Tokens must be different');
+  }
+  return a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+}
+
+/**
+ * V2 pair address on a protocol ({ factory, initCodeHash })
+ * @returns {string|null}
+ */
+function computeV2PairAddress(protocol, tokenA, tokenB) {
+  if (!protocol.initCodeHash) return null;
+
+  const [token0, token1] = sortTokens(tokenA, tokenB);
+  const salt = ethers.solidityPackedKeccak256(['address', 'address'], [token0, token1]);
+  return ethers.getCreate2Address(protocol.factory, salt, protocol.initCodeHash);
+}
+
+/**
+ * V3 pool address on a protocol ({ deployer, initCodeHash }) for a fee tier
+ * @returns {string|null}
+ */
+function computeV3PoolAddress(protocol, tokenA, tokenB, fee) {
+  if (!protocol.initCodeHash || !protocol.deployer) return null;
+
+  const [token0, token1] = sortTokens(tokenA, tokenB);
+  const salt = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(['address', 'address', 'uint24'], [token0, token1, fee])
+  );
+  return ethers.getCreate2Address(protocol.deployer, salt, protocol.initCodeHash);
+}
+
+module.exports = {
+  sortTokens,
+  computeV2PairAddress,
+  computeV3PoolAddress,
+};
@@ -0,0 +1,145 @@
+// src/utils/PoolGraph.js
+// Directed token graph for routing: nodes are token addresses, edges are pools (one edge
+// per pool and direction) with a non-negative weight. kShortestPaths() is Yen's algorithm
+// over a hop-limited, loop-free shortest path search, so it returns the k cheapest routes
+// of at most maxHops pools, parallel pools between the same tokens included.
+
+const key = address => address.toLowerCase();
+
+class PoolGraph {
+  constructor() {
+    this.edges = new Map(); // token -> [{ id, from, to, weight, data }]
+  }
+
+  /**
+   * Add a directed edge. Edges with a non-finite or negative weight are ignored.
+   * @param {string} id - unique per pool and direction
+   */
+  addEdge(id, from, to, weight, data) {
+    if (!Number.isFinite(weight) || weight < 0 || key(from) === key(to)) return;
+
+    if (!this.edges.has(key(from))) this.edges.set(key(from), []);
+    this.edges.get(key(from)).push({ id, from: key(from), to: key(to), weight, data });
+  }
+
+  get size() {
+    let edges = 0;
+    for (const list of this.edges.values()) edges += list.length;
+    return { tokens: this.edges.size, edges };
+  }
+
+  /**
+   * Cheapest loop-free path of at most maxHops edges, skipping removed edges and tokens
+   * @returns {{ edges: Object[], weight: number }|null}
+   */
+  shortestPath(source, target, maxHops, removedEdges = new Set(), removedNodes = new Set()) {
+    const start = key(source);
+    const goal = key(target);
+    const usable = edge => !removedEdges.has(edge.id) && !removedNodes.has(edge.to) && edge.to !== start;
+
+    // bounds[h]: token -> cheapest walk of at most h edges to the goal. Walks may revisit
+    // tokens, so this never overestimates the remaining cost of a loop-free path.
+    const bounds = [new Map([[goal, 0]])];
+    for (let hops = 1; hops < maxHops; hops++) {
+      const bound = new Map(bounds[hops - 1]);
+      for (const [node, edges] of this.edges) {
+        if (node === goal) continue;
+        for (const edge of edges) {
+          const rest = bounds[hops - 1].get(edge.to);
+          if (!usable(edge) || rest === undefined) continue;
+          if (!bound.has(node) || edge.weight + rest < bound.get(node)) bound.set(node, edge.weight + rest);
+        }
+      }
+      bounds.push(bound);
+    }
+
+    // Depth-first over loop-free paths (the path itself is the visited set), cheapest
+    // continuation first, cutting every branch that cannot beat the best path found
+    let best = null;
+    const path = [];
+    const visited = new Set([start]);
+
+    const extend = (node, weight) => {
+      if (node === goal) {
+        if (!best || weight < best.weight) best = { edges: [...path], weight };
+        return;
+      }
+
+      const hopsLeft = maxHops - path.length;
+      if (hopsLeft === 0) return;
+
+      const next = [];
+      for (const edge of this.edges.get(node) || []) {
+        const rest = bounds[hopsLeft - 1].get(edge.to);
+        if (!usable(edge) || visited.has(edge.to) || rest === undefined) continue;
+        next.push({ edge, estimate: weight + edge.weight + rest });
+      }
+      next.sort((a, b) => a.estimate - b.estimate);
+
+      for (const { edge, estimate } of next) {
+        if (best && estimate >= best.weight) break;
+
+        path.push(edge);
+        visited.add(edge.to);
+        extend(edge.to, weight + edge.weight);
+        visited.delete(edge.to);
+        path.pop();
+      }
+    };
+
+    if (maxHops > 0) extend(start, 0);
+    return best;
+  }
+
+  /**
+   * Up to k cheapest loop-free paths from source to target (Yen's algorithm)
+   * @returns {Array<{ edges: Object[], weight: number }>} cheapest first
+   */
+  kShortestPaths(source, target, { k = 1, maxHops = 3 } = {}) {
+    const first = this.shortestPath(source, target, maxHops);
+    if (!first) return [];
+
+    const found = [first];
+    const candidates = [];
+    const seen = new Set([first.edges.map(edge => edge.id).join('>')]);
+
+    while (found.length < k) {
+      const last = found[found.length - 1];
+
+      for (let i = 0; i < last.edges.length; i++) {
+        const rootEdges = last.edges.slice(0, i);
+        const rootIds = rootEdges.map(edge => edge.id).join('>');
+        const spurNode = i === 0 ? key(source) : rootEdges[i - 1].to;
+
+        // Leave the root as it is and branch off at the spur token
+        const removedEdges = new Set();
+        for (const path of found) {
+          if (path.edges.length > i && path.edges.slice(0, i).map(edge => edge.id).join('>') === rootIds) {
+            removedEdges.add(path.edges[i].id);
+          }
+        }
+        const removedNodes = new Set([key(source), ...rootEdges.map(edge => edge.to)]);
+        removedNodes.delete(spurNode);
+
+        const spur = this.shortestPath(spurNode, target, maxHops - i, removedEdges, removedNodes);
+        if (!spur) continue;
+
+        const edges = [...rootEdges, ...spur.edges];
+        const id = edges.map(edge => edge.id).join('>');
+        if (seen.has(id)) continue;
+
+        seen.add(id);
+        candidates.push({ edges, weight: edges.reduce((sum, edge) => sum + edge.weight, 0) });
+      }
+
+      if (candidates.length === 0) break;
+
+      candidates.sort((a, b) => a.weight - b.weight);
+      found.push(candidates.shift());
+    }
+
+    return found;
+  }
+}
+
+module.exports = PoolGraph;
@@ -0,0 +1,356 @@
+// src/utils/V3Math.js
+// Exact BigInt port of the Uniswap/PancakeSwap V3 core math libraries
+// (TickMath, SqrtPriceMath, SwapMath, TickBitmap). Rounding matches the
+// Solidity implementation so local simulations agree with the pool to the wei.
+
+const Q96 = 2n ** 96n;
+const MAX_UINT160 = 2n ** 160n - 1n;
+const MAX_UINT256 = 2n ** 256n - 1n;
+const FEE_DENOMINATOR = 1000000n;
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const MIN_SQRT_RATIO = 4295128739n;
+const MAX_SQRT_RATIO = 1461446703485210103287273052203988822378723970342n;
+
+// ============ FullMath ============
+
+function mulDiv(a, b, denominator) {
+  return (a * b) / denominator;
+}
+
+function mulDivRoundingUp(a, b, denominator) {
+  const product = a * b;
+  const result = product / denominator;
+  return product % denominator > 0n ? result + 1n : result;
+}
+
+function divRoundingUp(a, b) {
+  const result = a / b;
+  return a % b > 0n ? result + 1n : result;
+}
+
+// ============ TickMath ============
+
+const TICK_RATIO_CONSTANTS = [
+  [0x2, 0xfff97272373d413259a46990580e213an],
+  [0x4, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+  [0x8, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+  [0x10, 0xffcb9843d60f6159c9db58835c926644n],
+  [0x20, 0xff973b41fa98c081472e6896dfb254c0n],
+  [0x40, 0xff2ea16466c96a3843ec78b326b52861n],
+  [0x80, 0xfe5dee046a99a2a811c461f1969c3053n],
+  [0x100, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+  [0x200, 0xf987a7253ac413176f2b074cf7815e54n],
+  [0x400, 0xf3392b0822b70005940c7a398e4b70f3n],
+  [0x800, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+  [0x1000, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+  [0x2000, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+  [0x4000, 0x70d869a156d2a1b890bb3df62baf32f7n],
+  [0x8000, 0x31be135f97d08fd981231505542fcfa6n],
+  [0x10000, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+  [0x20000, 0x5d6af8dedb81196699c329225ee604n],
+  [0x40000, 0x2216e584f5fa1ea926041bedfe98n],
+  [0x80000, 0x48a170391f7dc42444e8fa2n],
+];
+
+/**
+ * sqrt(1.0001^tick) * 2^96
+ */
+function getSqrtRatioAtTick(tick) {
+  if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+    throw new Error(`Tick out of range: ${tick}`);
+  }
+
+  const absTick = Math.abs(tick);
+  let ratio = (absTick & 0x1) !== 0
+    ? 0xfffcb933bd6fad37aa2d162d1a594001n
+    : 0x100000000000000000000000000000000n;
+
+  for (const [mask, multiplier] of TICK_RATIO_CONSTANTS) {
+    if ((absTick & mask) !== 0) {
+      ratio = (ratio * multiplier) >> 128n;
+    }
+  }
+
+  if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+  // Round up so getTickAtSqrtRatio(getSqrtRatioAtTick(t)) === t
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/**
+ * Greatest tick such that getSqrtRatioAtTick(tick) <= sqrtPriceX96
+ */
+function getTickAtSqrtRatio(sqrtPriceX96) {
+  if (sqrtPriceX96 < MIN_SQRT_RATIO || sqrtPriceX96 >= MAX_SQRT_RATIO) {
+    throw new Error(`sqrtPriceX96 out of range: ${sqrtPriceX96}`);
+  }
+
+  // Binary search keeps this exact without porting the log2 assembly
+  let low = MIN_TICK;
+  let high = MAX_TICK;
+  while (low < high) {
+    const mid = Math.floor((low + high + 1) / 2);
+    if (getSqrtRatioAtTick(mid) <= sqrtPriceX96) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// ============ SqrtPriceMath ============
+
+function getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amount, add) {
+  if (amount === 0n) return sqrtPriceX96;
+  const numerator1 = liquidity << 96n;
+
+  if (add) {
+    const product = amount * sqrtPriceX96;
+    if (product <= MAX_UINT256) {
+      const denominator = numerator1 + product;
+      if (denominator <= MAX_UINT256) {
+        return mulDivRoundingUp(numerator1, sqrtPriceX96, denominator);
+      }
+    }
+    return divRoundingUp(numerator1, numerator1 / sqrtPriceX96 + amount);
+  }
+
+  const product = amount * sqrtPriceX96;
+  if (product > MAX_UINT256 || numerator1 <= product) {
+    throw new Error('Insufficient liquidity for requested output');
+  }
+  return mulDivRoundingUp(numerator1, sqrtPriceX96, numerator1 - product);
+}
+
+function getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amount, add) {
+  if (add) {
+    const quotient = amount <= MAX_UINT160
+      ? (amount << 96n) / liquidity
+      : mulDiv(amount, Q96, liquidity);
+    return sqrtPriceX96 + quotient;
+  }
+
+  const quotient = amount <= MAX_UINT160
+    ? divRoundingUp(amount << 96n, liquidity)
+    : mulDivRoundingUp(amount, Q96, liquidity);
+  if (sqrtPriceX96 <= quotient) {
+    throw new Error('Insufficient liquidity for requested output');
+  }
+  return sqrtPriceX96 - quotient;
+}
+
+function getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amountIn, true)
+    : getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amountIn, true);
+}
+
+function getNextSqrtPriceFromOutput(sqrtPriceX96, liquidity, amountOut, zeroForOne) {
+  return zeroForOne
+    ? getNextSqrtPriceFromAmount1RoundingDown(sqrtPriceX96, liquidity, amountOut, false)
+    : getNextSqrtPriceFromAmount0RoundingUp(sqrtPriceX96, liquidity, amountOut, false);
+}
+
+function getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  if (sqrtRatioAX96 > sqrtRatioBX96) {
+    [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+  }
+  const numerator1 = liquidity << 96n;
+  const numerator2 = sqrtRatioBX96 - sqrtRatioAX96;
+
+  return roundUp
+    ? divRoundingUp(mulDivRoundingUp(numerator1, numerator2, sqrtRatioBX96), sqrtRatioAX96)
+    : mulDiv(numerator1, numerator2, sqrtRatioBX96) / sqrtRatioAX96;
+}
+
+function getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, roundUp) {
+  if (sqrtRatioAX96 > sqrtRatioBX96) {
+    [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+  }
+  return roundUp
+    ? mulDivRoundingUp(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96)
+    : mulDiv(liquidity, sqrtRatioBX96 - sqrtRatioAX96, Q96);
+}
+
+// ============ SwapMath ============
+
+/**
+ * Compute a single swap step within one initialized tick range.
+ * amountRemaining > 0 means exact input, < 0 means exact output.
+ */
+function computeSwapStep(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, amountRemaining, feePips) {
+  const fee = BigInt(feePips);
+  const zeroForOne = sqrtRatioCurrentX96 >= sqrtRatioTargetX96;
+  const exactIn = amountRemaining >= 0n;
+
+  let sqrtRatioNextX96;
+  let amountIn = 0n;
+  let amountOut = 0n;
+
+  if (exactIn) {
+    const amountRemainingLessFee = mulDiv(amountRemaining, FEE_DENOMINATOR - fee, FEE_DENOMINATOR);
+    amountIn = zeroForOne
+      ? getAmount0Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, true)
+      : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, true);
+    sqrtRatioNextX96 = amountRemainingLessFee >= amountIn
+      ? sqrtRatioTargetX96
+      : getNextSqrtPriceFromInput(sqrtRatioCurrentX96, liquidity, amountRemainingLessFee, zeroForOne);
+  } else {
+    amountOut = zeroForOne
+      ? getAmount1Delta(sqrtRatioTargetX96, sqrtRatioCurrentX96, liquidity, false)
+      : getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioTargetX96, liquidity, false);
+    sqrtRatioNextX96 = -amountRemaining >= amountOut
+      ? sqrtRatioTargetX96
+      : getNextSqrtPriceFromOutput(sqrtRatioCurrentX96, liquidity, -amountRemaining, zeroForOne);
+  }
+
+  const max = sqrtRatioTargetX96 === sqrtRatioNextX96;
+
+  if (zeroForOne) {
+    amountIn = max && exactIn
+      ? amountIn
+      : getAmount0Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, true);
+    amountOut = max && !exactIn
+      ? amountOut
+      : getAmount1Delta(sqrtRatioNextX96, sqrtRatioCurrentX96, liquidity, false);
+  } else {
+    amountIn = max && exactIn
+      ? amountIn
+      : getAmount1Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, true);
+    amountOut = max && !exactIn
+      ? amountOut
+      : getAmount0Delta(sqrtRatioCurrentX96, sqrtRatioNextX96, liquidity, false);
+  }
+
+  // Cap the output amount to not exceed the remaining output amount
+  if (!exactIn && amountOut > -amountRemaining) {
+    amountOut = -amountRemaining;
+  }
+
+  const feeAmount = exactIn && sqrtRatioNextX96 !== sqrtRatioTargetX96
+    ? amountRemaining - amountIn // Take the remainder of the maximum input as fee
+    : mulDivRoundingUp(amountIn, fee, FEE_DENOMINATOR - fee);
+
+  return { sqrtRatioNextX96, amountIn, amountOut, feeAmount };
+}
+
+// ============ TickBitmap ============
+
+function compressTick(tick, tickSpacing) {
+  return Math.floor(tick / tickSpacing);
+}
+
+/**
+ * Word position in the bitmap for a (compressed) tick
+ */
+function getWordPosition(compressedTick) {
+  return compressedTick >> 8;
+}
+
+function mostSignificantBit(x) {
+  return x.toString(2).length - 1;
+}
+
+function leastSignificantBit(x) {
+  return mostSignificantBit(x & -x);
+}
+
+/**
+ * Next initialized tick contained in the same bitmap word as `tick`.
+ * `words` maps word position -> uint256 bitmap word (BigInt).
+ * Returns null when the required word has not been loaded yet.
+ */
+function nextInitializedTickWithinOneWord(words, tick, tickSpacing, lte) {
+  const compressed = compressTick(tick, tickSpacing);
+
+  if (lte) {
+    const wordPos = getWordPosition(compressed);
+    if (!words.has(wordPos)) return null;
+
+    const bitPos = BigInt(compressed & 0xff);
+    const mask = (1n << bitPos) - 1n + (1n << bitPos);
+    const masked = words.get(wordPos) & mask;
+    const initialized = masked !== 0n;
+    const next = initialized
+      ? (compressed - (Number(bitPos) - mostSignificantBit(masked))) * tickSpacing
+      : (compressed - Number(bitPos)) * tickSpacing;
+
+    return { tickNext: next, initialized, wordPos };
+  }
+
+  const wordPos = getWordPosition(compressed + 1);
+  if (!words.has(wordPos)) return null;
+
+  const bitPos = BigInt((compressed + 1) & 0xff);
+  const mask = MAX_UINT256 ^ ((1n << bitPos) - 1n);
+  const masked = words.get(wordPos) & mask;
+  const initialized = masked !== 0n;
+  const next = initialized
+    ? (compressed + 1 + (leastSignificantBit(masked) - Number(bitPos))) * tickSpacing
+    : (compressed + 1 + (255 - Number(bitPos))) * tickSpacing;
+
+  return { tickNext: next, initialized, wordPos };
+}
+
+/**
+ * Initialized ticks encoded in a bitmap word
+ */
+function getInitializedTicksInWord(wordPos, word, tickSpacing) {
+  const ticks = [];
+  if (word === 0n) return ticks;
+
+  for (let bit = 0; bit < 256; bit++) {
+    if ((word >> BigInt(bit)) & 1n) {
+      ticks.push(((wordPos << 8) + bit) * tickSpacing);
+    }
+  }
+  return ticks;
+}
+
+// ============ LiquidityAmounts ============
+
+/**
+ * Token amounts represented by `liquidity` between two sqrt prices,
+ * given the current pool price (same as LiquidityAmounts.getAmountsForLiquidity)
+ */
+function getAmountsForLiquidity(sqrtRatioX96, sqrtRatioAX96, sqrtRatioBX96, liquidity) {
+  if (sqrtRatioAX96 > sqrtRatioBX96) {
+    [sqrtRatioAX96, sqrtRatioBX96] = [sqrtRatioBX96, sqrtRatioAX96];
+  }
+
+  if (sqrtRatioX96 <= sqrtRatioAX96) {
+    return { amount0: getAmount0Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, false), amount1: 0n };
+  }
+  if (sqrtRatioX96 < sqrtRatioBX96) {
+    return {
+      amount0: getAmount0Delta(sqrtRatioX96, sqrtRatioBX96, liquidity, false),
+      amount1: getAmount1Delta(sqrtRatioAX96, sqrtRatioX96, liquidity, false),
+    };
+  }
+  return { amount0: 0n, amount1: getAmount1Delta(sqrtRatioAX96, sqrtRatioBX96, liquidity, false) };
+}
+
+module.exports = {
+  Q96,
+  MIN_TICK,
+  MAX_TICK,
+  MIN_SQRT_RATIO,
+  MAX_SQRT_RATIO,
+  mulDiv,
+  mulDivRoundingUp,
+  getSqrtRatioAtTick,
+  getTickAtSqrtRatio,
+  getNextSqrtPriceFromInput,
+  getNextSqrtPriceFromOutput,
+  getAmount0Delta,
+  getAmount1Delta,
+  computeSwapStep,
+  compressTick,
+  getWordPosition,
+  nextInitializedTickWithinOneWord,
+  getInitializedTicksInWord,
+  getAmountsForLiquidity,
+};
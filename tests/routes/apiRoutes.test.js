@@ -0,0 +1,101 @@
+const http = require('http');
+const express = require('express');
+
+const mockTokenIn = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
+const mockTokenOut = '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82';
+
+// Security results per token address, set by each test
+const mockSecurity = new Map();
+
+jest.mock('../../src/services/PoolAnalyzer', () => {
+  const analyzer = {
+    tokenService: { getTokenInfo: async () => ({ decimals: 18 }) },
+    comparePoolsForSwap: async () => ({
+      tokenIn: { address: mockTokenIn, symbol: 'WBNB', decimals: 18 },
+      tokenOut: { address: mockTokenOut, symbol: 'TAX', decimals: 18 },
+      bestPool: {
+        address: '0x0000000000000000000000000000000000000001',
+        type: 'V2',
+        fee: 2500,
+        simulation: { amountIn: (10n ** 18n).toString(), amountOut: (10n ** 18n).toString(), priceImpact: 0.1, executionPrice: 1 },
+      },
+      pools: [],
+    }),
+  };
+  return { getPoolAnalyzer: () => analyzer };
+});
+
+jest.mock('../../src/services/TokenSecurityService', () => ({
+  getTokenSecurityService: () => ({ checkToken: async token => mockSecurity.get(token) ?? null }),
+}));
+
+const router = require('../../src/routes/apiRoutes');
+
+describe('POST /quote', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', router);
+    server = http.createServer(app).listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.closeAllConnections();
+    server.close(done);
+  });
+  beforeEach(() => mockSecurity.clear());
+
+  const quote = async body => {
+    const response = await fetch(`${baseUrl}/api/quote`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tokenIn: mockTokenIn, tokenOut: mockTokenOut, ...body }),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const securityResult = overrides => ({
+    simulated: true,
+    isHoneypot: false,
+    buyTaxPercent: 0,
+    sellTaxPercent: 0,
+    transferTaxPercent: 0,
+    warnings: [],
+    ...overrides,
+  });
+
+  test('refuses an exact-output quote when tokenOut keeps the whole buy', async () => {
+    mockSecurity.set(mockTokenOut, securityResult({ buyTaxPercent: 100 }));
+
+    const { status, body } = await quote({ amountOut: '1' });
+
+    expect(status).toBe(422);
+    expect(body.success).toBe(false);
+    expect(body.error).toBe('TAX cannot be bought (100% buy tax)');
+  });
+
+  test('refuses a quote when tokenIn is a honeypot', async () => {
+    mockSecurity.set(mockTokenIn, securityResult({ isHoneypot: true, sellTaxPercent: 100 }));
+
+    const { status, body } = await quote({ amountIn: '1' });
+
+    expect(status).toBe(422);
+    expect(body.error).toBe('WBNB is a honeypot and cannot be sold');
+  });
+
+  test('grosses up the exact-output input for partial taxes', async () => {
+    mockSecurity.set(mockTokenOut, securityResult({ buyTaxPercent: 50 }));
+
+    const { status, body } = await quote({ amountOut: '1', slippage: 0 });
+
+    expect(status).toBe(200);
+    expect(body.quote.tokenIn.amount).toBe('2.0');
+    expect(body.quote.tokenIn.amountExcludingTax).toBe('1.0');
+  });
+});
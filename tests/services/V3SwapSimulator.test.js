@@ -0,0 +1,107 @@
+const { V3SwapSimulator } = require('../../src/services/V3SwapSimulator');
+const V3Math = require('../../src/utils/V3Math');
+
+const E18 = 10n ** 18n;
+const PRICE_1_1 = 79228162514264337593543950336n;
+const PRICE_101_100 = 79623317895830914510487008059n; // encodePriceSqrt(101, 100)
+const TICK_SPACING = 60;
+
+// Simulator over an in-memory pool: bitmap words and ticks are served from liquidityNet by tick
+function createSimulator(liquidityNet) {
+  const words = new Map();
+  for (const tick of Object.keys(liquidityNet).map(Number)) {
+    const compressed = V3Math.compressTick(tick, TICK_SPACING);
+    const wordPos = V3Math.getWordPosition(compressed);
+    const bit = BigInt(((compressed % 256) + 256) % 256);
+    words.set(wordPos, (words.get(wordPos) || 0n) | (1n << bit));
+  }
+
+  const simulator = Object.create(V3SwapSimulator.prototype);
+  simulator.logger = { debug: () => {} };
+  simulator.multicallService = {
+    batchGetTickBitmap: async (pool, wordPositions) => new Map(wordPositions.map(wordPos => [wordPos, words.get(wordPos) || 0n])),
+    batchGetTicks: async (pool, ticks) => new Map(ticks.map(tick => [tick, { liquidityGross: 0n, liquidityNet: liquidityNet[tick] }])),
+  };
+  return simulator;
+}
+
+async function createState(simulator, { liquidity, sqrtPriceX96 = PRICE_1_1, tick = 0, fee = 3000 }) {
+  const state = {
+    address: '0xpool',
+    token0: '0x0000000000000000000000000000000000000001',
+    token1: '0x0000000000000000000000000000000000000002',
+    fee,
+    tickSpacing: TICK_SPACING,
+    liquidity,
+    sqrtPriceX96,
+    tick,
+    words: new Map(),
+    ticks: new Map(),
+  };
+  await simulator.loadWords(state, [-1, 0, 1]);
+  return state;
+}
+
+describe('V3SwapSimulator.swap', () => {
+  it('reproduces a single computeSwapStep up to the price limit', async () => {
+    // SwapMath vector: price 1 -> 1.01 with 2e18 liquidity at a 0.06% fee
+    const simulator = createSimulator({});
+    const state = await createState(simulator, { liquidity: 2n * E18, fee: 600 });
+
+    const exactIn = await simulator.swap(state, false, E18, PRICE_101_100);
+    expect(exactIn.amountIn).toBe(9975124224178055n + 5988667735148n);
+    expect(exactIn.amountOut).toBe(9925619580021728n);
+    expect(exactIn.feeAmount).toBe(5988667735148n);
+    expect(exactIn.sqrtPriceX96After).toBe(PRICE_101_100);
+    expect(exactIn.fullyFilled).toBe(false);
+
+    const exactOut = await simulator.swap(state, false, -E18, PRICE_101_100);
+    expect(exactOut.amountIn).toBe(9975124224178055n + 5988667735148n);
+    expect(exactOut.amountOut).toBe(9925619580021728n);
+  });
+
+  it('applies liquidityNet when it crosses an initialized tick', async () => {
+    // [-600, 600) holds 1e18, [600, 1200) holds 5e17
+    const simulator = createSimulator({ [-600]: E18, 600: -E18 + 5n * E18 / 10n, 1200: -5n * E18 / 10n });
+    const state = await createState(simulator, { liquidity: E18 });
+
+    // token1 needed to push the price to tick 600, fee included, plus some more
+    const toTick600 = V3Math.getAmount1Delta(PRICE_1_1, V3Math.getSqrtRatioAtTick(600), E18, true);
+    const amountIn = toTick600 * 1000000n / 997000n + E18 / 100n;
+
+    const result = await simulator.swap(state, false, amountIn);
+    expect(result.fullyFilled).toBe(true);
+    expect(result.initializedTicksCrossed).toBe(1);
+    expect(result.liquidityAfter).toBe(5n * E18 / 10n);
+    expect(result.tickAfter).toBeGreaterThanOrEqual(600);
+    expect(result.tickAfter).toBeLessThan(1200);
+
+    // Buying that output back needs no more than the exact input paid
+    const exactOut = await simulator.swap(state, false, -result.amountOut);
+    expect(exactOut.amountOut).toBe(result.amountOut);
+    expect(exactOut.amountIn).toBeLessThanOrEqual(amountIn);
+    expect(amountIn - exactOut.amountIn).toBeLessThan(2n);
+  });
+
+  it('walks to the price limit once the liquidity is drained', async () => {
+    const simulator = createSimulator({ [-600]: E18, 600: -E18 });
+    const state = await createState(simulator, { liquidity: E18 });
+
+    const result = await simulator.swap(state, true, 10n * E18);
+    expect(result.fullyFilled).toBe(false);
+    expect(result.sqrtPriceX96After).toBe(V3Math.MIN_SQRT_RATIO + 1n);
+    expect(result.liquidityAfter).toBe(0n);
+    // Everything the range held in token1 between tick -600 and the current price
+    expect(result.amountOut).toBe(V3Math.getAmount1Delta(V3Math.getSqrtRatioAtTick(-600), PRICE_1_1, E18, false));
+  });
+
+  it('does not mutate the loaded state', async () => {
+    const simulator = createSimulator({ [-600]: E18, 600: -E18 });
+    const state = await createState(simulator, { liquidity: E18 });
+
+    const first = await simulator.swap(state, true, E18 / 10n);
+    const second = await simulator.swap(state, true, E18 / 10n);
+    expect(second).toEqual(first);
+    expect(state.sqrtPriceX96).toBe(PRICE_1_1);
+  });
+});
@@ -0,0 +1,55 @@
+// Derived addresses checked against deployed mainnet pairs and pools
+process.env.CHAINS = 'bsc,ethereum';
+process.env.DEFAULT_CHAIN = 'bsc';
+
+const { runOnChain } = require('../../src/utils/ChainContext');
+const { getV2Protocol, getV3Protocol } = require('../../src/config/protocols');
+const { sortTokens, computeV2PairAddress, computeV3PoolAddress } = require('../../src/utils/PoolAddress');
+
+const BSC = {
+  WBNB: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c',
+  USDT: '0x55d398326f99059fF775485246999027B3197955',
+  BUSD: '0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56',
+  CAKE: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82',
+};
+const ETHEREUM = {
+  WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+};
+
+describe('PoolAddress', () => {
+  it('sortTokens orders by address and checksums', () => {
+    expect(sortTokens(BSC.WBNB.toLowerCase(), BSC.USDT)).toEqual([BSC.USDT, BSC.WBNB]);
+    expect(() => sortTokens(BSC.WBNB, BSC.WBNB.toLowerCase())).toThrow('Tokens must be different');
+  });
+
+  it('derives PancakeSwap V2 pairs on BSC', () => {
+    const pancakeSwap = getV2Protocol('pancakeswap');
+    expect(computeV2PairAddress(pancakeSwap, BSC.WBNB, BSC.USDT)).toBe('0x16b9a82891338f9bA80E2D6970FddA79D1eb0daE');
+    expect(computeV2PairAddress(pancakeSwap, BSC.WBNB, BSC.BUSD)).toBe('0x58F876857a02D6762E0101bb5C46A8c1ED44Dc16');
+    expect(computeV2PairAddress(pancakeSwap, BSC.CAKE, BSC.WBNB)).toBe('0x0eD7e52944161450477ee417DE9Cd3a859b14fD0');
+  });
+
+  it('derives V2 fork pairs with their own init code hash', () => {
+    expect(computeV2PairAddress(getV2Protocol('biswap'), BSC.USDT, BSC.WBNB)).toBe('0x8840C6252e2e86e545deFb6da98B2a0E26d8C1BA');
+  });
+
+  it('derives PancakeSwap V3 pools from the pool deployer', () => {
+    const pancakeSwap = getV3Protocol('pancakeswap');
+    expect(computeV3PoolAddress(pancakeSwap, BSC.WBNB, BSC.USDT, 500)).toBe('0x36696169C63e42cd08ce11f5deeBbCeBae652050');
+    expect(computeV3PoolAddress(pancakeSwap, BSC.CAKE, BSC.WBNB, 2500)).toBe('0x133B3D95bAD5405d14d53473671200e9342896BF');
+  });
+
+  it('derives Uniswap V3 pools from the factory on Ethereum', () => {
+    runOnChain('ethereum', () => {
+      const uniswap = getV3Protocol('uniswap');
+      expect(computeV3PoolAddress(uniswap, ETHEREUM.WETH, ETHEREUM.USDC, 500)).toBe('0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640');
+      expect(computeV3PoolAddress(uniswap, ETHEREUM.USDC, ETHEREUM.WETH, 3000)).toBe('0x8ad599c3A0ff1De082011EFDDc58f1908eb6e6D8');
+    });
+  });
+
+  it('returns null for DEXes without an init code hash', () => {
+    expect(computeV3PoolAddress(getV3Protocol('thena'), BSC.WBNB, BSC.USDT)).toBeNull();
+    expect(computeV2PairAddress({ factory: getV2Protocol('pancakeswap').factory }, BSC.WBNB, BSC.USDT)).toBeNull();
+  });
+});
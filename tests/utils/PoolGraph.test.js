@@ -0,0 +1,88 @@
+const PoolGraph = require('../../src/utils/PoolGraph');
+
+const tokens = path => [path.edges[0].from, ...path.edges.map(edge => edge.to)].join('>');
+
+// Directed edges [id, from, to, weight]
+function buildGraph(edges) {
+  const graph = new PoolGraph();
+  edges.forEach(edge => graph.addEdge(...edge));
+  return graph;
+}
+
+// Weights of every loop-free path of at most maxHops edges, cheapest first
+function bruteForce(edges, source, target, maxHops) {
+  const weights = [];
+  const walk = (node, visited, weight, hops) => {
+    if (node === target) return weights.push(weight);
+    if (hops === maxHops) return;
+    for (const [, from, to, edgeWeight] of edges) {
+      if (from !== node || visited.has(to)) continue;
+      visited.add(to);
+      walk(to, visited, weight + edgeWeight, hops + 1);
+      visited.delete(to);
+    }
+  };
+  walk(source, new Set([source]), 0, 0);
+  return weights.sort((a, b) => a - b);
+}
+
+describe('PoolGraph', () => {
+  // The cheapest 3-edge walk into a is s>a>b>a, a loop
+  const edges = [
+    ['sa', 's', 'a', 1],
+    ['ab', 'a', 'b', 1],
+    ['ba', 'b', 'a', 1],
+    ['at', 'a', 't', 10],
+    ['bt', 'b', 't', 20],
+    ['sc', 's', 'c', 3],
+    ['cd', 'c', 'd', 3],
+    ['dt', 'd', 't', 3],
+  ];
+
+  it('ignores self-loops and negative or non-finite weights', () => {
+    const graph = buildGraph([['x', 's', 's', 1], ['y', 's', 't', -1], ['z', 's', 't', Infinity], ['w', 's', 't', 2]]);
+    expect(graph.size).toEqual({ tokens: 1, edges: 1 });
+  });
+
+  it('finds the cheapest loop-free path when the cheapest walk into a token loops', () => {
+    const graph = buildGraph(edges);
+
+    expect(tokens(graph.shortestPath('s', 't', 3))).toBe('s>c>d>t');
+    expect(tokens(graph.shortestPath('s', 't', 2))).toBe('s>a>t');
+    expect(graph.shortestPath('s', 't', 1)).toBeNull();
+  });
+
+  it('lists the k cheapest loop-free paths without revisiting a token', () => {
+    const paths = buildGraph(edges).kShortestPaths('s', 't', { k: 5, maxHops: 4 });
+
+    expect(paths.map(tokens)).toEqual(['s>c>d>t', 's>a>t', 's>a>b>t']);
+    expect(paths.map(path => path.weight)).toEqual([9, 11, 22]);
+  });
+
+  it('keeps parallel pools between the same tokens as separate paths', () => {
+    const paths = buildGraph([['p1', 's', 't', 2], ['p2', 's', 't', 1]]).kShortestPaths('s', 't', { k: 3 });
+    expect(paths.map(path => path.edges[0].id)).toEqual(['p2', 'p1']);
+  });
+
+  it('matches a brute-force search on random graphs', () => {
+    let seed = 11;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+    for (let trial = 0; trial < 300; trial++) {
+      const count = 3 + Math.floor(random() * 5);
+      const nodes = Array.from({ length: count }, (_, i) => `n${i}`);
+      const edges = [];
+      for (let i = Math.floor(random() * count * 3); i > 0; i--) {
+        const from = nodes[Math.floor(random() * count)];
+        const to = nodes[Math.floor(random() * count)];
+        if (from !== to) edges.push([`e${i}`, from, to, Math.floor(random() * 4)]);
+      }
+      const maxHops = 1 + Math.floor(random() * 4);
+      const k = 1 + Math.floor(random() * 6);
+
+      const paths = buildGraph(edges).kShortestPaths(nodes[0], nodes[count - 1], { k, maxHops });
+      expect(paths.map(path => path.weight)).toEqual(bruteForce(edges, nodes[0], nodes[count - 1], maxHops).slice(0, k));
+      paths.forEach(path => expect(new Set(tokens(path).split('>')).size).toBe(path.edges.length + 1));
+    }
+  });
+});
@@ -0,0 +1,96 @@
+const StableSwapMath = require('../../src/utils/StableSwapMath');
+
+const E18 = 10n ** 18n;
+const abs = x => (x < 0n ? -x : x);
+
+// Two-coin StableSwap invariant residual: Ann * S + D - Ann * D - D^3 / (4 * x0 * x1)
+function invariantResidual([x0, x1], amp, D) {
+  const Ann = amp * 2n;
+  return Ann * (x0 + x1) + D - Ann * D - (D * D * D) / (4n * x0 * x1);
+}
+
+describe('StableSwapMath', () => {
+  it('getD of a balanced pool is the sum of its balances', () => {
+    for (const amp of [1n, 100n, 1000n, 5000n]) {
+      expect(StableSwapMath.getD([1000000n * E18, 1000000n * E18], amp)).toBe(2000000n * E18);
+    }
+    expect(StableSwapMath.getD([0n, 0n], 1000n)).toBe(0n);
+  });
+
+  it('getD converges on the invariant for imbalanced pools', () => {
+    const pools = [
+      [1000000n * E18, 1000n * E18],
+      [123456789n * E18, 987654321n * E18],
+      [5n * E18, 5000000n * E18],
+      [1n, 10n ** 30n],
+    ];
+
+    for (const xp of pools) {
+      for (const amp of [1n, 10n, 200n, 1000n, 5000n]) {
+        const D = StableSwapMath.getD(xp, amp);
+        const sum = xp[0] + xp[1];
+
+        // D lies between the constant-product and constant-sum invariants
+        expect(D <= sum).toBe(true);
+        expect(D * D >= 4n * xp[0] * xp[1]).toBe(true);
+        // and solves the StableSwap equation to within rounding of the Newton step
+        expect(abs(invariantResidual(xp, amp, D)) * 10n ** 12n <= sum * amp * 2n).toBe(true);
+      }
+    }
+  });
+
+  it('getY solves for the balance that keeps D', () => {
+    const xp = [3000000n * E18, 1200000n * E18];
+    const amp = 1500n;
+    const D = StableSwapMath.getD(xp, amp);
+
+    expect(abs(StableSwapMath.getY(0, 1, xp[0], xp, amp) - xp[1]) <= 1n).toBe(true);
+
+    for (const dx of [1n, E18, 1000n * E18, 2500000n * E18]) {
+      const y = StableSwapMath.getY(0, 1, xp[0] + dx, xp, amp);
+      expect(y < xp[1] || dx === 1n).toBe(true);
+      // y is the invariant's root to the wei: D is bracketed by y and y + 1
+      expect(StableSwapMath.getD([xp[0] + dx, y], amp) <= D).toBe(true);
+      expect(StableSwapMath.getD([xp[0] + dx, y + 1n], amp) >= D).toBe(true);
+    }
+
+    expect(() => StableSwapMath.getY(0, 0, xp[0], xp, amp)).toThrow('Invalid coin indexes');
+  });
+
+  it('getDy near the peg returns the input less the fee', () => {
+    const pool = {
+      balances: [10000000n * E18, 10000000n * E18],
+      rates: StableSwapMath.getRates([18, 18]),
+      amp: 1000n,
+      fee: 4000000n, // 0.04%
+    };
+
+    const { amountOut, feeAmount } = StableSwapMath.getDy(0, 1, 1000n * E18, pool);
+    expect(feeAmount).toBe(((amountOut + feeAmount) * 4000000n) / StableSwapMath.FEE_DENOMINATOR);
+    // Within 0.0001% of 1000 * (1 - 0.0004)
+    expect(abs(amountOut - 9996n * E18 / 10n) < 1000n * E18 / 1000000n).toBe(true);
+  });
+
+  it('getDx inverts getDy across mixed decimals', () => {
+    const pool = {
+      balances: [2500000n * 10n ** 6n, 1800000n * E18], // 6-decimal USDC against an 18-decimal stable
+      rates: StableSwapMath.getRates([6, 18]),
+      amp: 400n,
+      fee: 2500000n,
+    };
+
+    for (const [i, j, dx] of [[0, 1, 1000n * 10n ** 6n], [1, 0, 50000n * E18], [0, 1, 1n * 10n ** 6n]]) {
+      const { amountOut } = StableSwapMath.getDy(i, j, dx, pool);
+      const needed = StableSwapMath.getDx(i, j, amountOut, pool);
+
+      // The input that buys exactly amountOut is at most dx, short by no more than one output unit's worth
+      expect(needed <= dx + 1n).toBe(true);
+      expect(StableSwapMath.getDy(i, j, needed, pool).amountOut >= amountOut - 1n).toBe(true);
+    }
+  });
+
+  it('getDx refuses outputs the pool cannot pay', () => {
+    const pool = { balances: [E18, E18], rates: StableSwapMath.getRates([18, 18]), amp: 100n, fee: 0n };
+    expect(() => StableSwapMath.getDx(0, 1, E18, pool)).toThrow('Insufficient liquidity');
+  });
+});
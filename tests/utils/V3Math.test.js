@@ -0,0 +1,132 @@
+// Vectors from Uniswap v3-core (test/TickMath.spec.ts, SqrtPriceMath.spec.ts, SwapMath.spec.ts).
+// Prices come from its encodePriceSqrt(reserve1, reserve0) helper.
+
+const V3Math = require('../../src/utils/V3Math');
+
+const E18 = 10n ** 18n;
+const PRICE_1_1 = 79228162514264337593543950336n; // encodePriceSqrt(1, 1)
+const PRICE_101_100 = 79623317895830914510487008059n;
+const PRICE_121_100 = 87150978765690771352898345369n;
+const PRICE_1000_100 = 250541448375047931186501464011n;
+const PRICE_10000_100 = 792281625142643375935439503360n;
+
+describe('TickMath', () => {
+  it('getSqrtRatioAtTick matches the published ratios', () => {
+    expect(V3Math.getSqrtRatioAtTick(V3Math.MIN_TICK)).toBe(4295128739n);
+    expect(V3Math.getSqrtRatioAtTick(V3Math.MIN_TICK + 1)).toBe(4295343490n);
+    expect(V3Math.getSqrtRatioAtTick(V3Math.MAX_TICK - 1)).toBe(1461373636630004318706518188784493106690254656249n);
+    expect(V3Math.getSqrtRatioAtTick(V3Math.MAX_TICK)).toBe(1461446703485210103287273052203988822378723970342n);
+    expect(V3Math.getSqrtRatioAtTick(0)).toBe(V3Math.Q96);
+  });
+
+  it('getSqrtRatioAtTick rejects ticks outside the range', () => {
+    expect(() => V3Math.getSqrtRatioAtTick(V3Math.MIN_TICK - 1)).toThrow('Tick out of range');
+    expect(() => V3Math.getSqrtRatioAtTick(V3Math.MAX_TICK + 1)).toThrow('Tick out of range');
+  });
+
+  it('getTickAtSqrtRatio matches the published ticks', () => {
+    expect(V3Math.getTickAtSqrtRatio(V3Math.MIN_SQRT_RATIO)).toBe(V3Math.MIN_TICK);
+    expect(V3Math.getTickAtSqrtRatio(4295343490n)).toBe(V3Math.MIN_TICK + 1);
+    expect(V3Math.getTickAtSqrtRatio(1461373636630004318706518188784493106690254656249n)).toBe(V3Math.MAX_TICK - 1);
+    expect(V3Math.getTickAtSqrtRatio(V3Math.MAX_SQRT_RATIO - 1n)).toBe(V3Math.MAX_TICK - 1);
+    expect(() => V3Math.getTickAtSqrtRatio(V3Math.MAX_SQRT_RATIO)).toThrow('out of range');
+  });
+
+  it('getTickAtSqrtRatio inverts getSqrtRatioAtTick', () => {
+    for (const tick of [-887271, -200000, -60, -1, 0, 1, 60, 50000, 887271]) {
+      const ratio = V3Math.getSqrtRatioAtTick(tick);
+      expect(V3Math.getTickAtSqrtRatio(ratio)).toBe(tick);
+      expect(V3Math.getTickAtSqrtRatio(ratio - 1n)).toBe(tick - 1);
+    }
+  });
+});
+
+describe('SqrtPriceMath', () => {
+  it('getAmount0Delta / getAmount1Delta round as the pool does', () => {
+    expect(V3Math.getAmount0Delta(PRICE_1_1, PRICE_121_100, E18, true)).toBe(90909090909090910n);
+    expect(V3Math.getAmount0Delta(PRICE_1_1, PRICE_121_100, E18, false)).toBe(90909090909090909n);
+    expect(V3Math.getAmount1Delta(PRICE_1_1, PRICE_121_100, E18, true)).toBe(100000000000000000n);
+    expect(V3Math.getAmount1Delta(PRICE_1_1, PRICE_121_100, E18, false)).toBe(99999999999999999n);
+  });
+
+  it('getNextSqrtPriceFromInput / getNextSqrtPriceFromOutput for 0.1 token', () => {
+    expect(V3Math.getNextSqrtPriceFromInput(PRICE_1_1, E18, E18 / 10n, false)).toBe(87150978765690771352898345369n);
+    expect(V3Math.getNextSqrtPriceFromInput(PRICE_1_1, E18, E18 / 10n, true)).toBe(72025602285694852357767227579n);
+    expect(V3Math.getNextSqrtPriceFromOutput(PRICE_1_1, E18, E18 / 10n, false)).toBe(88031291682515930659493278152n);
+    expect(V3Math.getNextSqrtPriceFromOutput(PRICE_1_1, E18, E18 / 10n, true)).toBe(71305346262837903834189555302n);
+  });
+});
+
+describe('SwapMath.computeSwapStep', () => {
+  it('exact input capped at the price target, one for zero', () => {
+    expect(V3Math.computeSwapStep(PRICE_1_1, PRICE_101_100, 2n * E18, E18, 600)).toEqual({
+      sqrtRatioNextX96: PRICE_101_100,
+      amountIn: 9975124224178055n,
+      amountOut: 9925619580021728n,
+      feeAmount: 5988667735148n,
+    });
+  });
+
+  it('exact output capped at the price target, one for zero', () => {
+    expect(V3Math.computeSwapStep(PRICE_1_1, PRICE_101_100, 2n * E18, -E18, 600)).toEqual({
+      sqrtRatioNextX96: PRICE_101_100,
+      amountIn: 9975124224178055n,
+      amountOut: 9925619580021728n,
+      feeAmount: 5988667735148n,
+    });
+  });
+
+  it('exact input fully spent, one for zero', () => {
+    const step = V3Math.computeSwapStep(PRICE_1_1, PRICE_1000_100, 2n * E18, E18, 600);
+    expect(step.amountIn).toBe(999400000000000000n);
+    expect(step.feeAmount).toBe(600000000000000n);
+    expect(step.amountOut).toBe(666399946655997866n);
+    expect(step.sqrtRatioNextX96 < PRICE_1000_100).toBe(true);
+  });
+
+  it('exact output fully received, one for zero', () => {
+    const step = V3Math.computeSwapStep(PRICE_1_1, PRICE_10000_100, 2n * E18, -E18, 600);
+    expect(step.amountIn).toBe(2000000000000000000n);
+    expect(step.feeAmount).toBe(1200720432259356n);
+    expect(step.amountOut).toBe(E18);
+    expect(step.sqrtRatioNextX96 < PRICE_10000_100).toBe(true);
+  });
+
+  it('caps the amount out at the desired amount out', () => {
+    expect(V3Math.computeSwapStep(
+      417332158212080721273783715441582n,
+      1452870262520218020823638996n,
+      159344665391607089467575320103n,
+      -1n,
+      1
+    )).toEqual({ sqrtRatioNextX96: 417332158212080721273783715441581n, amountIn: 1n, amountOut: 1n, feeAmount: 1n });
+  });
+
+  it('target price of 1 uses a partial input amount', () => {
+    expect(V3Math.computeSwapStep(2n, 1n, 1n, 3915081100057732413702495386755767n, 1)).toEqual({
+      sqrtRatioNextX96: 1n,
+      amountIn: 39614081257132168796771975168n,
+      amountOut: 0n,
+      feeAmount: 39614120871253040049813n,
+    });
+  });
+
+  it('takes the entire input amount as fee', () => {
+    expect(V3Math.computeSwapStep(2413n, 79887613182836312n, 1985041575832132834610021537970n, 10n, 1872)).toEqual({
+      sqrtRatioNextX96: 2413n,
+      amountIn: 0n,
+      amountOut: 0n,
+      feeAmount: 10n,
+    });
+  });
+
+  it('handles insufficient liquidity in exact output steps', () => {
+    const sqrtP = 20282409603651670423947251286016n;
+
+    const priceUp = V3Math.computeSwapStep(sqrtP, sqrtP * 11n / 10n, 1024n, -4n, 3000);
+    expect(priceUp).toMatchObject({ sqrtRatioNextX96: sqrtP * 11n / 10n, amountIn: 26215n, amountOut: 0n, feeAmount: 79n });
+
+    const priceDown = V3Math.computeSwapStep(sqrtP, sqrtP * 9n / 10n, 1024n, -263000n, 3000);
+    expect(priceDown).toMatchObject({ sqrtRatioNextX96: sqrtP * 9n / 10n, amountIn: 1n, amountOut: 26214n, feeAmount: 1n });
+  });
+});